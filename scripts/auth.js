@@ -0,0 +1,156 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+// 令牌文件中表示全部文档源的通配符
+export const ALL_SOURCES = '*';
+
+// 不受限制的访问权限（stdio模式或未配置令牌文件时使用）
+export const FULL_ACCESS = Object.freeze({ name: 'local', sources: null });
+
+/**
+ * 计算令牌的摘要，比较摘要而不是令牌本身，避免按时间差猜测令牌
+ * @param {string} token - 令牌
+ * @returns {Buffer} SHA-256摘要
+ */
+function digestToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest();
+}
+
+/**
+ * 解析令牌文件内容
+ * 格式: { "tokens": [{ "name": "frontend", "token": "...", "sources": ["taro", "taro-stack"] }] }
+ * sources可以是文档源名称、集合名称或 "*"（全部文档源）
+ * @param {object} config - 令牌文件内容
+ * @returns {Array<{name: string, digest: Buffer, sources: string[]|null}>} 令牌列表，sources为null表示不受限制
+ * @throws {Error} 格式不正确
+ */
+export function parseTokenConfig(config) {
+    if (!config || !Array.isArray(config.tokens)) {
+        throw new Error('令牌文件格式不正确，应包含tokens数组');
+    }
+
+    return config.tokens.map((entry, index) => {
+        if (!entry || typeof entry.token !== 'string' || !entry.token) {
+            throw new Error(`第 ${index + 1} 个令牌缺少token字段`);
+        }
+        if (!Array.isArray(entry.sources)) {
+            throw new Error(`令牌 ${entry.name || index + 1} 缺少sources数组`);
+        }
+        const sources = entry.sources
+            .filter(name => typeof name === 'string' && name.trim())
+            .map(name => name.trim().toLowerCase());
+        return {
+            name: entry.name || `token-${index + 1}`,
+            digest: digestToken(entry.token),
+            sources: sources.includes(ALL_SOURCES) ? null : sources
+        };
+    });
+}
+
+/**
+ * 从Authorization请求头中取出Bearer令牌
+ * @param {string} header - Authorization请求头
+ * @returns {string|null} 令牌，没有时返回null
+ */
+export function extractBearerToken(header) {
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(header || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * 判断访问权限是否允许某个文档源
+ * @param {{sources: string[]|null}} access - 访问权限
+ * @param {string} sourceName - 文档源名称
+ * @param {object} collections - 规范化后的集合配置，权限中的集合名称按其成员展开
+ * @returns {boolean} 是否允许
+ */
+export function isSourceAllowed(access, sourceName, collections = {}) {
+    if (!access || access.sources === null) return true;
+    return access.sources.some(name =>
+        name === sourceName || (collections[name] || []).includes(sourceName)
+    );
+}
+
+/**
+ * 判断两个访问权限是否相同（令牌名称和允许的文档源）
+ * @param {{name: string, sources: string[]|null}|null} a - 访问权限
+ * @param {{name: string, sources: string[]|null}|null} b - 访问权限
+ * @returns {boolean} 是否相同，任一为空时返回false
+ */
+export function isSameAccess(a, b) {
+    if (!a || !b || a.name !== b.name) return false;
+    if (a.sources === null || b.sources === null) return a.sources === b.sources;
+    return a.sources.length === b.sources.length && a.sources.every((name, i) => name === b.sources[i]);
+}
+
+/**
+ * 按访问权限过滤集合: 只保留允许的成员，没有允许成员的集合不可见
+ * @param {object} collections - 规范化后的集合配置
+ * @param {string[]} allowedSources - 允许的文档源
+ * @returns {object} 可见的集合
+ */
+export function filterCollections(collections, allowedSources) {
+    const visible = {};
+    for (const [name, members] of Object.entries(collections)) {
+        const allowed = members.filter(member => allowedSources.includes(member));
+        if (allowed.length > 0) visible[name] = allowed;
+    }
+    return visible;
+}
+
+/**
+ * 令牌文件: 按修改时间自动重新读取，修改令牌无需重启服务器
+ */
+export class TokenStore {
+    /**
+     * @param {string} filePath - 令牌文件路径（JSON）
+     * @param {object} options - 配置
+     * @param {Function} options.log - 日志函数
+     */
+    constructor(filePath, { log = () => {} } = {}) {
+        this.filePath = filePath;
+        this.log = log;
+        this.tokens = [];
+        this.mtime = null;
+        // 每次成功读取令牌文件后加1，用于判断已建立的会话是否需要重新校验
+        this.version = 0;
+    }
+
+    /**
+     * 读取令牌文件，文件未变化时跳过
+     * 首次读取失败时抛出错误；之后读取失败时保留原有令牌
+     * @returns {TokenStore} 自身
+     * @throws {Error} 首次读取时文件不存在或格式不正确
+     */
+    refresh() {
+        try {
+            const mtime = fs.statSync(this.filePath).mtimeMs;
+            if (mtime === this.mtime) return this;
+
+            this.tokens = parseTokenConfig(JSON.parse(fs.readFileSync(this.filePath, 'utf8')));
+            this.mtime = mtime;
+            this.version++;
+            this.log(`已加载令牌文件: ${this.filePath}，共 ${this.tokens.length} 个令牌`);
+        } catch (error) {
+            if (this.mtime === null) {
+                throw new Error(`读取令牌文件失败: ${this.filePath}, ${error.message}`);
+            }
+            this.log(`重新读取令牌文件失败，继续使用原有令牌: ${error.message}`);
+        }
+        return this;
+    }
+
+    /**
+     * 校验令牌
+     * @param {string} token - 请求中的令牌
+     * @returns {{name: string, sources: string[]|null}|null} 访问权限，令牌无效时返回null
+     */
+    authenticate(token) {
+        if (!token) return null;
+        this.refresh();
+
+        const digest = digestToken(token);
+        const entry = this.tokens.find(item => crypto.timingSafeEqual(item.digest, digest));
+        return entry ? { name: entry.name, sources: entry.sources } : null;
+    }
+}
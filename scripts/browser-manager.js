@@ -2,10 +2,15 @@ import puppeteer from 'puppeteer';
 import { docSources, crawlerConfig } from '../config/doc-sources.js';
 
 export class BrowserManager {
-    constructor() {
+    /**
+     * @param {object} config - 爬虫配置，默认使用 config/doc-sources.js 中的 crawlerConfig
+     * @param {object} logger - 日志输出，默认为console
+     */
+    constructor(config = crawlerConfig, logger = console) {
         this.browser = null;
         this.pages = new Map();
-        this.config = crawlerConfig;
+        this.config = config;
+        this.logger = logger;
     }
 
     getChromePath() {
@@ -27,7 +32,7 @@ export class BrowserManager {
         
         try {
             const chromePath = this.getChromePath();
-            console.log('[浏览器] 使用Chrome路径:', chromePath);
+            this.logger.log('[浏览器] 使用Chrome路径:', chromePath);
             
             this.browser = await puppeteer.launch({
                 executablePath: chromePath,
@@ -42,9 +47,9 @@ export class BrowserManager {
                 ]
             });
             
-            console.log('[浏览器] 初始化成功');
+            this.logger.log('[浏览器] 初始化成功');
         } catch (error) {
-            console.error('[浏览器] 初始化失败:', error);
+            this.logger.error('[浏览器] 初始化失败:', error);
             throw error;
         }
     }
@@ -86,19 +91,19 @@ export class BrowserManager {
                         const resourceType = request.resourceType();
                         if (resourceType === 'image') {
                             request.abort().catch(err => {
-                                console.log(`[请求] 终止图片请求失败: ${err.message}`);
+                                this.logger.log(`[请求] 终止图片请求失败: ${err.message}`);
                                 // 不做进一步处理，因为如果拦截失败，这个请求会自动通过
                             });
                         } else {
                             request.continue().catch(err => {
                                 // 如果continue失败，尝试其他方法处理请求
                                 if (err.message && err.message.includes('Request Interception is not enabled')) {
-                                    console.log(`[请求] 拦截未启用，忽略错误: ${request.url().slice(0, 30)}...`);
+                                    this.logger.log(`[请求] 拦截未启用，忽略错误: ${request.url().slice(0, 30)}...`);
                                     // 不尝试abort，因为拦截未启用时这也会失败
                                     return;
                                 }
                                 
-                                console.log(`[请求] 继续请求失败: ${err.message}, URL: ${request.url().slice(0, 30)}...`);
+                                this.logger.log(`[请求] 继续请求失败: ${err.message}, URL: ${request.url().slice(0, 30)}...`);
                                 
                                 try {
                                     request.abort().catch(() => {
@@ -110,7 +115,7 @@ export class BrowserManager {
                             });
                         }
                     } catch (error) {
-                        console.log(`[请求] 处理请求时出错: ${error.message}`);
+                        this.logger.log(`[请求] 处理请求时出错: ${error.message}`);
                         // 不尝试继续处理，让请求自行完成
                     }
                 };
@@ -123,9 +128,9 @@ export class BrowserManager {
                     window._puppeteer_request_interception = true;
                 });
                 
-                console.log(`[请求] 已成功设置请求拦截`);
+                this.logger.log(`[请求] 已成功设置请求拦截`);
             } catch (error) {
-                console.log(`[请求] 设置请求拦截时出错: ${error.message}`);
+                this.logger.log(`[请求] 设置请求拦截时出错: ${error.message}`);
                 // 出错时尝试关闭拦截
                 try {
                     await page.setRequestInterception(false);
@@ -139,21 +144,21 @@ export class BrowserManager {
                 waitUntil: 'domcontentloaded',
                 timeout: 60000
             }).catch(() => {
-                console.log(`[警告] 页面加载超时: ${url}`);
+                this.logger.log(`[警告] 页面加载超时: ${url}`);
             });
             
             // 等待页面内容加载
             await page.waitForSelector('body', { timeout: 5000 }).catch(() => {
-                console.log(`[警告] 等待body超时: ${url}`);
+                this.logger.log(`[警告] 等待body超时: ${url}`);
             });
             
             // 保存页面引用
             this.pages.set(url, page);
             
-            console.log('[页面] 创建新页面:', url);
+            this.logger.log('[页面] 创建新页面:', url);
             return page;
         } catch (error) {
-            console.error('[页面] 创建失败:', error);
+            this.logger.error('[页面] 创建失败:', error);
             throw error;
         }
     }
@@ -172,9 +177,9 @@ export class BrowserManager {
             await this.browser.close();
             this.browser = null;
             
-            console.log('[浏览器] 已关闭');
+            this.logger.log('[浏览器] 已关闭');
         } catch (error) {
-            console.error('[浏览器] 关闭失败:', error);
+            this.logger.error('[浏览器] 关闭失败:', error);
             throw error;
         }
     }
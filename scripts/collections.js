@@ -0,0 +1,54 @@
+/**
+ * 规范化配置中的文档集合: 集合名称和成员统一为小写，忽略格式不正确的项
+ * @param {object} collections - 集合配置，如 { "taro-stack": ["taro", "taroify"] }
+ * @returns {object} 集合名称 -> 文档源名称列表
+ */
+export function normalizeCollections(collections) {
+    const normalized = {};
+    if (!collections || typeof collections !== 'object') return normalized;
+
+    for (const [name, members] of Object.entries(collections)) {
+        if (!Array.isArray(members)) continue;
+        normalized[name.toLowerCase()] = [...new Set(
+            members.filter(member => typeof member === 'string').map(member => member.toLowerCase())
+        )];
+    }
+
+    return normalized;
+}
+
+/**
+ * 将source参数解析为文档源名称
+ * 参数可以是文档源名称、集合名称或它们的列表；同名时文档源优先
+ * @param {string|string[]} selection - source参数
+ * @param {string[]} availableSources - 已加载的文档源
+ * @param {object} collections - 规范化后的集合配置
+ * @returns {{sources: string[], unknown: string[], missing: string[]}}
+ *   sources为去重后的文档源，unknown为无法识别的名称，missing为集合中尚未加载的文档源
+ */
+export function resolveSourceSelection(selection, availableSources, collections = {}) {
+    const names = (Array.isArray(selection) ? selection : [selection])
+        .filter(name => typeof name === 'string' && name.trim())
+        .map(name => name.trim().toLowerCase());
+    const sources = new Set();
+    const unknown = [];
+    const missing = new Set();
+
+    for (const name of names) {
+        if (availableSources.includes(name)) {
+            sources.add(name);
+        } else if (collections[name]) {
+            for (const member of collections[name]) {
+                if (availableSources.includes(member)) {
+                    sources.add(member);
+                } else {
+                    missing.add(member);
+                }
+            }
+        } else {
+            unknown.push(name);
+        }
+    }
+
+    return { sources: [...sources], unknown, missing: [...missing] };
+}
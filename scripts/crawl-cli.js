@@ -0,0 +1,146 @@
+import { CRAWLER_OVERRIDE_FIELDS } from './user-sources.js';
+
+// 命令行爬虫的退出码: 成功、有页面爬取失败（或被中断）、参数错误、运行出错
+export const CRAWL_EXIT_CODES = {
+    success: 0,
+    failedPages: 1,
+    usage: 2,
+    error: 3
+};
+
+export const CRAWL_USAGE = `用法: npm run crawl -- [选项]
+
+不带任何选项时显示交互式菜单。
+
+选项:
+  --source <名称>       要爬取的文档源，可以重复使用
+  --all                 爬取所有文档源
+  --concurrency <数量>  并行抓取的页面数，覆盖配置中的maxConcurrency
+  --out <目录>          文档输出目录，默认为项目根目录的docs目录
+  --resume              从上次中断的位置继续爬取，跳过已保存的页面
+  --dry-run             只输出将要爬取的文档源和配置，不启动浏览器
+  --help                显示帮助
+
+非交互模式下，标准输出每行是一个JSON事件（dry-run时为plan，否则为start、progress、done或error），日志输出到标准错误。
+
+退出码:
+  0  爬取成功
+  1  有页面重试后仍然失败，或爬取被中断（可以使用 --resume 继续）
+  2  参数错误或文档源不存在
+  3  爬取过程出错`;
+
+/**
+ * 命令行参数错误
+ */
+export class CrawlUsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CrawlUsageError';
+    }
+}
+
+/**
+ * 解析命令行参数，支持 --key value 和 --key=value 形式
+ * @param {string[]} argv - 命令行参数（不含node和脚本路径）
+ * @returns {{interactive: boolean, help: boolean, sources: string[], all: boolean, concurrency: number|null, out: string|null, resume: boolean, dryRun: boolean}} 命令行选项
+ * @throws {CrawlUsageError} 参数无效
+ */
+export function parseCrawlArgs(argv = []) {
+    const options = {
+        interactive: argv.length === 0,
+        help: false,
+        sources: [],
+        all: false,
+        concurrency: null,
+        out: null,
+        resume: false,
+        dryRun: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+        if (!match) {
+            throw new CrawlUsageError(`无法识别的参数: ${argv[i]}`);
+        }
+        const [, key, inlineValue] = match;
+        const readValue = () => {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined || value === '' || (inlineValue === undefined && value.startsWith('--'))) {
+                throw new CrawlUsageError(`--${key} 需要一个值`);
+            }
+            return value;
+        };
+
+        switch (key) {
+            case 'help':
+                options.help = true;
+                break;
+            case 'all':
+                options.all = true;
+                break;
+            case 'resume':
+                options.resume = true;
+                break;
+            case 'dry-run':
+                options.dryRun = true;
+                break;
+            case 'source':
+                options.sources.push(readValue().toLowerCase());
+                break;
+            case 'out':
+                options.out = readValue();
+                break;
+            case 'concurrency': {
+                const value = readValue();
+                const { min, max } = CRAWLER_OVERRIDE_FIELDS.maxConcurrency;
+                const concurrency = Number(value);
+                if (!Number.isInteger(concurrency) || concurrency < min || concurrency > max) {
+                    throw new CrawlUsageError(`--concurrency 必须是 ${min}-${max} 之间的整数: ${value}`);
+                }
+                options.concurrency = concurrency;
+                break;
+            }
+            default:
+                throw new CrawlUsageError(`无法识别的参数: --${key}`);
+        }
+    }
+
+    if (!options.interactive && !options.help) {
+        if (options.all && options.sources.length > 0) {
+            throw new CrawlUsageError('--all 和 --source 不能同时使用');
+        }
+        if (!options.all && options.sources.length === 0) {
+            throw new CrawlUsageError('请使用 --source 指定文档源，或使用 --all 爬取所有文档源');
+        }
+    }
+
+    return options;
+}
+
+/**
+ * 按命令行选项选择要爬取的文档源
+ * @param {object[]} docSources - 可用的文档源配置
+ * @param {{all: boolean, sources: string[]}} options - 命令行选项
+ * @returns {object[]} 要爬取的文档源配置（按命令行中的顺序，去除重复）
+ * @throws {CrawlUsageError} 文档源不存在
+ */
+export function selectCrawlSources(docSources, { all, sources }) {
+    if (all) return docSources;
+
+    const names = docSources.map(source => source.name.toLowerCase());
+    const unknown = sources.filter(name => !names.includes(name));
+    if (unknown.length > 0) {
+        throw new CrawlUsageError(`未找到文档源: ${unknown.join(', ')}，可用的文档源: ${names.join(', ')}`);
+    }
+    return [...new Set(sources)].map(name => docSources[names.indexOf(name)]);
+}
+
+/**
+ * 生成一行JSON进度事件
+ * @param {string} event - 事件类型
+ * @param {object} data - 事件数据
+ * @returns {string} JSON字符串
+ */
+export function formatCrawlEvent(event, data = {}) {
+    return JSON.stringify({ event, time: new Date().toISOString(), ...data });
+}
@@ -0,0 +1,229 @@
+import { randomUUID } from 'crypto';
+import { countPageChanges } from './page-freshness.js';
+
+// 爬取任务状态: 排队、运行中、已完成、失败、已取消
+export const CRAWL_JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+// 爬取进度的更新间隔（毫秒）
+export const CRAWL_PROGRESS_INTERVAL = 1000;
+
+// 保留的已结束任务数量，超出时移除最早的任务
+const MAX_FINISHED_JOBS = 20;
+
+/**
+ * 后台爬取任务: 任务按顺序执行（同一时间只启动一个浏览器），每个任务使用独立的TaskManager
+ */
+export class CrawlJobManager {
+    /**
+     * @param {object} options - 配置
+     * @param {function(object[]): Promise<object>} options.createTaskManager - 创建TaskManager实例，参数为任务的文档源配置
+     * @param {function(object): Promise<object>} options.onJobFinished - 任务结束后的处理（如加载爬取结果），返回值记录在任务的result中
+     * @param {number} options.progressInterval - 进度更新间隔（毫秒）
+     * @param {Function} options.log - 日志函数
+     */
+    constructor({ createTaskManager, onJobFinished = async () => null, progressInterval = CRAWL_PROGRESS_INTERVAL, log = () => {} }) {
+        this.createTaskManager = createTaskManager;
+        this.onJobFinished = onJobFinished;
+        this.progressInterval = progressInterval;
+        this.log = log;
+        this.jobs = new Map();
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * 创建爬取任务，排在已有任务之后执行
+     * @param {object[]} sources - 文档源配置，格式同 config/doc-sources.js 中的 docSources
+     * @returns {object} 任务信息
+     */
+    start(sources) {
+        const job = {
+            id: randomUUID(),
+            sources: sources.map(source => source.name),
+            sourceConfigs: sources,
+            status: 'queued',
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            progress: { sources: sources.map(source => ({ name: source.name, pages: 0 })), pages: 0, pending: 0, processing: 0, failed: 0 },
+            error: null,
+            changes: null,
+            result: null,
+            taskManager: null,
+            cancelRequested: false,
+            listeners: new Set(),
+            done: null
+        };
+        job.done = new Promise(resolve => { job.resolve = resolve; });
+
+        this.jobs.set(job.id, job);
+        this.pruneJobs();
+        this.queue = this.queue.then(() => this.run(job));
+        this.log(`爬取任务已创建: ${job.id}，文档源: ${job.sources.join(', ')}`);
+        return this.describe(job);
+    }
+
+    /**
+     * 执行爬取任务
+     * @param {object} job - 任务
+     */
+    async run(job) {
+        if (job.status === 'cancelled') return;
+
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        this.log(`爬取任务开始: ${job.id}`);
+        const timer = setInterval(() => this.updateProgress(job), this.progressInterval);
+
+        try {
+            job.taskManager = await this.createTaskManager(job.sourceConfigs);
+            // 创建TaskManager期间收到的取消请求
+            if (job.cancelRequested) job.taskManager.cancel();
+            await job.taskManager.init();
+            for (const source of job.sourceConfigs) {
+                await job.taskManager.addSource(source);
+            }
+            await job.taskManager.processUrlQueue();
+            job.changes = countPageChanges(await job.taskManager.finishCrawl());
+            this.updateProgress(job);
+
+            job.status = job.taskManager.cancelled ? 'cancelled' : 'completed';
+            // 取消时也加载已爬取的页面
+            job.result = await this.onJobFinished(this.describe(job));
+            this.log(`爬取任务${job.status === 'cancelled' ? '已取消' : '完成'}: ${job.id}，共 ${job.progress.pages} 个页面`);
+        } catch (error) {
+            job.status = 'failed';
+            job.error = error.message;
+            this.log(`爬取任务失败: ${job.id}, ${error.message}`);
+        } finally {
+            clearInterval(timer);
+            await job.taskManager?.browserManager?.close().catch(() => {});
+            job.taskManager = null;
+            job.finishedAt = new Date().toISOString();
+            this.notify(job);
+            job.resolve(this.describe(job));
+        }
+    }
+
+    /**
+     * 从TaskManager读取最新进度并通知监听者
+     * @param {object} job - 任务
+     */
+    updateProgress(job) {
+        if (!job.taskManager) return;
+        job.progress = job.taskManager.getProgress();
+        this.notify(job);
+    }
+
+    /**
+     * 通知任务的进度监听者
+     * @param {object} job - 任务
+     */
+    notify(job) {
+        const info = this.describe(job);
+        for (const listener of job.listeners) {
+            try {
+                listener(info);
+            } catch (error) {
+                this.log(`爬取进度回调出错: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * 取消任务: 排队中的任务直接取消，运行中的任务在正在处理的页面完成后结束
+     * @param {string} id - 任务ID
+     * @returns {object|null} 任务信息，任务不存在时返回null
+     */
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+
+        if (job.status === 'queued') {
+            job.status = 'cancelled';
+            job.finishedAt = new Date().toISOString();
+            job.resolve(this.describe(job));
+        } else if (job.status === 'running') {
+            job.cancelRequested = true;
+            job.taskManager?.cancel();
+        }
+        return this.describe(job);
+    }
+
+    /**
+     * 等待任务结束
+     * @param {string} id - 任务ID
+     * @param {function(object): void} onProgress - 进度回调（可选）
+     * @returns {Promise<object|null>} 结束时的任务信息，任务不存在时返回null
+     */
+    async wait(id, onProgress = null) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+
+        if (onProgress) job.listeners.add(onProgress);
+        try {
+            return await job.done;
+        } finally {
+            if (onProgress) job.listeners.delete(onProgress);
+        }
+    }
+
+    /**
+     * 获取任务信息
+     * @param {string} id - 任务ID
+     * @returns {object|null} 任务信息
+     */
+    get(id) {
+        const job = this.jobs.get(id);
+        return job ? this.describe(job) : null;
+    }
+
+    /**
+     * 列出所有任务（最新的在前）
+     * @returns {object[]} 任务信息
+     */
+    list() {
+        return Array.from(this.jobs.values()).reverse().map(job => this.describe(job));
+    }
+
+    /**
+     * 查找包含某个文档源且尚未结束的任务
+     * @param {string} sourceName - 文档源名称
+     * @returns {object|null} 任务信息
+     */
+    findActive(sourceName) {
+        const job = Array.from(this.jobs.values()).find(item =>
+            (item.status === 'queued' || item.status === 'running') && item.sources.includes(sourceName)
+        );
+        return job ? this.describe(job) : null;
+    }
+
+    /**
+     * 移除最早的已结束任务
+     */
+    pruneJobs() {
+        const finished = Array.from(this.jobs.values()).filter(job => job.finishedAt);
+        for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+            this.jobs.delete(job.id);
+        }
+    }
+
+    /**
+     * 生成可返回给客户端的任务信息
+     * @param {object} job - 任务
+     * @returns {object} 任务信息
+     */
+    describe(job) {
+        return {
+            id: job.id,
+            sources: job.sources,
+            status: job.status,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            progress: job.progress,
+            changes: job.changes,
+            error: job.error,
+            result: job.result
+        };
+    }
+}
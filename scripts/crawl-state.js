@@ -0,0 +1,61 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// 爬取状态保存在输出目录的子目录中（文档目录监听和加载只处理顶层的JSON文件）
+export const CRAWL_STATE_DIR_NAME = '.crawl-state';
+
+// 爬取过程中保存状态的间隔（毫秒）
+export const CRAWL_STATE_INTERVAL = 5000;
+
+/**
+ * 获取文档源的爬取状态文件路径
+ * @param {string} outputDir - 文档输出目录
+ * @param {string} sourceName - 源名称
+ * @returns {string} 状态文件路径
+ */
+export function getCrawlStatePath(outputDir, sourceName) {
+    return path.join(outputDir, CRAWL_STATE_DIR_NAME, `${sourceName.toLowerCase()}.json`);
+}
+
+/**
+ * 读取爬取状态
+ * @param {string} filePath - 状态文件路径
+ * @returns {Promise<object|null>} 爬取状态: { source, startedAt, updatedAt, pending, visited, changes }，文件不存在或无法解析时返回null
+ */
+export async function loadCrawlState(filePath) {
+    try {
+        const state = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        if (!state || !state.source || !Array.isArray(state.pending) || !Array.isArray(state.visited)) {
+            console.warn(`[警告] 爬取状态文件格式不正确，忽略: ${filePath}`);
+            return null;
+        }
+        return state;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`[警告] 读取爬取状态失败: ${filePath}, ${error.message}`);
+        }
+        return null;
+    }
+}
+
+/**
+ * 保存爬取状态（先写入临时文件再重命名，进程中途退出时不会留下不完整的文件）
+ * @param {string} filePath - 状态文件路径
+ * @param {object} state - 爬取状态
+ */
+export async function saveCrawlState(filePath, state) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(state), 'utf-8');
+    await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * 删除爬取状态（爬取完成后不再需要恢复）
+ * @param {string} filePath - 状态文件路径
+ */
+export async function removeCrawlState(filePath) {
+    await fs.unlink(filePath).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+    });
+}
@@ -1,6 +1,12 @@
 import { TaskManager } from './task-manager.js';
-import { docSources } from '../config/doc-sources.js';
+import { docSources as configSources, crawlerConfig } from '../config/doc-sources.js';
+import { loadUserSources, toCrawlerSource, mergeCrawlerOverrides } from './user-sources.js';
+import { parseCrawlArgs, selectCrawlSources, formatCrawlEvent, CrawlUsageError, CRAWL_USAGE, CRAWL_EXIT_CODES } from './crawl-cli.js';
+import { CRAWL_PROGRESS_INTERVAL } from './crawl-jobs.js';
+import { countPageChanges } from './page-freshness.js';
+import { DEFAULT_RENDER_MODE } from './static-renderer.js';
 import readline from 'readline';
+import { Console } from 'console';
 import path from 'path';
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
@@ -10,11 +16,9 @@ import { dirname } from 'path';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// 创建交互式命令行界面
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-});
+// 配置文件中的文档源和通过docs_add_source添加的文档源
+const userSourcesPath = process.env.DOCS_USER_SOURCES || path.join(__dirname, '..', 'config', 'user-sources.json');
+const docSources = [...configSources, ...loadUserSources(userSourcesPath).map(toCrawlerSource)];
 
 // 确保docs目录存在
 async function ensureDocsDir() {
@@ -33,7 +37,7 @@ async function ensureDocsDir() {
 }
 
 // 显示菜单并获取用户选择
-async function showMenu() {
+async function showMenu(rl) {
     console.log('\n可用的文档源:');
     docSources.forEach((source, index) => {
         console.log(`${index + 1}. ${source.name} (${source.url})`);
@@ -48,16 +52,21 @@ async function showMenu() {
     });
 }
 
-// 主程序
-async function main() {
-    const taskManager = new TaskManager();
+// 交互式菜单（不带命令行参数时使用）
+async function interactive() {
+    // 创建交互式命令行界面
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout
+    });
+    let taskManager = null;
     
     try {
         // 确保docs目录存在
         await ensureDocsDir();
         
         while (true) {
-            const choice = await showMenu();
+            const choice = await showMenu(rl);
             
             if (choice === 'q') {
                 console.log('程序已退出');
@@ -66,26 +75,31 @@ async function main() {
             
             const index = parseInt(choice) - 1;
             
+            let selected;
+            if (choice === '0') {
+                console.log('\n[开始] 爬取所有文档源...');
+                selected = docSources;
+            } else if (index >= 0 && index < docSources.length) {
+                console.log(`\n[开始] 爬取文档源: ${docSources[index].name}`);
+                selected = [docSources[index]];
+            } else {
+                console.log('\n[错误] 无效的选择，请重新输入');
+                continue;
+            }
+            
             try {
+                // 文档源自带的crawler配置覆盖全局爬虫配置
+                taskManager = new TaskManager(mergeCrawlerOverrides(selected));
                 // 初始化浏览器
                 await taskManager.init();
                 
-                if (choice === '0') {
-                    console.log('\n[开始] 爬取所有文档源...');
-                    // 爬取所有文档源
-                    for (const source of docSources) {
-                        await taskManager.addSource(source);
-                    }
-                } else if (index >= 0 && index < docSources.length) {
-                    console.log(`\n[开始] 爬取文档源: ${docSources[index].name}`);
-                    await taskManager.addSource(docSources[index]);
-                } else {
-                    console.log('\n[错误] 无效的选择，请重新输入');
-                    continue;
+                for (const source of selected) {
+                    await taskManager.addSource(source);
                 }
                 
                 // 等待队列处理完成
                 await taskManager.processUrlQueue();
+                const changes = await taskManager.finishCrawl();
                 
                 // 计算总爬取页面数
                 let totalPages = 0;
@@ -97,11 +111,11 @@ async function main() {
                 
                 console.log(`\n[完成] 爬取任务已完成，共爬取了 ${totalPages} 个页面`);
                 
-                // 列出所有已爬取的文档源和页面数
+                // 列出所有已爬取的文档源和页面数，以及与上次爬取相比的变化
                 console.log('\n已爬取的文档源:');
-                for (const [name, taskGroup] of taskManager.tasks.entries()) {
-                    const pageCount = taskGroup.pages ? taskGroup.pages.size : 0;
-                    console.log(`- ${name}: ${pageCount} 个页面`);
+                for (const item of countPageChanges(changes)) {
+                    const pageCount = taskManager.tasks.get(item.name)?.pages.size || 0;
+                    console.log(`- ${item.name}: ${pageCount} 个页面（新增 ${item.added}，变化 ${item.changed}，未变化 ${item.unchanged}，移除 ${item.removed}）`);
                 }
                 
                 // 关闭浏览器
@@ -113,7 +127,7 @@ async function main() {
             } catch (error) {
                 console.error('\n[错误] 爬取过程出错:', error);
                 // 确保浏览器被关闭
-                await taskManager.browserManager.close().catch(() => {});
+                await taskManager?.browserManager.close().catch(() => {});
                 // 关闭命令行界面
                 rl.close();
                 break;
@@ -131,8 +145,96 @@ async function main() {
     }
 }
 
-// 运行主程序
-main().catch(error => {
+// 非交互模式: 按命令行参数爬取，标准输出每行一个JSON事件
+async function runCli(options) {
+    // 爬虫日志输出到标准错误，标准输出只包含JSON事件
+    const logger = new Console({ stdout: process.stderr });
+    const emit = (event, data) => process.stdout.write(formatCrawlEvent(event, data) + '\n');
+    
+    const selected = selectCrawlSources(docSources, options);
+    const outputDir = path.resolve(options.out || path.join(__dirname, '..', 'docs'));
+    // 命令行中的并发数优先于文档源自带的crawler配置
+    const overrides = mergeCrawlerOverrides(selected);
+    if (options.concurrency) overrides.maxConcurrency = options.concurrency;
+    
+    const plan = {
+        sources: selected.map(source => ({
+            name: source.name,
+            url: source.url,
+            renderMode: source.renderMode || crawlerConfig.renderMode || DEFAULT_RENDER_MODE,
+            output: path.join(outputDir, TaskManager.getOutputFileName(source.name))
+        })),
+        outputDir,
+        resume: options.resume,
+        config: overrides
+    };
+    if (options.dryRun) {
+        emit('plan', plan);
+        return CRAWL_EXIT_CODES.success;
+    }
+    
+    const taskManager = new TaskManager(overrides, { outputDir, resume: options.resume, logger });
+    // Ctrl+C时停止发现新页面，正在处理的页面完成后输出结果
+    const onSignal = () => taskManager.cancel();
+    process.once('SIGINT', onSignal);
+    process.once('SIGTERM', onSignal);
+    const timer = setInterval(() => emit('progress', taskManager.getProgress()), CRAWL_PROGRESS_INTERVAL);
+    
+    emit('start', plan);
+    let changes;
+    try {
+        await taskManager.init();
+        for (const source of selected) {
+            await taskManager.addSource(source);
+        }
+        await taskManager.processUrlQueue();
+        changes = await taskManager.finishCrawl();
+    } finally {
+        clearInterval(timer);
+        process.off('SIGINT', onSignal);
+        process.off('SIGTERM', onSignal);
+        await taskManager.browserManager.close().catch(() => {});
+    }
+    
+    const failures = Array.from(taskManager.failedPages, ([url, { source, error }]) => ({ url, source, error }));
+    emit('done', { ...taskManager.getProgress(), cancelled: taskManager.cancelled, failures, changes: changes.sources });
+    return failures.length > 0 || taskManager.cancelled ? CRAWL_EXIT_CODES.failedPages : CRAWL_EXIT_CODES.success;
+}
+
+// 主程序: 带命令行参数时直接爬取，否则显示交互式菜单
+async function main() {
+    let options;
+    try {
+        options = parseCrawlArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`[错误] ${error.message}\n\n${CRAWL_USAGE}`);
+        return CRAWL_EXIT_CODES.usage;
+    }
+    
+    if (options.help) {
+        console.log(CRAWL_USAGE);
+        return CRAWL_EXIT_CODES.success;
+    }
+    if (options.interactive) {
+        await interactive();
+        return CRAWL_EXIT_CODES.success;
+    }
+    
+    try {
+        return await runCli(options);
+    } catch (error) {
+        if (error instanceof CrawlUsageError) {
+            console.error(`[错误] ${error.message}`);
+            return CRAWL_EXIT_CODES.usage;
+        }
+        console.error('[错误] 爬取过程出错:', error);
+        process.stdout.write(formatCrawlEvent('error', { message: error.message }) + '\n');
+        return CRAWL_EXIT_CODES.error;
+    }
+}
+
+// 运行主程序，浏览器等资源可能仍然持有事件循环，结束后直接退出
+main().then(code => process.exit(code), error => {
     console.error('\n[错误] 程序执行失败:', error);
-    process.exit(1);
-}); 
\ No newline at end of file
+    process.exit(CRAWL_EXIT_CODES.error);
+});
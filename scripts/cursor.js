@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+
+// 游标格式版本
+const CURSOR_VERSION = 1;
+
+/**
+ * 游标无效或已过期
+ */
+export class CursorError extends Error {
+    /**
+     * @param {string} message - 错误信息
+     * @param {string} reason - 原因: invalid（格式错误）、mismatch（与查询不符）、stale（语料已变化）
+     */
+    constructor(message, reason) {
+        super(message);
+        this.name = 'CursorError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * 计算查询参数的标识，游标只能用于相同的查询
+ * @param {object} params - 影响结果排序的查询参数
+ * @returns {string} 查询标识
+ */
+export function hashQuery(params) {
+    const keys = Object.keys(params).sort();
+    const normalized = keys.map(key => [key, params[key] ?? null]);
+    return crypto.createHash('sha1').update(JSON.stringify(normalized)).digest('hex').slice(0, 16);
+}
+
+/**
+ * 生成分页游标
+ * @param {{offset: number, queryKey: string, corpusVersion: string}} state - 分页状态
+ * @returns {string} 游标（base64url编码）
+ */
+export function encodeCursor({ offset, queryKey, corpusVersion }) {
+    const payload = { v: CURSOR_VERSION, o: offset, q: queryKey, c: corpusVersion };
+    return Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+}
+
+/**
+ * 解析并校验分页游标
+ * @param {string} cursor - 游标
+ * @param {{queryKey: string, corpusVersion: string}} expected - 当前查询标识和语料版本
+ * @returns {{offset: number}} 分页状态
+ * @throws {CursorError} 游标无效、与当前查询不符或语料已变化
+ */
+export function decodeCursor(cursor, { queryKey, corpusVersion }) {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch {
+        payload = null;
+    }
+
+    if (!payload || payload.v !== CURSOR_VERSION || !Number.isInteger(payload.o) || payload.o < 0) {
+        throw new CursorError('无效的分页游标', 'invalid');
+    }
+    if (payload.q !== queryKey) {
+        throw new CursorError('分页游标与当前查询参数不符', 'mismatch');
+    }
+    if (payload.c !== corpusVersion) {
+        throw new CursorError('文档已更新，分页游标已失效，请从第一页重新搜索', 'stale');
+    }
+
+    return { offset: payload.o };
+}
@@ -0,0 +1,41 @@
+import fs from 'fs';
+
+// 文件变化后等待的时间（毫秒），爬虫分多次写入同一文件时只重新加载一次
+export const DEFAULT_WATCH_DEBOUNCE = 500;
+
+/**
+ * 监听文档目录中JSON文件的变化（不包含子目录，如持久化的索引目录）
+ * 变化在防抖时间内合并，回调收到这段时间内变化过的文件名
+ * @param {string} docsDir - 文档目录
+ * @param {function(string[]): void} onChange - 变化回调，参数为变化的文件名（新增、修改或删除）
+ * @param {object} options - 配置
+ * @param {number} options.debounce - 防抖时间（毫秒）
+ * @param {Function} options.log - 日志函数
+ * @returns {{close: Function}} 监听器，close停止监听
+ */
+export function watchDocsDir(docsDir, onChange, { debounce = DEFAULT_WATCH_DEBOUNCE, log = () => {} } = {}) {
+    const changed = new Set();
+    let timer = null;
+
+    const flush = () => {
+        timer = null;
+        const files = [...changed].sort();
+        changed.clear();
+        if (files.length > 0) onChange(files);
+    };
+
+    const watcher = fs.watch(docsDir, (eventType, filename) => {
+        if (!filename || !filename.endsWith('.json')) return;
+        changed.add(filename);
+        clearTimeout(timer);
+        timer = setTimeout(flush, debounce);
+    });
+    watcher.on('error', error => log(`监听文档目录出错: ${docsDir}, ${error.message}`));
+
+    return {
+        close() {
+            clearTimeout(timer);
+            watcher.close();
+        }
+    };
+}
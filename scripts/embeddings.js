@@ -0,0 +1,321 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// 向量文件格式版本 - 存储结构或待嵌入文本的拼接规则变化时递增
+export const EMBEDDING_VERSION = 1;
+
+// 向量文件扩展名（与文档JSON放在同一目录，如 taro-docs.json -> taro-docs.vectors）
+export const VECTORS_EXTENSION = '.vectors';
+
+// 每个段落参与嵌入的最大字符数，模型本身也会截断超长输入
+const MAX_EMBED_CHARS = 2000;
+
+// 每批嵌入的段落数量
+const EMBED_BATCH_SIZE = 16;
+
+/**
+ * 获取文档JSON对应的向量文件路径
+ * @param {string} docFilePath - 文档JSON路径
+ * @returns {string} 向量文件路径
+ */
+export function getVectorsPath(docFilePath) {
+    return docFilePath.replace(/\.json$/i, '') + VECTORS_EXTENSION;
+}
+
+/**
+ * 拼接段落用于嵌入的文本: 页面标题、标题路径和正文
+ * @param {{title: string, headings: string[], content: string}} document - 可索引文档
+ * @returns {string} 待嵌入文本
+ */
+export function buildEmbeddingText(document) {
+    return [
+        document.title || '',
+        (document.headings || []).join(' > '),
+        document.content || ''
+    ].filter(Boolean).join('\n').slice(0, MAX_EMBED_CHARS);
+}
+
+/**
+ * 将向量归一化为单位长度，之后点积即为余弦相似度
+ * @param {ArrayLike<number>} vector - 向量
+ * @returns {Float32Array} 单位向量
+ */
+export function normalizeVector(vector) {
+    const result = Float32Array.from(vector);
+    let norm = 0;
+    for (let i = 0; i < result.length; i++) norm += result[i] * result[i];
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+        for (let i = 0; i < result.length; i++) result[i] /= norm;
+    }
+    return result;
+}
+
+/**
+ * 计算两个单位向量的点积
+ * @param {Float32Array} a - 向量a
+ * @param {Float32Array} b - 向量b
+ * @returns {number} 余弦相似度
+ */
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+/**
+ * 本地嵌入模型（ONNX，仅使用CPU，不访问网络）
+ * 依赖需要单独安装的 @huggingface/transformers，模型目录需预先下载到本地，
+ * 目录结构与Hugging Face仓库一致（config.json、tokenizer.json、onnx/model.onnx 等）
+ */
+export class LocalEmbeddingModel {
+    /**
+     * @param {string} id - 模型标识（模型目录名），记录在向量文件中用于判断是否需要重新嵌入
+     * @param {Function} extractor - transformers的特征提取管道
+     * @param {object} options - 选项
+     * @param {string} options.queryPrefix - 查询文本前缀（部分模型如e5需要 "query: "）
+     * @param {string} options.passagePrefix - 段落文本前缀（如 "passage: "）
+     */
+    constructor(id, extractor, { queryPrefix = '', passagePrefix = '' } = {}) {
+        this.id = id;
+        this.extractor = extractor;
+        this.queryPrefix = queryPrefix;
+        this.passagePrefix = passagePrefix;
+    }
+
+    /**
+     * 从本地目录加载模型
+     * @param {string} modelPath - 模型目录
+     * @param {object} options - 见构造函数
+     * @returns {Promise<LocalEmbeddingModel>} 模型
+     */
+    static async load(modelPath, options = {}) {
+        let transformers;
+        try {
+            transformers = await import('@huggingface/transformers');
+        } catch (error) {
+            throw new Error(`语义搜索需要安装 @huggingface/transformers: ${error.message}`);
+        }
+
+        const resolved = path.resolve(modelPath);
+        if (!fs.existsSync(resolved)) {
+            throw new Error(`嵌入模型目录不存在: ${resolved}`);
+        }
+
+        // 只从本地加载，禁止下载模型
+        const { pipeline, env } = transformers;
+        env.allowRemoteModels = false;
+        env.allowLocalModels = true;
+        env.localModelPath = path.dirname(resolved) + path.sep;
+
+        const extractor = await pipeline('feature-extraction', path.basename(resolved), { device: 'cpu' });
+        return new LocalEmbeddingModel(path.basename(resolved), extractor, options);
+    }
+
+    /**
+     * 嵌入段落文本
+     * @param {string[]} texts - 文本列表
+     * @returns {Promise<Float32Array[]>} 单位向量列表
+     */
+    async embed(texts) {
+        const output = await this.extractor(texts.map(text => this.passagePrefix + text), { pooling: 'mean', normalize: true });
+        return output.tolist().map(normalizeVector);
+    }
+
+    /**
+     * 嵌入查询文本
+     * @param {string} text - 查询文本
+     * @returns {Promise<Float32Array>} 单位向量
+     */
+    async embedQuery(text) {
+        const output = await this.extractor([this.queryPrefix + text], { pooling: 'mean', normalize: true });
+        return normalizeVector(output.tolist()[0]);
+    }
+}
+
+/**
+ * 单个文档源的段落向量
+ * 每个段落记录待嵌入文本的哈希，文档更新后只需重新嵌入内容变化的段落
+ */
+export class VectorStore {
+    /**
+     * @param {string} name - 文档源名称
+     * @param {string} model - 生成向量的模型标识
+     */
+    constructor(name, model) {
+        this.name = name;
+        this.model = model;
+        this.dimensions = 0;
+        // 段落ID -> { hash, vector }
+        this.entries = new Map();
+    }
+
+    /**
+     * 计算待嵌入文本的哈希
+     * @param {string} text - 文本
+     * @returns {string} 哈希
+     */
+    static hashText(text) {
+        return crypto.createHash('sha1').update(text).digest('hex');
+    }
+
+    /**
+     * 找出需要（重新）嵌入的段落
+     * @param {object} documents - 按段落ID索引的可索引文档
+     * @param {string} model - 模型标识
+     * @param {VectorStore|null} previous - 已有的向量
+     * @returns {{reused: Map, pending: Array<{id: string, hash: string, text: string}>}} 可复用的向量和待嵌入的段落
+     */
+    static diff(documents, model, previous) {
+        const reused = new Map();
+        const pending = [];
+
+        for (const [id, document] of Object.entries(documents)) {
+            const text = buildEmbeddingText(document);
+            const hash = VectorStore.hashText(text);
+            const entry = previous && previous.model === model ? previous.entries.get(id) : null;
+
+            if (entry && entry.hash === hash) {
+                reused.set(id, entry);
+            } else {
+                pending.push({ id, hash, text });
+            }
+        }
+
+        return { reused, pending };
+    }
+
+    /**
+     * 为文档源的所有段落生成向量，复用内容未变化的段落
+     * @param {string} name - 文档源名称
+     * @param {object} documents - 按段落ID索引的可索引文档
+     * @param {{id: string, embed: function(string[]): Promise<Float32Array[]>}} model - 嵌入模型
+     * @param {object} options - 选项
+     * @param {VectorStore|null} options.previous - 已有的向量
+     * @param {function(number, number): void} options.onProgress - 进度回调 (已完成, 总数)
+     * @returns {Promise<{store: VectorStore, embedded: number}>} 向量和本次嵌入的段落数
+     */
+    static async build(name, documents, model, { previous = null, onProgress } = {}) {
+        const store = new VectorStore(name, model.id);
+        const { reused, pending } = VectorStore.diff(documents, model.id, previous);
+
+        for (const [id, entry] of reused) {
+            store.setEntry(id, entry.hash, entry.vector);
+        }
+
+        for (let i = 0; i < pending.length; i += EMBED_BATCH_SIZE) {
+            const batch = pending.slice(i, i + EMBED_BATCH_SIZE);
+            const vectors = await model.embed(batch.map(item => item.text));
+            batch.forEach((item, j) => store.setEntry(item.id, item.hash, normalizeVector(vectors[j])));
+            if (onProgress) onProgress(Math.min(i + EMBED_BATCH_SIZE, pending.length), pending.length);
+        }
+
+        return { store, embedded: pending.length };
+    }
+
+    /**
+     * 添加段落向量
+     * @param {string} id - 段落ID
+     * @param {string} hash - 待嵌入文本的哈希
+     * @param {Float32Array} vector - 单位向量
+     */
+    setEntry(id, hash, vector) {
+        if (this.dimensions === 0) this.dimensions = vector.length;
+        if (vector.length !== this.dimensions) {
+            throw new Error(`向量维度不一致: ${id}, 期望 ${this.dimensions}, 实际 ${vector.length}`);
+        }
+        this.entries.set(id, { hash, vector });
+    }
+
+    /**
+     * 计算查询向量与某个段落的余弦相似度
+     * @param {Float32Array} queryVector - 查询向量（单位向量）
+     * @param {string} id - 段落ID
+     * @returns {number} 相似度，段落没有向量时为0
+     */
+    similarity(queryVector, id) {
+        const entry = this.entries.get(id);
+        return entry && queryVector.length === this.dimensions ? dot(queryVector, entry.vector) : 0;
+    }
+
+    /**
+     * 按余弦相似度查找最相似的段落
+     * @param {Float32Array} queryVector - 查询向量（单位向量）
+     * @param {number} limit - 最大数量
+     * @returns {Array<{id: string, score: number}>} 按相似度降序排列
+     */
+    search(queryVector, limit) {
+        if (queryVector.length !== this.dimensions) return [];
+
+        const scored = [];
+        for (const [id, entry] of this.entries) {
+            scored.push({ id, score: dot(queryVector, entry.vector) });
+        }
+        return scored
+            .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id))
+            .slice(0, limit);
+    }
+
+    /**
+     * 从文件加载向量，格式版本不匹配时返回null
+     * 文件损坏（如写入中断导致内容不完整）时删除该文件并返回null，由调用方重新生成
+     * @param {string} filePath - 向量文件路径
+     * @param {string} name - 文档源名称
+     * @returns {VectorStore|null} 向量
+     */
+    static load(filePath, name) {
+        if (!fs.existsSync(filePath)) return null;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            if (data && data.version !== EMBEDDING_VERSION) return null;
+
+            const count = data && Array.isArray(data.ids) ? data.ids.length : -1;
+            const buffer = count >= 0 && typeof data.vectors === 'string' ? Buffer.from(data.vectors, 'base64') : null;
+            if (!buffer || !Array.isArray(data.hashes) || data.hashes.length !== count ||
+                !Number.isInteger(data.dimensions) || data.dimensions < 0 || (count > 0 && data.dimensions === 0) ||
+                buffer.byteLength !== count * data.dimensions * Float32Array.BYTES_PER_ELEMENT) {
+                throw new Error('向量文件内容不完整');
+            }
+
+            // 复制到新的ArrayBuffer: Buffer可能来自共享内存池，偏移量不一定按4字节对齐
+            const flat = new Float32Array(new Uint8Array(buffer).buffer);
+            const store = new VectorStore(name, data.model);
+            data.ids.forEach((id, i) => {
+                store.setEntry(id, data.hashes[i], flat.slice(i * data.dimensions, (i + 1) * data.dimensions));
+            });
+            return store;
+        } catch (error) {
+            console.warn(`[警告] 向量文件已损坏，删除后重新生成: ${filePath}, ${error.message}`);
+            try {
+                fs.unlinkSync(filePath);
+            } catch {
+                // 删除失败时重新生成的向量仍会覆盖该文件
+            }
+            return null;
+        }
+    }
+
+    /**
+     * 保存向量到文件（先写临时文件再重命名，避免写入中断导致文件损坏）
+     * @param {string} filePath - 向量文件路径
+     */
+    save(filePath) {
+        const ids = [...this.entries.keys()];
+        const flat = new Float32Array(ids.length * this.dimensions);
+        ids.forEach((id, i) => flat.set(this.entries.get(id).vector, i * this.dimensions));
+
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({
+            version: EMBEDDING_VERSION,
+            name: this.name,
+            model: this.model,
+            dimensions: this.dimensions,
+            ids,
+            hashes: ids.map(id => this.entries.get(id).hash),
+            vectors: Buffer.from(flat.buffer).toString('base64')
+        }), 'utf8');
+        fs.renameSync(tempPath, filePath);
+    }
+}
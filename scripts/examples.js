@@ -0,0 +1,246 @@
+import { splitSections, slugify, LEAD_ANCHOR } from './sections.js';
+import { markdownToPlainText } from './html-to-markdown.js';
+
+// 语言别名，查找和保存时统一为完整名称（jsx、tsx与javascript、typescript区分）
+const LANGUAGE_ALIASES = {
+    js: 'javascript',
+    mjs: 'javascript',
+    cjs: 'javascript',
+    node: 'javascript',
+    ts: 'typescript',
+    sh: 'bash',
+    shell: 'bash',
+    zsh: 'bash',
+    console: 'bash',
+    shellscript: 'bash',
+    yml: 'yaml',
+    md: 'markdown',
+    py: 'python',
+    rb: 'ruby',
+    htm: 'html',
+    xml: 'html'
+};
+
+// 代码块没有标注语言时按内容推测，按顺序使用第一个匹配的规则
+const LANGUAGE_GUESSES = [
+    ['php', /^\s*<\?php/],
+    ['bash', /^\s*(?:\$ |npm |yarn |pnpm |npx |composer |php artisan |git |cd |curl )/m],
+    ['jsx', /<[A-Z][\w.]*[\s/>]/],
+    ['html', /^\s*<[a-z][\w-]*[\s>]/],
+    ['javascript', /^\s*(?:import|export|const|let|var|function|async function)\b/m]
+];
+
+// 代码说明的最大字符数
+const CAPTION_LENGTH = 200;
+
+// 查询词在代码中作为完整标识符出现、在标题或说明中出现、在代码中作为部分出现时的得分
+const MATCH_SCORES = { identifier: 3, heading: 2, partial: 1 };
+
+/**
+ * 统一代码语言名称
+ * @param {string} language - 语言名称或别名，如 TSX、js
+ * @returns {string|null} 小写的语言名称，为空时返回null
+ */
+export function normalizeLanguage(language) {
+    const name = String(language || '').trim().toLowerCase();
+    if (!name) return null;
+    return LANGUAGE_ALIASES[name] || name;
+}
+
+/**
+ * 按代码内容推测语言
+ * @param {string} code - 代码
+ * @returns {string|null} 语言，无法推测时返回null
+ */
+export function guessLanguage(code) {
+    const trimmed = code.trim();
+    if (/^[{[]/.test(trimmed)) {
+        try {
+            JSON.parse(trimmed);
+            return 'json';
+        } catch {
+            // 不是JSON，继续按其他规则推测
+        }
+    }
+    const guess = LANGUAGE_GUESSES.find(([, pattern]) => pattern.test(code));
+    return guess ? guess[0] : null;
+}
+
+/**
+ * 整理代码说明: 合并空白，超过最大长度时截断
+ * @param {string} text - 说明文字
+ * @returns {string|null} 说明，为空时返回null
+ */
+function formatCaption(text) {
+    const caption = String(text || '').replace(/\s+/g, ' ').trim();
+    if (!caption) return null;
+    return caption.length > CAPTION_LENGTH ? `${caption.slice(0, CAPTION_LENGTH)}...` : caption;
+}
+
+/**
+ * 读取段落中的围栏代码块及其前面的说明
+ * 说明为紧接在代码块之前（只隔空行）的正文段落，前面是标题、表格或另一个代码块时没有说明
+ * @param {string} content - 段落内容
+ * @returns {Array<{info: string, code: string, caption: string|null}>} 代码块的语言标注、代码和说明
+ */
+function readCodeBlocks(content) {
+    const blocks = [];
+    const lines = content.split('\n');
+    let paragraph = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const open = /^\s*(`{3,}|~{3,})\s*([^\s`]*)/.exec(lines[i]);
+        if (!open) {
+            if (!lines[i].trim()) {
+                if (paragraph.length > 0) paragraph.push('');
+            } else if (/^\s*(?:#{1,6}\s|\|)/.test(lines[i])) {
+                paragraph = [];
+            } else {
+                if (paragraph[paragraph.length - 1] === '') paragraph = [];
+                paragraph.push(lines[i]);
+            }
+            continue;
+        }
+
+        const fence = open[1];
+        const code = [];
+        for (i++; i < lines.length; i++) {
+            const close = /^\s*(`{3,}|~{3,})\s*$/.exec(lines[i]);
+            if (close && close[1][0] === fence[0] && close[1].length >= fence.length) break;
+            code.push(lines[i]);
+        }
+
+        blocks.push({
+            info: open[2],
+            code: code.join('\n'),
+            caption: formatCaption(markdownToPlainText(paragraph.join('\n')))
+        });
+        paragraph = [];
+    }
+
+    return blocks;
+}
+
+/**
+ * 从页面的Markdown内容中提取代码示例
+ * 语言取自代码块的语言标注（统一别名），没有标注时按内容推测；section为所在段落的标题，anchor与段落锚点相同
+ * @param {string} content - 页面的Markdown内容
+ * @returns {Array<{code: string, anchor: string, section: string, language?: string, caption?: string}>} 代码示例，按出现顺序排列
+ */
+export function extractExamples(content) {
+    const examples = [];
+    for (const section of splitSections('', { content })) {
+        for (const block of readCodeBlocks(section.content)) {
+            if (!block.code.trim()) continue;
+
+            const example = {
+                code: block.code,
+                anchor: section.anchor,
+                section: section.level > 0 ? markdownToPlainText(section.title).replace(/\s+/g, ' ').trim() : ''
+            };
+            const language = normalizeLanguage(block.info) || guessLanguage(block.code);
+            if (language) example.language = language;
+            if (block.caption) example.caption = block.caption;
+            examples.push(example);
+        }
+    }
+    return examples;
+}
+
+/**
+ * 将组件页面直接从DOM读取的代码块转换为代码示例，字段与 extractExamples 相同
+ * 语言优先使用代码块的语言标注（class中的language-xxx或data-lang），没有标注时按内容推测；
+ * section为代码块所在的小标题，相同的代码（如pre和其中的code）只保留第一次出现
+ * @param {Array<{code: string, language?: string|null, heading?: string, caption?: string|null}>} blocks - 页面中读取的代码块
+ * @returns {Array<{code: string, anchor: string, section: string, language?: string, caption?: string}>} 代码示例，按出现顺序排列
+ */
+export function collectExamples(blocks) {
+    const examples = [];
+    const seen = new Set();
+    for (const block of blocks || []) {
+        if (!block || !String(block.code || '').trim() || seen.has(block.code)) continue;
+        seen.add(block.code);
+
+        const heading = String(block.heading || '').replace(/\s+/g, ' ').trim();
+        const example = { code: block.code, anchor: heading ? slugify(heading) : LEAD_ANCHOR, section: heading };
+        const language = normalizeLanguage(block.language) || guessLanguage(block.code);
+        if (language) example.language = language;
+        const caption = formatCaption(block.caption);
+        if (caption) example.caption = caption;
+        examples.push(example);
+    }
+    return examples;
+}
+
+/**
+ * 汇总文档源各页面的代码示例
+ * 使用页面保存的examples字段；没有该字段但内容为爬虫转换的Markdown（带有text字段）时从内容中提取
+ * @param {object} pages - 页面数据，键为页面ID
+ * @returns {object[]} 代码示例列表，每项附带所属页面ID（pageId）和页面标题（title）
+ */
+export function buildExampleIndex(pages) {
+    const index = [];
+    for (const [pageId, page] of Object.entries(pages || {})) {
+        if (!page) continue;
+        const examples = Array.isArray(page.examples)
+            ? page.examples
+            : (typeof page.text === 'string' ? extractExamples(String(page.content || '')) : []);
+        for (const example of examples) {
+            if (example && example.code) index.push({ ...example, pageId, title: page.title || pageId });
+        }
+    }
+    return index;
+}
+
+/**
+ * 查找代码示例
+ * 查询按空白拆分为多个词，每个词都需要出现在代码、所在段落标题、说明或页面标题中（忽略大小写）；
+ * 词在代码中作为完整标识符出现时得分最高，其次为出现在标题或说明中，只作为代码的一部分出现时得分最低
+ * @param {object[]} index - buildExampleIndex生成的代码示例列表
+ * @param {object} options - 查询条件
+ * @param {string} options.query - 标识符或关键词，如 "Picker"、"Taro.navigateTo"（可选）
+ * @param {string} options.language - 语言，如 tsx、js（可选）
+ * @returns {{results: Array<{example: object, score: number}>, languages: object}}
+ *   按得分排列的示例（得分相同时保持原有顺序），以及匹配查询词的示例按语言的数量（不受语言条件影响）
+ */
+export function findExamples(index, { query = '', language = null } = {}) {
+    const terms = String(query || '').split(/\s+/).filter(Boolean);
+    const patterns = terms.map(term => {
+        const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(?<![\\w$])${escaped}(?![\\w$])`, 'i');
+    });
+    const wanted = normalizeLanguage(language);
+
+    const results = [];
+    const languages = {};
+    for (const example of index) {
+        const heading = `${example.title}\n${example.section}\n${example.caption || ''}`.toLowerCase();
+        const code = example.code.toLowerCase();
+        let score = 0;
+        let matched = true;
+        for (let i = 0; i < terms.length; i++) {
+            const term = terms[i].toLowerCase();
+            const termScore = Math.max(
+                patterns[i].test(example.code) ? MATCH_SCORES.identifier : 0,
+                heading.includes(term) ? MATCH_SCORES.heading : 0,
+                code.includes(term) ? MATCH_SCORES.partial : 0
+            );
+            if (termScore === 0) {
+                matched = false;
+                break;
+            }
+            score += termScore;
+        }
+        if (!matched) continue;
+
+        const exampleLanguage = example.language || 'unknown';
+        languages[exampleLanguage] = (languages[exampleLanguage] || 0) + 1;
+        if (wanted && normalizeLanguage(example.language) !== wanted) continue;
+        results.push({ example, score });
+    }
+
+    return {
+        results: results.sort((a, b) => b.score - a.score),
+        languages
+    };
+}
@@ -0,0 +1,113 @@
+// 支持分面统计和过滤的字段: 文档源、顶级路径、内容类型
+export const FACET_FIELDS = ['source', 'path', 'type'];
+
+// 内容类型: API参考、组件页面、指南
+export const CONTENT_TYPES = ['api', 'component', 'guide'];
+
+// 页面URL与文档源根地址相同时的路径分面值
+const ROOT_PATH = '/';
+
+/**
+ * 获取URL的路径段
+ * @param {string} url - URL
+ * @returns {string[]} 路径段，URL无法解析时为空数组
+ */
+function getPathSegments(url) {
+    try {
+        return new URL(url).pathname.split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * 获取页面相对于文档源根地址的顶级路径段
+ * 去掉与根地址共同的路径前缀后取第一段，如根地址 /docs 下的 /docs/components/button 为 components
+ * @param {string} pageUrl - 页面URL
+ * @param {string} baseUrl - 文档源根地址
+ * @returns {string} 顶级路径段
+ */
+export function getTopLevelPath(pageUrl, baseUrl) {
+    const pageSegments = getPathSegments(pageUrl);
+    const baseSegments = baseUrl ? getPathSegments(baseUrl) : [];
+
+    let common = 0;
+    while (common < baseSegments.length && common < pageSegments.length &&
+           pageSegments[common] === baseSegments[common]) {
+        common++;
+    }
+
+    // 页面就是根地址本身
+    return pageSegments[common] || ROOT_PATH;
+}
+
+/**
+ * 判断页面的内容类型
+ * 优先使用页面数据中的contentType，否则根据URL和页面结构推断
+ * @param {string} pageUrl - 页面URL
+ * @param {object} page - 页面数据
+ * @returns {string} 内容类型，见CONTENT_TYPES
+ */
+export function classifyContentType(pageUrl, page = {}) {
+    if (CONTENT_TYPES.includes(page.contentType)) return page.contentType;
+
+    const pathname = `/${getPathSegments(pageUrl).join('/').toLowerCase()}/`;
+    if (/\/components?\//.test(pathname) || page.props || page.events) return 'component';
+    if (/\/(apis?|references?)\//.test(pathname) || /\bAPI\b/.test(page.title || '')) return 'api';
+    return 'guide';
+}
+
+/**
+ * 计算页面的分面取值
+ * @param {string} sourceName - 文档源名称
+ * @param {string} pageId - 页面ID（URL）
+ * @param {object} page - 页面数据
+ * @param {string} baseUrl - 文档源根地址
+ * @returns {{source: string, path: string, type: string}} 分面取值
+ */
+export function getFacetValues(sourceName, pageId, page, baseUrl) {
+    return {
+        source: sourceName,
+        path: getTopLevelPath(page.url || pageId, baseUrl),
+        type: classifyContentType(page.url || pageId, page)
+    };
+}
+
+/**
+ * 判断分面取值是否满足过滤条件（同一分面内为OR关系，不同分面之间为AND关系）
+ * @param {object} values - 分面取值
+ * @param {object} filters - 过滤条件，如 { type: ['api'], path: ['components'] }
+ * @param {string|null} except - 忽略的分面，用于统计该分面自身的数量
+ * @returns {boolean} 是否满足
+ */
+export function matchesFacetFilters(values, filters = {}, except = null) {
+    return FACET_FIELDS.every(field =>
+        field === except ||
+        !filters[field] || filters[field].length === 0 ||
+        filters[field].includes(values[field])
+    );
+}
+
+/**
+ * 统计各分面的取值数量
+ * 每个分面的数量基于其他分面的过滤结果统计，选中某个取值后同一分面的其他取值仍然可见
+ * @param {object[]} valuesList - 每个结果的分面取值
+ * @param {object} filters - 过滤条件
+ * @returns {object} 分面 -> [{value, count}]，按数量降序排列
+ */
+export function countFacets(valuesList, filters = {}) {
+    const facets = {};
+
+    for (const field of FACET_FIELDS) {
+        const counts = new Map();
+        for (const values of valuesList) {
+            if (!matchesFacetFilters(values, filters, field)) continue;
+            counts.set(values[field], (counts.get(values[field]) || 0) + 1);
+        }
+        facets[field] = [...counts.entries()]
+            .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+            .map(([value, count]) => ({ value, count }));
+    }
+
+    return facets;
+}
@@ -0,0 +1,76 @@
+/**
+ * 根据词长确定允许的最大编辑距离
+ * @param {number} length - 词长
+ * @returns {number} 最大编辑距离
+ */
+export function maxEditsFor(length) {
+    if (length < 4) return 0;
+    if (length <= 6) return 1;
+    return 2;
+}
+
+/**
+ * 计算两个字符串的编辑距离（支持相邻字符交换，即Damerau-Levenshtein的OSA变体）
+ * 超过maxDistance时提前结束并返回maxDistance + 1
+ * @param {string} a - 字符串a
+ * @param {string} b - 字符串b
+ * @param {number} maxDistance - 关心的最大距离
+ * @returns {number} 编辑距离
+ */
+export function editDistance(a, b, maxDistance = Infinity) {
+    if (a === b) return 0;
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(
+                prev[j] + 1,          // 删除
+                current[j - 1] + 1,   // 插入
+                prev[j - 1] + cost    // 替换
+            );
+
+            // 相邻字符交换
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+
+            current[j] = value;
+            if (value < rowMin) rowMin = value;
+        }
+
+        if (rowMin > maxDistance) return maxDistance + 1;
+        prevPrev = prev;
+        prev = current;
+    }
+
+    return prev[b.length];
+}
+
+/**
+ * 在候选词中查找与目标词相近的词
+ * @param {string} term - 目标词
+ * @param {Iterable<string>} candidates - 候选词
+ * @param {number} maxDistance - 最大编辑距离，默认按词长计算
+ * @returns {Array<{term: string, distance: number}>} 按距离升序排列的相近词
+ */
+export function findSimilar(term, candidates, maxDistance = maxEditsFor(term.length)) {
+    const similar = [];
+    if (maxDistance <= 0) return similar;
+
+    for (const candidate of candidates) {
+        if (candidate === term) continue;
+        const distance = editDistance(term, candidate, maxDistance);
+        if (distance <= maxDistance) {
+            similar.push({ term: candidate, distance });
+        }
+    }
+
+    return similar.sort((a, b) => a.distance - b.distance || a.term.localeCompare(b.term));
+}
@@ -0,0 +1,345 @@
+import * as cheerio from 'cheerio';
+
+// 转换前移除的元素: 脚本样式、表单控件、图标，以及标题旁的锚点链接和代码块的行号
+const REMOVED_SELECTOR = [
+    'script', 'style', 'link', 'noscript', 'template', 'svg', 'canvas', 'iframe',
+    'button', 'input', 'select', 'textarea',
+    'a.header-anchor', 'a.anchor', 'a.headerlink', 'a.hash-link', 'a.heading-anchor',
+    '.line-numbers-rows', '.linenodiv'
+].join(', ');
+
+// 只包含其他块级内容的容器元素
+const CONTAINER_TAGS = new Set([
+    'address', 'article', 'aside', 'body', 'details', 'dialog', 'div', 'fieldset', 'figcaption',
+    'figure', 'footer', 'form', 'header', 'html', 'main', 'nav', 'p', 'section', 'center'
+]);
+
+// 按块处理的元素（其余元素按行内内容处理）
+const BLOCK_TAGS = new Set([
+    ...CONTAINER_TAGS, 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'ul', 'ol', 'li', 'blockquote',
+    'table', 'hr', 'dl', 'dt', 'dd', 'summary'
+]);
+
+// 代码块语言: class中的 language-js、lang-js、highlight-source-js、highlight-js 或 data-lang 等属性
+const LANGUAGE_CLASS_PATTERN = /(?:^|\s)(?:language|lang|highlight-source|highlight)-([\w#+.-]+)/;
+const LANGUAGE_ATTRIBUTES = ['data-lang', 'data-language'];
+
+/**
+ * 将行内内容包裹在标记中，标记内侧不留空白（如 **粗体**）
+ * @param {string} text - 行内内容
+ * @param {string} marker - 标记
+ * @returns {string} 包裹后的内容
+ */
+function wrapInline(text, marker) {
+    const trimmed = text.trim();
+    if (!trimmed) return text;
+    const leading = /^\s/.test(text) ? ' ' : '';
+    const trailing = /\s$/.test(text) ? ' ' : '';
+    return `${leading}${marker}${trimmed}${marker}${trailing}`;
+}
+
+/**
+ * 生成包含文本所需的最短反引号序列
+ * @param {string} text - 代码文本
+ * @param {number} minLength - 最少的反引号数量
+ * @returns {string} 反引号序列
+ */
+function backtickFence(text, minLength) {
+    const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    return '`'.repeat(Math.max(minLength, longest + 1));
+}
+
+/**
+ * 读取代码块的语言，依次检查pre、code和外层最多三层元素
+ * @param {import('cheerio').CheerioAPI} $ - cheerio实例
+ * @param {object} pre - pre元素
+ * @returns {string} 语言，无法识别时为空字符串
+ */
+function detectCodeLanguage($, pre) {
+    const candidates = [pre, ...$(pre).children('code').toArray(), ...$(pre).parents().slice(0, 3).toArray()];
+    for (const element of candidates) {
+        for (const attribute of LANGUAGE_ATTRIBUTES) {
+            const value = $(element).attr(attribute);
+            if (value && /^[\w#+.-]+$/.test(value)) return value.toLowerCase();
+        }
+        const match = LANGUAGE_CLASS_PATTERN.exec($(element).attr('class') || '');
+        if (match) return match[1].toLowerCase();
+    }
+    return '';
+}
+
+/**
+ * HTML到Markdown的转换器
+ */
+class MarkdownConverter {
+    /**
+     * @param {import('cheerio').CheerioAPI} $ - cheerio实例
+     * @param {string} baseUrl - 页面地址，用于将相对链接转换为绝对地址
+     */
+    constructor($, baseUrl) {
+        this.$ = $;
+        this.baseUrl = baseUrl;
+    }
+
+    /**
+     * 转换为绝对地址，无法解析时原样返回
+     * @param {string} href - 链接地址
+     * @returns {string} 绝对地址
+     */
+    resolveUrl(href) {
+        try {
+            return this.baseUrl ? new URL(href, this.baseUrl).href : href;
+        } catch {
+            return href;
+        }
+    }
+
+    /**
+     * 转换一组节点为块级Markdown，相邻的行内内容合并为段落
+     * @param {object[]} nodes - 节点
+     * @returns {string} Markdown
+     */
+    blocks(nodes) {
+        const blocks = [];
+        let inline = '';
+        const flush = () => {
+            const paragraph = inline
+                .replace(/[ \t]*\n[ \t]*/g, '\n')
+                .replace(/[ \t]{2,}/g, ' ')
+                .trim();
+            if (paragraph) blocks.push(paragraph);
+            inline = '';
+        };
+
+        for (const node of nodes) {
+            if (node.type === 'tag' && BLOCK_TAGS.has(node.name)) {
+                flush();
+                const block = this.block(node);
+                if (block.trim()) blocks.push(block);
+            } else {
+                inline += this.inline([node]);
+            }
+        }
+        flush();
+
+        return blocks.join('\n\n');
+    }
+
+    /**
+     * 转换单个块级元素
+     * @param {object} element - 元素
+     * @returns {string} Markdown
+     */
+    block(element) {
+        const $ = this.$;
+        const tag = element.name;
+
+        if (/^h[1-6]$/.test(tag)) {
+            const text = this.inline(element.children).replace(/\s+/g, ' ').trim();
+            return text ? `${'#'.repeat(Number(tag[1]))} ${text}` : '';
+        }
+        if (tag === 'pre') {
+            const code = $(element).text().replace(/\n+$/, '');
+            if (!code.trim()) return '';
+            const fence = backtickFence(code, 3);
+            return `${fence}${detectCodeLanguage($, element)}\n${code}\n${fence}`;
+        }
+        if (tag === 'ul' || tag === 'ol') return this.list(element);
+        if (tag === 'table') return this.table(element);
+        if (tag === 'hr') return '---';
+        if (tag === 'blockquote') {
+            return this.blocks(element.children)
+                .split('\n')
+                .map(line => (line ? `> ${line}` : '>'))
+                .join('\n');
+        }
+        if (tag === 'dt' || tag === 'summary') {
+            return wrapInline(this.inline(element.children).replace(/\s+/g, ' '), '**').trim();
+        }
+        // li出现在列表之外时按普通容器处理
+        return this.blocks(element.children);
+    }
+
+    /**
+     * 转换列表，嵌套的列表和多段内容按列表标记的宽度缩进
+     * @param {object} list - ul或ol元素
+     * @returns {string} Markdown
+     */
+    list(list) {
+        const $ = this.$;
+        const ordered = list.name === 'ol';
+        let number = Number.parseInt($(list).attr('start'), 10);
+        if (!Number.isInteger(number)) number = 1;
+
+        const items = [];
+        for (const item of $(list).children('li').toArray()) {
+            const content = this.blocks(item.children);
+            if (!content) continue;
+            const marker = ordered ? `${number++}. ` : '- ';
+            const indent = ' '.repeat(marker.length);
+            items.push(marker + content
+                .split('\n')
+                .map((line, i) => (i === 0 || !line ? line : indent + line))
+                .join('\n'));
+        }
+        return items.join('\n');
+    }
+
+    /**
+     * 转换为GFM表格，第一行作为表头
+     * @param {object} table - table元素
+     * @returns {string} Markdown
+     */
+    table(table) {
+        const $ = this.$;
+        const rows = $(table).find('tr').toArray()
+            .filter(row => $(row).closest('table').get(0) === table)
+            .map(row => $(row).children('th, td').toArray().map(cell => this.inline(cell.children)
+                .replace(/\s+/g, ' ')
+                .trim()
+                .replace(/\|/g, '\\|')))
+            .filter(cells => cells.length > 0);
+        if (rows.length === 0) return '';
+
+        const width = Math.max(...rows.map(cells => cells.length));
+        const format = cells => `| ${[...cells, ...Array(width - cells.length).fill('')].join(' | ')} |`;
+        return [format(rows[0]), format(Array(width).fill('---')), ...rows.slice(1).map(format)].join('\n');
+    }
+
+    /**
+     * 转换行内内容
+     * @param {object[]} nodes - 节点
+     * @returns {string} Markdown
+     */
+    inline(nodes) {
+        const $ = this.$;
+        let result = '';
+
+        for (const node of nodes || []) {
+            if (node.type === 'text') {
+                result += node.data.replace(/\s+/g, ' ');
+                continue;
+            }
+            if (node.type !== 'tag') continue;
+
+            switch (node.name) {
+                case 'br':
+                    result += '\n';
+                    break;
+                case 'strong':
+                case 'b':
+                    result += wrapInline(this.inline(node.children), '**');
+                    break;
+                case 'em':
+                case 'i':
+                    result += wrapInline(this.inline(node.children), '*');
+                    break;
+                case 'del':
+                case 's':
+                    result += wrapInline(this.inline(node.children), '~~');
+                    break;
+                case 'code':
+                case 'kbd':
+                case 'samp': {
+                    const code = $(node).text().replace(/\s+/g, ' ');
+                    if (!code.trim()) break;
+                    const fence = backtickFence(code, 1);
+                    const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+                    result += `${fence}${padding}${code}${padding}${fence}`;
+                    break;
+                }
+                case 'a': {
+                    const text = this.inline(node.children);
+                    const href = $(node).attr('href');
+                    if (!text.trim() || !href || href.startsWith('javascript:')) {
+                        result += text;
+                    } else {
+                        const url = this.resolveUrl(href).replace(/[()\s]/g, match => encodeURIComponent(match));
+                        result += `${/^\s/.test(text) ? ' ' : ''}[${text.trim()}](${url})${/\s$/.test(text) ? ' ' : ''}`;
+                    }
+                    break;
+                }
+                case 'img': {
+                    const alt = ($(node).attr('alt') || '').trim();
+                    const src = $(node).attr('src');
+                    if (alt && src) result += `![${alt}](${this.resolveUrl(src)})`;
+                    break;
+                }
+                default:
+                    // 行内位置的块级元素（如链接中的div）只保留文本，前后补充空格
+                    result += BLOCK_TAGS.has(node.name)
+                        ? ` ${this.inline(node.children)} `
+                        : this.inline(node.children);
+            }
+        }
+
+        return result;
+    }
+}
+
+/**
+ * 将HTML转换为Markdown，保留标题、列表、表格、链接和带语言的代码块
+ * @param {string|import('cheerio').Cheerio} html - HTML字符串，或cheerio选中的元素（会移除其中的脚本等元素）
+ * @param {object} options - 配置
+ * @param {string} options.baseUrl - 页面地址，相对链接和图片地址按它转换为绝对地址
+ * @param {import('cheerio').CheerioAPI} options.$ - html为cheerio元素时所属的cheerio实例
+ * @returns {string} Markdown
+ */
+export function htmlToMarkdown(html, { baseUrl = '', $ = null } = {}) {
+    let root;
+    if (typeof html === 'string') {
+        $ = cheerio.load(html);
+        root = $.root();
+    } else {
+        root = html;
+    }
+
+    root.find(REMOVED_SELECTOR).remove();
+    const converter = new MarkdownConverter($, baseUrl);
+    const nodes = root.toArray().flatMap(node => (node.type === 'root' ? node.children : [node]));
+    return converter.blocks(nodes).replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * 将Markdown转换为纯文本，用于建立搜索索引
+ * 去除标题、列表、引用和表格的标记，链接和图片只保留文字，代码块保留代码
+ * @param {string} markdown - Markdown
+ * @returns {string} 纯文本
+ */
+export function markdownToPlainText(markdown) {
+    const lines = [];
+    let fence = null;
+
+    for (const line of String(markdown || '').split('\n')) {
+        const fenceMatch = /^\s*(`{3,}|~{3,})/.exec(line);
+        if (fence) {
+            if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+                fence = null;
+            } else {
+                lines.push(line);
+            }
+            continue;
+        }
+        if (fenceMatch) {
+            fence = fenceMatch[1];
+            continue;
+        }
+        // 表格分隔行
+        if (/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line)) continue;
+
+        lines.push(line
+            .replace(/^\s*(?:>\s?)+/, '')
+            .replace(/^\s*#{1,6}\s+/, '')
+            .replace(/^(\s*)(?:[-*+]|\d+\.)\s+/, '$1')
+            .replace(/^\s*\|\s?|\s?\|\s*$/g, '')
+            .replace(/\s+\|\s+/g, ' ')
+            .replace(/\\\|/g, '|')
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/(`+)\s?(.*?)\s?\1/g, '$2')
+            .replace(/(\*\*|__|~~|\*)(\S(?:.*?\S)?)\1/g, '$2')
+            .trimEnd());
+    }
+
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
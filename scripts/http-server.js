@@ -0,0 +1,307 @@
+import express from 'express';
+import cors from 'cors';
+import { randomUUID } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { extractBearerToken, isSameAccess, FULL_ACCESS } from './auth.js';
+
+// 支持的传输方式
+export const TRANSPORTS = ['stdio', 'http'];
+
+// HTTP模式的默认监听地址，共享部署时使用 --host 0.0.0.0
+export const DEFAULT_HTTP_OPTIONS = {
+    port: 3000,
+    host: '127.0.0.1'
+};
+
+// 会话的空闲超时时间（毫秒）: 超过该时间没有请求的会话被关闭，避免客户端异常退出后会话一直占用内存
+export const SESSION_IDLE_TIMEOUT = 30 * 60 * 1000;
+
+// HTTP端点: Streamable HTTP，以及旧版SSE的事件流和消息地址
+export const HTTP_ENDPOINTS = {
+    mcp: '/mcp',
+    sse: '/sse',
+    messages: '/messages',
+    health: '/health'
+};
+
+/**
+ * 解析传输方式相关的命令行参数和环境变量，命令行参数优先
+ * 支持 --transport <stdio|http>、--http、--port <端口>、--host <地址>、--token-file <路径>，以及 --key=value 形式
+ * @param {string[]} argv - 命令行参数（不含node和脚本路径）
+ * @param {object} env - 环境变量，读取 DOCS_MCP_TRANSPORT、DOCS_MCP_PORT、DOCS_MCP_HOST、DOCS_MCP_TOKEN_FILE
+ * @returns {{transport: string, port: number, host: string, tokenFile: string|null}} 传输配置
+ * @throws {Error} 参数取值无效
+ */
+export function parseTransportOptions(argv = [], env = {}) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--(transport|port|host|token-file)(?:=(.*))?$/.exec(argv[i]);
+        if (match) {
+            args[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+        } else if (argv[i] === '--http') {
+            args.transport = 'http';
+        }
+    }
+
+    const transport = (args.transport || env.DOCS_MCP_TRANSPORT || 'stdio').toLowerCase();
+    if (!TRANSPORTS.includes(transport)) {
+        throw new Error(`不支持的传输方式: ${transport}，可选值: ${TRANSPORTS.join(', ')}`);
+    }
+
+    const portValue = args.port || env.DOCS_MCP_PORT;
+    const port = portValue ? Number(portValue) : DEFAULT_HTTP_OPTIONS.port;
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`无效的端口: ${portValue}`);
+    }
+
+    const host = args.host || env.DOCS_MCP_HOST || DEFAULT_HTTP_OPTIONS.host;
+    const tokenFile = args['token-file'] || env.DOCS_MCP_TOKEN_FILE || null;
+
+    return { transport, port, host, tokenFile };
+}
+
+/**
+ * 发送JSON-RPC错误响应
+ * @param {object} res - express响应
+ * @param {number} status - HTTP状态码
+ * @param {string} message - 错误信息
+ */
+function sendJsonRpcError(res, status, message) {
+    if (status === 401) {
+        res.set('WWW-Authenticate', 'Bearer realm="docs_mcp_server"');
+    }
+    res.status(status).json({
+        jsonrpc: '2.0',
+        error: { code: -32000, message },
+        id: null
+    });
+}
+
+/**
+ * 查找空闲超时的会话: 没有进行中的请求，且最后一次请求结束后超过超时时间
+ * @param {Map} sessions - 会话ID -> 会话，会话记录 lastActivity 和 activeRequests
+ * @param {number} timeout - 空闲超时时间（毫秒）
+ * @param {number} now - 当前时间戳
+ * @returns {string[]} 空闲超时的会话ID
+ */
+export function findIdleSessions(sessions, timeout, now = Date.now()) {
+    const idle = [];
+    for (const [sessionId, session] of sessions) {
+        if (session.activeRequests === 0 && now - session.lastActivity > timeout) {
+            idle.push(sessionId);
+        }
+    }
+    return idle;
+}
+
+/**
+ * 启动HTTP传输: 每个会话创建一个独立的MCP服务器实例，共享已加载的文档
+ * 配置令牌文件时，每个请求都需要携带Bearer令牌，会话绑定创建它的令牌及其访问权限；
+ * 令牌文件修改后，令牌已失效或访问权限已变化的会话会被关闭，客户端重新初始化后使用新的权限；
+ * 空闲超时的会话同样会被关闭，SSE会话在事件流断开时关闭
+ * @param {Function} createServer - 创建McpServer实例的函数，参数为会话的访问权限
+ * @param {object} options - 配置
+ * @param {number} options.port - 监听端口
+ * @param {string} options.host - 监听地址
+ * @param {TokenStore|null} options.tokenStore - 令牌文件，为空时不校验令牌
+ * @param {number} options.sessionTimeout - 会话空闲超时时间（毫秒），为0时不关闭空闲会话
+ * @param {Function} options.log - 日志函数
+ * @returns {Promise<{app: object, httpServer: object, sessions: Map}>} express应用、HTTP服务器和当前会话
+ */
+export async function startHttpServer(createServer, { port, host, tokenStore = null, sessionTimeout = SESSION_IDLE_TIMEOUT, log = () => {} }) {
+    const app = express();
+    // 会话ID -> { transport, server, token, access, lastActivity, activeRequests }
+    const sessions = new Map();
+
+    // 令牌文件重新读取后关闭令牌已失效或权限已变化的会话（包括仍在接收通知的SSE连接）
+    let checkedTokenVersion = tokenStore ? tokenStore.version : 0;
+    const closeStaleSessions = () => {
+        if (!tokenStore || tokenStore.version === checkedTokenVersion) return;
+        checkedTokenVersion = tokenStore.version;
+        for (const [sessionId, session] of sessions) {
+            if (isSameAccess(tokenStore.authenticate(session.token), session.access)) continue;
+            sessions.delete(sessionId);
+            log(`令牌已失效或访问权限已变化，关闭会话: ${sessionId}，当前会话数 ${sessions.size}`);
+            session.server.close().catch(error => log(`关闭会话失败: ${error.message}`));
+        }
+    };
+
+    app.use(cors({ exposedHeaders: ['Mcp-Session-Id'] }));
+    app.use(express.json({ limit: '4mb' }));
+
+    // 校验令牌，通过后在req.access中记录访问权限（健康检查除外）
+    app.use((req, res, next) => {
+        if (!tokenStore || req.path === HTTP_ENDPOINTS.health) {
+            req.access = FULL_ACCESS;
+            return next();
+        }
+        const token = extractBearerToken(req.headers.authorization);
+        const access = tokenStore.authenticate(token);
+        closeStaleSessions();
+        if (!access) {
+            log(`拒绝未授权的请求: ${req.method} ${req.path}`);
+            return sendJsonRpcError(res, 401, token ? '令牌无效' : '缺少Bearer令牌');
+        }
+        req.token = token;
+        req.access = access;
+        next();
+    });
+
+    // 查找请求所属的会话，会话只能由创建它的令牌使用
+    const getSession = (req, res, sessionId) => {
+        const session = sessions.get(sessionId);
+        if (!session) {
+            sendJsonRpcError(res, 404, `会话不存在或已过期: ${sessionId}`);
+            return null;
+        }
+        if (session.token !== req.token) {
+            sendJsonRpcError(res, 403, '令牌与会话不匹配');
+            return null;
+        }
+
+        // 记录会话活动，请求进行中（如接收通知的GET请求）时不会因空闲超时被关闭
+        session.activeRequests++;
+        session.lastActivity = Date.now();
+        res.on('close', () => {
+            session.activeRequests--;
+            session.lastActivity = Date.now();
+        });
+        return session;
+    };
+
+    // 连接新会话，会话关闭时从列表中移除
+    const connectSession = async (transport, access, getSessionId) => {
+        const server = createServer(access);
+        const onclose = server.server.onclose;
+        server.server.onclose = () => {
+            onclose?.();
+            const sessionId = getSessionId();
+            if (sessionId && sessions.delete(sessionId)) {
+                log(`会话已关闭: ${sessionId}，当前会话数 ${sessions.size}`);
+            }
+        };
+        await server.connect(transport);
+        return server;
+    };
+
+    // Streamable HTTP: POST发送消息，GET接收服务器通知，DELETE结束会话
+    app.post(HTTP_ENDPOINTS.mcp, async (req, res) => {
+        try {
+            const sessionId = req.headers['mcp-session-id'];
+            if (sessionId) {
+                const session = getSession(req, res, sessionId);
+                if (!session) return;
+                if (!(session.transport instanceof StreamableHTTPServerTransport)) {
+                    return sendJsonRpcError(res, 400, '该会话使用SSE传输，请向消息地址发送请求');
+                }
+                return await session.transport.handleRequest(req, res, req.body);
+            }
+            if (!isInitializeRequest(req.body)) {
+                return sendJsonRpcError(res, 400, '缺少会话ID，请先发送initialize请求');
+            }
+
+            const transport = new StreamableHTTPServerTransport({
+                sessionIdGenerator: () => randomUUID(),
+                onsessioninitialized: (newSessionId) => {
+                    sessions.set(newSessionId, {
+                        transport, server, token: req.token, access: req.access, lastActivity: Date.now(), activeRequests: 0
+                    });
+                    log(`新建会话: ${newSessionId}（Streamable HTTP，${req.access.name}），当前会话数 ${sessions.size}`);
+                }
+            });
+            const server = await connectSession(transport, req.access, () => transport.sessionId);
+            await transport.handleRequest(req, res, req.body);
+        } catch (error) {
+            log(`处理HTTP请求失败: ${error.message}`);
+            if (!res.headersSent) {
+                sendJsonRpcError(res, 500, `服务器内部错误: ${error.message}`);
+            }
+        }
+    });
+
+    const handleSessionRequest = async (req, res) => {
+        try {
+            const session = getSession(req, res, req.headers['mcp-session-id']);
+            if (!session) return;
+            if (!(session.transport instanceof StreamableHTTPServerTransport)) {
+                return sendJsonRpcError(res, 400, '该会话使用SSE传输');
+            }
+            await session.transport.handleRequest(req, res);
+        } catch (error) {
+            log(`处理HTTP请求失败: ${error.message}`);
+            if (!res.headersSent) {
+                sendJsonRpcError(res, 500, `服务器内部错误: ${error.message}`);
+            }
+        }
+    };
+    app.get(HTTP_ENDPOINTS.mcp, handleSessionRequest);
+    app.delete(HTTP_ENDPOINTS.mcp, handleSessionRequest);
+
+    // 旧版SSE传输: GET建立事件流，POST到消息地址发送请求
+    app.get(HTTP_ENDPOINTS.sse, async (req, res) => {
+        try {
+            const transport = new SSEServerTransport(HTTP_ENDPOINTS.messages, res);
+            const server = await connectSession(transport, req.access, () => transport.sessionId);
+            // 事件流本身计为进行中的请求，SSE会话在事件流断开时关闭
+            sessions.set(transport.sessionId, {
+                transport, server, token: req.token, access: req.access, lastActivity: Date.now(), activeRequests: 1
+            });
+            log(`新建会话: ${transport.sessionId}（SSE，${req.access.name}），当前会话数 ${sessions.size}`);
+            res.on('close', () => {
+                server.close().catch(error => log(`关闭会话失败: ${error.message}`));
+            });
+        } catch (error) {
+            log(`建立SSE连接失败: ${error.message}`);
+            if (!res.headersSent) {
+                res.status(500).end();
+            }
+        }
+    });
+
+    app.post(HTTP_ENDPOINTS.messages, async (req, res) => {
+        try {
+            const session = getSession(req, res, req.query.sessionId);
+            if (!session) return;
+            if (!(session.transport instanceof SSEServerTransport)) {
+                return sendJsonRpcError(res, 400, '该会话使用Streamable HTTP传输');
+            }
+            await session.transport.handlePostMessage(req, res, req.body);
+        } catch (error) {
+            log(`处理SSE消息失败: ${error.message}`);
+            if (!res.headersSent) {
+                sendJsonRpcError(res, 500, `服务器内部错误: ${error.message}`);
+            }
+        }
+    });
+
+    // 健康检查不要求令牌，但只有携带有效令牌时才返回会话数等服务器状态
+    app.get(HTTP_ENDPOINTS.health, (req, res) => {
+        if (tokenStore && !tokenStore.authenticate(extractBearerToken(req.headers.authorization))) {
+            return res.json({ status: 'ok' });
+        }
+        res.json({ status: 'ok', sessions: sessions.size });
+    });
+
+    const httpServer = await new Promise((resolve, reject) => {
+        const listener = app.listen(port, host, () => resolve(listener));
+        listener.on('error', reject);
+    });
+
+    // 定期关闭空闲超时的会话
+    if (sessionTimeout > 0) {
+        const timer = setInterval(() => {
+            for (const sessionId of findIdleSessions(sessions, sessionTimeout)) {
+                const session = sessions.get(sessionId);
+                sessions.delete(sessionId);
+                log(`会话空闲超时，关闭会话: ${sessionId}，当前会话数 ${sessions.size}`);
+                session.server.close().catch(error => log(`关闭会话失败: ${error.message}`));
+            }
+        }, Math.min(sessionTimeout, 60 * 1000));
+        timer.unref();
+        httpServer.on('close', () => clearInterval(timer));
+    }
+
+    return { app, httpServer, sessions };
+}
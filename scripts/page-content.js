@@ -0,0 +1,52 @@
+import * as cheerio from 'cheerio';
+import { htmlToMarkdown, markdownToPlainText } from './html-to-markdown.js';
+
+// 主内容区域，按文档顺序取第一个匹配的元素
+const MAIN_CONTENT_SELECTOR = '.markdown-body, .doc-content, article, main, .content';
+
+// 没有主内容区域时从body中移除的非文档元素
+const NON_DOC_SELECTOR = 'nav, header, footer, aside, .sidebar, .navigation, .menu, .ads, .banner, .cookie-notice, .modal';
+
+// 可能包含链接的属性
+const LINK_ATTRIBUTES = ['href', 'data-href', 'data-url', 'data-link'];
+
+/**
+ * 从页面HTML中提取标题、Markdown格式的正文、纯文本和链接
+ * 正文优先取主内容区域，没有时取移除导航、页眉页脚等元素后的body。
+ * 静态请求的HTML和浏览器渲染后的HTML（page.content()）使用相同的提取规则
+ * @param {string} html - 页面HTML
+ * @param {string} pageUrl - 页面地址，用于解析相对链接
+ * @returns {{title: string, content: string, text: string, links: string[]}} 标题、Markdown正文、纯文本和页面中的链接（绝对地址）
+ */
+export function extractPageContent(html, pageUrl) {
+    const $ = cheerio.load(html);
+
+    const links = new Set();
+    $('body *').each((_, element) => {
+        for (const attribute of LINK_ATTRIBUTES) {
+            const value = $(element).attr(attribute);
+            if (!value || value.startsWith('javascript:') || value.startsWith('#')) continue;
+            try {
+                links.add(new URL(value, pageUrl).href);
+            } catch {
+                // 忽略无法解析的链接
+            }
+        }
+    });
+
+    const title = $('title').first().text().replace(/\s+/g, ' ').trim();
+
+    let root = $(MAIN_CONTENT_SELECTOR).first();
+    if (root.length === 0) {
+        root = $('body');
+        root.find(NON_DOC_SELECTOR).remove();
+    }
+    const content = htmlToMarkdown(root, { baseUrl: pageUrl, $ });
+
+    return {
+        title,
+        content,
+        text: markdownToPlainText(content),
+        links: Array.from(links)
+    };
+}
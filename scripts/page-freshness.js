@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+
+// 页面在重新爬取中的变化类型
+export const PAGE_CHANGE_TYPES = ['added', 'changed', 'unchanged', 'removed'];
+
+// 表示页面已不存在的HTTP状态码
+const GONE_STATUSES = [404, 410];
+
+/**
+ * 计算页面内容的摘要，用于判断重新爬取的页面是否有变化
+ * @param {{title: string, content: string}} pageData - 页面数据
+ * @returns {string} SHA-256摘要（十六进制）
+ */
+export function hashPageContent({ title = '', content = '' }) {
+    return crypto.createHash('sha256').update(`${title}\n${content}`).digest('hex');
+}
+
+/**
+ * 从响应头中读取缓存校验字段
+ * @param {object|Headers} headers - 响应头，可以是Headers或键为小写的普通对象（如Puppeteer的response.headers()）
+ * @returns {{etag?: string, lastModified?: string}} 存在的校验字段
+ */
+export function getCacheValidators(headers) {
+    if (!headers) return {};
+    const read = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]) || null;
+
+    const validators = {};
+    const etag = read('etag');
+    const lastModified = read('last-modified');
+    if (etag) validators.etag = etag;
+    if (lastModified) validators.lastModified = lastModified;
+    return validators;
+}
+
+/**
+ * 用上次爬取时记录的ETag和Last-Modified发送条件请求，判断页面是否需要重新提取
+ * 没有校验字段或请求失败时返回unknown，由调用方照常爬取
+ * @param {string} url - 页面地址
+ * @param {object|undefined} previous - 上次爬取时保存的页面记录
+ * @param {object} options - 配置
+ * @param {Function} options.fetch - fetch实现
+ * @param {number} options.timeout - 请求超时时间（毫秒）
+ * @param {Function} options.beforeRequest - 发送请求前等待的回调（如遵守Crawl-delay）
+ * @returns {Promise<{status: 'unchanged'|'removed'|'modified'|'unknown', validators: object}>}
+ *   unchanged表示服务器返回304，removed表示404或410，validators为本次响应的校验字段
+ */
+export async function checkPageFreshness(url, previous, { fetch = globalThis.fetch, timeout = 30000, beforeRequest = null } = {}) {
+    if (!previous || (!previous.etag && !previous.lastModified)) {
+        return { status: 'unknown', validators: {} };
+    }
+
+    const headers = {};
+    if (previous.etag) headers['If-None-Match'] = previous.etag;
+    if (previous.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+
+    try {
+        if (beforeRequest) await beforeRequest();
+        const response = await fetch(url, { headers, redirect: 'follow', signal: AbortSignal.timeout(timeout) });
+        // 只需要状态码和响应头，不读取正文
+        await response.body?.cancel().catch(() => {});
+
+        const validators = getCacheValidators(response.headers);
+        if (response.status === 304) return { status: 'unchanged', validators };
+        if (GONE_STATUSES.includes(response.status)) return { status: 'removed', validators };
+        return { status: 'modified', validators };
+    } catch (error) {
+        console.warn(`[条件请求] ${url} 请求失败，照常爬取: ${error.message}`);
+        return { status: 'unknown', validators: {} };
+    }
+}
+
+/**
+ * 站点地图中的lastmod与上次爬取时记录的相同时，页面无需请求即可视为未变化
+ * @param {object|undefined} previous - 上次爬取时保存的页面记录
+ * @param {string|null|undefined} lastmod - 本次站点地图中的lastmod
+ * @returns {boolean} 是否未变化
+ */
+export function isUnchangedSinceLastmod(previous, lastmod) {
+    return Boolean(previous && previous.contentHash && previous.lastmod && lastmod && previous.lastmod === lastmod);
+}
+
+/**
+ * 比较页面内容摘要和上次爬取的记录
+ * @param {object|undefined} previous - 上次爬取时保存的页面记录
+ * @param {string} contentHash - 本次提取内容的摘要
+ * @returns {'added'|'changed'|'unchanged'} 变化类型
+ */
+export function classifyPageChange(previous, contentHash) {
+    if (!previous) return 'added';
+    return previous.contentHash === contentHash ? 'unchanged' : 'changed';
+}
+
+/**
+ * 将变化汇总转换为各类型的页面数
+ * @param {{sources: Array<{name: string, added: string[], changed: string[], removed: string[], unchanged: number}>}} summary - 变化汇总
+ * @returns {Array<{name: string, added: number, changed: number, removed: number, unchanged: number}>} 各文档源的页面数
+ */
+export function countPageChanges(summary) {
+    return summary.sources.map(({ name, added, changed, removed, unchanged }) => ({
+        name,
+        added: added.length,
+        changed: changed.length,
+        removed: removed.length,
+        unchanged
+    }));
+}
@@ -0,0 +1,78 @@
+// 每个提示词最多附带的文档段落数量
+export const PROMPT_SECTION_LIMIT = 4;
+
+// 提示词定义: 描述、检索段落时使用的分面过滤条件和说明文字
+export const PROMPTS = {
+    explain_api: {
+        description: '解释API的用法: 附带相关文档段落，要求说明参数、返回值和注意事项',
+        facetFilters: {},
+        instruction: ({ source, symbol }) => [
+            `请根据下面附带的 ${source} 文档段落解释 \`${symbol}\`。`,
+            '',
+            '要求:',
+            '1. 说明它的用途和调用方式（签名）',
+            '2. 逐个列出参数，包括类型、是否必填和默认值',
+            '3. 说明返回值以及可能的错误或异常',
+            '4. 给出一个最小可运行的示例',
+            '5. 指出版本限制、平台差异或已废弃的用法',
+            '',
+            '只使用文档中的信息，文档没有提到的内容请明确说明，不要猜测。'
+        ].join('\n')
+    },
+    compare_versions: {
+        description: '对比两个文档源（通常是同一框架的不同版本）中同一API或概念的差异',
+        facetFilters: {},
+        instruction: ({ source, otherSource, symbol }) => [
+            `请对比 ${source} 与 ${otherSource} 文档中关于 \`${symbol}\` 的内容，附带的段落分别来自两个文档源。`,
+            '',
+            '要求:',
+            '1. 列出签名、参数和默认值的变化',
+            '2. 列出新增、废弃或移除的功能',
+            '3. 说明行为上的差异以及迁移时需要修改的代码',
+            '',
+            '以表格总结差异，只使用文档中的信息。'
+        ].join('\n')
+    },
+    component_usage: {
+        description: '编写组件代码前查阅组件文档: 附带组件页面段落，要求列出属性、事件和用法示例',
+        facetFilters: { type: ['component'] },
+        instruction: ({ source, symbol }) => [
+            `在编写使用 ${source} 组件 \`${symbol}\` 的代码之前，请先阅读下面附带的组件文档。`,
+            '',
+            '要求:',
+            '1. 列出组件的所有属性（类型、默认值、说明）',
+            '2. 列出组件支持的事件及回调参数',
+            '3. 给出符合文档的典型用法示例',
+            '4. 指出常见的错误用法和平台差异',
+            '',
+            '之后编写代码时只使用文档中存在的属性和事件。'
+        ].join('\n')
+    }
+};
+
+/**
+ * 生成提示词消息: 说明文字在前，每个文档段落作为嵌入资源附在其后
+ * @param {string} instruction - 说明文字
+ * @param {Array<{uri: string, text: string}>} sections - 文档段落
+ * @param {string} symbol - 查询的API或组件名称
+ * @returns {Array<object>} MCP提示词消息
+ */
+export function buildPromptMessages(instruction, sections, symbol) {
+    const notice = sections.length > 0
+        ? `以下附带 ${sections.length} 个相关文档段落。`
+        : `注意: 文档中没有找到与 \`${symbol}\` 相关的段落，请先使用 docs_search_docs 工具搜索，或说明文档中缺少相关内容。`;
+
+    return [
+        {
+            role: 'user',
+            content: { type: 'text', text: `${instruction}\n\n${notice}` }
+        },
+        ...sections.map(section => ({
+            role: 'user',
+            content: {
+                type: 'resource',
+                resource: { uri: section.uri, mimeType: 'text/markdown', text: section.text }
+            }
+        }))
+    ];
+}
@@ -0,0 +1,123 @@
+// 查询语法支持的字段前缀 -> 索引字段
+export const QUERY_FIELDS = {
+    title: 'title',
+    url: 'url',
+    content: 'content',
+    heading: 'headings',
+    headings: 'headings',
+    source: 'source'
+};
+
+/**
+ * 将查询字符串切分为带修饰信息的片段
+ * @param {string} query - 查询字符串
+ * @returns {Array<object>} 片段列表: 运算符 { op } 或原子 { kind, text, field, negate }
+ */
+function lex(query) {
+    const items = [];
+    const text = String(query || '');
+    let i = 0;
+
+    while (i < text.length) {
+        if (/\s/.test(text[i])) {
+            i++;
+            continue;
+        }
+
+        // 前缀 - 表示排除
+        let negate = false;
+        if (text[i] === '-' && i + 1 < text.length && !/\s/.test(text[i + 1])) {
+            negate = true;
+            i++;
+        }
+
+        // 字段前缀，如 title:Button
+        let field = null;
+        const fieldMatch = /^([a-zA-Z]+):(?=\S)/.exec(text.slice(i));
+        if (fieldMatch && QUERY_FIELDS[fieldMatch[1].toLowerCase()]) {
+            field = QUERY_FIELDS[fieldMatch[1].toLowerCase()];
+            i += fieldMatch[0].length;
+        }
+
+        if (text[i] === '"') {
+            // 引号内为短语，缺少结尾引号时取到字符串末尾
+            const end = text.indexOf('"', i + 1);
+            const phrase = text.slice(i + 1, end === -1 ? text.length : end).trim();
+            i = end === -1 ? text.length : end + 1;
+            if (phrase) {
+                items.push({ kind: 'phrase', text: phrase, field, negate });
+            }
+            continue;
+        }
+
+        let end = i;
+        while (end < text.length && !/\s/.test(text[end])) end++;
+        const word = text.slice(i, end);
+        i = end;
+
+        if (!negate && !field && (word === 'OR' || word === '|')) {
+            items.push({ op: 'OR' });
+        } else if (!negate && !field && word === 'AND') {
+            continue;
+        } else if (!negate && !field && word === 'NOT') {
+            items.push({ op: 'NOT' });
+        } else if (word) {
+            items.push({ kind: 'term', text: word, field, negate });
+        }
+    }
+
+    return items;
+}
+
+/**
+ * 解析查询字符串
+ *
+ * 支持的语法:
+ * - 空格分隔的词默认为AND关系
+ * - "短语" 要求按原文顺序出现
+ * - a OR b（或 a | b）表示任一即可，优先级高于AND
+ * - -词 或 NOT 词 表示排除
+ * - 字段前缀 title: url: content: heading: 限定匹配字段，source: 限定文档源
+ *
+ * @param {string} query - 查询字符串
+ * @returns {{must: Array<Array<object>>, mustNot: Array<object>, sources: string[], excludedSources: string[]}} 解析结果
+ *   must中每一项为一组OR关系的原子，各组之间为AND关系
+ */
+export function parseQuery(query) {
+    const parsed = { must: [], mustNot: [], sources: [], excludedSources: [] };
+    let pendingOr = false;
+    let pendingNot = false;
+
+    for (const item of lex(query)) {
+        if (item.op === 'OR') {
+            pendingOr = parsed.must.length > 0;
+            continue;
+        }
+        if (item.op === 'NOT') {
+            pendingNot = true;
+            continue;
+        }
+
+        const negate = item.negate || pendingNot;
+        const atom = { kind: item.kind, text: item.text, field: item.field };
+        pendingNot = false;
+
+        // source: 是过滤条件，不参与文本匹配
+        if (atom.field === 'source') {
+            (negate ? parsed.excludedSources : parsed.sources).push(atom.text.toLowerCase());
+            pendingOr = false;
+            continue;
+        }
+
+        if (negate) {
+            parsed.mustNot.push(atom);
+        } else if (pendingOr) {
+            parsed.must[parsed.must.length - 1].push(atom);
+        } else {
+            parsed.must.push([atom]);
+        }
+        pendingOr = false;
+    }
+
+    return parsed;
+}
@@ -0,0 +1,112 @@
+// 文档资源的URI协议，如 docs://taro/docs/router
+export const RESOURCE_SCHEME = 'docs';
+
+// resources/list 每页返回的资源数量
+export const RESOURCE_PAGE_SIZE = 100;
+
+// 资源模板
+export const RESOURCE_TEMPLATES = [
+    {
+        name: 'docs_source',
+        uriTemplate: `${RESOURCE_SCHEME}://{source}`,
+        description: '文档源概览: 名称、地址和页面列表',
+        mimeType: 'application/json'
+    },
+    {
+        name: 'docs_page',
+        uriTemplate: `${RESOURCE_SCHEME}://{source}/{+path}`,
+        description: '文档页面全文，path为页面URL的路径部分',
+        mimeType: 'text/markdown'
+    },
+    {
+        name: 'docs_section',
+        uriTemplate: `${RESOURCE_SCHEME}://{source}/{+path}{#section}`,
+        description: '文档页面中的单个段落，section为段落锚点',
+        mimeType: 'text/markdown'
+    }
+];
+
+/**
+ * 获取页面在资源URI中的路径: URL取路径和查询部分，非URL的页面ID原样使用
+ * @param {string} pageId - 页面ID（通常为URL）
+ * @returns {string} 资源路径（未编码）
+ */
+export function getResourcePath(pageId) {
+    try {
+        const url = new URL(pageId);
+        if (url.protocol === 'http:' || url.protocol === 'https:') {
+            const pathname = decodeURIComponent(url.pathname).replace(/^\/+|\/+$/g, '');
+            return (pathname || 'index') + url.search;
+        }
+    } catch {
+        // 不是URL
+    }
+    return pageId;
+}
+
+/**
+ * 为文档源的页面分配资源路径，路径冲突时（如多个域名下的相同路径）加上域名区分
+ * @param {string[]} pageIds - 页面ID列表
+ * @returns {{byPath: Map<string, string>, byPage: Map<string, string>}} 路径 -> 页面ID，页面ID -> 路径
+ */
+export function buildResourcePaths(pageIds) {
+    const byPath = new Map();
+    const byPage = new Map();
+
+    for (const pageId of pageIds) {
+        let resourcePath = getResourcePath(pageId);
+        if (byPath.has(resourcePath)) {
+            let host = '';
+            try {
+                host = new URL(pageId).host;
+            } catch {
+                // 不是URL
+            }
+            resourcePath = host && !byPath.has(`${host}/${resourcePath}`)
+                ? `${host}/${resourcePath}`
+                : encodeURIComponent(pageId);
+        }
+        byPath.set(resourcePath, pageId);
+        byPage.set(pageId, resourcePath);
+    }
+
+    return { byPath, byPage };
+}
+
+/**
+ * 生成资源URI，路径各段分别编码
+ * @param {string} sourceName - 文档源名称
+ * @param {string} resourcePath - 资源路径，省略时为文档源本身
+ * @param {string} anchor - 段落锚点（可选）
+ * @returns {string} 资源URI
+ */
+export function buildResourceUri(sourceName, resourcePath = '', anchor = '') {
+    let uri = `${RESOURCE_SCHEME}://${encodeURIComponent(sourceName)}`;
+    if (resourcePath) {
+        uri += '/' + resourcePath.split('/').map(segment => encodeURIComponent(segment)).join('/');
+    }
+    if (anchor) {
+        uri += '#' + encodeURIComponent(anchor);
+    }
+    return uri;
+}
+
+/**
+ * 解析资源URI
+ * @param {string} uri - 资源URI
+ * @returns {{source: string, path: string, anchor: string}|null} 文档源、资源路径和段落锚点，不是文档资源时返回null
+ */
+export function parseResourceUri(uri) {
+    const match = new RegExp(`^${RESOURCE_SCHEME}://([^/#]+)(?:/([^#]*))?(?:#(.*))?$`).exec(String(uri));
+    if (!match) return null;
+
+    try {
+        return {
+            source: decodeURIComponent(match[1]).toLowerCase(),
+            path: (match[2] || '').split('/').map(segment => decodeURIComponent(segment)).join('/').replace(/\/+$/, ''),
+            anchor: match[3] ? decodeURIComponent(match[3]) : ''
+        };
+    } catch {
+        return null;
+    }
+}
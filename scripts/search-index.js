@@ -0,0 +1,693 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { tokenize, tokenizeQuery, extractWords, splitIdentifier, TOKENIZER_VERSION } from './tokenizer.js';
+import { findSimilar } from './fuzzy.js';
+import { parseQuery } from './query-parser.js';
+import { countFacets, matchesFacetFilters } from './facets.js';
+
+// 索引格式版本 - 分词规则或存储结构变化时递增，使旧的持久化索引失效
+export const INDEX_VERSION = 3;
+
+// 持久化索引所在的子目录（位于docs目录下，不会被当作文档JSON加载）
+export const INDEX_DIR_NAME = '.index';
+
+// 参与索引的字段，顺序即为倒排表中词频的存储顺序
+export const FIELDS = ['title', 'headings', 'url', 'content'];
+
+// 默认字段权重
+export const DEFAULT_FIELD_BOOSTS = {
+    title: 3,
+    headings: 2,
+    url: 1.5,
+    content: 1
+};
+
+// BM25参数
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// 倒排表中每条记录的长度: 文档序号 + 各字段词频
+const POSTING_STRIDE = FIELDS.length + 1;
+
+// 每个拼写错误的词最多展开的模糊匹配词数量
+const MAX_FUZZY_EXPANSIONS = 5;
+
+// 搜索模式: 关键词（BM25）、语义（向量相似度）、混合
+export const SEARCH_MODES = ['keyword', 'semantic', 'hybrid'];
+
+// 混合搜索中向量相似度的默认权重
+export const DEFAULT_SEMANTIC_WEIGHT = 0.5;
+
+// 每个文档源按向量相似度取出的候选数量，固定数量保证分页时排序稳定
+const SEMANTIC_CANDIDATES = 100;
+
+/**
+ * 提取页面的标题层级文本
+ * @param {object} page - 页面数据
+ * @returns {string} 以换行分隔的标题文本
+ */
+function extractHeadings(page) {
+    if (Array.isArray(page.headings)) {
+        return page.headings
+            .map(heading => (typeof heading === 'string' ? heading : (heading && heading.text) || ''))
+            .join('\n');
+    }
+
+    // 内容为Markdown时，从标题行中提取
+    const lines = String(page.content || '').match(/^#{1,6}\s+.+$/gm) || [];
+    return lines.map(line => line.replace(/^#{1,6}\s+/, '')).join('\n');
+}
+
+/**
+ * 获取页面各字段用于索引的文本
+ * @param {string} id - 页面ID（通常为URL）
+ * @param {object} page - 页面数据
+ * @returns {string[]} 按FIELDS顺序排列的字段文本
+ */
+function getFieldTexts(id, page) {
+    return [
+        page.title || '',
+        extractHeadings(page),
+        String(page.url || id).replace(/^[a-z]+:\/\//i, ''),
+        page.content || ''
+    ];
+}
+
+/**
+ * 归一化文本用于短语比较: 统一大小写和空白
+ * @param {string} text - 原始文本
+ * @returns {string} 归一化后的文本
+ */
+function normalizeText(text) {
+    return String(text).normalize('NFKC').toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * 求两个得分表的交集，得分相加
+ * @param {Map<number, number>} a - 得分表a
+ * @param {Map<number, number>} b - 得分表b
+ * @returns {Map<number, number>} 交集
+ */
+function intersectScores(a, b) {
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    const result = new Map();
+    for (const [key, score] of small) {
+        if (large.has(key)) {
+            result.set(key, score + large.get(key));
+        }
+    }
+    return result;
+}
+
+/**
+ * 单个文档源的倒排索引
+ */
+export class SourceIndex {
+    /**
+     * @param {string} name - 文档源名称
+     * @param {string|null} signature - 源文件内容签名，用于判断持久化索引是否过期
+     */
+    constructor(name, signature = null) {
+        this.name = name;
+        this.signature = signature;
+        this.docs = [];                              // 文档列表: { id, lengths }
+        this.postings = new Map();                   // 词项 -> 扁平倒排表 [文档序号, 各字段词频...]
+        this.totalLengths = FIELDS.map(() => 0);     // 各字段的总词数，用于计算平均长度
+        this.vocabulary = new Map();                 // 拼写建议词表: 小写形式 -> [原始形式, 出现次数]
+    }
+
+    /**
+     * 计算文档源文件内容的签名
+     * @param {string} content - 文件内容
+     * @returns {string} 签名
+     */
+    static computeSignature(content) {
+        return crypto.createHash('sha1').update(content).digest('hex');
+    }
+
+    /**
+     * 为一组页面构建索引
+     * @param {string} name - 文档源名称
+     * @param {object} pages - 页面映射，键为页面ID
+     * @param {string|null} signature - 源文件内容签名
+     * @returns {SourceIndex} 构建好的索引
+     */
+    static build(name, pages, signature = null) {
+        const index = new SourceIndex(name, signature);
+        for (const [id, page] of Object.entries(pages || {})) {
+            if (page && typeof page === 'object') {
+                index.addDocument(id, page);
+            }
+        }
+        return index;
+    }
+
+    /**
+     * 向索引中添加一个文档
+     * @param {string} id - 页面ID
+     * @param {object} page - 页面数据
+     */
+    addDocument(id, page) {
+        const docIndex = this.docs.length;
+        const lengths = FIELDS.map(() => 0);
+        const termFreqs = new Map();
+
+        getFieldTexts(id, page).forEach((text, fieldIndex) => {
+            this.addVocabulary(text, FIELDS[fieldIndex]);
+
+            const terms = tokenize(text);
+            lengths[fieldIndex] = terms.length;
+            this.totalLengths[fieldIndex] += terms.length;
+
+            for (const term of terms) {
+                let freqs = termFreqs.get(term);
+                if (!freqs) {
+                    freqs = FIELDS.map(() => 0);
+                    termFreqs.set(term, freqs);
+                }
+                freqs[fieldIndex]++;
+            }
+        });
+
+        for (const [term, freqs] of termFreqs) {
+            let list = this.postings.get(term);
+            if (!list) {
+                list = [];
+                this.postings.set(term, list);
+            }
+            list.push(docIndex, ...freqs);
+        }
+
+        this.docs.push({ id, lengths });
+    }
+
+    /**
+     * 收集拼写建议词表: 标题中的单词和正文中的API标识符
+     * @param {string} text - 字段文本
+     * @param {string} field - 字段名称
+     */
+    addVocabulary(text, field) {
+        if (field === 'url') return;
+
+        for (const word of extractWords(text)) {
+            if (word.length < 3 || /^\d+$/.test(word)) continue;
+            if (field !== 'title' && splitIdentifier(word).length < 2) continue;
+
+            const lower = word.toLowerCase();
+            const entry = this.vocabulary.get(lower);
+            if (entry) {
+                entry[1]++;
+            } else {
+                this.vocabulary.set(lower, [word, 1]);
+            }
+        }
+    }
+
+    /**
+     * 获取词项的文档频率
+     * @param {string} term - 词项
+     * @returns {number} 包含该词项的文档数
+     */
+    documentFrequency(term) {
+        const list = this.postings.get(term);
+        return list ? list.length / POSTING_STRIDE : 0;
+    }
+
+    /**
+     * 从磁盘加载持久化的索引
+     * @param {string} filePath - 索引文件路径
+     * @param {string} name - 文档源名称
+     * @param {string} signature - 当前源文件内容签名
+     * @returns {SourceIndex|null} 索引有效时返回索引，否则返回null
+     */
+    static load(filePath, name, signature) {
+        try {
+            if (!fs.existsSync(filePath)) return null;
+
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            if (!data || data.version !== INDEX_VERSION || data.tokenizerVersion !== TOKENIZER_VERSION ||
+                data.signature !== signature) {
+                return null;
+            }
+
+            const index = new SourceIndex(name, signature);
+            index.docs = data.docs;
+            index.totalLengths = data.totalLengths;
+            index.postings = new Map(Object.entries(data.postings));
+            index.vocabulary = new Map(Object.entries(data.vocabulary || {}));
+            return index;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 将索引持久化到磁盘（先写临时文件再重命名）
+     * @param {string} filePath - 索引文件路径
+     */
+    save(filePath) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({
+            version: INDEX_VERSION,
+            tokenizerVersion: TOKENIZER_VERSION,
+            signature: this.signature,
+            docs: this.docs,
+            totalLengths: this.totalLengths,
+            postings: Object.fromEntries(this.postings),
+            vocabulary: Object.fromEntries(this.vocabulary)
+        }), 'utf8');
+        fs.renameSync(tempPath, filePath);
+    }
+}
+
+/**
+ * 多文档源的BM25搜索索引
+ */
+export class SearchIndex {
+    /**
+     * @param {object} options - 配置项
+     * @param {object} options.fieldBoosts - 字段权重，覆盖默认值
+     * @param {function(string, string): object} options.getPage - 按文档源和ID获取页面数据，用于验证短语
+     * @param {function(string, string): object} options.getFacets - 按文档源和ID获取分面取值，见 getFacetValues
+     */
+    constructor(options = {}) {
+        this.sources = new Map();
+        this.vectors = new Map();
+        this.getPage = options.getPage || null;
+        this.getFacets = options.getFacets || null;
+        this.fieldBoosts = FIELDS.map(field =>
+            (options.fieldBoosts && options.fieldBoosts[field]) ?? DEFAULT_FIELD_BOOSTS[field]
+        );
+    }
+
+    /**
+     * 设置（或替换）某个文档源的索引
+     * @param {string} name - 文档源名称
+     * @param {SourceIndex} sourceIndex - 文档源索引
+     */
+    setSource(name, sourceIndex) {
+        this.sources.set(name, sourceIndex);
+    }
+
+    /**
+     * 设置（或替换）某个文档源的向量，用于语义和混合搜索
+     * @param {string} name - 文档源名称
+     * @param {VectorStore} vectorStore - 文档源向量
+     */
+    setVectors(name, vectorStore) {
+        this.vectors.set(name, vectorStore);
+    }
+
+    /**
+     * 判断某个文档源是否可以进行语义搜索
+     * @param {string} name - 文档源名称
+     * @returns {boolean} 是否已有向量
+     */
+    hasVectors(name) {
+        return this.vectors.has(name);
+    }
+
+    /**
+     * 移除某个文档源的索引和向量
+     * @param {string} name - 文档源名称
+     */
+    removeSource(name) {
+        this.sources.delete(name);
+        this.vectors.delete(name);
+    }
+
+    /**
+     * 清空所有索引和向量
+     */
+    clear() {
+        this.sources.clear();
+        this.vectors.clear();
+    }
+
+    /**
+     * 获取要搜索的文档源索引
+     * @param {string[]} sources - 文档源名称，默认全部
+     * @returns {SourceIndex[]} 文档源索引列表
+     */
+    getSelectedSources(sources) {
+        return (sources || [...this.sources.keys()])
+            .map(name => this.sources.get(name))
+            .filter(Boolean);
+    }
+
+    /**
+     * 计算所选文档源的语料版本，文档变化后版本随之变化，用于判断分页游标是否仍然有效
+     * 向量只影响语义和混合搜索的排序，后台生成向量时关键词搜索的游标保持有效
+     * @param {string[]} sources - 文档源名称，默认全部
+     * @param {object} options - 选项
+     * @param {boolean} options.includeVectors - 是否包含向量的变化（语义或混合搜索时使用）
+     * @returns {string} 版本标识
+     */
+    getCorpusVersion(sources, { includeVectors = false } = {}) {
+        const parts = (sources || [...this.sources.keys()])
+            .filter(name => this.sources.has(name))
+            .sort()
+            .map(name => {
+                const sourceIndex = this.sources.get(name);
+                const vectorStore = this.vectors.get(name);
+                return [
+                    name,
+                    sourceIndex.signature ?? sourceIndex.docs.length,
+                    includeVectors && vectorStore ? `${vectorStore.model}:${vectorStore.entries.size}` : ''
+                ].join(':');
+            });
+        return crypto.createHash('sha1').update(parts.join('\n')).digest('hex').slice(0, 16);
+    }
+
+    /**
+     * 将查询词展开为匹配组: 索引中不存在的词会被替换为编辑距离相近的索引词
+     * @param {string[]} terms - 查询词项
+     * @param {SourceIndex[]} selected - 要搜索的文档源索引
+     * @param {boolean} fuzzy - 是否启用模糊匹配
+     * @returns {{groups: Array<Array<{term: string, weight: number}>>, corrections: Array<{term: string, matches: string[]}>}} 匹配组和纠正记录
+     */
+    expandTerms(terms, selected, fuzzy) {
+        const corrections = [];
+        const groups = terms.map(term => {
+            const exists = selected.some(sourceIndex => sourceIndex.postings.has(term));
+            if (exists || !fuzzy || !/^[\p{L}\p{N}_]+$/u.test(term) || /[\p{Script=Han}]/u.test(term)) {
+                return [{ term, weight: 1 }];
+            }
+
+            const candidates = new Map();
+            for (const sourceIndex of selected) {
+                for (const { term: similar, distance } of findSimilar(term, sourceIndex.postings.keys())) {
+                    if (!candidates.has(similar) || candidates.get(similar) > distance) {
+                        candidates.set(similar, distance);
+                    }
+                }
+            }
+
+            if (candidates.size === 0) {
+                return [{ term, weight: 1 }];
+            }
+
+            // 模糊命中的词按编辑距离降低权重
+            const alternatives = [...candidates.entries()]
+                .sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0]))
+                .slice(0, MAX_FUZZY_EXPANSIONS)
+                .map(([similar, distance]) => ({ term: similar, weight: 1 / (1 + distance) }));
+
+            corrections.push({ term, matches: alternatives.map(alternative => alternative.term) });
+            return alternatives;
+        });
+
+        return { groups, corrections };
+    }
+
+    /**
+     * 统计所选文档源的整体信息，用于计算IDF和平均字段长度
+     * @param {SourceIndex[]} selected - 要搜索的文档源索引
+     * @returns {{avgLengths: number[], idf: function(string): number}} 统计信息
+     */
+    collectStats(selected) {
+        let docCount = 0;
+        const totalLengths = FIELDS.map(() => 0);
+        for (const sourceIndex of selected) {
+            docCount += sourceIndex.docs.length;
+            sourceIndex.totalLengths.forEach((length, i) => { totalLengths[i] += length; });
+        }
+
+        const idfCache = new Map();
+        return {
+            avgLengths: totalLengths.map(length => (docCount > 0 ? length / docCount : 0) || 1),
+            idf: term => {
+                if (!idfCache.has(term)) {
+                    const df = selected.reduce((sum, sourceIndex) => sum + sourceIndex.documentFrequency(term), 0);
+                    idfCache.set(term, Math.log(1 + (docCount - df + 0.5) / (df + 0.5)));
+                }
+                return idfCache.get(term);
+            }
+        };
+    }
+
+    /**
+     * 结合参数和查询中的 source: 条件确定要搜索的文档源
+     * @param {string[]} sources - 参数指定的文档源
+     * @param {object} parsed - 解析后的查询
+     * @returns {string[]} 文档源名称
+     */
+    resolveSources(sources, parsed) {
+        let names = sources || [...this.sources.keys()];
+        if (parsed.sources.length > 0) {
+            names = names.filter(name => parsed.sources.includes(name));
+        }
+        return names.filter(name => !parsed.excludedSources.includes(name));
+    }
+
+    /**
+     * 在单个文档源中匹配查询原子（词或短语），原子的所有词项都必须命中
+     * @param {SourceIndex} sourceIndex - 文档源索引
+     * @param {object} atom - 预处理后的查询原子
+     * @param {object} stats - 统计信息
+     * @returns {Map<number, number>} 文档序号 -> 得分
+     */
+    matchAtom(sourceIndex, atom, stats) {
+        let matches = null;
+
+        for (const group of atom.groups) {
+            const groupScores = new Map();
+
+            for (const { term, weight } of group) {
+                const list = sourceIndex.postings.get(term);
+                if (!list) continue;
+                const termIdf = stats.idf(term);
+
+                for (let i = 0; i < list.length; i += POSTING_STRIDE) {
+                    const docIndex = list[i];
+                    if (matches !== null && !matches.has(docIndex)) continue;
+                    const lengths = sourceIndex.docs[docIndex].lengths;
+
+                    // BM25F: 先按字段长度归一化并加权合并词频，再做饱和处理
+                    let weightedTf = 0;
+                    for (let f = 0; f < FIELDS.length; f++) {
+                        const tf = list[i + 1 + f];
+                        if (tf === 0 || (atom.fieldIndex !== -1 && f !== atom.fieldIndex)) continue;
+                        weightedTf += this.fieldBoosts[f] * tf / (1 - BM25_B + BM25_B * lengths[f] / stats.avgLengths[f]);
+                    }
+                    if (weightedTf === 0) continue;
+
+                    // 同一组内的多个替代词得分累加
+                    const score = weight * termIdf * weightedTf / (BM25_K1 + weightedTf);
+                    groupScores.set(docIndex, (groupScores.get(docIndex) || 0) + score);
+                }
+            }
+
+            matches = matches === null ? groupScores : intersectScores(matches, groupScores);
+            if (matches.size === 0) break;
+        }
+
+        matches = matches || new Map();
+
+        // 短语需要按原文验证词序
+        if (atom.kind === 'phrase' && this.getPage) {
+            const phrase = normalizeText(atom.text);
+            for (const docIndex of matches.keys()) {
+                const id = sourceIndex.docs[docIndex].id;
+                const page = this.getPage(sourceIndex.name, id);
+                const texts = page ? getFieldTexts(id, page) : [];
+                const candidates = atom.fieldIndex === -1 ? texts : [texts[atom.fieldIndex]];
+                if (!candidates.some(text => text && normalizeText(text).includes(phrase))) {
+                    matches.delete(docIndex);
+                }
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * 搜索文档
+     * 查询语法见 parseQuery: 各组条件之间为AND关系，组内为OR关系，支持短语、排除和字段限定。
+     * 每个词（或其模糊匹配的替代词之一）都必须出现在文档中。
+     * IDF和平均字段长度基于本次搜索涉及的文档源计算。
+     * 语义和混合模式下另外按查询向量取出最相似的文档，混合模式的得分为
+     * BM25得分（按本次最高分归一化）与余弦相似度的加权和；排除条件和文档源过滤对两者都生效
+     * @param {string} query - 查询字符串
+     * @param {object} options - 搜索选项
+     * @param {string[]} options.sources - 要搜索的文档源，默认全部
+     * @param {number} options.limit - 最大结果数量
+     * @param {number} options.offset - 跳过的结果数量，用于分页
+     * @param {boolean} options.fuzzy - 是否对索引中不存在的词启用模糊匹配，默认启用
+     * @param {string} options.mode - 搜索模式，见SEARCH_MODES，默认keyword
+     * @param {Float32Array} options.queryVector - 查询向量，语义和混合模式需要
+     * @param {number} options.semanticWeight - 混合模式中向量相似度的权重（0-1）
+     * @param {object} options.facetFilters - 分面过滤条件，如 { type: ['api'] }，需要配置getFacets
+     * @returns {{total: number, results: Array<{source: string, id: string, score: number}>, corrections: Array, terms: string[], facets: object|null}} 搜索结果
+     *   terms为正向条件实际匹配的索引词项（含模糊匹配展开的词），用于生成高亮摘要；
+     *   使用向量时结果另外包含keywordScore和similarity；facets为分面统计（配置getFacets时）
+     */
+    search(query, { sources, limit = 10, offset = 0, fuzzy = true, mode = 'keyword', queryVector = null, semanticWeight = DEFAULT_SEMANTIC_WEIGHT, facetFilters = {} } = {}) {
+        const parsed = parseQuery(query);
+        const selected = this.getSelectedSources(this.resolveSources(sources, parsed));
+        const corrections = [];
+
+        // 预处理查询原子: 分词并展开模糊匹配（短语和排除条件不做模糊匹配）
+        const prepareAtom = (atom, allowFuzzy) => {
+            const expanded = this.expandTerms(tokenizeQuery(atom.text), selected, allowFuzzy && atom.kind === 'term');
+            corrections.push(...expanded.corrections);
+            return { ...atom, fieldIndex: atom.field ? FIELDS.indexOf(atom.field) : -1, groups: expanded.groups };
+        };
+        const must = parsed.must
+            .map(clause => clause.map(atom => prepareAtom(atom, fuzzy)).filter(atom => atom.groups.length > 0))
+            .filter(clause => clause.length > 0);
+        const mustNot = parsed.mustNot
+            .map(atom => prepareAtom(atom, false))
+            .filter(atom => atom.groups.length > 0);
+        const terms = [...new Set(must.flat().flatMap(atom => atom.groups.flat().map(entry => entry.term)))];
+
+        const useKeyword = mode !== 'semantic';
+        const useVectors = mode !== 'keyword' && queryVector !== null;
+        const weight = mode === 'semantic' ? 1 : Math.min(1, Math.max(0, semanticWeight));
+
+        // 没有正向条件时，仅在有排除或文档源过滤条件时返回结果
+        const hasFilter = mustNot.length > 0 || parsed.sources.length > 0 || parsed.excludedSources.length > 0;
+        if (selected.length === 0 || (must.length === 0 && !hasFilter && !useVectors)) {
+            return { total: 0, results: [], corrections, terms, facets: this.getFacets ? countFacets([], facetFilters) : null };
+        }
+
+        const stats = this.collectStats(selected);
+        const results = [];
+
+        for (const sourceIndex of selected) {
+            let docs = null;
+            if (useKeyword) {
+                for (const clause of must) {
+                    const clauseScores = new Map();
+                    for (const atom of clause) {
+                        for (const [docIndex, score] of this.matchAtom(sourceIndex, atom, stats)) {
+                            clauseScores.set(docIndex, (clauseScores.get(docIndex) || 0) + score);
+                        }
+                    }
+
+                    docs = docs === null ? clauseScores : intersectScores(docs, clauseScores);
+                    if (docs.size === 0) break;
+                }
+            }
+
+            if (docs === null) {
+                // 仅有过滤条件时所有文档都是候选；使用向量时候选来自相似度
+                docs = useVectors || !hasFilter
+                    ? new Map()
+                    : new Map(sourceIndex.docs.map((_, docIndex) => [docIndex, 0]));
+            }
+
+            const candidates = new Map([...docs].map(([docIndex, score]) => [sourceIndex.docs[docIndex].id, score]));
+            const vectorStore = useVectors ? this.vectors.get(sourceIndex.name) : null;
+            if (vectorStore) {
+                for (const { id } of vectorStore.search(queryVector, SEMANTIC_CANDIDATES)) {
+                    if (!candidates.has(id)) candidates.set(id, 0);
+                }
+            }
+
+            for (const atom of mustNot) {
+                if (candidates.size === 0) break;
+                for (const docIndex of this.matchAtom(sourceIndex, atom, stats).keys()) {
+                    candidates.delete(sourceIndex.docs[docIndex].id);
+                }
+            }
+
+            for (const [id, score] of candidates) {
+                const result = { source: sourceIndex.name, id, score };
+                if (useVectors) {
+                    result.keywordScore = score;
+                    result.similarity = vectorStore ? vectorStore.similarity(queryVector, id) : 0;
+                }
+                results.push(result);
+            }
+        }
+
+        // 混合得分: BM25归一化到0-1后与余弦相似度加权
+        if (useVectors) {
+            const maxKeywordScore = Math.max(0, ...results.map(result => result.keywordScore));
+            for (const result of results) {
+                const keyword = maxKeywordScore > 0 ? result.keywordScore / maxKeywordScore : 0;
+                result.score = (1 - weight) * keyword + weight * result.similarity;
+            }
+        }
+
+        // 分数相同时按来源和ID排序，保证结果稳定
+        results.sort((a, b) =>
+            b.score - a.score || a.source.localeCompare(b.source) || a.id.localeCompare(b.id)
+        );
+
+        // 分面统计基于过滤前的全部结果，过滤后的结果用于分页
+        let facets = null;
+        let filtered = results;
+        if (this.getFacets) {
+            const values = results.map(result => this.getFacets(result.source, result.id) || {});
+            facets = countFacets(values, facetFilters);
+            filtered = results.filter((_, i) => matchesFacetFilters(values[i], facetFilters));
+        }
+
+        return {
+            total: filtered.length,
+            results: filtered.slice(offset, offset + limit),
+            corrections,
+            terms,
+            facets
+        };
+    }
+
+    /**
+     * 为查询中的拼写错误生成"你是不是要找"建议
+     * 候选词来自索引的标题词和API标识符，保留原始大小写
+     * @param {string} query - 查询字符串
+     * @param {object} options - 选项
+     * @param {string[]} options.sources - 文档源，默认全部
+     * @param {number} options.limit - 每个词的最大建议数量
+     * @returns {{correctedQuery: string|null, suggestions: Array<{word: string, candidates: string[]}>}} 拼写建议
+     */
+    suggest(query, { sources, limit = 5 } = {}) {
+        const parsed = parseQuery(query);
+        const selected = this.getSelectedSources(this.resolveSources(sources, parsed));
+        const words = parsed.must.flat().flatMap(atom => extractWords(atom.text));
+        const suggestions = [];
+        let correctedQuery = query;
+
+        for (const word of new Set(words)) {
+            const lower = word.toLowerCase();
+            const known = selected.some(sourceIndex => sourceIndex.vocabulary.has(lower)) ||
+                tokenizeQuery(word).every(term => selected.some(sourceIndex => sourceIndex.postings.has(term)));
+            if (known) continue;
+
+            // 合并各文档源的候选词，距离相同时优先出现次数多的
+            const candidates = new Map();
+            for (const sourceIndex of selected) {
+                for (const { term, distance } of findSimilar(lower, sourceIndex.vocabulary.keys())) {
+                    const [surface, count] = sourceIndex.vocabulary.get(term);
+                    const existing = candidates.get(term);
+                    if (existing) {
+                        existing.count += count;
+                    } else {
+                        candidates.set(term, { surface, distance, count });
+                    }
+                }
+            }
+            if (candidates.size === 0) continue;
+
+            const ranked = [...candidates.values()]
+                .sort((a, b) => a.distance - b.distance || b.count - a.count || a.surface.localeCompare(b.surface))
+                .slice(0, limit)
+                .map(candidate => candidate.surface);
+
+            suggestions.push({ word, candidates: ranked });
+            // 只替换完整的词，避免改动包含该词的其他标识符（如纠正 use 时的 useDidShow）
+            const pattern = new RegExp(`(?<![\\p{L}\\p{M}\\p{N}_])${word}(?![\\p{L}\\p{M}\\p{N}_])`, 'gu');
+            correctedQuery = correctedQuery.replace(pattern, () => ranked[0]);
+        }
+
+        return {
+            correctedQuery: suggestions.length > 0 ? correctedQuery : null,
+            suggestions
+        };
+    }
+}
@@ -0,0 +1,166 @@
+import { markdownToPlainText } from './html-to-markdown.js';
+
+// 第一个标题之前的内容所属段落的锚点
+export const LEAD_ANCHOR = 'top';
+
+// Markdown标题行
+const HEADING_PATTERN = /^(#{1,6})[ \t]+(.+?)[ \t#]*$/;
+
+// 代码块围栏
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+/**
+ * 解析文本中的Markdown标题，记录每个标题所在位置及其完整标题路径
+ * 代码块内以#开头的行（如shell注释）不视为标题
+ * @param {string} text - 文本
+ * @returns {Array<{start: number, level: number, title: string, path: string[]}>} 按位置排列的标题
+ */
+export function parseHeadings(text) {
+    const headings = [];
+    const stack = [];
+    let inFence = false;
+    let offset = 0;
+
+    for (const line of String(text || '').split('\n')) {
+        if (FENCE_PATTERN.test(line)) {
+            inFence = !inFence;
+        } else if (!inFence) {
+            const match = HEADING_PATTERN.exec(line);
+            if (match) {
+                const level = match[1].length;
+                while (stack.length > 0 && stack[stack.length - 1].level >= level) stack.pop();
+                stack.push({ level, title: match[2] });
+                headings.push({ start: offset, level, title: match[2], path: stack.map(item => item.title) });
+            }
+        }
+        offset += line.length + 1;
+    }
+
+    return headings;
+}
+
+/**
+ * 按GitHub的规则将标题转换为锚点: 小写、去除标点、空格替换为连字符
+ * @param {string} text - 标题文本
+ * @returns {string} 锚点
+ */
+export function slugify(text) {
+    return String(text || '')
+        .trim()
+        .toLowerCase()
+        .replace(/<[^>]+>/g, '')
+        .replace(/[^\p{L}\p{M}\p{N}\s_-]/gu, '')
+        .replace(/\s/g, '-');
+}
+
+/**
+ * 按Markdown标题将页面切分为段落
+ * 每个标题及其下方直到下一个标题的内容为一个段落，第一个标题之前的内容为锚点为top的引导段落。
+ * 段落ID为 页面ID#锚点，同名标题按出现顺序追加 -1、-2 后缀，内容不变时ID保持稳定
+ * @param {string} pageId - 页面ID（通常为URL）
+ * @param {object} page - 页面数据
+ * @returns {Array<{id: string, pageId: string, anchor: string, index: number, level: number, title: string, headingPath: string[], content: string}>} 段落列表
+ */
+export function splitSections(pageId, page) {
+    const content = String((page && page.content) || '');
+    const headings = parseHeadings(content);
+    const sections = [];
+    const usedAnchors = new Map();
+
+    const addSection = (anchor, heading, start, end) => {
+        const base = anchor || 'section';
+        const count = usedAnchors.get(base) || 0;
+        usedAnchors.set(base, count + 1);
+        const uniqueAnchor = count > 0 ? `${base}-${count}` : base;
+
+        sections.push({
+            id: `${pageId}#${uniqueAnchor}`,
+            pageId,
+            anchor: uniqueAnchor,
+            index: sections.length,
+            level: heading ? heading.level : 0,
+            title: heading ? heading.title : ((page && page.title) || pageId),
+            headingPath: heading ? heading.path : [],
+            content: content.slice(start, end).trim()
+        });
+    };
+
+    // 引导段落: 没有标题的页面整体作为一个段落
+    const leadEnd = headings.length > 0 ? headings[0].start : content.length;
+    if (headings.length === 0 || content.slice(0, leadEnd).trim()) {
+        addSection(LEAD_ANCHOR, null, 0, leadEnd);
+    }
+
+    headings.forEach((heading, i) => {
+        const end = i + 1 < headings.length ? headings[i + 1].start : content.length;
+        addSection(slugify(heading.title), heading, heading.start, end);
+    });
+
+    return sections;
+}
+
+/**
+ * 为文档源的所有页面生成段落
+ * @param {object} pages - 页面数据，键为页面ID
+ * @returns {{sections: object, pageSections: object}} sections按段落ID索引，pageSections按页面ID列出其段落
+ */
+export function buildSourceSections(pages) {
+    const sections = {};
+    const pageSections = {};
+
+    for (const [pageId, page] of Object.entries(pages || {})) {
+        pageSections[pageId] = splitSections(pageId, page);
+        for (const section of pageSections[pageId]) {
+            sections[section.id] = section;
+        }
+    }
+
+    return { sections, pageSections };
+}
+
+/**
+ * 按锚点或序号范围选取页面的段落
+ * 指定锚点时只选取该段落；指定范围时结束序号超出部分截断到最后一个段落，起始序号大于结束序号或超出段落数量时返回错误
+ * @param {string} pageId - 页面ID
+ * @param {object[]} sections - 页面的段落列表
+ * @param {object} options - 选取条件
+ * @param {string} options.anchor - 段落锚点（可选）
+ * @param {number} options.from - 起始序号，从0开始（可选）
+ * @param {number} options.to - 结束序号，包含该段落（可选）
+ * @returns {{section?: object, sections?: object[], from?: number, to?: number, error?: string}} 选取结果，条件无效时只有error及可用的段落信息
+ */
+export function selectSections(pageId, sections, { anchor, from, to } = {}) {
+    if (anchor) {
+        const section = sections.find(item => item.anchor === anchor);
+        return section
+            ? { section }
+            : { error: `文档 "${pageId}" 中未找到段落 "${anchor}"`, availableSections: sections.map(item => item.anchor) };
+    }
+    if (from === undefined && to === undefined) return { sections };
+
+    const start = from ?? 0;
+    if (start >= sections.length) {
+        return { error: `文档 "${pageId}" 的段落序号 ${start} 超出范围`, totalSections: sections.length };
+    }
+    if (to !== undefined && start > to) {
+        return { error: `段落范围无效: 起始序号 ${start} 大于结束序号 ${to}`, totalSections: sections.length };
+    }
+
+    const end = Math.min(sections.length - 1, to ?? sections.length - 1);
+    return { sections: sections.slice(start, end + 1), from: start, to: end };
+}
+
+/**
+ * 生成段落用于索引的文档: 标题沿用页面标题，小标题字段为段落的标题路径
+ * 页面带有纯文本字段时（内容为爬虫转换的Markdown），段落内容转换为纯文本后索引，链接地址等Markdown标记不参与搜索
+ * @param {object} section - 段落
+ * @param {object} page - 段落所属页面
+ * @returns {{title: string, headings: string[], content: string}} 可索引文档
+ */
+export function toSectionDocument(section, page) {
+    return {
+        title: (page && page.title) || section.pageId,
+        headings: section.headingPath,
+        content: page && typeof page.text === 'string' ? markdownToPlainText(section.content) : section.content
+    };
+}
@@ -0,0 +1,201 @@
+import zlib from 'zlib';
+
+// 每个文档源最多读取的站点地图数量（包括站点地图索引中列出的子站点地图）
+export const MAX_SITEMAPS = 50;
+
+// 没有robots.txt或无法读取时的规则: 允许所有路径
+export const EMPTY_ROBOTS = Object.freeze({ rules: [], crawlDelay: null, sitemaps: [] });
+
+/**
+ * 解析robots.txt
+ * 同一User-agent的多个分组合并；没有匹配指定User-agent的分组时使用 "*" 分组
+ * @param {string} text - robots.txt内容
+ * @param {string} userAgent - 爬虫的User-agent名称，默认只使用 "*" 分组
+ * @returns {{rules: Array<{allow: boolean, path: string}>, crawlDelay: number|null, sitemaps: string[]}}
+ *   适用的Allow/Disallow规则、Crawl-delay（秒）和声明的站点地图地址
+ */
+export function parseRobotsTxt(text, userAgent = '*') {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of String(text).split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator <= 0) continue;
+
+        const key = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (key === 'user-agent') {
+            // 连续的User-agent行属于同一个分组
+            if (!current || !lastWasAgent) {
+                current = { agents: [], rules: [], crawlDelay: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+        lastWasAgent = false;
+
+        if (key === 'sitemap') {
+            if (value) sitemaps.push(value);
+        } else if (!current) {
+            continue;
+        } else if (key === 'allow' || key === 'disallow') {
+            // 空的Disallow表示允许所有路径
+            if (value) current.rules.push({ allow: key === 'allow', path: value });
+        } else if (key === 'crawl-delay') {
+            const delay = Number(value);
+            if (Number.isFinite(delay) && delay >= 0) current.crawlDelay = delay;
+        }
+    }
+
+    const agent = userAgent.toLowerCase();
+    let matched = agent === '*' ? [] : groups.filter(group => group.agents.some(name => name !== '*' && agent.includes(name)));
+    if (matched.length === 0) {
+        matched = groups.filter(group => group.agents.includes('*'));
+    }
+
+    return {
+        rules: matched.flatMap(group => group.rules),
+        crawlDelay: matched.map(group => group.crawlDelay).find(delay => delay !== null) ?? null,
+        sitemaps
+    };
+}
+
+/**
+ * 判断robots.txt规则中的路径模式是否匹配，支持 * 通配符和 $ 结尾
+ * @param {string} pattern - 规则路径
+ * @param {string} urlPath - 路径和查询参数
+ * @returns {boolean} 是否匹配
+ */
+function matchesRobotsPattern(pattern, urlPath) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`).test(urlPath);
+}
+
+/**
+ * 判断robots.txt是否允许爬取某个路径: 最长的匹配规则生效，长度相同时Allow优先
+ * @param {{rules: Array<{allow: boolean, path: string}>}} robots - parseRobotsTxt的结果
+ * @param {string} urlPath - 路径和查询参数，如 /docs/intro?lang=zh
+ * @returns {boolean} 是否允许
+ */
+export function isPathAllowed(robots, urlPath) {
+    let best = null;
+    for (const rule of robots.rules) {
+        if (!matchesRobotsPattern(rule.path, urlPath)) continue;
+        if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+            best = rule;
+        }
+    }
+    return !best || best.allow;
+}
+
+/**
+ * 解码XML文本节点（CDATA和预定义实体）
+ * @param {string} text - XML文本
+ * @returns {string} 解码后的文本
+ */
+function decodeXmlText(text) {
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .trim()
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * 解析站点地图或站点地图索引
+ * @param {string} xml - 站点地图内容
+ * @returns {{urls: Array<{loc: string, lastmod: string|null}>, sitemaps: string[]}} 页面地址及其lastmod，以及索引中的子站点地图
+ */
+export function parseSitemap(xml) {
+    const blocks = tag => String(xml).match(new RegExp(`<(?:[\\w-]+:)?${tag}[\\s>][\\s\\S]*?</(?:[\\w-]+:)?${tag}>`, 'gi')) || [];
+    const readTag = (block, tag) => {
+        const match = new RegExp(`<(?:[\\w-]+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`, 'i').exec(block);
+        return match ? decodeXmlText(match[1]) || null : null;
+    };
+
+    return {
+        urls: blocks('url')
+            .map(block => ({ loc: readTag(block, 'loc'), lastmod: readTag(block, 'lastmod') }))
+            .filter(entry => entry.loc),
+        sitemaps: blocks('sitemap').map(block => readTag(block, 'loc')).filter(Boolean)
+    };
+}
+
+/**
+ * 请求文本内容，支持gzip压缩的站点地图（.xml.gz）
+ * @param {string} url - 地址
+ * @param {object} options - 配置
+ * @param {Function} options.fetch - fetch实现
+ * @param {number} options.timeout - 超时时间（毫秒）
+ * @returns {Promise<string|null>} 内容，请求失败或状态码不是2xx时返回null
+ */
+async function fetchText(url, { fetch, timeout }) {
+    try {
+        const response = await fetch(url, { redirect: 'follow', signal: AbortSignal.timeout(timeout) });
+        if (!response.ok) {
+            await response.body?.cancel().catch(() => {});
+            return null;
+        }
+        const buffer = Buffer.from(await response.arrayBuffer());
+        const isGzip = buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+        return (isGzip ? zlib.gunzipSync(buffer) : buffer).toString('utf-8');
+    } catch (error) {
+        console.warn(`[发现] 读取 ${url} 失败: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * 读取站点的robots.txt和站点地图
+ * 站点地图地址取自robots.txt中的Sitemap声明，没有声明时尝试 /sitemap.xml；站点地图索引中的子站点地图也会读取
+ * @param {string} startUrl - 文档源的起始地址
+ * @param {object} options - 配置
+ * @param {Function} options.fetch - fetch实现
+ * @param {number} options.timeout - 每个请求的超时时间（毫秒）
+ * @param {string} options.userAgent - 匹配robots.txt分组使用的User-agent名称
+ * @param {number} options.maxSitemaps - 最多读取的站点地图数量
+ * @returns {Promise<{robots: object, sitemaps: string[], urls: Array<{loc: string, lastmod: string|null}>}>}
+ *   robots.txt规则（没有时允许所有路径）、已读取的站点地图和其中的页面
+ */
+export async function discoverSite(startUrl, { fetch = globalThis.fetch, timeout = 30000, userAgent = '*', maxSitemaps = MAX_SITEMAPS } = {}) {
+    const origin = new URL(startUrl).origin;
+    const robotsText = await fetchText(`${origin}/robots.txt`, { fetch, timeout });
+    const robots = robotsText === null ? EMPTY_ROBOTS : parseRobotsTxt(robotsText, userAgent);
+
+    const queue = robots.sitemaps.length > 0 ? [...robots.sitemaps] : [`${origin}/sitemap.xml`];
+    const sitemaps = [];
+    const urls = new Map();
+    while (queue.length > 0 && sitemaps.length < maxSitemaps) {
+        const sitemapUrl = queue.shift();
+        if (sitemaps.includes(sitemapUrl)) continue;
+        sitemaps.push(sitemapUrl);
+
+        const xml = await fetchText(sitemapUrl, { fetch, timeout });
+        if (xml === null) continue;
+
+        const parsed = parseSitemap(xml);
+        for (const entry of parsed.urls) {
+            if (!urls.has(entry.loc)) urls.set(entry.loc, entry.lastmod);
+        }
+        queue.push(...parsed.sitemaps);
+    }
+
+    return {
+        robots,
+        sitemaps,
+        urls: Array.from(urls, ([loc, lastmod]) => ({ loc, lastmod }))
+    };
+}
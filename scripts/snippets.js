@@ -0,0 +1,175 @@
+import { tokenizeWithOffsets } from './tokenizer.js';
+import { parseHeadings } from './sections.js';
+
+// 摘要默认选项
+export const DEFAULT_SNIPPET_OPTIONS = {
+    highlightPre: '<mark>',
+    highlightPost: '</mark>',
+    maxSnippets: 2,
+    snippetLength: 200
+};
+
+// 摘要边界向单词边界对齐时最多移动的字符数
+const BOUNDARY_SLACK = 20;
+
+/**
+ * 查找指定位置所属的标题路径
+ * @param {Array<{start: number, path: string[]}>} headings - parseHeadings的结果
+ * @param {number} position - 文本位置
+ * @returns {string[]} 标题路径，位于第一个标题之前时为空数组
+ */
+function headingPathAt(headings, position) {
+    let path = [];
+    for (const heading of headings) {
+        if (heading.start > position) break;
+        path = heading.path;
+    }
+    return path;
+}
+
+/**
+ * 找出文本中与查询词项匹配的位置，重叠或相邻的匹配合并为一段
+ * @param {string} text - 文本
+ * @param {Set<string>} terms - 查询词项
+ * @returns {Array<{start: number, end: number, terms: Set<string>}>} 按位置排列的命中区间
+ */
+function findHits(text, terms) {
+    const hits = [];
+    const matches = tokenizeWithOffsets(text)
+        .filter(item => terms.has(item.token))
+        .sort((a, b) => a.start - b.start || a.end - b.end);
+
+    for (const { token, start, end } of matches) {
+        const last = hits[hits.length - 1];
+        if (last && start <= last.end) {
+            last.end = Math.max(last.end, end);
+            last.terms.add(token);
+        } else {
+            hits.push({ start, end, terms: new Set([token]) });
+        }
+    }
+
+    return hits;
+}
+
+/**
+ * 为每个命中区间计算以其开头、长度不超过snippetLength的窗口及得分
+ * 得分优先考虑窗口内不同词项的数量，其次是命中次数
+ * @param {Array} hits - 命中区间
+ * @param {number} snippetLength - 摘要长度
+ * @returns {Array<{first: number, last: number, score: number}>} 候选窗口
+ */
+function scoreWindows(hits, snippetLength) {
+    const windows = [];
+
+    for (let first = 0; first < hits.length; first++) {
+        const terms = new Set();
+        let last = first;
+        while (last < hits.length && hits[last].end - hits[first].start <= snippetLength) {
+            hits[last].terms.forEach(term => terms.add(term));
+            last++;
+        }
+        // 单个命中区间超过摘要长度时仍然保留
+        last = Math.max(last - 1, first);
+        windows.push({ first, last, score: terms.size * hits.length + (last - first + 1) });
+    }
+
+    return windows;
+}
+
+/**
+ * 将窗口扩展到摘要长度，使命中内容居中，并尽量在空白处断开
+ * @param {string} text - 文本
+ * @param {number} spanStart - 命中内容起始位置
+ * @param {number} spanEnd - 命中内容结束位置
+ * @param {number} snippetLength - 摘要长度
+ * @returns {{start: number, end: number}} 摘要区间
+ */
+function expandWindow(text, spanStart, spanEnd, snippetLength) {
+    const padding = Math.max(0, Math.floor((snippetLength - (spanEnd - spanStart)) / 2));
+    let start = Math.max(0, spanStart - padding);
+    let end = Math.min(text.length, Math.max(spanEnd, start + snippetLength));
+    start = Math.max(0, Math.min(start, end - snippetLength));
+
+    if (start > 0 && /\S/.test(text[start - 1])) {
+        const space = text.slice(start, Math.min(spanStart, start + BOUNDARY_SLACK)).search(/\s/);
+        if (space !== -1) start += space + 1;
+    }
+    if (end < text.length && /\S/.test(text[end])) {
+        const from = Math.max(spanEnd, end - BOUNDARY_SLACK);
+        const space = text.slice(from, end).search(/\s\S*$/);
+        if (space !== -1) end = from + space;
+    }
+
+    return { start, end };
+}
+
+/**
+ * 生成摘要文本: 高亮命中内容并合并空白
+ * @param {string} text - 文本
+ * @param {number} start - 起始位置
+ * @param {number} end - 结束位置
+ * @param {Array} hits - 命中区间
+ * @param {object} options - 高亮选项
+ * @returns {string} 摘要文本
+ */
+function renderSnippet(text, start, end, hits, { highlightPre, highlightPost }) {
+    const parts = [];
+    let cursor = start;
+
+    for (const hit of hits) {
+        if (hit.end <= start || hit.start >= end) continue;
+        const hitStart = Math.max(hit.start, start);
+        const hitEnd = Math.min(hit.end, end);
+        parts.push(text.slice(cursor, hitStart), highlightPre, text.slice(hitStart, hitEnd), highlightPost);
+        cursor = hitEnd;
+    }
+    parts.push(text.slice(cursor, end));
+
+    const body = parts.join('').replace(/\s+/g, ' ').trim();
+    return (start > 0 ? '…' : '') + body + (end < text.length ? '…' : '');
+}
+
+/**
+ * 从文档内容中截取与查询最相关的摘要
+ * 摘要以命中最密集的段落为中心，保留原文大小写并用高亮标记包裹命中内容，
+ * 同时给出摘要所在的Markdown标题路径。没有命中时返回文档开头部分
+ * @param {string} text - 文档内容
+ * @param {string[]} terms - 查询匹配的索引词项（SearchIndex.search返回的terms）
+ * @param {object} options - 选项，见DEFAULT_SNIPPET_OPTIONS
+ * @returns {Array<{text: string, headingPath: string[]}>} 摘要列表，按相关度排序
+ */
+export function buildSnippets(text, terms, options = {}) {
+    const settings = { ...DEFAULT_SNIPPET_OPTIONS, ...options };
+    const content = String(text || '');
+    if (!content.trim()) return [];
+
+    const headings = parseHeadings(content);
+    const hits = findHits(content, new Set(terms));
+
+    if (hits.length === 0) {
+        const { end } = expandWindow(content, 0, 0, settings.snippetLength);
+        return [{ text: renderSnippet(content, 0, end, [], settings), headingPath: headingPathAt(headings, 0) }];
+    }
+
+    // 按得分依次选取互不重叠的窗口
+    const windows = scoreWindows(hits, settings.snippetLength)
+        .sort((a, b) => b.score - a.score || a.first - b.first);
+    const chosen = [];
+
+    for (const window of windows) {
+        if (chosen.length >= settings.maxSnippets) break;
+
+        const spanStart = hits[window.first].start;
+        const spanEnd = hits[window.last].end;
+        const range = expandWindow(content, spanStart, spanEnd, settings.snippetLength);
+        if (chosen.some(item => range.start < item.end && item.start < range.end)) continue;
+
+        chosen.push({ ...range, spanStart });
+    }
+
+    return chosen.map(({ start, end, spanStart }) => ({
+        text: renderSnippet(content, start, end, hits, settings),
+        headingPath: headingPathAt(headings, spanStart)
+    }));
+}
@@ -0,0 +1,40 @@
+import { getCacheValidators } from './page-freshness.js';
+
+// 文档源的页面渲染方式: static直接请求HTML在Node中解析，browser使用Puppeteer，auto先静态请求、正文太少时改用浏览器
+export const RENDER_MODES = ['static', 'browser', 'auto'];
+
+export const DEFAULT_RENDER_MODE = 'browser';
+
+// auto模式下静态提取的正文（纯文本）少于该字符数时改用浏览器（与浏览器模式判断动态内容未加载完成的阈值相同）
+export const STATIC_CONTENT_THRESHOLD = 500;
+
+/**
+ * 直接请求页面的HTML
+ * @param {string} url - 页面地址
+ * @param {object} options - 配置
+ * @param {Function} options.fetch - fetch实现
+ * @param {number} options.timeout - 请求超时时间（毫秒）
+ * @returns {Promise<{html: string, url: string, validators: object}>} HTML、重定向后的地址和缓存校验字段
+ * @throws {Error} 当前Node版本没有fetch、请求失败、状态码不是2xx或响应不是HTML
+ */
+export async function fetchStaticPage(url, { fetch = globalThis.fetch, timeout = 30000 } = {}) {
+    if (typeof fetch !== 'function') {
+        throw new Error(`静态抓取需要Node 18.17或更高版本（当前为 ${process.version}）`);
+    }
+    const response = await fetch(url, {
+        headers: { Accept: 'text/html,application/xhtml+xml' },
+        redirect: 'follow',
+        signal: AbortSignal.timeout(timeout)
+    });
+    const contentType = response.headers.get('content-type') || '';
+    if (!response.ok || (contentType && !/html/i.test(contentType))) {
+        await response.body?.cancel().catch(() => {});
+        throw new Error(response.ok ? `响应不是HTML页面: ${contentType}` : `HTTP ${response.status}`);
+    }
+
+    return {
+        html: await response.text(),
+        url: response.url || url,
+        validators: getCacheValidators(response.headers)
+    };
+}
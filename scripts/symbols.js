@@ -0,0 +1,400 @@
+import { splitSections, slugify, LEAD_ANCHOR } from './sections.js';
+import { markdownToPlainText } from './html-to-markdown.js';
+
+// 符号类型: 函数或方法、属性（没有参数列表的API名称）、组件（页面中带有属性表格的组件）
+export const SYMBOL_KINDS = ['function', 'property', 'component'];
+
+// 查找符号时的匹配方式，按优先级排列
+export const SYMBOL_MATCH_TYPES = ['exact', 'case-insensitive', 'member'];
+
+// 符号名称: 标识符用 . :: -> # 连接，如 Taro.navigateTo、Route::middleware、$request->input
+const IDENTIFIER = '[A-Za-z_$][\\w$]*';
+const QUALIFIED_NAME = `${IDENTIFIER}(?:(?:\\.|::|->|#)${IDENTIFIER})*`;
+
+// 签名: 可选的修饰词、名称、泛型参数、参数列表和返回类型
+const SIGNATURE_PATTERN = new RegExp(
+    `^(?:(?:public|protected|static|async|function|def|func|fn|new|abstract|final)\\s+)*(${QUALIFIED_NAME})` +
+    '\\s*(?:<[^()]*>)?\\s*(\\(.*\\))?\\s*(?:(?::|->|=>)\\s*(.+?))?\\s*[;{]?$'
+);
+
+// 看起来像文件名或产品名的标题（如 Node.js、package.json），没有参数列表和代码标记时不视为符号
+const FILE_LIKE_PATTERN = /\.(?:js|ts|jsx|tsx|json|md|css|html|php|vue|x)$/i;
+
+// 标题末尾的版本和废弃标记，如 "Taro.getEnv() 3.0.0+"、"foo (deprecated)"
+const TRAILING_MARKERS_PATTERN = /(?:\s*[(（[]?\s*(?:deprecated|已废弃|已弃用|since\s*v?\d+(?:\.\d+)+|v?\d+(?:\.\d+)+\s*\+)\s*[)）\]]?)+$/i;
+
+const DEPRECATED_PATTERN = /@deprecated|\bdeprecated\b|已废弃|已弃用|不推荐使用/i;
+const SINCE_PATTERNS = [
+    /(?:@since|\bsince\b|自|从)\s*[:：]?\s*v?(\d+(?:\.\d+)+)/i,
+    /v?(\d+(?:\.\d+)+)\s*(?:版本)?\s*(?:起|开始|及以上|\+)/
+];
+
+// 返回值小标题和返回值说明行（如 "**返回值**: Promise<void>"）
+const RETURNS_HEADING_PATTERN = /^(?:返回值?|returns?|return (?:value|type))$/i;
+const RETURNS_LINE_PATTERN = /^(?:[-*]\s+)?(?:\*\*)?(?:返回值|返回|returns?|return (?:value|type))(?:\*\*)?\s*[:：](?:\*\*)?\s*(.+)$/i;
+
+// 组件属性和事件表格所在的小标题
+const COMPONENT_HEADING_PATTERN = /^(?:api|props|properties|attributes|events|属性|参数|事件)(?![a-z])/i;
+
+// 参数表格各列的表头
+const COLUMN_PATTERNS = {
+    name: /^(?:参数名?|属性名?|名称|字段|事件名?|方法名?|name|prop(?:erty)?|param(?:eter)?|option|attribute|key|event|method)$/i,
+    type: /类型|type/i,
+    default: /默认|default/i,
+    required: /必填|必须|必需|required/i,
+    description: /说明|描述|含义|作用|description|desc/i
+};
+
+// 组件属性表格和事件表格的表头关键词，没有可识别的名称列时按列的位置读取
+const COMPONENT_PROPS_HEADER_PATTERN = /prop|参数|属性/i;
+const COMPONENT_EVENTS_HEADER_PATTERN = /event|事件/i;
+
+// 符号摘要的最大字符数
+const SUMMARY_LENGTH = 200;
+
+/**
+ * 将Markdown行内内容转换为纯文本
+ * @param {string} markdown - Markdown
+ * @returns {string} 纯文本
+ */
+function toPlain(markdown) {
+    return markdownToPlainText(markdown).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 解析文本中的签名
+ * @param {string} text - 标题或代码行
+ * @returns {{name: string, params: string|undefined, returns: string|undefined}|null} 名称、参数列表和返回类型，不是签名时返回null
+ */
+function parseSignature(text) {
+    const match = SIGNATURE_PATTERN.exec(text.trim());
+    return match ? { name: match[1], params: match[2], returns: match[3] } : null;
+}
+
+/**
+ * 判断标题是否为API符号，如 "Taro.navigateTo(option)"、"`Route::middleware`"
+ * 普通单词标题（如 "Props"、"Installation"）只有写成代码时才视为符号
+ * @param {string} title - Markdown标题文本
+ * @returns {{name: string, signature: string|null, returns: string|null}|null} 符号名称、签名和返回类型
+ */
+function parseSymbolHeading(title) {
+    const text = toPlain(title).replace(TRAILING_MARKERS_PATTERN, '');
+    const parsed = parseSignature(text);
+    if (!parsed) return null;
+
+    const isCode = /`/.test(title);
+    const isQualified = parsed.name !== parsed.name.replace(/\.|::|->|#/g, '');
+    if (!parsed.params && !isCode && (!isQualified || FILE_LIKE_PATTERN.test(parsed.name))) return null;
+
+    return {
+        name: parsed.name,
+        signature: parsed.params ? text : null,
+        returns: parsed.returns || null
+    };
+}
+
+/**
+ * 拆分Markdown表格行
+ * @param {string} line - 表格行
+ * @returns {string[]} 单元格的Markdown内容（转义的 \| 在转换为纯文本时还原）
+ */
+function splitTableRow(line) {
+    return line.trim()
+        .replace(/^\|/, '')
+        .replace(/(?<!\\)\|$/, '')
+        .split(/(?<!\\)\|/)
+        .map(cell => cell.trim());
+}
+
+/**
+ * 读取段落中的Markdown表格（代码块中的内容除外）
+ * @param {string} content - 段落内容
+ * @returns {Array<{headers: string[], rows: string[][]}>} 表头和各行单元格（均为纯文本）
+ */
+function readTables(content) {
+    const tables = [];
+    const lines = content.split('\n');
+    let fence = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const fenceMatch = /^\s*(`{3,}|~{3,})/.exec(lines[i]);
+        if (fenceMatch) {
+            if (!fence) fence = fenceMatch[1];
+            else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+            continue;
+        }
+        if (fence || !/^\s*\|/.test(lines[i]) || !/^\s*\|?\s*:?-{3,}/.test(lines[i + 1] || '')) continue;
+
+        const headers = splitTableRow(lines[i]).map(toPlain);
+        const rows = [];
+        for (i += 2; i < lines.length && /^\s*\|/.test(lines[i]); i++) {
+            rows.push(splitTableRow(lines[i]).map(toPlain));
+        }
+        i--;
+        tables.push({ headers, rows });
+    }
+
+    return tables;
+}
+
+/**
+ * 将参数表格转换为参数或事件列表: 第一个名称列作为名称，其余列按表头识别
+ * 没有可识别的名称列时沿用组件页面属性表格的规则: 表头含有 属性、参数、prop 的为属性表格，含有 事件、event 的为事件表格，
+ * 第一列作为名称，最后一列作为说明，属性表格的第二列作为类型
+ * @param {{headers: string[], rows: string[][]}} table - 表格
+ * @returns {{kind: string, items: object[]}|null} 表格类型（params或events）和各行，不是参数表格时返回null
+ */
+function readParamTable({ headers, rows }) {
+    const columns = {};
+    for (const [field, pattern] of Object.entries(COLUMN_PATTERNS)) {
+        const index = headers.findIndex((header, i) => pattern.test(header) && !Object.values(columns).includes(i));
+        if (index >= 0) columns[field] = index;
+    }
+    let kind = null;
+    if (columns.name === undefined) {
+        if (headers.some(header => COMPONENT_PROPS_HEADER_PATTERN.test(header))) kind = 'params';
+        else if (headers.some(header => COMPONENT_EVENTS_HEADER_PATTERN.test(header))) kind = 'events';
+        else return null;
+
+        columns.name = 0;
+        if (kind === 'params' && columns.type === undefined && headers.length > 2) columns.type = 1;
+        if (columns.description === undefined && headers.length > 1) columns.description = headers.length - 1;
+    }
+
+    const items = rows
+        .map(cells => {
+            const item = { name: cells[columns.name] || '' };
+            for (const field of ['type', 'default', 'description']) {
+                const value = columns[field] !== undefined ? cells[columns[field]] : '';
+                if (value && value !== '-') item[field] = value;
+            }
+            if (columns.required !== undefined && cells[columns.required]) {
+                item.required = /^(?:是|必填|必须|yes|y|true|required|✓|√)$/i.test(cells[columns.required]);
+            }
+            return item;
+        })
+        .filter(item => item.name);
+
+    return { kind: kind || (/事件|event/i.test(headers[columns.name]) ? 'events' : 'params'), items };
+}
+
+/**
+ * 读取段落正文（去掉标题、表格和代码块）的纯文本行
+ * @param {string} content - 段落内容
+ * @returns {string[]} 非空的纯文本行
+ */
+function readProseLines(content) {
+    const body = content.split('\n').filter(line => !/^\s*\|/.test(line) && !/^#{1,6}\s/.test(line)).join('\n');
+    return markdownToPlainText(body.replace(/^\s*(`{3,}|~{3,})[^\n]*\n[\s\S]*?^\s*\1\s*$/gm, ''))
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+}
+
+/**
+ * 在段落中查找符号的签名: 单独一行的行内代码或代码块的第一行，名称需要与符号名称（或其最后一段）相同
+ * @param {string} content - 段落内容
+ * @param {string} name - 符号名称
+ * @returns {{signature: string, returns: string|undefined}|null} 签名及其中的返回类型，没有找到时返回null
+ */
+function findSignature(content, name) {
+    const member = name.split(/\.|::|->|#/).pop();
+    const lines = content.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+        let candidate = null;
+        const inlineCode = /^\s*`([^`]+)`\s*$/.exec(lines[i]);
+        if (inlineCode) {
+            candidate = inlineCode[1];
+        } else if (/^\s*(`{3,}|~{3,})/.test(lines[i])) {
+            candidate = lines.slice(i + 1).find(line => line.trim()) || '';
+        }
+        if (candidate === null) continue;
+
+        const parsed = parseSignature(candidate);
+        if (parsed && parsed.params && (parsed.name === name || parsed.name.split(/\.|::|->|#/).pop() === member)) {
+            return { signature: candidate.trim().replace(/\s*[;{]$/, ''), returns: parsed.returns };
+        }
+        // 只检查段落中的第一个代码
+        return null;
+    }
+    return null;
+}
+
+/**
+ * 读取版本标记
+ * @param {string} text - 标题或正文
+ * @returns {string|null} 起始版本
+ */
+function findSince(text) {
+    for (const pattern of SINCE_PATTERNS) {
+        const match = pattern.exec(text);
+        if (match) return match[1];
+    }
+    return null;
+}
+
+/**
+ * 从页面的Markdown内容中提取API符号
+ * 名称形如 Taro.navigateTo(option)、`Route::middleware` 的标题为符号，签名取自标题或段落中的第一个代码，
+ * 参数取自该标题下（直到下一个符号或同级标题）的参数表格，返回值取自签名、"返回值"小标题或 "返回值:" 说明行。
+ * 组件页面中 Props、属性、事件 等小标题下的表格作为一级标题所述组件的属性和事件。
+ * 符号的anchor与按标题切分的段落锚点相同
+ * @param {string} content - 页面的Markdown内容
+ * @returns {Array<{name: string, kind: string, anchor: string, section: string, signature?: string, returns?: string, since?: string,
+ *   deprecated?: boolean, summary?: string, params?: object[], events?: object[]}>} 符号列表，按出现顺序排列
+ */
+export function extractSymbols(content) {
+    const sections = splitSections('', { content });
+    const symbols = [];
+    const stack = [];
+    let component = null;
+
+    const createSymbol = (section, fields) => {
+        const symbol = { name: fields.name, kind: fields.kind, anchor: section.anchor, section: toPlain(section.title) };
+        symbols.push(symbol);
+        return symbol;
+    };
+
+    for (const section of sections) {
+        if (section.level === 0) continue;
+        while (stack.length > 0 && stack[stack.length - 1].level >= section.level) stack.pop();
+        let owner = stack.length > 0 ? stack[stack.length - 1].symbol : null;
+
+        const heading = parseSymbolHeading(section.title);
+        if (heading) {
+            owner = createSymbol(section, { name: heading.name, kind: heading.signature ? 'function' : 'property' });
+            const found = heading.signature ? null : findSignature(section.content, heading.name);
+            const signature = heading.signature || (found && found.signature);
+            const returns = heading.returns || (found && found.returns);
+            if (signature) {
+                owner.kind = 'function';
+                owner.signature = signature;
+            }
+            if (returns) owner.returns = returns;
+
+            const prose = readProseLines(section.content);
+            const since = findSince(section.title) || findSince(prose.join('\n'));
+            if (since) owner.since = since;
+            if (DEPRECATED_PATTERN.test(section.title) || prose.some(line => DEPRECATED_PATTERN.test(line))) owner.deprecated = true;
+            const summary = prose.find(line => !RETURNS_LINE_PATTERN.test(line));
+            if (summary) owner.summary = summary.length > SUMMARY_LENGTH ? `${summary.slice(0, SUMMARY_LENGTH)}...` : summary;
+        }
+        stack.push({ level: section.level, symbol: owner });
+
+        const title = toPlain(section.title);
+        if (RETURNS_HEADING_PATTERN.test(title)) {
+            // 返回值小标题下的表格是返回结果的字段，不作为参数
+            if (owner && !owner.returns) {
+                const line = section.content.split('\n').slice(1).find(item => item.trim() && !/^\s*\|/.test(item));
+                const code = line && /`([^`]+)`/.exec(line);
+                if (line) owner.returns = code ? code[1] : toPlain(line);
+            }
+            continue;
+        }
+
+        if (owner && !owner.returns) {
+            const returnsLine = section.content.split('\n').map(line => RETURNS_LINE_PATTERN.exec(line.trim())).find(Boolean);
+            if (returnsLine) {
+                const code = /`([^`]+)`/.exec(returnsLine[1]);
+                owner.returns = code ? code[1] : toPlain(returnsLine[1]);
+            }
+        }
+
+        for (const table of readTables(section.content)) {
+            const parsed = readParamTable(table);
+            if (!parsed || parsed.items.length === 0) continue;
+
+            let target = owner;
+            if (!target && COMPONENT_HEADING_PATTERN.test(title)) {
+                if (!component) {
+                    const pageHeading = sections.find(item => item.level === 1);
+                    const name = pageHeading && new RegExp(`^${IDENTIFIER}`).exec(toPlain(pageHeading.title));
+                    if (name) component = createSymbol(section, { name: name[0], kind: 'component' });
+                }
+                target = component;
+            }
+            if (!target) continue;
+            target[parsed.kind] = [...(target[parsed.kind] || []), ...parsed.items];
+        }
+    }
+
+    return symbols;
+}
+
+/**
+ * 从组件页面的表格中提取组件符号，用于直接读取页面DOM表格的组件页面爬取
+ * 属性和事件表格按 readParamTable 的规则读取，组件名称为页面标题开头的标识符（如 "Picker 选择器" 中的 Picker）
+ * @param {string} title - 页面标题
+ * @param {Array<{headers: string[], rows: string[][], heading?: string}>} tables - 表格的表头和各行单元格（纯文本），heading为表格所在的小标题
+ * @returns {object[]} 组件符号，没有属性或事件表格时返回空数组
+ */
+export function extractComponentSymbols(title, tables) {
+    const name = new RegExp(`^${IDENTIFIER}`).exec(toPlain(title || ''));
+    if (!name) return [];
+
+    let component = null;
+    for (const table of tables || []) {
+        const parsed = readParamTable(table);
+        if (!parsed || parsed.items.length === 0) continue;
+        if (!component) {
+            const heading = table.heading || '';
+            component = { name: name[0], kind: 'component', anchor: heading ? slugify(heading) : LEAD_ANCHOR, section: heading };
+        }
+        component[parsed.kind] = [...(component[parsed.kind] || []), ...parsed.items];
+    }
+    return component ? [component] : [];
+}
+
+/**
+ * 汇总文档源各页面的符号
+ * 使用页面保存的symbols字段；没有该字段但内容为爬虫转换的Markdown（带有text字段）时从内容中提取
+ * @param {object} pages - 页面数据，键为页面ID
+ * @returns {object[]} 符号列表，每项附带所属页面ID（pageId）
+ */
+export function buildSymbolTable(pages) {
+    const table = [];
+    for (const [pageId, page] of Object.entries(pages || {})) {
+        if (!page) continue;
+        const symbols = Array.isArray(page.symbols)
+            ? page.symbols
+            : (typeof page.text === 'string' ? extractSymbols(String(page.content || '')) : []);
+        for (const symbol of symbols) {
+            if (symbol && symbol.name) table.push({ ...symbol, pageId });
+        }
+    }
+    return table;
+}
+
+/**
+ * 统一符号名称的分隔符和大小写，Route::middleware、Route->middleware 和 route.middleware 视为相同
+ * @param {string} name - 符号名称
+ * @returns {string} 规范化的名称
+ */
+function normalizeSymbolName(name) {
+    return name.toLowerCase().replace(/::|->|#/g, '.');
+}
+
+/**
+ * 在符号表中查找符号
+ * 依次按完整名称精确匹配、忽略大小写和分隔符匹配、成员名匹配（如 navigateTo 匹配 Taro.navigateTo），查询中的参数列表会被忽略
+ * @param {object[]} table - buildSymbolTable生成的符号表
+ * @param {string} query - 符号名称，如 Taro.navigateTo、Route::middleware()
+ * @returns {Array<{symbol: object, match: string}>} 匹配的符号和匹配方式，按匹配方式的优先级排列
+ */
+export function lookupSymbols(table, query) {
+    const name = String(query || '').trim().replace(/\s*\(.*\)?\s*$/, '');
+    if (!name) return [];
+
+    const normalized = normalizeSymbolName(name);
+    const matches = [];
+    for (const symbol of table) {
+        const symbolName = normalizeSymbolName(symbol.name);
+        let match = null;
+        if (symbol.name === name) match = 'exact';
+        else if (symbolName === normalized) match = 'case-insensitive';
+        else if (symbolName.endsWith(`.${normalized}`)) match = 'member';
+        if (match) matches.push({ symbol, match });
+    }
+
+    return matches.sort((a, b) => SYMBOL_MATCH_TYPES.indexOf(a.match) - SYMBOL_MATCH_TYPES.indexOf(b.match));
+}
@@ -5,13 +5,35 @@ import path from 'path';
 import { docSources, crawlerConfig } from '../config/doc-sources.js';
 import { dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { checkPageFreshness, getCacheValidators, hashPageContent, classifyPageChange, isUnchangedSinceLastmod, PAGE_CHANGE_TYPES } from './page-freshness.js';
+import { getCrawlStatePath, loadCrawlState, saveCrawlState, removeCrawlState, CRAWL_STATE_INTERVAL } from './crawl-state.js';
+import { discoverSite, isPathAllowed } from './site-discovery.js';
+import { fetchStaticPage, DEFAULT_RENDER_MODE, STATIC_CONTENT_THRESHOLD } from './static-renderer.js';
+import { extractPageContent } from './page-content.js';
+import { extractSymbols, extractComponentSymbols } from './symbols.js';
+import { extractExamples, collectExamples } from './examples.js';
+
+// 随标题和内容一起保存的字段: 用于建立索引的纯文本、API符号、代码示例和增量爬取字段
+const PAGE_META_FIELDS = ['text', 'symbols', 'examples', 'etag', 'lastModified', 'lastmod', 'contentHash', 'crawledAt'];
 
 export class TaskManager {
-    constructor() {
+    /**
+     * @param {object} configOverrides - 覆盖crawlerConfig中的配置项（如文档源自带的crawler配置）
+     * @param {object} options - 配置
+     * @param {string} options.outputDir - 文档输出目录，默认为项目根目录的docs目录
+     * @param {boolean} options.resume - 是否从上次未完成的爬取状态继续
+     * @param {number} options.stateInterval - 保存爬取状态的间隔（毫秒）
+     * @param {object} options.logger - 日志输出（log、info、warn、error），默认为console
+     */
+    constructor(configOverrides = {}, { outputDir = null, resume = false, stateInterval = CRAWL_STATE_INTERVAL, logger = console } = {}) {
         this.tasks = new Map();                // 存储任务的Map
-        this.browserManager = new BrowserManager(); // 浏览器管理器
+        this.logger = logger;                  // 日志输出
+        this.outputDir = outputDir || path.join(dirname(fileURLToPath(import.meta.url)), '..', 'docs'); // 文档输出目录
+        this.resume = resume;                  // 是否继续上次未完成的爬取
+        this.stateInterval = stateInterval;    // 保存爬取状态的间隔
+        this.config = { ...crawlerConfig, ...configOverrides }; // 爬虫配置
+        this.browserManager = new BrowserManager(this.config, this.logger); // 浏览器管理器
         this.initialized = false;              // 初始化标志
-        this.config = crawlerConfig;           // 爬虫配置
         this.activePages = 0;                  // 当前活动的页面数
         this.pendingUrls = new Map();          // 待处理的URL集合,key为url,value为状态对象
         this.processingUrls = new Set();       // 正在处理的URL集合
@@ -20,20 +42,171 @@ export class TaskManager {
         this.fileLocks = new Map();            // 文件锁
         this.saveQueue = new Map();            // 文件保存队列
         this.lastSavePromise = new Map();      // 每个文件的最后一次保存操作
+        this.cancelled = false;                // 是否已取消
+        this.failedPages = new Map();          // 重试后仍然失败的URL,value为{ source, error }
+        this.pendingRemovals = new Map();      // 待从文档文件中移除的页面,key为源名称,value为URL集合
+    }
+
+    /**
+     * 获取文档源的输出文件名（保存在输出目录中）
+     * @param {string} sourceName - 源名称
+     * @returns {string} 文件名
+     */
+    static getOutputFileName(sourceName) {
+        return `${sourceName.toLowerCase()}-docs.json`;
+    }
+
+    /**
+     * 取消爬取: 不再处理待处理的URL，正在处理的页面完成后队列结束
+     * 待处理的URL保留在爬取状态中，之后可以继续爬取
+     */
+    cancel() {
+        this.cancelled = true;
+        this.logger.log('[任务] 爬取已取消，等待正在处理的页面完成');
+    }
+
+    /**
+     * 等待所有已安排的保存操作完成
+     */
+    async flushSaves() {
+        while (this._savePromises && this._savePromises.size > 0) {
+            await Promise.all(this._savePromises.values());
+        }
+    }
+
+    /**
+     * 结束爬取: 等待保存完成，完整爬取时从文档文件中移除已不存在的页面并删除爬取状态
+     * 上次爬取过、本次返回404/410或不再匹配爬取规则的页面视为已移除；取消的爬取不移除页面，保留爬取状态以便继续
+     * @returns {Promise<object>} 页面变化汇总，见getChangeSummary
+     */
+    async finishCrawl() {
+        await this.flushSaves();
+
+        if (this.cancelled) {
+            await this.persistCrawlState();
+            this.logger.log('[状态] 已保存爬取状态，可以使用 --resume 继续爬取');
+            return this.getChangeSummary();
+        }
+
+        for (const taskGroup of this.tasks.values()) {
+            for (const url of taskGroup.previousPages.keys()) {
+                if (!taskGroup.pages.has(url)) taskGroup.changes.removed.add(url);
+            }
+            if (taskGroup.changes.removed.size > 0) {
+                this.pendingRemovals.set(taskGroup.name, new Set(taskGroup.changes.removed));
+                const outputPath = path.join(this.outputDir, TaskManager.getOutputFileName(taskGroup.name));
+                await this._performActualSave(taskGroup.name, outputPath);
+            }
+            await removeCrawlState(getCrawlStatePath(this.outputDir, taskGroup.name));
+        }
+
+        return this.getChangeSummary();
+    }
+
+    /**
+     * 保存各文档源的爬取状态: 待处理的URL和已保存的页面
+     * 已爬取但尚未写入文档文件的页面记为待处理，继续爬取时重新处理
+     */
+    async persistCrawlState() {
+        if (this._savingState) return;
+        this._savingState = true;
+
+        try {
+            const pending = [...this.pendingUrls.keys(), ...this.processingUrls];
+            for (const taskGroup of this.tasks.values()) {
+                const hostname = new URL(taskGroup.url).hostname;
+                const unsaved = this.pendingSaves.get(taskGroup.name) || new Set();
+                const isSaved = url => !unsaved.has(url);
+
+                await saveCrawlState(getCrawlStatePath(this.outputDir, taskGroup.name), {
+                    source: { name: taskGroup.name, url: taskGroup.url },
+                    startedAt: taskGroup.startedAt,
+                    updatedAt: new Date().toISOString(),
+                    pending: [...new Set([...pending.filter(url => new URL(url).hostname === hostname), ...unsaved])],
+                    visited: [...taskGroup.pages.keys()].filter(isSaved),
+                    changes: Object.fromEntries(PAGE_CHANGE_TYPES.map(type => [type, [...taskGroup.changes[type]].filter(isSaved)]))
+                });
+            }
+        } catch (error) {
+            this.logger.warn(`[警告] 保存爬取状态失败: ${error.message}`);
+        } finally {
+            this._savingState = false;
+        }
+    }
+
+    /**
+     * 获取与上次爬取相比的页面变化
+     * @returns {{sources: Array<{name: string, added: string[], changed: string[], removed: string[], unchanged: number}>}}
+     *   各文档源新增、变化、移除的页面地址和未变化的页面数
+     */
+    getChangeSummary() {
+        return {
+            sources: Array.from(this.tasks.values()).map(taskGroup => ({
+                name: taskGroup.name,
+                added: [...taskGroup.changes.added],
+                changed: [...taskGroup.changes.changed],
+                removed: [...taskGroup.changes.removed],
+                unchanged: taskGroup.changes.unchanged.size
+            }))
+        };
+    }
+
+    /**
+     * 读取上次爬取保存的页面，用于条件请求和变化比较
+     * @param {string} sourceName - 源名称
+     * @returns {Promise<Map<string, object>>} URL -> 页面记录，文件不存在或无法解析时为空
+     */
+    async loadPreviousPages(sourceName) {
+        const outputPath = path.join(this.outputDir, TaskManager.getOutputFileName(sourceName));
+        try {
+            const data = JSON.parse(await fs.readFile(outputPath, 'utf-8'));
+            return new Map(Object.entries(data.pages || {}));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.warn(`[警告] 读取上次爬取的页面失败，将全部重新爬取: ${error.message}`);
+            }
+            return new Map();
+        }
+    }
+
+    /**
+     * 获取爬取进度
+     * @returns {{sources: Array<{name: string, pages: number}>, pages: number, pending: number, processing: number, failed: number}}
+     *   各文档源已爬取的页面数、总页面数、待处理和正在处理的URL数、失败的页面数
+     */
+    getProgress() {
+        const sources = Array.from(this.tasks.values()).map(taskGroup => ({
+            name: taskGroup.name,
+            pages: taskGroup.pages.size
+        }));
+        return {
+            sources,
+            pages: sources.reduce((sum, source) => sum + source.pages, 0),
+            pending: this.pendingUrls.size,
+            processing: this.processingUrls.size,
+            failed: this.failedPages.size
+        };
     }
 
     /**
      * 初始化任务管理器
+     * 浏览器在开始处理队列时按需启动，所有文档源都使用static模式时不启动浏览器
      */
     async init() {
-        if (this.initialized) return;
+        this.initialized = true;
+    }
+
+    /**
+     * 启动浏览器（已启动时直接返回）
+     */
+    async launchBrowser() {
+        if (this.browserManager.browser) return;
         
         try {
             await this.browserManager.init();
-            console.log('[任务] 浏览器初始化成功');
-            this.initialized = true;
+            this.logger.log('[任务] 浏览器初始化成功');
         } catch (error) {
-            console.error('[任务] 初始化失败:', error);
+            this.logger.error('[任务] 初始化失败:', error);
             throw error;
         }
     }
@@ -48,22 +221,17 @@ export class TaskManager {
         try {
             // 确保sourceName有效
             if (!sourceName) {
-                console.error(`[保存] 无效的sourceName: ${sourceName}`);
+                this.logger.error(`[保存] 无效的sourceName: ${sourceName}`);
                 return;
             }
             
-            // 获取当前脚本的目录
-            const scriptDir = dirname(fileURLToPath(import.meta.url));
-            // 获取项目根目录
-            const projectRoot = path.join(scriptDir, '..');
-            
-            // 确保docs目录存在
-            const docsDir = path.join(projectRoot, 'docs');
+            // 确保输出目录存在
+            const docsDir = this.outputDir;
             await fs.mkdir(docsDir, { recursive: true }).catch(() => {});
             
             // 构建输出文件路径 - 直接使用.json扩展名
-            const outputPath = path.join(docsDir, `${sourceName.toLowerCase()}-docs.json`);
-            console.log(`[配置] 将为 ${sourceName} 保存文档至: ${outputPath}`);
+            const outputPath = path.join(docsDir, TaskManager.getOutputFileName(sourceName));
+            this.logger.log(`[配置] 将为 ${sourceName} 保存文档至: ${outputPath}`);
             
             // 首先，保存到内存缓存
             if (!this.savedPages.has(sourceName)) {
@@ -94,23 +262,23 @@ export class TaskManager {
                         await this._performActualSave(sourceName, outputPath);
                         resolve();
                     } catch (err) {
-                        console.error(`[错误] ${sourceName}保存失败:`, err);
+                        this.logger.error(`[错误] ${sourceName}保存失败:`, err);
                         
                         // 即使保存失败，也要进行重试
                         try {
-                            console.log(`[重试] 尝试再次保存 ${sourceName}...`);
+                            this.logger.log(`[重试] 尝试再次保存 ${sourceName}...`);
                             // 等待一段时间再重试
                             await new Promise(r => setTimeout(r, 3000));
                             await this._performActualSave(sourceName, outputPath);
-                            console.log(`[恢复] ${sourceName}重试保存成功`);
+                            this.logger.log(`[恢复] ${sourceName}重试保存成功`);
                             resolve();
                         } catch (retryError) {
-                            console.error(`[严重错误] ${sourceName}重试保存也失败: ${retryError.message}`);
+                            this.logger.error(`[严重错误] ${sourceName}重试保存也失败: ${retryError.message}`);
                             
                             // 尝试保存到备用位置
                             try {
                                 const backupPath = `${outputPath}.backup-${Date.now()}.json`;
-                                console.log(`[紧急备份] 尝试保存到备用位置: ${backupPath}`);
+                                this.logger.log(`[紧急备份] 尝试保存到备用位置: ${backupPath}`);
                                 
                                 // 准备数据
                                 const backupData = {
@@ -130,16 +298,16 @@ export class TaskManager {
                                             const safePageData = this.ensureSafeJsonData(pageData);
                                             backupData.pages[pageUrl] = safePageData;
                                         } catch (e) {
-                                            console.warn(`[警告] 无法将页面添加到备份: ${pageUrl}`);
+                                            this.logger.warn(`[警告] 无法将页面添加到备份: ${pageUrl}`);
                                         }
                                     }
                                 }
                                 
                                 // 写入备份文件
                                 await fs.writeFile(backupPath, JSON.stringify(backupData, null, 2), 'utf-8');
-                                console.log(`[紧急备份] 成功保存到: ${backupPath}`);
+                                this.logger.log(`[紧急备份] 成功保存到: ${backupPath}`);
                             } catch (backupError) {
-                                console.error(`[紧急备份失败] ${backupError.message}`);
+                                this.logger.error(`[紧急备份失败] ${backupError.message}`);
                             }
                             
                             resolve(); // 仍然解析以允许将来保存
@@ -154,7 +322,7 @@ export class TaskManager {
             this._savePromises.set(sourceName, savePromise);
             return savePromise;
         } catch (error) {
-            console.error(`[错误] 保存页面失败: ${error.message}`);
+            this.logger.error(`[错误] 保存页面失败: ${error.message}`);
         }
     }
 
@@ -180,12 +348,12 @@ export class TaskManager {
                         
                         if (lockAge > 30000) {
                             // 过时的锁，覆盖它
-                            console.log(`[锁] 删除${sourceName}的过时锁`);
+                            this.logger.log(`[锁] 删除${sourceName}的过时锁`);
                             await fs.unlink(lockFile).catch(() => {});
                             await fs.writeFile(lockFile, Date.now().toString());
                         } else {
                             // 最近的锁，等待并重试
-                            console.log(`[锁] 等待${sourceName}的锁`);
+                            this.logger.log(`[锁] 等待${sourceName}的锁`);
                             await new Promise(r => setTimeout(r, 2000));
                             throw new Error('锁存在');
                         }
@@ -199,14 +367,15 @@ export class TaskManager {
                 }
             });
             
-            // 获取待保存的URL
+            // 获取待保存和待移除的URL
             const pendingUrls = Array.from(this.pendingSaves.get(sourceName) || []);
-            if (pendingUrls.length === 0) {
-                console.log(`[保存] ${sourceName}没有待处理的URL`);
+            const removedUrls = Array.from(this.pendingRemovals.get(sourceName) || []);
+            if (pendingUrls.length === 0 && removedUrls.length === 0) {
+                this.logger.log(`[保存] ${sourceName}没有待处理的URL`);
                 return;
             }
             
-            console.log(`[保存] 正在为${sourceName}保存${pendingUrls.length}个页面`);
+            this.logger.log(`[保存] 正在为${sourceName}保存${pendingUrls.length}个页面`);
             
             // 读取现有数据或创建新结构
             let existingData = {
@@ -234,10 +403,10 @@ export class TaskManager {
                                 lastUpdated: new Date().toISOString(),
                                 pages: parsed.pages || {}
                             };
-                            console.log(`[加载] 成功解析JSON数据，包含${Object.keys(existingData.pages || {}).length}个页面`);
+                            this.logger.log(`[加载] 成功解析JSON数据，包含${Object.keys(existingData.pages || {}).length}个页面`);
                         }
                     } catch (jsonError) {
-                        console.log(`[信息] 不是有效的JSON文件，尝试其他格式: ${jsonError.message}`);
+                        this.logger.log(`[信息] 不是有效的JSON文件，尝试其他格式: ${jsonError.message}`);
                         
                         // 如果不是有效的JSON，尝试匹配export default到最后一个分号
                         try {
@@ -256,10 +425,10 @@ export class TaskManager {
                                             lastUpdated: new Date().toISOString(),
                                             pages: parsed.pages || {}
                                         };
-                                        console.log(`[加载] 成功解析JS模块数据，包含${Object.keys(existingData.pages || {}).length}个页面`);
+                                        this.logger.log(`[加载] 成功解析JS模块数据，包含${Object.keys(existingData.pages || {}).length}个页面`);
                                     }
                                 } catch (fnError) {
-                                    console.warn(`[警告] Function解析失败: ${fnError.message}`);
+                                    this.logger.warn(`[警告] Function解析失败: ${fnError.message}`);
                                     
                                     // 后备方法: 尝试JSON解析
                                     try {
@@ -281,30 +450,30 @@ export class TaskManager {
                                                 lastUpdated: new Date().toISOString(),
                                                 pages: parsed.pages || {}
                                             };
-                                            console.log(`[加载] 通过JSON方法成功解析数据，包含${Object.keys(existingData.pages || {}).length}个页面`);
+                                            this.logger.log(`[加载] 通过JSON方法成功解析数据，包含${Object.keys(existingData.pages || {}).length}个页面`);
                                         }
                                     } catch (jsonError) {
-                                        console.warn(`[警告] 所有解析方法都失败: ${jsonError.message}`);
+                                        this.logger.warn(`[警告] 所有解析方法都失败: ${jsonError.message}`);
                                         
                                         // 如果现有文件解析失败，创建备份，以便检查问题
                                         const errorBackupPath = `${outputPath}.error-${Date.now()}.bak`;
                                         await fs.copyFile(outputPath, errorBackupPath).catch(() => {});
-                                        console.log(`[错误备份] 已创建错误备份: ${errorBackupPath}`);
+                                        this.logger.log(`[错误备份] 已创建错误备份: ${errorBackupPath}`);
                                         
                                         // 继续使用空对象
-                                        console.log(`[注意] 将使用新的空数据结构`);
+                                        this.logger.log(`[注意] 将使用新的空数据结构`);
                                     }
                                 }
                             } else {
-                                console.log(`[信息] 未找到export default语句，使用新的数据结构`);
+                                this.logger.log(`[信息] 未找到export default语句，使用新的数据结构`);
                             }
                         } catch (parseErr) {
-                            console.warn(`[警告] 解析现有文件失败: ${parseErr.message}`);
+                            this.logger.warn(`[警告] 解析现有文件失败: ${parseErr.message}`);
                         }
                     }
                 }
             } catch (readErr) {
-                console.warn(`[警告] 读取现有文件失败: ${readErr.message}`);
+                this.logger.warn(`[警告] 读取现有文件失败: ${readErr.message}`);
             }
             
             // 确保pages存在
@@ -354,27 +523,27 @@ export class TaskManager {
                 const pageData = this.savedPages.get(sourceName)?.get(url);
                 if (pageData) {
                     try {
-                        // 确保所有字段安全可序列化
-                        const safePageData = this.ensureSafeJsonData(pageData);
-                        
                         // 检查是否有内容相似的页面已经存在
-                        const similarUrl = findSimilarPage(url, safePageData);
+                        const similarUrl = findSimilarPage(url, pageData);
                         if (similarUrl) {
-                            console.log(`[相似] 发现相似页面 ${url} 与 ${similarUrl}，跳过保存`);
+                            this.logger.log(`[相似] 发现相似页面 ${url} 与 ${similarUrl}，跳过保存`);
                             continue; // 跳过保存
                         }
                         
-                        // 确保页面数据至少包含必要字段
+                        // 确保页面数据至少包含必要字段；JSON.stringify会处理转义，所有字段保存原始值（Markdown中的换行和代码中的引号需要原样保留）
                         const finalPageData = {
-                            title: safePageData.title || '无标题',
-                            content: safePageData.content || ''
+                            title: pageData.title || '无标题',
+                            content: pageData.content || ''
                         };
+                        for (const field of PAGE_META_FIELDS) {
+                            if (pageData[field]) finalPageData[field] = pageData[field];
+                        }
                         
                         // 只更新现有数据，而不是替换整个对象
                         existingData.pages[url] = finalPageData;
                         updateCount++;
                     } catch (dataError) {
-                        console.warn(`[警告] 处理页面数据时出错 ${url}: ${dataError.message}`);
+                        this.logger.warn(`[警告] 处理页面数据时出错 ${url}: ${dataError.message}`);
                         // 尝试使用最小数据
                         try {
                             // 确保至少有标题和内容的占位符
@@ -384,15 +553,24 @@ export class TaskManager {
                             };
                             updateCount++;
                         } catch (fallbackError) {
-                            console.error(`[错误] 无法保存基本数据 ${url}: ${fallbackError.message}`);
+                            this.logger.error(`[错误] 无法保存基本数据 ${url}: ${fallbackError.message}`);
                         }
                     }
                 }
             }
             
+            // 移除已不存在的页面
+            for (const url of removedUrls) {
+                if (existingData.pages[url]) {
+                    delete existingData.pages[url];
+                    updateCount++;
+                }
+            }
+            
             // 如果没有更新任何页面，提前返回，避免重写文件
             if (updateCount === 0) {
-                console.log(`[跳过] ${sourceName} 没有新页面需要保存`);
+                this.pendingRemovals.delete(sourceName);
+                this.logger.log(`[跳过] ${sourceName} 没有新页面需要保存`);
                 return;
             }
             
@@ -404,7 +582,7 @@ export class TaskManager {
             try {
                 formattedJson = JSON.stringify(existingData, null, 2);
             } catch (jsonError) {
-                console.error(`[严重错误] JSON序列化失败，尝试修复数据: ${jsonError.message}`);
+                this.logger.error(`[严重错误] JSON序列化失败，尝试修复数据: ${jsonError.message}`);
                 
                 // 尝试使用更安全的序列化方法
                 try {
@@ -422,15 +600,15 @@ export class TaskManager {
                             const testJson = JSON.stringify(this.ensureSafeJsonData(pageData));
                             safeData.pages[pageUrl] = JSON.parse(testJson);
                         } catch (e) {
-                            console.warn(`[警告] 页面 ${pageUrl} 无法序列化，将被跳过: ${e.message}`);
+                            this.logger.warn(`[警告] 页面 ${pageUrl} 无法序列化，将被跳过: ${e.message}`);
                         }
                     }
                     
                     formattedJson = JSON.stringify(safeData, null, 2);
-                    console.log(`[恢复] 成功恢复数据，保留了 ${Object.keys(safeData.pages).length} 个页面`);
+                    this.logger.log(`[恢复] 成功恢复数据，保留了 ${Object.keys(safeData.pages).length} 个页面`);
                 } catch (fallbackError) {
                     // 如果所有尝试都失败，创建一个最小化的有效数据
-                    console.error(`[严重错误] 无法恢复数据: ${fallbackError.message}`);
+                    this.logger.error(`[严重错误] 无法恢复数据: ${fallbackError.message}`);
                     formattedJson = JSON.stringify({
                         source: { name: sourceName, url: this.tasks.get(sourceName)?.url || '' },
                         lastUpdated: new Date().toISOString(),
@@ -442,7 +620,7 @@ export class TaskManager {
             // 确保输出路径是有效的
             const jsonOutputPath = outputPath;
             // 输出实际使用的路径用于调试
-            console.log(`[路径] 文档将保存至: ${jsonOutputPath}`);
+            this.logger.log(`[路径] 文档将保存至: ${jsonOutputPath}`);
             
             const jsonTempPath = `${jsonOutputPath}.new`;
             const backupPath = `${jsonOutputPath}.bak`;
@@ -458,21 +636,22 @@ export class TaskManager {
             
             // 将JSON临时文件重命名为实际文件（原子操作）
             await fs.rename(jsonTempPath, jsonOutputPath);
-            console.log(`[保存] 已保存为JSON格式: ${jsonOutputPath}`);
+            this.logger.log(`[保存] 已保存为JSON格式: ${jsonOutputPath}`);
             
             // 删除备份文件
             if (fsSync.existsSync(backupPath)) {
-                await fs.unlink(backupPath).catch(err => console.warn(`[警告] 无法删除备份文件 ${backupPath}: ${err.message}`));
+                await fs.unlink(backupPath).catch(err => this.logger.warn(`[警告] 无法删除备份文件 ${backupPath}: ${err.message}`));
             }
             
             // 成功！从待处理列表中清除已保存的页面
             for (const url of pendingUrls) {
                 this.pendingSaves.get(sourceName)?.delete(url);
             }
+            this.pendingRemovals.delete(sourceName);
             
-            console.log(`[保存完成] ${sourceName} - 已保存${updateCount}个页面，总计: ${Object.keys(existingData.pages).length}`);
+            this.logger.log(`[保存完成] ${sourceName} - 已保存${updateCount}个页面，总计: ${Object.keys(existingData.pages).length}`);
         } catch (error) {
-            console.error(`[保存错误] 保存${sourceName}失败:`, error);
+            this.logger.error(`[保存错误] 保存${sourceName}失败:`, error);
             // 不清除待处理的URL - 它们将在下次重试
         } finally {
             // 移除锁文件
@@ -530,7 +709,7 @@ export class TaskManager {
             normalizedUrl = normalizedUrl.replace(/\/$/, '');
             return normalizedUrl;
         } catch (error) {
-            console.error(`[错误] 标准化URL失败 (${url}): ${error.message}`);
+            this.logger.error(`[错误] 标准化URL失败 (${url}): ${error.message}`);
             return url;
         }
     }
@@ -545,7 +724,7 @@ export class TaskManager {
             const urlObj = new URL(url);
             return `${urlObj.origin}${urlObj.pathname}${urlObj.search}`;
         } catch (error) {
-            console.error(`[错误] 解析URL失败 (${url}): ${error.message}`);
+            this.logger.error(`[错误] 解析URL失败 (${url}): ${error.message}`);
             return url;
         }
     }
@@ -560,53 +739,93 @@ export class TaskManager {
         const normalizedUrl = this.getNormalizedUrl(url);
         
         // 检查是否已经处理过
-        if (this.processingUrls.has(normalizedUrl) || taskGroup.pages.has(normalizedUrl)) {
-            console.log(`[跳过] ${url} 已处理或正在处理中`);
+        if (this.processingUrls.has(normalizedUrl) || taskGroup.pages.has(normalizedUrl) || taskGroup.changes.removed.has(normalizedUrl)) {
+            this.logger.log(`[跳过] ${url} 已处理或正在处理中`);
+            return;
+        }
+
+        if (!this.isAllowedByRobots(url, taskGroup)) {
+            this.logger.log(`[robots] ${url} 被robots.txt禁止爬取，跳过`);
+            return;
+        }
+
+        // 上次爬取过的页面: 站点地图的lastmod未变化时直接沿用上次的内容，否则发送条件请求，未变化时也不再打开页面
+        const previous = taskGroup.previousPages.get(normalizedUrl);
+        const lastmod = taskGroup.sitemapLastmod.get(normalizedUrl) || null;
+        this.processingUrls.add(normalizedUrl);
+        let freshness;
+        try {
+            freshness = isUnchangedSinceLastmod(previous, lastmod)
+                ? { status: 'unchanged', validators: {} }
+                : await checkPageFreshness(url, previous, {
+                    timeout: this.config.pageLoadTimeout ?? 30000,
+                    beforeRequest: () => this.waitForCrawlDelay(taskGroup)
+                });
+        } finally {
+            this.processingUrls.delete(normalizedUrl);
+        }
+        if (freshness.status === 'unchanged') {
+            this.logger.log(`[未变化] ${taskGroup.name} - ${url}`);
+            taskGroup.pages.set(normalizedUrl, previous);
+            taskGroup.changes.unchanged.add(normalizedUrl);
+            return;
+        }
+        if (freshness.status === 'removed') {
+            this.logger.log(`[已移除] ${taskGroup.name} - ${url}`);
+            taskGroup.changes.removed.add(normalizedUrl);
+            return;
+        }
+
+        // static和auto模式先直接请求HTML，auto模式下正文太少（可能需要执行脚本才能渲染）时改用浏览器
+        if (taskGroup.renderMode !== 'browser' && await this.processStaticUrl(url, taskGroup, { previous, lastmod })) {
+            this.requeueIfCancelled(normalizedUrl, taskGroup);
             return;
         }
 
         let page = null;
         let retryCount = 0;
-        const maxRetries = 3;
+        const maxRetries = this.config.maxRetries ?? 3;
 
-        while (retryCount < maxRetries) {
+        while (retryCount < maxRetries && !this.cancelled) {
             try {
                 this.processingUrls.add(normalizedUrl);
                 this.activePages++;
-                console.log(`\n[爬取] ${taskGroup.name} - ${url} (当前活动页面: ${this.activePages}, 重试次数: ${retryCount})`);
+                this.logger.log(`\n[爬取] ${taskGroup.name} - ${url} (当前活动页面: ${this.activePages}, 重试次数: ${retryCount})`);
                 
                 // 每次重试都重新获取页面，避免使用分离的Frame
                 if (page) {
                     try {
                         await page.close().catch(() => {});
                     } catch (error) {
-                        console.log(`[关闭] 关闭旧页面失败: ${error.message}`);
+                        this.logger.log(`[关闭] 关闭旧页面失败: ${error.message}`);
                     }
                     page = null;
                 }
                 
+                await this.waitForCrawlDelay(taskGroup);
                 page = await this.browserManager.getPage(url);
+                let navigationResponse = null;
                 
                 // 使用更可靠的方式等待页面加载
                 try {
                     // 采用更通用的等待策略
-                    await page.goto(url, {
+                    navigationResponse = await page.goto(url, {
                         waitUntil: 'networkidle0', // 使用networkidle0等待所有网络请求完成
-                        timeout: 30000 // 30秒超时
+                        timeout: this.config.pageLoadTimeout ?? 30000 // 默认30秒超时
                     }).catch(error => {
-                        console.log(`[警告] 页面导航错误，但将继续处理: ${error.message}`);
+                        this.logger.log(`[警告] 页面导航错误，但将继续处理: ${error.message}`);
                     });
                     
                     // 确保body元素加载完成
                     await page.waitForSelector('body', { timeout: 10000 }).catch(() => {
-                        console.log(`[警告] 等待页面body元素超时: ${url}`);
+                        this.logger.log(`[警告] 等待页面body元素超时: ${url}`);
                     });
                     
                     // 等待动态内容加载
                     await this.waitForDynamicContent(page);
                     
                 } catch (navigationError) {
-                    console.log(`[警告] 页面加载错误，但将继续处理: ${navigationError.message}`);
+                    this.logger.log(`[警告] 页面加载错误，但将继续处理: ${navigationError.message}`);
                 }
 
                 // 添加try-catch保护所有页面操作
@@ -716,165 +935,23 @@ export class TaskManager {
                         
                         return Array.from(linkSet);
                     }).catch(error => {
-                        console.warn(`[警告] 提取链接失败，将使用空数组: ${error.message}`);
+                        this.logger.warn(`[警告] 提取链接失败，将使用空数组: ${error.message}`);
                         return [];
                     });
                     
-                    // 过滤同域名的链接
-                    const baseUrl = new URL(taskGroup.url);
-                    const sameDomainLinks = links.filter(link => {
-                        try {
-                            const targetUrl = new URL(link);
-                            return targetUrl.hostname === baseUrl.hostname;
-                        } catch (e) {
-                            return false;
-                        }
-                    });
-                    
-                    console.log(`[链接] 发现 ${sameDomainLinks.length} 个同域名链接`);
+                    const sameDomainLinks = this.getSameDomainLinks(links, taskGroup);
                     
-                    // 提取页面内容
-                    const pageData = await page.evaluate(() => {
-                        try {
-                            // 获取标题
-                            const title = document.title || '';
-                            
-                            // 获取内容
-                            let content = '';
-                            
-                            // 先移除所有script和style标签
-                            const tempDoc = document.cloneNode(true);
-                            // 只移除非文档内容的脚本和样式
-                            tempDoc.querySelectorAll('script:not([type="text/example"]):not([class*="example"]):not([data-type="example"]), style:not([data-example]), link[rel="stylesheet"]').forEach(el => el.remove());
-                            
-                            // 保留可能是文档示例的代码，但标记它们
-                            tempDoc.querySelectorAll('pre, code, [class*="example"], [class*="demo"], [class*="snippet"], [data-lang]').forEach(el => {
-                                el.setAttribute('data-is-example', 'true');
-                            });
-                            
-                            // 尝试获取主要内容区域
-                            let mainContent = null;
-                            try {
-                                mainContent = tempDoc.querySelector('.markdown-body, .doc-content, article, main, .content');
-                            } catch (queryError) {
-                                console.error(`查询主内容区域失败: ${queryError.message}`);
-                            }
-                            
-                            if (mainContent) {
-                                try {
-                                    content = mainContent.innerText || '';
-                                } catch (textError) {
-                                    console.error(`提取主内容文本失败: ${textError.message}`);
-                                    content = '';
-                                }
-                            } else {
-                                // 如果没有找到主要内容区域，尝试获取所有内容
-                                try {
-                                    if (tempDoc.body) {
-                                        // 移除页面中常见的非文档相关元素
-                                        const nonDocElements = tempDoc.body.querySelectorAll('nav, header, footer, aside, .sidebar, .navigation, .menu, .ads, .banner, .cookie-notice, .modal');
-                                        nonDocElements.forEach(el => el.remove());
-                                        
-                                        // 更智能地处理代码元素 - 保留文档中的代码示例
-                                        const codeElements = tempDoc.body.querySelectorAll('pre:not([data-is-example="true"]), code:not([data-is-example="true"])');
-                                        codeElements.forEach(el => {
-                                            // 检查是否在文档内容区域内
-                                            const isInContent = el.closest('.doc-content, .markdown-body, article, main, .content, [class*="example"], [class*="demo"]');
-                                            // 检查内容是否看起来像示例代码
-                                            const textContent = el.textContent || '';
-                                            const looksLikeExample = 
-                                                (textContent.includes('function') && textContent.includes('{') && textContent.includes('}')) || 
-                                                (textContent.includes('class') && textContent.includes('{')) ||
-                                                (textContent.includes('<') && textContent.includes('>')) ||
-                                                (textContent.includes('@media') || textContent.includes('@import')) ||
-                                                (textContent.includes('const ') || textContent.includes('let ')) ||
-                                                (textContent.includes('.css') || textContent.includes('.js'));
-                                            
-                                            // 如果不在内容区域内且不像示例代码，则移除
-                                            if (!isInContent && !looksLikeExample) {
-                                                el.remove();
-                                            } else {
-                                                // 如果像示例代码，标记它以便保留
-                                                el.setAttribute('data-is-example', 'true');
-                                            }
-                                        });
-                                        
-                                        content = tempDoc.body.innerText || '';
-                                    } else {
-                                        content = '';
-                                    }
-                                } catch (bodyTextError) {
-                                    console.error(`提取body文本失败: ${bodyTextError.message}`);
-                                    content = '';
-                                }
-                            }
-                            
-                            // 清理内容 - 增强版
-                            content = content
-                                .replace(/\n{3,}/g, '\n\n') // 将多个连续换行替换为两个换行
-                                .replace(/\s+/g, ' ') // 将多个连续空格替换为单个空格
-                                .replace(/[{}]/g, match => '\\' + match) // 转义花括号
-                                .replace(/["\\]/g, match => '\\' + match) // 转义引号和反斜杠
-                                // 删除可能的CSS样式和JavaScript代码片段，但避免删除示例代码
-                                .replace(/(?<!example|demo|snippet)[\s\n]*{[\s\S]*?}/g, function(match) {
-                                    // 检查上下文判断是否是示例代码
-                                    if (match.includes('function') || match.includes('class') || 
-                                        match.includes('const ') || match.includes('let ') ||
-                                        match.includes('var ') || match.includes('return ') ||
-                                        match.includes('@media') || match.includes('import ')) {
-                                        return match; // 保留可能的示例代码
-                                    }
-                                    return ''; // 删除非示例代码
-                                })
-                                .replace(/(?<!\/\/\s*example[\s\n]*)function\s*\([\s\S]*?\)\s*{[\s\S]*?}/g, function(match) {
-                                    // 检查是否有示例代码注释
-                                    if (match.includes('// example') || match.includes('/* example') || 
-                                        match.includes('// 示例') || match.includes('/* 示例')) {
-                                        return match; // 保留有示例注释的代码
-                                    }
-                                    return ''; // 删除非示例代码
-                                })
-                                // 保留框架特定的语法
-                                .replace(/(?<!\/\/\s*example[\s\n]*)(?<!example|demo|snippet)[\s\n]*var\s+\w+\s*=.*;/g, '')
-                                .replace(/(?<!\/\/\s*example[\s\n]*)(?<!example|demo|snippet)[\s\n]*const\s+\w+\s*=.*;/g, '')
-                                .replace(/(?<!\/\/\s*example[\s\n]*)(?<!example|demo|snippet)[\s\n]*let\s+\w+\s*=.*;/g, '')
-                                .replace(/(?<!\/\/\s*example[\s\n]*)(?<!example|demo|snippet)[\s\n]*import\s+.*;/g, '')
-                                .replace(/(?<!\/\/\s*example[\s\n]*)(?<!example|demo|snippet)[\s\n]*export\s+.*;/g, '')
-                                // 谨慎处理注释，避免删除有用的文档注释
-                                .replace(/\/\*(?!\s*example)[\s\S]*?\*\//g, '')
-                                .replace(/(?<!example|demo|snippet)[\s\n]*\/\/(?!\s*example).*\n/g, '\n')
-                                .trim();
-                            
-                            // 确保title也是安全的
-                            const safeTitle = title ? 
-                                title.replace(/[{}]/g, match => '\\' + match)
-                                    .replace(/["\\]/g, match => '\\' + match) : 
-                                '';
-                            
-                            return {
-                                title: safeTitle,
-                                content: content
-                            };
-                        } catch (globalError) {
-                            console.error(`提取页面内容时出错: ${globalError.message}`);
-                            // 返回空数据，避免完全失败
-                            return {
-                                title: '页面加载错误',
-                                content: `无法提取内容: ${globalError.message}`
-                            };
-                        }
-                    }).catch(error => {
-                        console.warn(`[警告] 提取内容失败，将使用空数据: ${error.message}`);
-                        return {
-                            title: '页面提取失败',
-                            content: `提取内容错误: ${error.message}`
-                        };
+                    // 提取页面内容: 在Node中将渲染后的HTML转换为Markdown，保留标题、列表、表格和代码块
+                    const pageData = await this.extractRenderedContent(page).catch(error => {
+                        this.logger.warn(`[警告] 提取内容失败，将使用空数据: ${error.message}`);
+                        const message = `提取内容错误: ${error.message}`;
+                        return { title: '页面提取失败', content: message, text: message };
                     });
                     
                     // 检查内容是否为空或太少（可能是动态加载尚未完成）
-                    if (pageData.content.length < 500) { // 只用字符数量判断，500字符以下认为内容不完整
+                    if (pageData.text.length < 500) { // 只用字符数量判断，500字符以下认为内容不完整
                         
-                        console.log(`[动态内容] 检测到内容较少(${pageData.content.length}字符)，可能是动态加载尚未完成，尝试使用多种方法重新抓取...`);
+                        this.logger.log(`[动态内容] 检测到内容较少(${pageData.text.length}字符)，可能是动态加载尚未完成，尝试使用多种方法重新抓取...`);
                         
                         // 1. 尝试点击可能的页面元素来激活内容
                         try {
@@ -900,19 +977,19 @@ export class TaskManager {
                                         btn.click();
                                     }
                                 });
-                            }).catch(e => console.log(`[点击] 点击元素时出错: ${e.message}`));
+                            }).catch(e => this.logger.log(`[点击] 点击元素时出错: ${e.message}`));
                             
                             // 等待可能的交互反应
                             await new Promise(resolve => setTimeout(resolve, 2000));
                         } catch (err) {
-                            console.log(`[警告] 尝试点击页面元素失败: ${err.message}`);
+                            this.logger.log(`[警告] 尝试点击页面元素失败: ${err.message}`);
                         }
                         
                         // 2. 尝试查找并切换到包含内容的iframe
                         try {
                             const frames = await page.frames();
                             if (frames.length > 1) {
-                                console.log(`[iframe] 发现页面中有${frames.length}个iframe，尝试从中提取内容`);
+                                this.logger.log(`[iframe] 发现页面中有${frames.length}个iframe，尝试从中提取内容`);
                                 
                                 // 提取所有iframe的内容
                                 for (const frame of frames) {
@@ -928,151 +1005,36 @@ export class TaskManager {
                                         });
                                         
                                         if (frameContent.hasContent) {
-                                            console.log(`[iframe] 在iframe中发现内容，长度: ${frameContent.length}字符`);
+                                            this.logger.log(`[iframe] 在iframe中发现内容，长度: ${frameContent.length}字符`);
                                             
                                             // 从iframe中提取内容
-                                            const iframeData = await frame.evaluate(() => {
-                                                // 获取标题
-                                                const title = document.title || '';
-                                                
-                                                // 获取内容
-                                                let content = '';
-                                                
-                                                // 先移除所有script和style标签
-                                                const tempDoc = document.cloneNode(true);
-                                                // 只移除非文档内容的脚本和样式
-                                                tempDoc.querySelectorAll('script:not([type="text/example"]):not([class*="example"]):not([data-type="example"]), style:not([data-example]), link[rel="stylesheet"]').forEach(el => el.remove());
-                                                
-                                                // 保留可能是文档示例的代码，但标记它们
-                                                tempDoc.querySelectorAll('pre, code, [class*="example"], [class*="demo"], [class*="snippet"], [data-lang]').forEach(el => {
-                                                    el.setAttribute('data-is-example', 'true');
-                                                });
-                                                
-                                                // 尝试获取主要内容区域
-                                                let mainContent = null;
-                                                try {
-                                                    mainContent = tempDoc.querySelector('.markdown-body, .doc-content, article, main, .content');
-                                                } catch (queryError) {
-                                                    console.error(`查询主内容区域失败: ${queryError.message}`);
-                                                }
-                                                
-                                                if (mainContent) {
-                                                    try {
-                                                        content = mainContent.innerText || '';
-                                                    } catch (textError) {
-                                                        console.error(`提取主内容文本失败: ${textError.message}`);
-                                                        content = '';
-                                                    }
-                                                } else {
-                                                    // 如果没有找到主要内容区域，尝试获取所有内容
-                                                    try {
-                                                        if (tempDoc.body) {
-                                                            // 移除页面中常见的非文档相关元素
-                                                            const nonDocElements = tempDoc.body.querySelectorAll('nav, header, footer, aside, .sidebar, .navigation, .menu, .ads, .banner, .cookie-notice, .modal');
-                                                            nonDocElements.forEach(el => el.remove());
-                                                            
-                                                            // 更智能地处理代码元素 - 保留文档中的代码示例
-                                                            const codeElements = tempDoc.body.querySelectorAll('pre:not([data-is-example="true"]), code:not([data-is-example="true"])');
-                                                            codeElements.forEach(el => {
-                                                                // 检查是否在文档内容区域内
-                                                                const isInContent = el.closest('.doc-content, .markdown-body, article, main, .content, [class*="example"], [class*="demo"]');
-                                                                // 检查内容是否看起来像示例代码
-                                                                const textContent = el.textContent || '';
-                                                                const looksLikeExample = 
-                                                                    (textContent.includes('function') && textContent.includes('{') && textContent.includes('}')) || 
-                                                                    (textContent.includes('class') && textContent.includes('{')) ||
-                                                                    (textContent.includes('<') && textContent.includes('>')) ||
-                                                                    (textContent.includes('@media') || textContent.includes('@import')) ||
-                                                                    (textContent.includes('const ') || textContent.includes('let ')) ||
-                                                                    (textContent.includes('.css') || textContent.includes('.js'));
-                                                                
-                                                                // 如果不在内容区域内且不像示例代码，则移除
-                                                                if (!isInContent && !looksLikeExample) {
-                                                                    el.remove();
-                                                                } else {
-                                                                    // 如果像示例代码，标记它以便保留
-                                                                    el.setAttribute('data-is-example', 'true');
-                                                                }
-                                                            });
-                                                            
-                                                            content = tempDoc.body.innerText || '';
-                                                        } else {
-                                                            content = '';
-                                                        }
-                                                    } catch (bodyTextError) {
-                                                        console.error(`提取body文本失败: ${bodyTextError.message}`);
-                                                        content = '';
-                                                    }
-                                                }
-                                                
-                                                return {
-                                                    title: title || '',
-                                                    content: content
-                                                };
-                                            });
+                                            const iframeData = await this.extractRenderedContent(frame);
                                             
-                                            if (iframeData.content && iframeData.content.length > pageData.content.length) {
-                                                console.log(`[iframe] 从iframe中提取了更多内容: ${iframeData.content.length}字符`);
-                                                if (iframeData.title) pageData.title = iframeData.title;
-                                                pageData.content = iframeData.content;
+                                            if (iframeData.text.length > pageData.text.length) {
+                                                this.logger.log(`[iframe] 从iframe中提取了更多内容: ${iframeData.text.length}字符`);
+                                                Object.assign(pageData, {
+                                                    title: iframeData.title || pageData.title,
+                                                    content: iframeData.content,
+                                                    text: iframeData.text
+                                                });
                                             }
                                         }
                                     } catch (frameErr) {
-                                        console.log(`[iframe] 访问iframe内容时出错: ${frameErr.message}`);
+                                        this.logger.log(`[iframe] 访问iframe内容时出错: ${frameErr.message}`);
                                     }
                                 }
                             }
                         } catch (frameErr) {
-                            console.log(`[警告] 处理iframe时出错: ${frameErr.message}`);
+                            this.logger.log(`[警告] 处理iframe时出错: ${frameErr.message}`);
                         }
                         
-                        // 3. 尝试直接抓取HTML内容并解析，绕过可能的JavaScript保护
-                        try {
-                            const htmlContent = await page.content();
-                            console.log(`[HTML解析] 获取页面HTML源码，长度: ${htmlContent.length}字符`);
-                            
-                            // 尝试使用正则表达式直接从HTML中提取主要内容
-                            // 常见内容容器的模式
-                            const contentPatterns = [
-                                /<article[^>]*>([\s\S]*?)<\/article>/i,
-                                /<div[^>]*class="[^"]*content[^"]*"[^>]*>([\s\S]*?)<\/div>/i,
-                                /<div[^>]*class="[^"]*doc-content[^"]*"[^>]*>([\s\S]*?)<\/div>/i,
-                                /<div[^>]*class="[^"]*markdown-body[^"]*"[^>]*>([\s\S]*?)<\/div>/i,
-                                /<main[^>]*>([\s\S]*?)<\/main>/i,
-                                /<div[^>]*id="content"[^>]*>([\s\S]*?)<\/div>/i
-                            ];
-                            
-                            let bestContent = '';
-                            
-                            for (const pattern of contentPatterns) {
-                                const match = htmlContent.match(pattern);
-                                if (match && match[1]) {
-                                    // 提取文本内容，移除HTML标签
-                                    const extractedText = match[1].replace(/<[^>]*>/g, ' ')
-                                        .replace(/\s+/g, ' ')
-                                        .trim();
-                                    
-                                    if (extractedText.length > bestContent.length) {
-                                        bestContent = extractedText;
-                                    }
-                                }
-                            }
-                            
-                            if (bestContent.length > pageData.content.length * 2) {
-                                console.log(`[HTML解析] 直接从HTML中提取到内容: ${bestContent.length}字符`);
-                                pageData.content = bestContent;
-                            }
-                        } catch (htmlErr) {
-                            console.log(`[警告] 解析HTML内容时出错: ${htmlErr.message}`);
-                        }
-                        
-                        // 4. 检查是否有特殊API请求获取内容（如Ajax）
+                        // 3. 检查是否有特殊API请求获取内容（如Ajax）
                         try {
                             // 使用新的方法确保请求拦截已启用
                             const interceptEnabled = await this.ensureRequestInterception(page);
                             
                             if (!interceptEnabled) {
-                                console.log(`[API] 无法启用请求拦截，跳过API内容检测`);
+                                this.logger.log(`[API] 无法启用请求拦截，跳过API内容检测`);
                             } else {
                                 // 监听请求，确保继续处理所有请求
                                 const requestHandler = request => {
@@ -1080,7 +1042,7 @@ export class TaskManager {
                                         request.continue().catch((continueErr) => {
                                             // 检查是否是请求拦截未启用错误
                                             if (continueErr.message && continueErr.message.includes('Request Interception is not enabled')) {
-                                                console.log(`[API] 请求拦截未启用，跳过请求处理`);
+                                                this.logger.log(`[API] 请求拦截未启用，跳过请求处理`);
                                                 return;
                                             }
                                             
@@ -1093,7 +1055,7 @@ export class TaskManager {
                                                 }).catch((respondErr) => {
                                                     // 检查是否是请求拦截未启用错误
                                                     if (respondErr.message && respondErr.message.includes('Request Interception is not enabled')) {
-                                                        console.log(`[API] 请求拦截未启用，跳过请求处理`);
+                                                        this.logger.log(`[API] 请求拦截未启用，跳过请求处理`);
                                                         return;
                                                     }
                                                     
@@ -1101,11 +1063,11 @@ export class TaskManager {
                                                     request.abort().catch(() => {});
                                                 });
                                             } catch (e) {
-                                                console.log(`[API] 处理请求失败: ${e.message}`);
+                                                this.logger.log(`[API] 处理请求失败: ${e.message}`);
                                             }
                                         });
                                     } catch (e) {
-                                        console.log(`[API] 处理请求时出错: ${e.message}`);
+                                        this.logger.log(`[API] 处理请求时出错: ${e.message}`);
                                         // 只有在不是拦截未启用错误时才尝试abort
                                         if (!e.message || !e.message.includes('Request Interception is not enabled')) {
                                             try {
@@ -1149,7 +1111,7 @@ export class TaskManager {
                                 ]);
                                 
                                 if (apiResponse && apiResponse.text) {
-                                    console.log(`[API] 捕获到API响应: ${apiResponse.url}`);
+                                    this.logger.log(`[API] 捕获到API响应: ${apiResponse.url}`);
                                     try {
                                         // 尝试解析JSON
                                         const jsonData = JSON.parse(apiResponse.text);
@@ -1158,17 +1120,17 @@ export class TaskManager {
                                         const contentKeys = ['content', 'body', 'text', 'html', 'data'];
                                         for (const key of contentKeys) {
                                             if (jsonData[key] && typeof jsonData[key] === 'string' && 
-                                                jsonData[key].length > pageData.content.length) {
-                                                console.log(`[API] 从API响应中提取内容: ${jsonData[key].length}字符`);
-                                                pageData.content = jsonData[key];
+                                                jsonData[key].length > pageData.text.length) {
+                                                this.logger.log(`[API] 从API响应中提取内容: ${jsonData[key].length}字符`);
+                                                pageData.content = pageData.text = jsonData[key];
                                                 break;
                                             }
                                         }
                                     } catch (jsonErr) {
                                         // 不是JSON，可能是纯文本
-                                        if (apiResponse.text.length > pageData.content.length) {
-                                            console.log(`[API] 使用API响应作为内容: ${apiResponse.text.length}字符`);
-                                            pageData.content = apiResponse.text;
+                                        if (apiResponse.text.length > pageData.text.length) {
+                                            this.logger.log(`[API] 使用API响应作为内容: ${apiResponse.text.length}字符`);
+                                            pageData.content = pageData.text = apiResponse.text;
                                         }
                                     }
                                 }
@@ -1181,9 +1143,9 @@ export class TaskManager {
                                     // 如果off方法不存在，则使用removeAllListeners（兼容老版本）
                                     try {
                                         page.removeAllListeners('request');
-                                        console.log(`[API] 已移除所有请求监听器`);
+                                        this.logger.log(`[API] 已移除所有请求监听器`);
                                     } catch (e) {
-                                        console.log(`[API] 无法移除请求监听器: ${e.message}`);
+                                        this.logger.log(`[API] 无法移除请求监听器: ${e.message}`);
                                     }
                                 }
                                 
@@ -1192,14 +1154,14 @@ export class TaskManager {
                                     try {
                                         // 如果我们启用的拦截，需要关闭它
                                         await page.setRequestInterception(false);
-                                        console.log(`[API] 已关闭请求拦截`);
+                                        this.logger.log(`[API] 已关闭请求拦截`);
                                     } catch (disableErr) {
-                                        console.log(`[警告] 关闭请求拦截失败: ${disableErr.message}`);
+                                        this.logger.log(`[警告] 关闭请求拦截失败: ${disableErr.message}`);
                                     }
                                 }
                             }
                         } catch (apiErr) {
-                            console.log(`[警告] 监听API请求时出错: ${apiErr.message}`);
+                            this.logger.log(`[警告] 监听API请求时出错: ${apiErr.message}`);
                             // 确保请求拦截被关闭，防止后续错误
                             try {
                                 await page.setRequestInterception(false);
@@ -1208,217 +1170,47 @@ export class TaskManager {
                             }
                         }
                         
-                        // 5. 最后，尝试常规滚动和重新抓取
+                        // 4. 最后，尝试常规滚动和重新抓取
                         await this.scrollPageToLoadLazyContent(page);
                         
                         // 等待足够时间后重新抓取
                         await new Promise(resolve => setTimeout(resolve, 3000));
                         
                         // 重新抓取内容
-                        const newPageData = await page.evaluate(() => {
-                            try {
-                                // 获取标题
-                                const title = document.title || '';
-                                
-                                // 获取内容
-                                let content = '';
-                                
-                                // 先移除所有script和style标签以及CSS链接
-                                const tempDoc = document.cloneNode(true);
-                                // 只移除非文档内容的脚本和样式
-                                tempDoc.querySelectorAll('script:not([type="text/example"]):not([class*="example"]):not([data-type="example"]), style:not([data-example]), link[rel="stylesheet"]').forEach(el => el.remove());
-                                
-                                // 保留可能是文档示例的代码，但标记它们
-                                tempDoc.querySelectorAll('pre, code, [class*="example"], [class*="demo"], [class*="snippet"], [data-lang]').forEach(el => {
-                                    el.setAttribute('data-is-example', 'true');
-                                });
-                                
-                                // 尝试获取主要内容区域
-                                let mainContent = null;
-                                try {
-                                    mainContent = tempDoc.querySelector('.markdown-body, .doc-content, article, main, .content');
-                                } catch (queryError) {
-                                    console.error(`查询主内容区域失败: ${queryError.message}`);
-                                }
-                                
-                                if (mainContent) {
-                                    try {
-                                        content = mainContent.innerText || '';
-                                    } catch (textError) {
-                                        console.error(`提取主内容文本失败: ${textError.message}`);
-                                        content = '';
-                                    }
-                                } else {
-                                    // 如果没有找到主要内容区域，尝试获取所有内容
-                                    try {
-                                        if (tempDoc.body) {
-                                            // 移除页面中常见的非文档相关元素
-                                            const nonDocElements = tempDoc.body.querySelectorAll('nav, header, footer, aside, .sidebar, .navigation, .menu, .ads, .banner, .cookie-notice, .modal');
-                                            nonDocElements.forEach(el => el.remove());
-                                            
-                                            // 更智能地处理代码元素 - 保留文档中的代码示例
-                                            const codeElements = tempDoc.body.querySelectorAll('pre:not([data-is-example="true"]), code:not([data-is-example="true"])');
-                                            codeElements.forEach(el => {
-                                                // 检查是否在文档内容区域内
-                                                const isInContent = el.closest('.doc-content, .markdown-body, article, main, .content, [class*="example"], [class*="demo"]');
-                                                // 检查内容是否看起来像示例代码
-                                                const textContent = el.textContent || '';
-                                                const looksLikeExample = 
-                                                    (textContent.includes('function') && textContent.includes('{') && textContent.includes('}')) || 
-                                                    (textContent.includes('class') && textContent.includes('{')) ||
-                                                    (textContent.includes('<') && textContent.includes('>')) ||
-                                                    (textContent.includes('@media') || textContent.includes('@import')) ||
-                                                    (textContent.includes('const ') || textContent.includes('let ')) ||
-                                                    (textContent.includes('.css') || textContent.includes('.js'));
-                                                
-                                                // 如果不在内容区域内且不像示例代码，则移除
-                                                if (!isInContent && !looksLikeExample) {
-                                                    el.remove();
-                                                } else {
-                                                    // 如果像示例代码，标记它以便保留
-                                                    el.setAttribute('data-is-example', 'true');
-                                                }
-                                            });
-                                            
-                                            content = tempDoc.body.innerText || '';
-                                        } else {
-                                            content = '';
-                                        }
-                                    } catch (bodyTextError) {
-                                        console.error(`提取body文本失败: ${bodyTextError.message}`);
-                                        content = '';
-                                    }
-                                }
-                                
-                                // 清理内容 - 增强版
-                                content = content
-                                    .replace(/\n{3,}/g, '\n\n') // 将多个连续换行替换为两个换行
-                                    .replace(/\s+/g, ' ') // 将多个连续空格替换为单个空格
-                                    .replace(/[{}]/g, match => '\\' + match) // 转义花括号
-                                    .replace(/["\\]/g, match => '\\' + match) // 转义引号和反斜杠
-                                    // 删除可能的CSS样式和JavaScript代码片段，但避免删除示例代码
-                                    .replace(/(?<!example|demo|snippet)[\s\n]*{[\s\S]*?}/g, function(match) {
-                                        // 检查上下文判断是否是示例代码
-                                        if (match.includes('function') || match.includes('class') || 
-                                            match.includes('const ') || match.includes('let ') ||
-                                            match.includes('var ') || match.includes('return ') ||
-                                            match.includes('@media') || match.includes('import ')) {
-                                            return match; // 保留可能的示例代码
-                                        }
-                                        return ''; // 删除非示例代码
-                                    })
-                                    .replace(/(?<!\/\/\s*example[\s\n]*)function\s*\([\s\S]*?\)\s*{[\s\S]*?}/g, function(match) {
-                                        // 检查是否有示例代码注释
-                                        if (match.includes('// example') || match.includes('/* example') || 
-                                            match.includes('// 示例') || match.includes('/* 示例')) {
-                                            return match; // 保留有示例注释的代码
-                                        }
-                                        return ''; // 删除非示例代码
-                                    })
-                                    // 保留框架特定的语法
-                                    .replace(/(?<!\/\/\s*example[\s\n]*)(?<!example|demo|snippet)[\s\n]*var\s+\w+\s*=.*;/g, '')
-                                    .replace(/(?<!\/\/\s*example[\s\n]*)(?<!example|demo|snippet)[\s\n]*const\s+\w+\s*=.*;/g, '')
-                                    .replace(/(?<!\/\/\s*example[\s\n]*)(?<!example|demo|snippet)[\s\n]*let\s+\w+\s*=.*;/g, '')
-                                    .replace(/(?<!\/\/\s*example[\s\n]*)(?<!example|demo|snippet)[\s\n]*import\s+.*;/g, '')
-                                    .replace(/(?<!\/\/\s*example[\s\n]*)(?<!example|demo|snippet)[\s\n]*export\s+.*;/g, '')
-                                    // 谨慎处理注释，避免删除有用的文档注释
-                                    .replace(/\/\*(?!\s*example)[\s\S]*?\*\//g, '')
-                                    .replace(/(?<!example|demo|snippet)[\s\n]*\/\/(?!\s*example).*\n/g, '\n')
-                                    .replace(/<path[^>]*d=\\?"[^"]*\\?"[^>]*>/g, '') // 移除SVG路径数据
-                                    .replace(/d=\\?"[mMlLhHvVcCsSqQtTaAzZ0-9\s,.-]+\\?"/g, '') // 移除SVG路径描述数据
-                                    .trim();
-                                
-                                // 确保title也是安全的
-                                const safeTitle = title ? 
-                                    title.replace(/[{}]/g, match => '\\' + match)
-                                        .replace(/["\\]/g, match => '\\' + match) : 
-                                    '';
-                                
-                                return {
-                                    title: safeTitle,
-                                    content: content
-                                };
-                            } catch (globalError) {
-                                console.error(`重新提取页面内容时出错: ${globalError.message}`);
-                                // 返回空数据，避免完全失败
-                                return {
-                                    title: '页面重新加载错误',
-                                    content: `无法重新提取内容: ${globalError.message}`
-                                };
-                            }
-                        }).catch(error => {
-                            console.warn(`[警告] 重新提取内容失败: ${error.message}`);
+                        const newPageData = await this.extractRenderedContent(page).catch(error => {
+                            this.logger.warn(`[警告] 重新提取内容失败: ${error.message}`);
                             return pageData; // 如果重新提取失败，返回原始数据
                         });
                         
                         // 简化判断逻辑：只比较字符长度
-                        if (newPageData.content.length > pageData.content.length * 1.2) { // 内容增加20%以上则认为有效
-                            console.log(`[动态内容] 重新抓取成功！内容从${pageData.content.length}字符增加到${newPageData.content.length}字符`);
+                        if (newPageData.text.length > pageData.text.length * 1.2) { // 内容增加20%以上则认为有效
+                            this.logger.log(`[动态内容] 重新抓取成功！内容从${pageData.text.length}字符增加到${newPageData.text.length}字符`);
                             // 使用新抓取的数据
-                            pageData.title = newPageData.title;
-                            pageData.content = newPageData.content;
+                            Object.assign(pageData, {
+                                title: newPageData.title,
+                                content: newPageData.content,
+                                text: newPageData.text
+                            });
                         } else {
-                            console.log(`[动态内容] 重新抓取未获得明显改进，继续使用原始内容: ${pageData.content.length}字符`);
+                            this.logger.log(`[动态内容] 重新抓取未获得明显改进，继续使用原始内容: ${pageData.text.length}字符`);
                         }
                     }
                     
-                    // 保存页面数据
-                    const pageDataToSave = {
-                        title: pageData.title || `页面 ${normalizedUrl.split('/').pop() || '无标题'}`,
-                        content: pageData.content || '页面无内容'
-                    };
-                    
-                    taskGroup.pages.set(normalizedUrl, pageDataToSave);
-
-                    // 每爬取一个页面就保存一次
-                    await this.savePage(taskGroup.name, normalizedUrl, pageDataToSave);
-                    
-                    console.log(`[完成] ${taskGroup.name} - ${url}`);
-                    
-                    // 将新发现的链接添加到待处理集合（仅当页面处理成功时）
-                    for (const link of sameDomainLinks) {
-                        const normalizedLink = this.getNormalizedUrl(link);
-                        // 检查是否是组件链接
-                        if (this.isComponentLink(normalizedLink)) {
-                            // 检查是否匹配 excludePatterns
-                            const taskGroup = this.getTaskGroupByUrl(normalizedLink);
-                            if (taskGroup && taskGroup.excludePatterns && taskGroup.excludePatterns.length > 0) {
-                                const urlObj = new URL(normalizedLink);
-                                const pathname = urlObj.pathname;
-                                const pathWithoutHash = pathname.split('#')[0];
-                                const pathWithoutTrailingSlash = pathWithoutHash.replace(/\/$/, '');
-                                
-                                // 如果匹配任何一个 excludePattern，跳过这个链接
-                                if (taskGroup.excludePatterns.some(pattern => pattern.test(pathWithoutTrailingSlash))) {
-                                    console.log(`[跳过] ${normalizedLink} 匹配排除规则`);
-                                    continue;
-                                }
-                            }
-                            
-                            // 检查是否已经处理过或正在处理
-                            if (!this.processingUrls.has(normalizedLink) && !taskGroup.pages.has(normalizedLink)) {
-                                // 检查是否已经在待处理集合中
-                                if (!this.pendingUrls.has(normalizedLink)) {
-                                    this.pendingUrls.set(normalizedLink, {
-                                        url: normalizedLink,
-                                        status: 'pending',
-                                        retryCount: 0,
-                                        lastRetry: null
-                                    });
-                                }
-                            }
-                        }
-                    }
+                    // 记录缓存校验字段，下次爬取时用于条件请求
+                    const validators = navigationResponse
+                        ? getCacheValidators(navigationResponse.headers())
+                        : freshness.validators;
+                    await this.completePage(url, taskGroup, { pageData, links: sameDomainLinks, validators, previous, lastmod });
 
                     // 如果成功处理，跳出重试循环
                     break;
                 } catch (pageOperationError) {
-                    console.error(`[错误] 页面操作失败: ${url}`, pageOperationError);
+                    this.logger.error(`[错误] 页面操作失败: ${url}`, pageOperationError);
                     // 这个错误不会重新开始重试循环，而是直接抛出让外部catch捕获
                     throw pageOperationError;
                 }
             } catch (error) {
-                console.error(`[错误] 处理页面失败: ${url}`, error);
+                this.logger.error(`[错误] 处理页面失败: ${url}`, error);
                 retryCount++;
                 
                 // 更新URL状态为失败
@@ -1432,52 +1224,274 @@ export class TaskManager {
                 // 如果是Frame分离错误，增加重试间隔
                 const retryDelay = error.message && error.message.includes('detached Frame') 
                     ? retryCount * 5000  // Frame分离错误需要更长时间等待
-                    : retryCount * 2000; // 其他错误使用标准等待时间
+                    : retryCount * (this.config.retryDelay ?? 2000); // 其他错误使用标准等待时间
 
                 // 如果还有重试次数，等待一段时间后重试
                 if (retryCount < maxRetries) {
-                    console.log(`[重试] ${url} 将在 ${retryDelay/1000} 秒后重试...`);
+                    this.logger.log(`[重试] ${url} 将在 ${retryDelay/1000} 秒后重试...`);
                     await new Promise(resolve => setTimeout(resolve, retryDelay));
                 } else {
-                    // 最后一次尝试失败，但仍然保存一个"错误"页面，避免浪费之前的工作
-                    try {
-                        console.log(`[保存错误页面] ${url} 将被保存为错误页面`);
-                        const errorPageData = {
-                            title: `爬取失败: ${url.split('/').pop() || url}`,
-                            content: `处理此页面时发生错误: ${error.message}`
-                        };
-                        
-                        taskGroup.pages.set(normalizedUrl, errorPageData);
-                        
-                        // 保存错误页面数据
-                        await this.savePage(taskGroup.name, normalizedUrl, errorPageData);
-                        
-                        console.log(`[恢复] 已将 ${url} 保存为错误页面`);
-                    } catch (saveError) {
-                        console.error(`[错误] 无法保存错误页面: ${saveError.message}`);
-                    }
+                    await this.recordFailedPage(url, taskGroup, previous, error);
                 }
             } finally {
                 if (page) {
                     try {
                         await page.close().catch(() => {});
-                        console.log(`[关闭] 已关闭页面: ${url}`);
+                        this.logger.log(`[关闭] 已关闭页面: ${url}`);
                     } catch (closeError) {
-                        console.log(`[警告] 关闭页面时出错: ${closeError.message}`);
+                        this.logger.log(`[警告] 关闭页面时出错: ${closeError.message}`);
                     }
                 }
                 this.processingUrls.delete(normalizedUrl);
                 this.activePages--;
-                console.log(`[状态] 当前活动页面数: ${this.activePages}`);
+                this.logger.log(`[状态] 当前活动页面数: ${this.activePages}`);
+            }
+        }
+
+        this.requeueIfCancelled(normalizedUrl, taskGroup);
+    }
+
+    /**
+     * 从浏览器渲染后的页面或iframe中提取内容
+     * @param {import('puppeteer').Page|import('puppeteer').Frame} target - 页面或iframe
+     * @returns {Promise<{title: string, content: string, text: string}>} 标题、Markdown正文和纯文本
+     */
+    async extractRenderedContent(target) {
+        const { title, content, text } = extractPageContent(await target.content(), target.url());
+        return { title, content, text };
+    }
+
+    /**
+     * 直接请求HTML并在Node中提取页面，不使用浏览器
+     * @param {string} url - 要处理的URL
+     * @param {object} taskGroup - 任务组
+     * @param {object} context - 增量爬取信息
+     * @param {object|undefined} context.previous - 上次爬取时保存的页面记录
+     * @param {string|null} context.lastmod - 站点地图中的lastmod
+     * @returns {Promise<boolean>} 页面是否已处理完成（包括static模式下重试后仍然失败），auto模式需要改用浏览器时返回false
+     */
+    async processStaticUrl(url, taskGroup, { previous, lastmod }) {
+        const normalizedUrl = this.getNormalizedUrl(url);
+        const maxRetries = this.config.maxRetries ?? 3;
+        let retryCount = 0;
+
+        while (retryCount < maxRetries && !this.cancelled) {
+            this.processingUrls.add(normalizedUrl);
+            this.activePages++;
+            try {
+                this.logger.log(`\n[静态] ${taskGroup.name} - ${url} (当前活动页面: ${this.activePages}, 重试次数: ${retryCount})`);
+                await this.waitForCrawlDelay(taskGroup);
+                const response = await fetchStaticPage(url, { timeout: this.config.pageLoadTimeout ?? 30000 });
+                const { links, ...pageData } = extractPageContent(response.html, response.url);
+
+                if (taskGroup.renderMode === 'auto' && pageData.text.length < STATIC_CONTENT_THRESHOLD) {
+                    this.logger.log(`[静态] 正文只有 ${pageData.text.length} 字符，改用浏览器: ${url}`);
+                    return false;
+                }
+
+                await this.completePage(url, taskGroup, {
+                    pageData,
+                    links: this.getSameDomainLinks(links, taskGroup),
+                    validators: response.validators,
+                    previous,
+                    lastmod
+                });
+                return true;
+            } catch (error) {
+                retryCount++;
+                this.logger.error(`[错误] 静态请求失败: ${url} - ${error.message}`);
+                if (taskGroup.renderMode === 'auto') {
+                    this.logger.log(`[静态] 改用浏览器: ${url}`);
+                    return false;
+                }
+                if (retryCount >= maxRetries) {
+                    await this.recordFailedPage(url, taskGroup, previous, error);
+                }
+            } finally {
+                this.processingUrls.delete(normalizedUrl);
+                this.activePages--;
+            }
+
+            if (retryCount < maxRetries && !this.cancelled) {
+                const retryDelay = retryCount * (this.config.retryDelay ?? 2000);
+                this.logger.log(`[重试] ${url} 将在 ${retryDelay/1000} 秒后重试...`);
+                await new Promise(resolve => setTimeout(resolve, retryDelay));
             }
         }
+        return true;
+    }
+
+    /**
+     * 保存提取的页面并将页面中的链接加入待处理集合
+     * @param {string} url - 页面URL
+     * @param {object} taskGroup - 任务组
+     * @param {object} result - 提取结果
+     * @param {{title: string, content: string, text: string}} result.pageData - 标题、Markdown正文和纯文本（API符号和代码示例从Markdown正文中提取）
+     * @param {string[]} result.links - 页面中的同域名链接
+     * @param {object} result.validators - 响应的缓存校验字段
+     * @param {object|undefined} result.previous - 上次爬取时保存的页面记录
+     * @param {string|null} result.lastmod - 站点地图中的lastmod
+     */
+    async completePage(url, taskGroup, { pageData, links, validators, previous, lastmod }) {
+        const normalizedUrl = this.getNormalizedUrl(url);
+        const pageDataToSave = {
+            title: pageData.title || `页面 ${normalizedUrl.split('/').pop() || '无标题'}`,
+            content: pageData.content || '页面无内容'
+        };
+        if (pageData.text) pageDataToSave.text = pageData.text;
+        
+        // API符号（函数签名、参数表格等），用于docs_lookup_symbol直接定位到所在段落
+        const symbols = extractSymbols(pageDataToSave.content);
+        if (symbols.length > 0) pageDataToSave.symbols = symbols;
+        
+        // 代码示例及其语言、所在标题和说明，用于docs_find_examples按标识符或语言查找
+        const examples = extractExamples(pageDataToSave.content);
+        if (examples.length > 0) pageDataToSave.examples = examples;
+        
+        // 记录缓存校验字段、站点地图的lastmod和内容摘要，下次爬取时用于条件请求和变化比较
+        Object.assign(pageDataToSave, validators, lastmod ? { lastmod } : {}, {
+            contentHash: hashPageContent(pageDataToSave),
+            crawledAt: new Date().toISOString()
+        });
+        taskGroup.changes[classifyPageChange(previous, pageDataToSave.contentHash)].add(normalizedUrl);
+        
+        taskGroup.pages.set(normalizedUrl, pageDataToSave);
+
+        // 每爬取一个页面就保存一次
+        await this.savePage(taskGroup.name, normalizedUrl, pageDataToSave);
+        
+        this.logger.log(`[完成] ${taskGroup.name} - ${url}`);
+        
+        // 将新发现的链接添加到待处理集合（仅当页面处理成功时）
+        for (const link of links) {
+            const normalizedLink = this.getNormalizedUrl(link);
+            // 检查是否是组件链接
+            if (this.isComponentLink(normalizedLink)) {
+                // 检查是否匹配 excludePatterns
+                const taskGroup = this.getTaskGroupByUrl(normalizedLink);
+                if (taskGroup && taskGroup.excludePatterns && taskGroup.excludePatterns.length > 0) {
+                    const urlObj = new URL(normalizedLink);
+                    const pathname = urlObj.pathname;
+                    const pathWithoutHash = pathname.split('#')[0];
+                    const pathWithoutTrailingSlash = pathWithoutHash.replace(/\/$/, '');
+                    
+                    // 如果匹配任何一个 excludePattern，跳过这个链接
+                    if (taskGroup.excludePatterns.some(pattern => pattern.test(pathWithoutTrailingSlash))) {
+                        this.logger.log(`[跳过] ${normalizedLink} 匹配排除规则`);
+                        continue;
+                    }
+                }
+                
+                // 检查是否已经处理过或正在处理
+                if (!this.processingUrls.has(normalizedLink) && !taskGroup.pages.has(normalizedLink) && !taskGroup.changes.removed.has(normalizedLink)) {
+                    // 检查是否已经在待处理集合中（取消后仍然记录，保存在爬取状态中以便继续爬取）
+                    if (!this.pendingUrls.has(normalizedLink)) {
+                        this.pendingUrls.set(normalizedLink, {
+                            url: normalizedLink,
+                            status: 'pending',
+                            retryCount: 0,
+                            lastRetry: null
+                        });
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * 记录重试后仍然失败的页面: 上次爬取成功过的页面保留原有内容，否则保存为错误页面
+     * @param {string} url - 页面URL
+     * @param {object} taskGroup - 任务组
+     * @param {object|undefined} previous - 上次爬取时保存的页面记录
+     * @param {Error} error - 最后一次的错误
+     */
+    async recordFailedPage(url, taskGroup, previous, error) {
+        const normalizedUrl = this.getNormalizedUrl(url);
+        this.failedPages.set(normalizedUrl, { source: taskGroup.name, error: error.message });
+        if (previous) {
+            // 上次爬取成功过的页面保留原有内容，不用错误页面覆盖
+            taskGroup.pages.set(normalizedUrl, previous);
+            this.logger.log(`[保留] ${url} 爬取失败，保留上次爬取的内容`);
+        } else {
+            // 最后一次尝试失败，但仍然保存一个"错误"页面，避免浪费之前的工作
+            try {
+                this.logger.log(`[保存错误页面] ${url} 将被保存为错误页面`);
+                const errorPageData = {
+                    title: `爬取失败: ${url.split('/').pop() || url}`,
+                    content: `处理此页面时发生错误: ${error.message}`
+                };
+                
+                taskGroup.pages.set(normalizedUrl, errorPageData);
+                
+                // 保存错误页面数据
+                await this.savePage(taskGroup.name, normalizedUrl, errorPageData);
+                
+                this.logger.log(`[恢复] 已将 ${url} 保存为错误页面`);
+            } catch (saveError) {
+                this.logger.error(`[错误] 无法保存错误页面: ${saveError.message}`);
+            }
+        }
+    }
+
+    /**
+     * 取消时尚未完成的页面放回待处理集合，继续爬取时重新处理
+     * @param {string} normalizedUrl - 标准化的URL
+     * @param {object} taskGroup - 任务组
+     */
+    requeueIfCancelled(normalizedUrl, taskGroup) {
+        if (this.cancelled && !taskGroup.pages.has(normalizedUrl) && !this.failedPages.has(normalizedUrl)) {
+            this.pendingUrls.set(normalizedUrl, {
+                url: normalizedUrl,
+                status: 'pending',
+                retryCount: 0,
+                lastRetry: null
+            });
+        }
+    }
+
+    /**
+     * 过滤与文档源同域名的链接
+     * @param {string[]} links - 页面中的链接
+     * @param {object} taskGroup - 任务组
+     * @returns {string[]} 同域名的链接
+     */
+    getSameDomainLinks(links, taskGroup) {
+        const baseUrl = new URL(taskGroup.url);
+        const sameDomainLinks = links.filter(link => {
+            try {
+                const targetUrl = new URL(link);
+                return targetUrl.hostname === baseUrl.hostname;
+            } catch (e) {
+                return false;
+            }
+        });
+        
+        this.logger.log(`[链接] 发现 ${sameDomainLinks.length} 个同域名链接`);
+        return sameDomainLinks;
     }
 
     /**
      * 处理URL队列
      */
     async processUrlQueue() {
-        while (this.pendingUrls.size > 0 || this.processingUrls.size > 0) {
+        if (Array.from(this.tasks.values()).some(taskGroup => taskGroup.renderMode !== 'static')) {
+            await this.launchBrowser();
+        }
+
+        // 定期保存爬取状态，进程中途退出后可以继续爬取
+        const stateTimer = setInterval(() => this.persistCrawlState(), this.stateInterval);
+        try {
+            await this._processPendingUrls();
+        } finally {
+            clearInterval(stateTimer);
+        }
+    }
+
+    /**
+     * 处理待处理的URL，直到队列为空或爬取被取消
+     */
+    async _processPendingUrls() {
+        while (!this.cancelled && (this.pendingUrls.size > 0 || this.processingUrls.size > 0)) {
             // 如果当前处理的页面数达到限制,等待
             while (this.activePages >= this.config.maxConcurrency) {
                 await new Promise(resolve => setTimeout(resolve, 1000));
@@ -1500,7 +1514,9 @@ export class TaskManager {
                 await Promise.allSettled(
                     pendingUrls.map(async ([url, state]) => {
                         this.pendingUrls.delete(url);
-                        for (const [name, taskGroup] of this.tasks) {
+                        // 只交给URL所属的文档源处理，同时爬取多个文档源时每个页面只请求一次
+                        const taskGroup = this.getTaskGroupByUrl(url);
+                        if (taskGroup) {
                             await this.processUrl(url, taskGroup);
                         }
                     })
@@ -1521,8 +1537,8 @@ export class TaskManager {
      */
     async addSource(source) {
         try {
-            console.log(`\n[任务] 添加文档源: ${source.name}`);
-            console.log(`[URL] ${source.url}`);
+            this.logger.log(`\n[任务] 添加文档源: ${source.name}`);
+            this.logger.log(`[URL] ${source.url}`);
 
             const taskGroup = {
                 name: source.name,
@@ -1530,26 +1546,128 @@ export class TaskManager {
                 pages: new Map(),
                 status: 'pending',
                 includePatterns: source.includePatterns,
-                excludePatterns: source.excludePatterns
+                excludePatterns: source.excludePatterns,
+                previousPages: await this.loadPreviousPages(source.name), // 上次爬取保存的页面
+                changes: Object.fromEntries(PAGE_CHANGE_TYPES.map(type => [type, new Set()])), // 与上次爬取相比的变化
+                startedAt: new Date().toISOString(),
+                robots: null, // robots.txt中适用的规则，为null时不限制
+                crawlDelay: 0, // 两次请求之间的最小间隔（毫秒）
+                nextRequestAt: 0, // 下一次请求最早可以发出的时间
+                sitemapLastmod: new Map(), // 站点地图中页面的lastmod
+                renderMode: source.renderMode || this.config.renderMode || DEFAULT_RENDER_MODE // 页面渲染方式
             };
 
             this.tasks.set(source.name, taskGroup);
+            const discoveredUrls = await this.discoverSource(taskGroup);
             
-            // 将起始URL添加到待处理集合
-            this.pendingUrls.set(source.url, {
-                url: source.url,
-                status: 'pending',
-                retryCount: 0,
-                lastRetry: null
-            });
+            // 继续上次未完成的爬取: 恢复已保存的页面和待处理的URL，否则从起始URL开始
+            const statePath = getCrawlStatePath(this.outputDir, source.name);
+            const state = await loadCrawlState(statePath);
+            let startUrls = [source.url];
+            if (this.resume && state && state.source.url === source.url) {
+                for (const url of state.visited) {
+                    taskGroup.pages.set(url, taskGroup.previousPages.get(url) || {});
+                }
+                for (const type of PAGE_CHANGE_TYPES) {
+                    for (const url of state.changes?.[type] || []) taskGroup.changes[type].add(url);
+                }
+                taskGroup.startedAt = state.startedAt || taskGroup.startedAt;
+                startUrls = state.pending;
+                this.logger.log(`[恢复] ${source.name} 继续 ${state.updatedAt} 的爬取: 已保存 ${state.visited.length} 个页面，待处理 ${state.pending.length} 个URL`);
+            } else if (this.resume) {
+                this.logger.log(`[恢复] ${source.name} 没有可继续的爬取状态，从头开始爬取`);
+            } else if (state) {
+                this.logger.log(`[状态] ${source.name} 存在上次未完成的爬取，本次从头爬取（命令行使用 --resume 可以继续上次的爬取）`);
+            }
             
-            console.log(`[任务] 文档源添加完成: ${source.name}`);
+            // 将起始URL和站点地图中的页面添加到待处理集合
+            for (const url of [...startUrls, ...discoveredUrls]) {
+                if (taskGroup.pages.has(url) || this.pendingUrls.has(url)) continue;
+                this.pendingUrls.set(url, {
+                    url: url,
+                    status: 'pending',
+                    retryCount: 0,
+                    lastRetry: null
+                });
+            }
+            
+            // 未变化的页面不会重新提取链接，上次爬取过且仍匹配爬取规则的页面也加入待处理集合
+            for (const url of taskGroup.previousPages.keys()) {
+                if (!this.pendingUrls.has(url) && !taskGroup.pages.has(url) && this.isComponentLink(url) && this.isAllowedByRobots(url, taskGroup)) {
+                    this.pendingUrls.set(url, {
+                        url: url,
+                        status: 'pending',
+                        retryCount: 0,
+                        lastRetry: null
+                    });
+                }
+            }
+            if (taskGroup.previousPages.size > 0) {
+                this.logger.log(`[增量] ${source.name} 上次爬取了 ${taskGroup.previousPages.size} 个页面，未变化的页面将跳过提取`);
+            }
+            
+            this.logger.log(`[任务] 文档源添加完成: ${source.name}`);
         } catch (error) {
-            console.error(`[错误] 初始化文档源失败: ${source.name}`, error);
+            this.logger.error(`[错误] 初始化文档源失败: ${source.name}`, error);
             throw error;
         }
     }
 
+    /**
+     * 读取文档源站点的robots.txt和站点地图，记录爬取规则和页面的lastmod
+     * @param {object} taskGroup - 任务组
+     * @returns {Promise<string[]>} 站点地图中匹配爬取规则且robots.txt允许的页面（标准化后的URL）
+     */
+    async discoverSource(taskGroup) {
+        const discovery = await discoverSite(taskGroup.url, { timeout: this.config.pageLoadTimeout ?? 30000 });
+
+        if (this.config.respectRobotsTxt !== false) {
+            taskGroup.robots = discovery.robots;
+            taskGroup.crawlDelay = (discovery.robots.crawlDelay ?? 0) * 1000;
+            if (discovery.robots.rules.length > 0 || taskGroup.crawlDelay > 0) {
+                this.logger.log(`[robots] ${taskGroup.name}: ${discovery.robots.rules.length} 条规则，Crawl-delay ${taskGroup.crawlDelay / 1000} 秒`);
+            }
+        }
+
+        const urls = [];
+        for (const { loc, lastmod } of discovery.urls) {
+            const url = this.getNormalizedUrl(loc);
+            if (!/^https?:\/\//.test(url) || !this.isComponentLink(url) || !this.isAllowedByRobots(url, taskGroup)) continue;
+            if (lastmod) taskGroup.sitemapLastmod.set(url, lastmod);
+            urls.push(url);
+        }
+        if (discovery.urls.length > 0) {
+            this.logger.log(`[站点地图] ${taskGroup.name}: ${discovery.sitemaps.length} 个站点地图中有 ${discovery.urls.length} 个页面，${urls.length} 个匹配爬取规则`);
+        }
+        return urls;
+    }
+
+    /**
+     * 检查robots.txt是否允许爬取URL
+     * @param {string} url - 要检查的URL
+     * @param {object} taskGroup - 任务组
+     * @returns {boolean} 是否允许
+     */
+    isAllowedByRobots(url, taskGroup) {
+        if (!taskGroup.robots) return true;
+        const { pathname, search } = new URL(url);
+        return isPathAllowed(taskGroup.robots, pathname + search);
+    }
+
+    /**
+     * 按robots.txt的Crawl-delay等待，保证同一文档源的两次请求之间至少间隔crawlDelay
+     * @param {object} taskGroup - 任务组
+     */
+    async waitForCrawlDelay(taskGroup) {
+        if (!taskGroup.crawlDelay) return;
+        const now = Date.now();
+        const wait = Math.max(0, taskGroup.nextRequestAt - now);
+        taskGroup.nextRequestAt = Math.max(now, taskGroup.nextRequestAt) + taskGroup.crawlDelay;
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+    }
+
     /**
      * 根据URL获取对应的任务组
      * @param {string} url - 要查询的URL
@@ -1567,7 +1685,7 @@ export class TaskManager {
             }
             return null;
         } catch (error) {
-            console.error('获取任务组失败:', error);
+            this.logger.error('获取任务组失败:', error);
             return null;
         }
     }
@@ -1624,7 +1742,7 @@ export class TaskManager {
             // 这样可以由配置控制，而不是硬编码特定的规则
             return true;
         } catch (error) {
-            console.error('检查链接时出错:', error);
+            this.logger.error('检查链接时出错:', error);
             return false;
         }
     }
@@ -1637,11 +1755,11 @@ export class TaskManager {
     async processComponentPage(url, taskGroup) {
         let page = null;
         try {
-            console.log(`\n[处理] ${taskGroup.name} - ${url}`);
+            this.logger.log(`\n[处理] ${taskGroup.name} - ${url}`);
             
             // 检查是否已经爬取过
             if (taskGroup.pages.has(url)) {
-                console.log(`[跳过] ${url} 已存在,跳过处理`);
+                this.logger.log(`[跳过] ${url} 已存在,跳过处理`);
                 return;
             }
             
@@ -1650,9 +1768,9 @@ export class TaskManager {
             // 使用更好的等待策略
             await page.goto(url, {
                 waitUntil: 'networkidle0',
-                timeout: 30000
+                timeout: this.config.pageLoadTimeout ?? 30000
             }).catch(() => {
-                console.log(`[警告] 页面加载超时,尝试继续处理: ${url}`);
+                this.logger.log(`[警告] 页面加载超时,尝试继续处理: ${url}`);
             });
             
             // 确保页面内容加载，滚动页面触发懒加载
@@ -1670,8 +1788,7 @@ export class TaskManager {
                 const result = {
                     title: '',
                     description: '',
-                    props: [],
-                    events: [],
+                    tables: [],
                     examples: [],
                     content: []
                 };
@@ -1692,33 +1809,38 @@ export class TaskManager {
                     result.description = descEl.textContent.trim();
                 }
                 
-                // 提取表格内容
+                // 查找元素所在的小标题: 向前查找最近的标题元素
+                const findHeading = element => {
+                    for (let node = element; node; node = node.parentElement) {
+                        let sibling = node.previousElementSibling;
+                        while (sibling && !/^H[1-6]$/.test(sibling.tagName)) sibling = sibling.previousElementSibling;
+                        if (sibling) return sibling.textContent.trim();
+                    }
+                    return '';
+                };
+                
+                // 读取代码示例及其语言标注、所在小标题和紧接在前面的说明段落，没有语言标注时在页面外按内容推测
+                // 行内代码（不在pre中的code）不作为示例
+                const readExample = block => {
+                    const code = block.textContent.trim();
+                    if (!code || (block.tagName === 'CODE' && !block.closest('pre'))) return null;
+                    
+                    const classes = [block, ...block.querySelectorAll('code')].map(el => el.getAttribute('class') || '').join(' ');
+                    const language = classes.match(/language[-:](\w+)/)?.[1] || block.getAttribute('data-lang') || null;
+                    const previous = block.previousElementSibling;
+                    const caption = previous && previous.tagName === 'P' ? previous.textContent.trim() : null;
+                    return { code, language, heading: findHeading(block), caption };
+                };
+                
+                // 提取表格内容，属性和事件表格在页面外转换为组件符号
                 cleaned.querySelectorAll('table').forEach(table => {
-                    const headers = Array.from(table.querySelectorAll('th')).map(th => th.textContent.trim().toLowerCase());
-                    const rows = Array.from(table.querySelectorAll('tr')).slice(1);
+                    const headers = Array.from(table.querySelectorAll('th')).map(th => th.textContent.trim());
+                    const rows = Array.from(table.querySelectorAll('tr')).slice(1)
+                        .map(row => Array.from(row.querySelectorAll('td')).map(td => td.textContent.trim()));
                     
-                    if (headers.some(h => h.includes('prop') || h.includes('参数') || h.includes('属性'))) {
-                        rows.forEach(row => {
-                            const cells = Array.from(row.querySelectorAll('td')).map(td => td.textContent.trim());
-                            if (cells.length >= 2) {
-                                result.props.push({
-                                    name: cells[0],
-                                    type: cells[1],
-                                    description: cells[cells.length - 1]
-                                });
-                            }
-                        });
-                    } else if (headers.some(h => h.includes('event') || h.includes('事件'))) {
-                        rows.forEach(row => {
-                            const cells = Array.from(row.querySelectorAll('td')).map(td => td.textContent.trim());
-                            if (cells.length >= 2) {
-                                result.events.push({
-                                    name: cells[0],
-                                    description: cells[cells.length - 1]
-                                });
-                            }
-                        });
-                    }
+                    const heading = findHeading(table);
+                    
+                    result.tables.push({ headers, rows, heading });
                 });
                 
                 // 提取代码示例 - 仅保留在内容区域的代码示例
@@ -1727,13 +1849,8 @@ export class TaskManager {
                 if (contentAreas.length > 0) {
                     contentAreas.forEach(area => {
                         area.querySelectorAll('pre, code, [class*="code" i], [class*="example" i]').forEach(block => {
-                            const code = block.textContent.trim();
-                            if (code) {
-                                const language = block.className.match(/language[-:](\w+)/)?.[1] || 
-                                               block.getAttribute('data-lang') ||
-                                               'javascript';
-                                result.examples.push({ code, language });
-                            }
+                            const example = readExample(block);
+                            if (example) result.examples.push(example);
                         });
                     });
                 } else {
@@ -1742,13 +1859,8 @@ export class TaskManager {
                         // 检查代码示例是否在导航、侧边栏等非内容区域
                         const isInNonContentArea = block.closest('nav, .sidebar, .navigation, .menu');
                         if (!isInNonContentArea) {
-                            const code = block.textContent.trim();
-                            if (code) {
-                                const language = block.className.match(/language[-:](\w+)/)?.[1] || 
-                                               block.getAttribute('data-lang') ||
-                                               'javascript';
-                                result.examples.push({ code, language });
-                            }
+                            const example = readExample(block);
+                            if (example) result.examples.push(example);
                         }
                     });
                 }
@@ -1799,7 +1911,7 @@ export class TaskManager {
             // 检查内容是否足够
             const contentLength = pageData.content.reduce((total, item) => total + item.text.length, 0);
             if (contentLength < 500) {
-                console.log(`[动态内容] 组件页面内容较少(${contentLength}字符)，等待更多内容加载后重新抓取`);
+                this.logger.log(`[动态内容] 组件页面内容较少(${contentLength}字符)，等待更多内容加载后重新抓取`);
                 
                 // 等待3秒后重新抓取
                 await new Promise(resolve => setTimeout(resolve, 3000));
@@ -1816,8 +1928,7 @@ export class TaskManager {
                     const result = {
                         title: '',
                         description: '',
-                        props: [],
-                        events: [],
+                        tables: [],
                         examples: [],
                         content: []
                     };
@@ -1838,33 +1949,38 @@ export class TaskManager {
                         result.description = descEl.textContent.trim();
                     }
                     
-                    // 提取表格内容
+                    // 查找元素所在的小标题: 向前查找最近的标题元素
+                    const findHeading = element => {
+                        for (let node = element; node; node = node.parentElement) {
+                            let sibling = node.previousElementSibling;
+                            while (sibling && !/^H[1-6]$/.test(sibling.tagName)) sibling = sibling.previousElementSibling;
+                            if (sibling) return sibling.textContent.trim();
+                        }
+                        return '';
+                    };
+                    
+                    // 读取代码示例及其语言标注、所在小标题和紧接在前面的说明段落，没有语言标注时在页面外按内容推测
+                    // 行内代码（不在pre中的code）不作为示例
+                    const readExample = block => {
+                        const code = block.textContent.trim();
+                        if (!code || (block.tagName === 'CODE' && !block.closest('pre'))) return null;
+                        
+                        const classes = [block, ...block.querySelectorAll('code')].map(el => el.getAttribute('class') || '').join(' ');
+                        const language = classes.match(/language[-:](\w+)/)?.[1] || block.getAttribute('data-lang') || null;
+                        const previous = block.previousElementSibling;
+                        const caption = previous && previous.tagName === 'P' ? previous.textContent.trim() : null;
+                        return { code, language, heading: findHeading(block), caption };
+                    };
+                    
+                    // 提取表格内容，属性和事件表格在页面外转换为组件符号
                     cleaned.querySelectorAll('table').forEach(table => {
-                        const headers = Array.from(table.querySelectorAll('th')).map(th => th.textContent.trim().toLowerCase());
-                        const rows = Array.from(table.querySelectorAll('tr')).slice(1);
+                        const headers = Array.from(table.querySelectorAll('th')).map(th => th.textContent.trim());
+                        const rows = Array.from(table.querySelectorAll('tr')).slice(1)
+                            .map(row => Array.from(row.querySelectorAll('td')).map(td => td.textContent.trim()));
                         
-                        if (headers.some(h => h.includes('prop') || h.includes('参数') || h.includes('属性'))) {
-                            rows.forEach(row => {
-                                const cells = Array.from(row.querySelectorAll('td')).map(td => td.textContent.trim());
-                                if (cells.length >= 2) {
-                                    result.props.push({
-                                        name: cells[0],
-                                        type: cells[1],
-                                        description: cells[cells.length - 1]
-                                    });
-                                }
-                            });
-                        } else if (headers.some(h => h.includes('event') || h.includes('事件'))) {
-                            rows.forEach(row => {
-                                const cells = Array.from(row.querySelectorAll('td')).map(td => td.textContent.trim());
-                                if (cells.length >= 2) {
-                                    result.events.push({
-                                        name: cells[0],
-                                        description: cells[cells.length - 1]
-                                    });
-                                }
-                            });
-                        }
+                        const heading = findHeading(table);
+                        
+                        result.tables.push({ headers, rows, heading });
                     });
                     
                     // 提取代码示例 - 仅保留在内容区域的代码示例
@@ -1873,13 +1989,8 @@ export class TaskManager {
                     if (contentAreas.length > 0) {
                         contentAreas.forEach(area => {
                             area.querySelectorAll('pre, code, [class*="code" i], [class*="example" i]').forEach(block => {
-                                const code = block.textContent.trim();
-                                if (code) {
-                                    const language = block.className.match(/language[-:](\w+)/)?.[1] || 
-                                                   block.getAttribute('data-lang') ||
-                                                   'javascript';
-                                    result.examples.push({ code, language });
-                                }
+                                const example = readExample(block);
+                                if (example) result.examples.push(example);
                             });
                         });
                     } else {
@@ -1888,13 +1999,8 @@ export class TaskManager {
                             // 检查代码示例是否在导航、侧边栏等非内容区域
                             const isInNonContentArea = block.closest('nav, .sidebar, .navigation, .menu');
                             if (!isInNonContentArea) {
-                                const code = block.textContent.trim();
-                                if (code) {
-                                    const language = block.className.match(/language[-:](\w+)/)?.[1] || 
-                                                   block.getAttribute('data-lang') ||
-                                                   'javascript';
-                                    result.examples.push({ code, language });
-                                }
+                                const example = readExample(block);
+                                if (example) result.examples.push(example);
                             }
                         });
                     }
@@ -1941,7 +2047,7 @@ export class TaskManager {
                     
                     return result;
                 }).catch(error => {
-                    console.warn(`[警告] 重新提取组件页面内容失败: ${error.message}`);
+                    this.logger.warn(`[警告] 重新提取组件页面内容失败: ${error.message}`);
                     return pageData; // 如果重新提取失败，返回原始数据
                 });
                 
@@ -1950,33 +2056,35 @@ export class TaskManager {
                 
                 // 如果新内容比旧内容长20%以上，使用新内容
                 if (newContentLength > contentLength * 1.2) {
-                    console.log(`[动态内容] 组件页面重新抓取成功！内容从${contentLength}字符增加到${newContentLength}字符`);
+                    this.logger.log(`[动态内容] 组件页面重新抓取成功！内容从${contentLength}字符增加到${newContentLength}字符`);
                     // 使用新抓取的数据
                     Object.assign(pageData, newPageData);
                 } else {
-                    console.log(`[动态内容] 组件页面重新抓取未获得明显改进，继续使用原始内容`);
+                    this.logger.log(`[动态内容] 组件页面重新抓取未获得明显改进，继续使用原始内容`);
                 }
             }
             
-            // 保存页面数据
-            taskGroup.pages.set(url, {
+            // 保存页面数据，属性和事件表格作为组件符号供docs_lookup_symbol查找，代码示例供docs_find_examples查找
+            const pageDataToSave = {
                 title: pageData.title,
                 content: pageData.content
-            });
+            };
+            const symbols = extractComponentSymbols(pageData.title, pageData.tables);
+            if (symbols.length > 0) pageDataToSave.symbols = symbols;
+            const examples = collectExamples(pageData.examples);
+            if (examples.length > 0) pageDataToSave.examples = examples;
+            taskGroup.pages.set(url, pageDataToSave);
 
             // 每爬取一个页面就保存一次
-            await this.savePage(taskGroup.name, url, {
-                title: pageData.title,
-                content: pageData.content
-            });
+            await this.savePage(taskGroup.name, url, pageDataToSave);
             
-            console.log(`[完成] ${taskGroup.name} - ${url}`);
+            this.logger.log(`[完成] ${taskGroup.name} - ${url}`);
         } catch (error) {
-            console.error(`[错误] 处理页面失败: ${url}`, error);
+            this.logger.error(`[错误] 处理页面失败: ${url}`, error);
         } finally {
             if (page) {
                 await page.close().catch(() => {});
-                console.log(`[关闭] 已关闭页面: ${url}`);
+                this.logger.log(`[关闭] 已关闭页面: ${url}`);
             }
         }
     }
@@ -1988,7 +2096,7 @@ export class TaskManager {
      * @returns {Promise<boolean>} 是否检测到动态内容并等待完成
      */
     async waitForDynamicContent(page, timeout = 10000) {
-        console.log(`[动态内容] 开始检测动态加载内容...`);
+        this.logger.log(`[动态内容] 开始检测动态加载内容...`);
         try {
             // 1. 检测常见的加载指示器
             const loadingSelectors = [
@@ -2003,7 +2111,7 @@ export class TaskManager {
             }, loadingSelectors);
             
             if (hasLoadingIndicator) {
-                console.log(`[动态内容] 检测到加载指示器，等待其消失...`);
+                this.logger.log(`[动态内容] 检测到加载指示器，等待其消失...`);
                 // 等待所有加载指示器消失
                 for (const selector of loadingSelectors) {
                     await page.waitForFunction(
@@ -2014,7 +2122,7 @@ export class TaskManager {
                         selector
                     ).catch(() => {}); // 忽略超时错误
                 }
-                console.log(`[动态内容] 加载指示器已消失`);
+                this.logger.log(`[动态内容] 加载指示器已消失`);
             }
             
             // 3. 检测DOM的稳定性
@@ -2022,7 +2130,7 @@ export class TaskManager {
             let initialNodeCount = -1;
             let stableCount = 0;
             
-            console.log(`[动态内容] 监测DOM稳定性...`);
+            this.logger.log(`[动态内容] 监测DOM稳定性...`);
             const startTime = Date.now();
             
             while (!domStable && (Date.now() - startTime < timeout)) {
@@ -2037,11 +2145,11 @@ export class TaskManager {
                     stableCount++;
                     if (stableCount >= 3) { // 连续3次检查DOM节点数量不变，认为稳定
                         domStable = true;
-                        console.log(`[动态内容] DOM已稳定，节点数量: ${currentNodeCount}`);
+                        this.logger.log(`[动态内容] DOM已稳定，节点数量: ${currentNodeCount}`);
                     }
                 } else {
                     // DOM节点数量有变化，重置计数
-                    console.log(`[动态内容] DOM变化中，节点数量从${initialNodeCount}变为${currentNodeCount}`);
+                    this.logger.log(`[动态内容] DOM变化中，节点数量从${initialNodeCount}变为${currentNodeCount}`);
                     initialNodeCount = currentNodeCount;
                     stableCount = 0;
                 }
@@ -2054,7 +2162,7 @@ export class TaskManager {
             await page.waitForFunction(() => {
                 return document.readyState === 'complete';
             }, { timeout: 5000 }).catch(() => {
-                console.log(`[动态内容] 等待document.readyState超时`);
+                this.logger.log(`[动态内容] 等待document.readyState超时`);
             });
             
             // 5. 额外等待一小段时间，确保所有内容都已渲染
@@ -2063,10 +2171,10 @@ export class TaskManager {
             // 6. 尝试滚动页面以触发懒加载
             await this.scrollPageToLoadLazyContent(page);
             
-            console.log(`[动态内容] 动态内容加载检测完成`);
+            this.logger.log(`[动态内容] 动态内容加载检测完成`);
             return true;
         } catch (error) {
-            console.warn(`[动态内容] 等待动态内容时出错: ${error.message}`);
+            this.logger.warn(`[动态内容] 等待动态内容时出错: ${error.message}`);
             return false;
         }
     }
@@ -2081,7 +2189,7 @@ export class TaskManager {
             const pageHeight = await page.evaluate(() => document.body.scrollHeight);
             const viewportHeight = await page.evaluate(() => window.innerHeight);
             
-            console.log(`[滚动] 开始滚动页面以加载懒加载内容，页面高度: ${pageHeight}px`);
+            this.logger.log(`[滚动] 开始滚动页面以加载懒加载内容，页面高度: ${pageHeight}px`);
             
             // 使用一个更高效的方法来触发所有懒加载内容
             await page.evaluate(() => {
@@ -2107,12 +2215,12 @@ export class TaskManager {
                     }, 200);
                 });
             }).catch(error => {
-                console.warn(`[滚动] 页面滚动脚本执行出错: ${error.message}`);
+                this.logger.warn(`[滚动] 页面滚动脚本执行出错: ${error.message}`);
             });
             
-            console.log(`[滚动] 页面滚动完成`);
+            this.logger.log(`[滚动] 页面滚动完成`);
         } catch (error) {
-            console.warn(`[滚动] 滚动页面时出错: ${error.message}`);
+            this.logger.warn(`[滚动] 滚动页面时出错: ${error.message}`);
         }
     }
 
@@ -2136,7 +2244,7 @@ export class TaskManager {
             // 确保没有请求监听器
             try {
                 page.removeAllListeners('request');
-                console.log(`[API] 已移除所有请求监听器，重新启用拦截`);
+                this.logger.log(`[API] 已移除所有请求监听器，重新启用拦截`);
             } catch (e) {
                 // 忽略错误
             }
@@ -2149,10 +2257,10 @@ export class TaskManager {
                 window._puppeteer_request_interception = true;
             });
             
-            console.log(`[API] 已成功启用请求拦截`);
+            this.logger.log(`[API] 已成功启用请求拦截`);
             return true;
         } catch (error) {
-            console.log(`[API] 启用请求拦截失败: ${error.message}`);
+            this.logger.log(`[API] 启用请求拦截失败: ${error.message}`);
             return false;
         }
     }
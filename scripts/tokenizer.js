@@ -0,0 +1,275 @@
+// 分词器版本 - 分词规则变化时递增，持久化索引会随之重建
+export const TOKENIZER_VERSION = 1;
+
+// 中日韩文字
+const CJK_CHARS = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}';
+
+// 文本切分: 连续的中日韩文字，或由字母、数字、下划线组成的单词
+const CHUNK_PATTERN = new RegExp(`([${CJK_CHARS}]+)|((?:(?![${CJK_CHARS}])[\\p{L}\\p{M}\\p{N}_])+)`, 'gu');
+
+// 英文停用词
+const ENGLISH_STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from',
+    'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'my', 'of', 'on', 'or', 'that',
+    'the', 'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which', 'with', 'you', 'your'
+]);
+
+// 中文停用词
+const CJK_STOPWORDS = new Set([
+    '的', '了', '在', '是', '和', '与', '及', '或', '中', '把', '被', '这', '那', '个', '也',
+    '就', '都', '而', '吗', '呢', '吧', '我', '你', '一个', '如何', '怎么', '怎样', '什么', '我们'
+]);
+
+// 中文分词器（Node 16+ 内置，基于词典分词）
+const segmenter = typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function'
+    ? new Intl.Segmenter('zh', { granularity: 'word' })
+    : null;
+
+/**
+ * 将文本切分为用于索引和查询的词项
+ * 索引和查询共用同一套规则，仅中日韩单字片段的二元组切分方式不同
+ * @param {string} text - 原始文本
+ * @param {object} options - 选项
+ * @param {boolean} options.query - 是否为查询文本
+ * @returns {string[]} 词项列表（保留重复，用于统计词频）
+ */
+export function tokenize(text, { query = false } = {}) {
+    if (!text) return [];
+
+    const tokens = [];
+    forEachToken(String(text).normalize('NFKC'), query, token => tokens.push(token));
+    return tokens;
+}
+
+/**
+ * 切分文本并记录每个词项在原文中的位置，用于高亮和摘要定位
+ * 规则与索引时的tokenize一致；标识符的各组成部分共享整个标识符的位置
+ * @param {string} text - 原始文本
+ * @returns {Array<{token: string, start: number, end: number}>} 词项及其在原文中的起止位置
+ */
+export function tokenizeWithOffsets(text) {
+    if (!text) return [];
+
+    const tokens = [];
+    forEachToken(String(text), false, (token, start, end) => tokens.push({ token, start, end }));
+    return tokens;
+}
+
+/**
+ * 遍历文本中的词项
+ * @param {string} text - 文本
+ * @param {boolean} query - 是否为查询文本
+ * @param {Function} emit - 回调 (token, start, end)
+ */
+function forEachToken(text, query, emit) {
+    for (const match of text.matchAll(CHUNK_PATTERN)) {
+        if (match[1]) {
+            tokenizeCjk(match[1], match.index, query, emit);
+        } else {
+            tokenizeWord(match[2], match.index, emit);
+        }
+    }
+}
+
+/**
+ * 切分查询文本
+ * @param {string} text - 查询文本
+ * @returns {string[]} 去重后的词项列表
+ */
+export function tokenizeQuery(text) {
+    return [...new Set(tokenize(text, { query: true }))];
+}
+
+/**
+ * 提取文本中的非中日韩单词，保留原始大小写
+ * @param {string} text - 原始文本
+ * @returns {string[]} 单词列表
+ */
+export function extractWords(text) {
+    if (!text) return [];
+
+    const words = [];
+    for (const match of String(text).normalize('NFKC').matchAll(CHUNK_PATTERN)) {
+        if (match[2]) words.push(match[2]);
+    }
+    return words;
+}
+
+/**
+ * 切分中日韩文本
+ * 词典能识别的词直接输出；词典无法识别时分词器会逐字切分，
+ * 这些连续单字按二元组处理: 索引时输出单字和重叠二元组，查询时输出不重叠的二元组
+ * @param {string} text - 连续的中日韩文本
+ * @param {number} offset - 文本在原文中的起始位置
+ * @param {boolean} query - 是否为查询文本
+ * @param {Function} emit - 回调 (token, start, end)
+ */
+function tokenizeCjk(text, offset, query, emit) {
+    const words = segmenter
+        ? Array.from(segmenter.segment(text), segment => ({ text: segment.segment, start: offset + segment.index }))
+        : Array.from(text, (char, i) => ({ text: char, start: offset + i }));
+
+    let run = [];
+    const emitWord = word => emit(word.text.normalize('NFKC'), word.start, word.start + word.text.length);
+    const emitBigram = (a, b) => emit((a.text + b.text).normalize('NFKC'), a.start, b.start + b.text.length);
+    const flushRun = () => {
+        if (run.length === 1) {
+            emitWord(run[0]);
+        } else if (run.length > 1) {
+            if (!query) run.forEach(emitWord);
+            const step = query ? 2 : 1;
+            for (let i = 0; i < run.length - 1; i += step) {
+                emitBigram(run[i], run[i + 1]);
+            }
+            // 查询时奇数长度的片段，最后一个字与前一个字组成二元组
+            if (query && run.length % 2 === 1) {
+                emitBigram(run[run.length - 2], run[run.length - 1]);
+            }
+        }
+        run = [];
+    };
+
+    for (const word of words) {
+        if (CJK_STOPWORDS.has(word.text)) {
+            flushRun();
+            continue;
+        }
+
+        if (Array.from(word.text).length === 1) {
+            run.push(word);
+        } else {
+            flushRun();
+            emitWord(word);
+        }
+    }
+    flushRun();
+}
+
+/**
+ * 切分单词: 标识符（camelCase、snake_case）同时输出完整形式和各组成部分
+ * @param {string} word - 单词或标识符
+ * @param {number} start - 单词在原文中的起始位置
+ * @param {Function} emit - 回调 (token, start, end)
+ */
+function tokenizeWord(word, start, emit) {
+    const end = start + word.length;
+    word = word.normalize('NFKC');
+    const parts = splitIdentifier(word);
+
+    if (parts.length > 1) {
+        // 完整标识符不做词干化，便于精确匹配API名称
+        emit(word.toLowerCase(), start, end);
+    }
+
+    for (const part of parts) {
+        const lower = part.toLowerCase();
+        if (ENGLISH_STOPWORDS.has(lower)) continue;
+        emit(/^[a-z]+$/.test(lower) ? stem(lower) : lower, start, end);
+    }
+}
+
+/**
+ * 拆分camelCase、PascalCase和snake_case标识符
+ * @param {string} word - 标识符
+ * @returns {string[]} 组成部分
+ */
+export function splitIdentifier(word) {
+    return word
+        .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+        .split(/[\s_]+/)
+        .filter(part => part.length > 0);
+}
+
+// Porter词干提取算法所需的模式
+const CONSONANT = '[^aeiou]';
+const VOWEL = '[aeiouy]';
+const CONSONANT_SEQ = `${CONSONANT}[^aeiouy]*`;
+const VOWEL_SEQ = `${VOWEL}[aeiou]*`;
+
+const MEASURE_GT_0 = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL_SEQ}${CONSONANT_SEQ}`);
+const MEASURE_EQ_1 = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL_SEQ}${CONSONANT_SEQ}(${VOWEL_SEQ})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL_SEQ}${CONSONANT_SEQ}${VOWEL_SEQ}${CONSONANT_SEQ}`);
+const HAS_VOWEL = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL}`);
+const ENDS_CVC = new RegExp(`^${CONSONANT_SEQ}${VOWEL}[^aeiouwxy]$`);
+
+const STEP2_SUFFIXES = {
+    ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+    alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+    ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al',
+    iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+
+const STEP3_SUFFIXES = {
+    icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+/**
+ * Porter词干提取，将英文单词的屈折和派生形式归一
+ * @param {string} word - 小写英文单词
+ * @returns {string} 词干
+ */
+export function stem(word) {
+    if (word.length < 3) return word;
+
+    // 开头的y视为辅音
+    const startsWithY = word[0] === 'y';
+    let w = startsWithY ? 'Y' + word.slice(1) : word;
+    let match;
+
+    // 步骤1a: 复数
+    if ((match = /^(.+?)(ss|i)es$/.exec(w))) {
+        w = match[1] + match[2];
+    } else if ((match = /^(.+?)([^s])s$/.exec(w))) {
+        w = match[1] + match[2];
+    }
+
+    // 步骤1b: -ed、-ing
+    if ((match = /^(.+?)eed$/.exec(w))) {
+        if (MEASURE_GT_0.test(match[1])) w = w.slice(0, -1);
+    } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+        w = match[1];
+        if (/(at|bl|iz)$/.test(w)) {
+            w += 'e';
+        } else if (/([^aeiouylsz])\1$/.test(w)) {
+            w = w.slice(0, -1);
+        } else if (ENDS_CVC.test(w)) {
+            w += 'e';
+        }
+    }
+
+    // 步骤1c: y -> i
+    if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+        w = match[1] + 'i';
+    }
+
+    // 步骤2、3: 派生后缀
+    if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w))
+        && MEASURE_GT_0.test(match[1])) {
+        w = match[1] + STEP2_SUFFIXES[match[2]];
+    }
+    if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w)) && MEASURE_GT_0.test(match[1])) {
+        w = match[1] + STEP3_SUFFIXES[match[2]];
+    }
+
+    // 步骤4: 去除剩余后缀
+    if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+        if (MEASURE_GT_1.test(match[1])) w = match[1];
+    } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+        const candidate = match[1] + match[2];
+        if (MEASURE_GT_1.test(candidate)) w = candidate;
+    }
+
+    // 步骤5: 结尾的e和ll
+    if ((match = /^(.+?)e$/.exec(w))) {
+        const candidate = match[1];
+        if (MEASURE_GT_1.test(candidate) || (MEASURE_EQ_1.test(candidate) && !ENDS_CVC.test(candidate))) {
+            w = candidate;
+        }
+    }
+    if (/ll$/.test(w) && MEASURE_GT_1.test(w)) {
+        w = w.slice(0, -1);
+    }
+
+    return startsWithY ? 'y' + w.slice(1) : w;
+}
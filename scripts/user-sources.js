@@ -0,0 +1,155 @@
+import fs from 'fs';
+import path from 'path';
+import { RENDER_MODES } from './static-renderer.js';
+
+// 可以按文档源覆盖的爬虫配置项及其取值范围，见 config/doc-sources.js 中的 crawlerConfig
+export const CRAWLER_OVERRIDE_FIELDS = {
+    maxConcurrency: { type: 'integer', min: 1, max: 100 },
+    pageLoadTimeout: { type: 'integer', min: 1000, max: 300000 },
+    headless: { type: 'boolean' },
+    maxRetries: { type: 'integer', min: 1, max: 10 },
+    retryDelay: { type: 'integer', min: 0, max: 60000 },
+    respectRobotsTxt: { type: 'boolean' }
+};
+
+// 文档源名称: 字母或数字开头，只包含字母、数字、下划线和连字符
+const SOURCE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+/**
+ * 文档源定义校验失败
+ */
+export class SourceValidationError extends Error {
+    /**
+     * @param {string[]} errors - 各项错误
+     */
+    constructor(errors) {
+        super(`文档源定义无效: ${errors.join('；')}`);
+        this.name = 'SourceValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * 校验并规范化文档源定义
+ * @param {object} input - 文档源定义: name、url、includePatterns（通配符）、excludePatterns（正则表达式）、crawler（爬虫配置覆盖）、renderMode（页面渲染方式，可选）
+ * @returns {{name: string, url: string, includePatterns: string[], excludePatterns: string[], crawler: object, renderMode?: string}} 规范化后的定义（可保存为JSON）
+ * @throws {SourceValidationError} 定义无效
+ */
+export function validateSourceDefinition(input = {}) {
+    const errors = [];
+
+    const name = typeof input.name === 'string' ? input.name.trim().toLowerCase() : '';
+    if (!SOURCE_NAME_PATTERN.test(name)) {
+        errors.push('name只能包含字母、数字、下划线和连字符，且以字母或数字开头（最多64个字符）');
+    }
+
+    let url = '';
+    try {
+        const parsed = new URL(input.url);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            errors.push('url必须是http或https地址');
+        }
+        parsed.hash = '';
+        url = parsed.href;
+    } catch {
+        errors.push(`url不是有效的地址: ${input.url}`);
+    }
+
+    const readPatterns = (field) => {
+        const patterns = input[field] ?? [];
+        if (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string' || !pattern)) {
+            errors.push(`${field}必须是非空字符串数组`);
+            return [];
+        }
+        return patterns;
+    };
+    const includePatterns = readPatterns('includePatterns');
+    const excludePatterns = readPatterns('excludePatterns');
+    // 爬虫将包含规则中的 * 和 ? 转换为正则表达式，排除规则直接作为正则表达式
+    const checkPatterns = (field, patterns, toRegExp) => {
+        for (const pattern of patterns) {
+            try {
+                toRegExp(pattern);
+            } catch (error) {
+                errors.push(`${field}中的规则无效: ${pattern}`);
+            }
+        }
+    };
+    checkPatterns('includePatterns', includePatterns, pattern => new RegExp(pattern.replace(/\*/g, '.*').replace(/\?/g, '.')));
+    checkPatterns('excludePatterns', excludePatterns, pattern => new RegExp(pattern));
+
+    const crawler = {};
+    for (const [field, value] of Object.entries(input.crawler || {})) {
+        const rule = CRAWLER_OVERRIDE_FIELDS[field];
+        if (!rule) {
+            errors.push(`不支持的爬虫配置项: ${field}，可选: ${Object.keys(CRAWLER_OVERRIDE_FIELDS).join(', ')}`);
+        } else if (rule.type === 'boolean' ? typeof value !== 'boolean'
+            : !Number.isInteger(value) || value < rule.min || value > rule.max) {
+            errors.push(rule.type === 'boolean'
+                ? `爬虫配置项${field}必须是布尔值`
+                : `爬虫配置项${field}必须是 ${rule.min}-${rule.max} 之间的整数`);
+        } else {
+            crawler[field] = value;
+        }
+    }
+
+    const renderMode = input.renderMode ?? null;
+    if (renderMode !== null && !RENDER_MODES.includes(renderMode)) {
+        errors.push(`renderMode必须是 ${RENDER_MODES.join('、')} 之一`);
+    }
+
+    if (errors.length > 0) {
+        throw new SourceValidationError(errors);
+    }
+
+    return { name, url, includePatterns, excludePatterns, crawler, ...(renderMode ? { renderMode } : {}) };
+}
+
+/**
+ * 将保存的文档源定义转换为爬虫使用的配置（排除规则转换为正则表达式）
+ * @param {object} definition - 规范化后的文档源定义
+ * @returns {object} 爬虫文档源配置，格式同 config/doc-sources.js 中的 docSources
+ */
+export function toCrawlerSource(definition) {
+    return {
+        ...definition,
+        excludePatterns: definition.excludePatterns.map(pattern => new RegExp(pattern))
+    };
+}
+
+/**
+ * 读取用户添加的文档源，文件不存在时为空
+ * @param {string} filePath - 用户文档源文件路径（JSON）
+ * @returns {object[]} 规范化后的文档源定义
+ * @throws {Error} 文件格式不正确
+ */
+export function loadUserSources(filePath) {
+    if (!fs.existsSync(filePath)) return [];
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!data || !Array.isArray(data.sources)) {
+        throw new Error(`用户文档源文件格式不正确，应包含sources数组: ${filePath}`);
+    }
+    return data.sources.map(source => validateSourceDefinition(source));
+}
+
+/**
+ * 保存用户添加的文档源（先写入临时文件再重命名，避免写入中断损坏文件）
+ * @param {string} filePath - 用户文档源文件路径（JSON）
+ * @param {object[]} sources - 规范化后的文档源定义
+ */
+export function saveUserSources(filePath, sources) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ sources }, null, 2) + '\n', 'utf8');
+    fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * 合并爬虫配置覆盖: 按文档源顺序合并，后面的文档源优先
+ * @param {object[]} sources - 文档源配置
+ * @returns {object} 爬虫配置覆盖
+ */
+export function mergeCrawlerOverrides(sources) {
+    return Object.assign({}, ...sources.map(source => source.crawler || {}));
+}
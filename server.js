@@ -3,8 +3,35 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import { z } from "zod";
 import path from 'path';
 import fs from 'fs';
-import { fileURLToPath } from 'url';
+import { Console } from 'console';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { dirname } from 'path';
+import { SearchIndex, SourceIndex, INDEX_DIR_NAME, SEARCH_MODES, DEFAULT_SEMANTIC_WEIGHT } from './scripts/search-index.js';
+import { parseQuery } from './scripts/query-parser.js';
+import { encodeCursor, decodeCursor, hashQuery, CursorError } from './scripts/cursor.js';
+import { getFacetValues, CONTENT_TYPES } from './scripts/facets.js';
+import { normalizeCollections, resolveSourceSelection } from './scripts/collections.js';
+import { buildResourcePaths, buildResourceUri, parseResourceUri, RESOURCE_TEMPLATES, RESOURCE_PAGE_SIZE } from './scripts/resources.js';
+import {
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  McpError,
+  ErrorCode
+} from '@modelcontextprotocol/sdk/types.js';
+import { LocalEmbeddingModel, VectorStore, getVectorsPath } from './scripts/embeddings.js';
+import { buildSnippets, DEFAULT_SNIPPET_OPTIONS } from './scripts/snippets.js';
+import { buildSourceSections, selectSections, toSectionDocument } from './scripts/sections.js';
+import { buildSymbolTable, lookupSymbols, SYMBOL_MATCH_TYPES } from './scripts/symbols.js';
+import { buildExampleIndex, findExamples } from './scripts/examples.js';
+import { PROMPTS, PROMPT_SECTION_LIMIT, buildPromptMessages } from './scripts/prompts.js';
+import { TokenStore, FULL_ACCESS, isSourceAllowed, filterCollections } from './scripts/auth.js';
+import { watchDocsDir } from './scripts/docs-watcher.js';
+import { CrawlJobManager } from './scripts/crawl-jobs.js';
+import { RENDER_MODES } from './scripts/static-renderer.js';
+import { validateSourceDefinition, loadUserSources, saveUserSources, toCrawlerSource, mergeCrawlerOverrides, SourceValidationError } from './scripts/user-sources.js';
+import { completable } from '@modelcontextprotocol/sdk/server/completable.js';
+import { parseTransportOptions, startHttpServer, HTTP_ENDPOINTS } from './scripts/http-server.js';
 
 // 获取当前文件的目录路径
 const __filename = fileURLToPath(import.meta.url);
@@ -13,17 +40,84 @@ const __dirname = dirname(__filename);
 // 简单日志函数 - 使用stderr避免干扰MCP通信
 const log = (message) => console.error(`[${new Date().toISOString()}] ${message}`);
 
+// 爬虫日志写入stderr，stdout只用于MCP stdio通信
+const crawlerLogger = new Console({ stdout: process.stderr });
+
 // 全局文档数据存储
 const docData = {};
 let docsLoaded = false;
 let isLoadingDocs = false;
 
-// 创建MCP服务器 - 修改服务器名称，确保一致性
-const server = new McpServer({
-  name: "docs_mcp_server", // 简化名称，避免空格和特殊字符
-  version: "1.0.0"
+// 全局搜索索引（每个文档源一个倒排索引，以段落为单位），短语查询时按ID回查段落原文
+const searchIndex = new SearchIndex({
+  getPage: (sourceName, id) => {
+    const section = docData[sourceName]?.sections?.[id];
+    return section ? toSectionDocument(section, docData[sourceName].pages[section.pageId]) : null;
+  },
+  getFacets: (sourceName, id) => docData[sourceName]?.sections?.[id]?.facets
+});
+
+// 文档源配置文件（可选），其中的 collections 定义了可以一起搜索的文档集合
+const docConfigPath = path.join(__dirname, 'config', 'doc-sources.js');
+let collections = {};
+
+// 通过docs_add_source添加的文档源，与配置文件中的docSources一起用于爬取
+const userSourcesPath = process.env.DOCS_USER_SOURCES || path.join(__dirname, 'config', 'user-sources.json');
+
+// 本地嵌入模型配置（可选），未配置时只提供关键词搜索
+const embeddingConfig = {
+  modelPath: process.env.DOCS_EMBEDDING_MODEL || '',
+  queryPrefix: process.env.DOCS_EMBEDDING_QUERY_PREFIX || '',
+  passagePrefix: process.env.DOCS_EMBEDDING_PASSAGE_PREFIX || ''
+};
+const embeddingModelId = embeddingConfig.modelPath ? path.basename(path.resolve(embeddingConfig.modelPath)) : '';
+let embeddingModelPromise = null;
+let embeddingError = null;
+
+// 后台向量生成任务按顺序执行，避免同时占用多个CPU核心
+let vectorQueue = Promise.resolve();
+const pendingVectorSources = new Set();
+
+// 已加载的文档目录和文件: 文件名 -> { sourceName, signature }，用于增量重新加载
+let docsDirectory = null;
+const loadedFiles = new Map();
+// 重新加载任务按顺序执行
+let reloadQueue = Promise.resolve();
+
+// 后台爬取任务，爬取结束后重新加载对应的文档文件
+// TaskManager依赖文档源配置文件，在开始爬取时才导入；文档源自带的crawler配置覆盖全局爬虫配置
+const crawlJobs = new CrawlJobManager({
+  createTaskManager: async (sources) => {
+    const { TaskManager } = await import('./scripts/task-manager.js');
+    return new TaskManager(mergeCrawlerOverrides(sources), { logger: crawlerLogger });
+  },
+  onJobFinished: async (job) => {
+    const { TaskManager } = await import('./scripts/task-manager.js');
+    return reloadDocs({ files: job.sources.map(name => TaskManager.getOutputFileName(name)) });
+  },
+  log
 });
 
+// 当前的MCP服务器实例（stdio模式只有一个，HTTP模式每个会话一个，共享已加载的文档）
+const activeServers = new Set();
+
+// 创建MCP服务器并注册工具、提示词和资源 - 修改服务器名称，确保一致性
+// access为会话的访问权限，工具、提示词和资源只能看到允许的文档源
+function createServer(access = FULL_ACCESS) {
+  const server = new McpServer({
+    name: "docs_mcp_server", // 简化名称，避免空格和特殊字符
+    version: "1.0.0"
+  });
+  
+  registerTools(server, access);
+  registerPrompts(server, access);
+  registerResources(server, access);
+  
+  activeServers.add(server);
+  server.server.onclose = () => activeServers.delete(server);
+  return server;
+}
+
 // 加载JS文档文件
 async function loadDocFile(filePath) {
   try {
@@ -223,6 +317,7 @@ async function ensureDocsLoaded() {
   
   try {
     log('开始加载文档数据...');
+    await loadCollections();
     
     // 使用绝对路径而不是当前工作目录
     const docsDir = path.join(__dirname, 'docs');
@@ -260,10 +355,38 @@ async function ensureDocsLoaded() {
   }
 }
 
+// 导入文档源配置文件，附加修改时间以读取最新的配置；配置文件不存在时返回null
+async function importDocConfig() {
+  if (!fs.existsSync(docConfigPath)) return null;
+  const mtime = fs.statSync(docConfigPath).mtimeMs;
+  return import(`${pathToFileURL(docConfigPath).href}?t=${mtime}`);
+}
+
+// 从配置文件读取文档集合，配置文件不存在时没有集合
+async function loadCollections() {
+  try {
+    const config = await importDocConfig();
+    collections = normalizeCollections(config?.collections);
+    log(`已加载文档集合: ${Object.keys(collections).join(', ') || '无'}`);
+  } catch (error) {
+    log(`读取文档源配置失败: ${docConfigPath}, ${error.message}`);
+  }
+}
+
+// 访问权限允许的已加载文档源
+function getVisibleSources(access) {
+  return Object.keys(docData).filter(name => isSourceAllowed(access, name, collections));
+}
+
+// 访问权限下可见的集合，受限时只保留允许的成员
+function getVisibleCollections(access) {
+  return access.sources === null ? collections : filterCollections(collections, getVisibleSources(access));
+}
+
 // 从指定目录加载文档文件
 async function loadDocsFromDir(docsDir) {
   // 扫描docs目录中的所有JSON文件
-  const files = fs.readdirSync(docsDir).filter(file => file.endsWith('.json'));
+  const files = listDocFiles(docsDir);
   
   if (files.length === 0) {
     log(`未找到任何JSON文档文件`);
@@ -271,65 +394,18 @@ async function loadDocsFromDir(docsDir) {
   }
   
   log(`找到 ${files.length} 个JSON文档文件: ${files.join(', ')}`);
+  docsDirectory = docsDir;
   
   // 记录加载成功的计数
   let loadedCount = 0;
   
   // 遍历加载每个文件
   for (const file of files) {
-    const filePath = path.join(docsDir, file);
-    log(`尝试加载文档文件: ${filePath}`);
-    
     try {
-      // 直接读取文件内容
-      const fileContent = fs.readFileSync(filePath, 'utf8');
-      log(`文件内容读取成功，大小: ${fileContent.length} 字节`);
-      
-      // 输出文件内容前20个字符，用于调试
-      log(`文件内容前20个字符: "${fileContent.substring(0, 20)}..."`);
-      
-      // 移除BOM和空白字符
-      const cleanContent = fileContent.replace(/^\uFEFF/, '').trim();
-      log(`清理后的内容大小: ${cleanContent.length} 字节`);
-      
-      // 使用JSON.parse解析内容
-      try {
-        log(`尝试解析JSON...`);
-        const docContent = JSON.parse(cleanContent);
-        log(`JSON解析成功，开始检查文档格式`);
-        
-        // 检查文档是否有必要的字段
-        if (!docContent.pages) {
-          log(`错误: 文档缺少pages字段: ${file}`);
-          continue;
-        }
-        
-        // 获取文档源名称（优先使用source.name，或文件名）
-        const sourceName = (docContent.source && docContent.source.name) 
-          ? docContent.source.name.toLowerCase() 
-          : path.basename(file, path.extname(file)).toLowerCase();
-        
-        log(`成功解析文档数据[${sourceName}]，包含 ${Object.keys(docContent.pages || {}).length} 个页面`);
-        
-        // 保存到全局文档数据
-        docData[sourceName] = {
-          source: docContent.source || { name: sourceName },
-          lastUpdated: docContent.lastUpdated || new Date().toISOString(),
-          pages: docContent.pages || {}
-        };
-        
-        // 检查数据是否已成功保存到docData
-        log(`验证数据是否成功保存: ${docData[sourceName] ? '是' : '否'}`);
-        log(`数据页面数: ${docData[sourceName] ? Object.keys(docData[sourceName].pages).length : 0}`);
-        
-        loadedCount++;
-      } catch (parseError) {
-        log(`JSON解析错误: ${file}, ${parseError.message}`);
-        log(`错误位置: ${parseError.stack}`);
-      }
+      activateSource(readSourceFile(docsDir, file));
+      loadedCount++;
     } catch (error) {
-      log(`读取文档文件时出错: ${file}, ${error.message}`);
-      log(`错误位置: ${error.stack}`);
+      log(`加载文档文件失败: ${file}, ${error.message}`);
     }
   }
   
@@ -344,20 +420,319 @@ async function loadDocsFromDir(docsDir) {
   }
 }
 
+// 列出文档目录中的JSON文档文件
+function listDocFiles(docsDir) {
+  return fs.readdirSync(docsDir).filter(file => file.endsWith('.json')).sort();
+}
+
+// 读取单个文档文件，构建文档源数据和搜索索引（不修改当前使用的数据）
+function readSourceFile(docsDir, file) {
+  const filePath = path.join(docsDir, file);
+  log(`尝试加载文档文件: ${filePath}`);
+  
+  // 直接读取文件内容，移除BOM和空白字符
+  const fileContent = fs.readFileSync(filePath, 'utf8');
+  const cleanContent = fileContent.replace(/^\uFEFF/, '').trim();
+  log(`文件内容读取成功，大小: ${cleanContent.length} 字节`);
+  
+  const docContent = JSON.parse(cleanContent);
+  
+  // 检查文档是否有必要的字段
+  if (!docContent.pages) {
+    throw new Error('文档缺少pages字段');
+  }
+  
+  // 获取文档源名称（优先使用source.name，或文件名）
+  const sourceName = (docContent.source && docContent.source.name) 
+    ? docContent.source.name.toLowerCase() 
+    : path.basename(file, path.extname(file)).toLowerCase();
+  
+  const data = createSourceData(
+    sourceName,
+    docContent.source || { name: sourceName },
+    docContent.lastUpdated || new Date().toISOString(),
+    docContent.pages || {}
+  );
+  log(`成功解析文档数据[${sourceName}]，包含 ${Object.keys(data.pages).length} 个页面，${Object.keys(data.sections).length} 个段落`);
+  
+  // 加载持久化的搜索索引，过期或不存在时重新构建
+  const sourceIndex = loadSourceIndex(docsDir, file, sourceName, data, cleanContent);
+  
+  return { file, filePath, sourceName, data, sourceIndex };
+}
+
+// 启用读取好的文档源: 文档数据和搜索索引在同一步中替换，进行中的搜索不会看到不一致的数据
+function activateSource({ file, filePath, sourceName, data, sourceIndex }) {
+  // 文件中的文档源名称变化时，移除旧名称
+  const previous = loadedFiles.get(file);
+  if (previous && previous.sourceName !== sourceName) {
+    removeSource(previous.sourceName);
+  }
+  
+  docData[sourceName] = data;
+  // 先移除旧的索引和向量，段落变化后旧向量不再适用
+  searchIndex.removeSource(sourceName);
+  searchIndex.setSource(sourceName, sourceIndex);
+  loadedFiles.set(file, { sourceName, signature: sourceIndex.signature });
+  
+  // 配置了嵌入模型时加载段落向量，内容变化的段落在后台重新嵌入
+  if (embeddingConfig.modelPath) {
+    loadSourceVectors(filePath, sourceName);
+  }
+}
+
+// 移除文档源的数据、索引和向量
+function removeSource(sourceName) {
+  delete docData[sourceName];
+  searchIndex.removeSource(sourceName);
+  pendingVectorSources.delete(sourceName);
+  for (const [file, entry] of loadedFiles) {
+    if (entry.sourceName === sourceName) loadedFiles.delete(file);
+  }
+}
+
+/**
+ * 重新加载文档（按顺序执行）
+ * 指定source时只重新加载该文档源的文件；指定files时只重新加载这些文件，内容未变化的跳过；
+ * 都不指定时重新扫描整个目录，移除已删除文件对应的文档源
+ */
+function reloadDocs({ source = null, files = null } = {}) {
+  const task = reloadQueue.then(() => runReload({ source, files }));
+  reloadQueue = task.catch(() => {});
+  return task;
+}
+
+async function runReload({ source, files }) {
+  const result = { reloaded: [], unchanged: [], removed: [], failed: [] };
+  
+  if (!docsDirectory) {
+    await ensureDocsLoaded();
+    if (!docsDirectory) throw new Error('文档目录不存在或没有文档文件');
+  }
+  await loadCollections();
+  
+  let targets;
+  let force = true;
+  if (source) {
+    const entry = [...loadedFiles].find(([, item]) => item.sourceName === source);
+    if (!entry) throw new Error(`未找到文档源 "${source}"`);
+    targets = [entry[0]];
+  } else if (files) {
+    targets = files;
+    force = false;
+  } else {
+    const present = listDocFiles(docsDirectory);
+    targets = [...new Set([...present, ...loadedFiles.keys()])];
+  }
+  
+  for (const file of targets) {
+    const previous = loadedFiles.get(file);
+    const filePath = path.join(docsDirectory, file);
+    
+    if (!fs.existsSync(filePath)) {
+      if (previous) {
+        removeSource(previous.sourceName);
+        fs.rmSync(getIndexPath(docsDirectory, file), { force: true });
+        result.removed.push({ file, source: previous.sourceName });
+        log(`文档文件已删除，移除文档源[${previous.sourceName}]: ${file}`);
+      }
+      continue;
+    }
+    
+    try {
+      // 内容未变化时跳过
+      if (!force && previous) {
+        const content = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '').trim();
+        if (SourceIndex.computeSignature(content) === previous.signature) {
+          result.unchanged.push({ file, source: previous.sourceName });
+          continue;
+        }
+      }
+      
+      const loaded = readSourceFile(docsDirectory, file);
+      activateSource(loaded);
+      result.reloaded.push({
+        file,
+        source: loaded.sourceName,
+        pageCount: Object.keys(loaded.data.pages).length,
+        sectionCount: Object.keys(loaded.data.sections).length
+      });
+      log(`文档源已重新加载[${loaded.sourceName}]: ${file}`);
+    } catch (error) {
+      // 读取失败（如文件正在写入）时保留原有数据
+      result.failed.push({ file, source: previous?.sourceName || null, error: error.message });
+      log(`重新加载文档文件失败，保留原有数据: ${file}, ${error.message}`);
+    }
+  }
+  
+  docsLoaded = Object.keys(docData).length > 0;
+  if (result.reloaded.length > 0 || result.removed.length > 0) {
+    notifyResourceListChanged();
+  }
+  return result;
+}
+
+// 监听文档目录，JSON文件变化时增量重新加载
+function startDocsWatcher() {
+  if (!docsDirectory) {
+    log('文档目录不存在，无法监听文档变化');
+    return null;
+  }
+  
+  log(`开始监听文档目录: ${docsDirectory}`);
+  return watchDocsDir(docsDirectory, files => {
+    log(`检测到文档文件变化: ${files.join(', ')}`);
+    reloadDocs({ files }).catch(error => {
+      log(`自动重新加载文档失败: ${error.message}`);
+    });
+  }, { log });
+}
+
+// 创建文档源数据: 页面按标题切分为段落，计算各段落的分面取值，并汇总页面中的API符号和代码示例
+function createSourceData(sourceName, source, lastUpdated, pages) {
+  const data = {
+    source,
+    lastUpdated,
+    pages,
+    ...buildSourceSections(pages),
+    symbols: buildSymbolTable(pages),
+    examples: buildExampleIndex(pages),
+    resourcePaths: buildResourcePaths(Object.keys(pages))
+  };
+  
+  for (const [pageId, sections] of Object.entries(data.pageSections)) {
+    const facets = getFacetValues(sourceName, pageId, pages[pageId] || {}, source.url);
+    sections.forEach(section => { section.facets = facets; });
+  }
+  
+  return data;
+}
+
+// 文档文件对应的持久化索引路径
+function getIndexPath(docsDir, file) {
+  return path.join(docsDir, INDEX_DIR_NAME, `${path.basename(file, '.json')}.index.json`);
+}
+
+// 加载或构建单个文档源的搜索索引
+function loadSourceIndex(docsDir, file, sourceName, data, fileContent) {
+  const indexPath = getIndexPath(docsDir, file);
+  const signature = SourceIndex.computeSignature(fileContent);
+  
+  let sourceIndex = SourceIndex.load(indexPath, sourceName, signature);
+  if (sourceIndex) {
+    log(`使用已持久化的搜索索引[${sourceName}]: ${indexPath}`);
+  } else {
+    const startTime = Date.now();
+    sourceIndex = SourceIndex.build(sourceName, getSectionDocuments(data), signature);
+    log(`搜索索引构建完成[${sourceName}]，段落数: ${sourceIndex.docs.length}，词项数: ${sourceIndex.postings.size}，耗时: ${Date.now() - startTime}ms`);
+    
+    try {
+      sourceIndex.save(indexPath);
+      log(`搜索索引已保存: ${indexPath}`);
+    } catch (error) {
+      log(`保存搜索索引失败: ${indexPath}, ${error.message}`);
+    }
+  }
+  
+  return sourceIndex;
+}
+
+// 加载嵌入模型（只加载一次），失败时记录原因并返回null
+async function getEmbeddingModel() {
+  if (!embeddingConfig.modelPath) return null;
+  
+  if (!embeddingModelPromise) {
+    log(`加载本地嵌入模型: ${embeddingConfig.modelPath}`);
+    embeddingModelPromise = LocalEmbeddingModel.load(embeddingConfig.modelPath, embeddingConfig)
+      .then(model => {
+        log(`嵌入模型加载完成: ${model.id}`);
+        return model;
+      })
+      .catch(error => {
+        embeddingError = error.message;
+        log(`嵌入模型加载失败: ${error.message}`);
+        return null;
+      });
+  }
+  return embeddingModelPromise;
+}
+
+// 加载文档源的段落向量: 先启用可复用的向量，再在后台嵌入新增或变化的段落
+function loadSourceVectors(filePath, sourceName) {
+  const vectorsPath = getVectorsPath(filePath);
+  const sections = docData[sourceName].sections;
+  const documents = getSectionDocuments(docData[sourceName]);
+  const previous = VectorStore.load(vectorsPath, sourceName);
+  
+  if (previous) {
+    const { reused, pending } = VectorStore.diff(documents, embeddingModelId, previous);
+    const current = new VectorStore(sourceName, embeddingModelId);
+    reused.forEach((entry, id) => current.setEntry(id, entry.hash, entry.vector));
+    if (reused.size > 0) searchIndex.setVectors(sourceName, current);
+    log(`已加载段落向量[${sourceName}]: ${reused.size} 个可用，${pending.length} 个待更新`);
+    if (pending.length === 0) return;
+  }
+  
+  pendingVectorSources.add(sourceName);
+  vectorQueue = vectorQueue.then(async () => {
+    try {
+      const model = await getEmbeddingModel();
+      // 文档已被重新加载时放弃本次结果
+      if (!model || docData[sourceName]?.sections !== sections) return;
+      
+      const startTime = Date.now();
+      const { store, embedded } = await VectorStore.build(sourceName, documents, model, {
+        previous,
+        onProgress: (done, total) => {
+          if (done === total || done % 256 === 0) log(`段落向量生成进度[${sourceName}]: ${done}/${total}`);
+        }
+      });
+      if (docData[sourceName]?.sections !== sections) return;
+      
+      searchIndex.setVectors(sourceName, store);
+      store.save(vectorsPath);
+      log(`段落向量已更新[${sourceName}]: 嵌入 ${embedded} 个段落，耗时: ${Date.now() - startTime}ms，已保存: ${vectorsPath}`);
+    } catch (error) {
+      log(`生成段落向量失败[${sourceName}]: ${error.message}`);
+    } finally {
+      if (docData[sourceName]?.sections === sections) pendingVectorSources.delete(sourceName);
+    }
+  });
+}
+
+// 获取文档源所有段落的可索引文档
+function getSectionDocuments({ pages, sections }) {
+  const documents = {};
+  for (const [id, section] of Object.entries(sections)) {
+    documents[id] = toSectionDocument(section, pages[section.pageId]);
+  }
+  return documents;
+}
+
 // 启动服务器
 (async () => {
   try {
     log('正在启动文档 MCP 服务器...');
     
+    // 传输方式: 默认stdio，--transport http 或 DOCS_MCP_TRANSPORT=http 时启动HTTP服务
+    const transportOptions = parseTransportOptions(process.argv.slice(2), process.env);
+    const isHttp = transportOptions.transport === 'http';
+    const serverUrl = `http://${transportOptions.host}:${transportOptions.port}`;
+    
     // 输出配置信息
     console.error('\n=== 用于 Cursor 配置的 mcp.json ===\n');
     console.error(JSON.stringify({
       mcpServers: {
-        "docs_mcp_server": { // 确保这里的名称与创建时一致
-          command: "node",
-          args: [process.argv[1]],
-          env: { "NODE_ENV": "development" }
-        }
+        "docs_mcp_server": isHttp // 确保这里的名称与创建时一致
+          ? {
+            url: `${serverUrl}${HTTP_ENDPOINTS.mcp}`,
+            ...(transportOptions.tokenFile ? { headers: { Authorization: "Bearer <令牌>" } } : {})
+          }
+          : {
+            command: "node",
+            args: [process.argv[1]],
+            env: { "NODE_ENV": "development" }
+          }
       }
     }, null, 2));
     console.error('\n=================================\n');
@@ -372,10 +747,29 @@ async function loadDocsFromDir(docsDir) {
       log('文档加载失败，请确保docs目录中有正确格式的文档文件');
     }
     
+    // --watch 或 DOCS_MCP_WATCH=true 时监听docs目录，文件变化后增量重新加载
+    if (process.argv.includes('--watch') || process.env.DOCS_MCP_WATCH === 'true') {
+      startDocsWatcher();
+    }
+    
+    if (isHttp) {
+      // 配置令牌文件时校验Bearer令牌，并按令牌限制可访问的文档源
+      const tokenStore = transportOptions.tokenFile
+        ? new TokenStore(path.resolve(transportOptions.tokenFile), { log }).refresh()
+        : null;
+      if (!tokenStore) {
+        log('未配置令牌文件（--token-file 或 DOCS_MCP_TOKEN_FILE），所有客户端都可以访问全部文档源');
+      }
+      
+      await startHttpServer(createServer, { ...transportOptions, tokenStore, log });
+      log(`文档 MCP 服务器已启动: Streamable HTTP ${serverUrl}${HTTP_ENDPOINTS.mcp}，SSE ${serverUrl}${HTTP_ENDPOINTS.sse}`);
+      return;
+    }
+    
     log('文档 MCP 服务器已启动，等待连接...');
     
     // 连接服务器
-    await server.connect(new StdioServerTransport());
+    await createServer().connect(new StdioServerTransport());
     log('文档 MCP 服务器已连接');
   } catch (error) {
     log(`服务器启动失败: ${error.message}`);
@@ -383,371 +777,1246 @@ async function loadDocsFromDir(docsDir) {
   }
 })();
 
-// 文档搜索工具 - 修改名称确保一致性
-server.tool(
-  "docs_search_docs", // 修改工具名称，添加命名空间前缀
-  {
-    query: z.string().describe("搜索关键词"),
-    source: z.string().optional().describe("文档源名称（可选）"),
-    limit: z.number().optional().default(10).describe("最大结果数量")
-  },
-  async ({ query, source, limit }) => {
-    log(`收到搜索请求: 关键词="${query}", 源="${source || '所有'}", 限制=${limit}`);
-    log(`当前文档数据状态: docsLoaded=${docsLoaded}, docData键数量=${Object.keys(docData).length}`);
-    log(`当前进程工作目录: ${process.cwd()}`);
-    log(`当前脚本目录: ${__dirname}`);
+// 在文档源中查找页面，ID可以是页面ID或段落ID（页面URL#锚点）
+function findPage(id, sourceNames) {
+  for (const sourceName of sourceNames) {
+    const data = docData[sourceName];
+    if (!data || !data.pages) continue;
 
-    try {
-      // 特殊命令处理 - reload
-      if (query.toLowerCase() === "reload") {
-        log("收到重新加载文档指令");
-        docsLoaded = false;
-        Object.keys(docData).forEach(key => delete docData[key]); // 修复: 使用docData[key]而不是docData.key
-        const loadResult = await ensureDocsLoaded();
-        return {
-          content: [{
-            type: "text",
-            text: JSON.stringify({
-              message: loadResult ? "文档已重新加载成功" : "文档重新加载失败",
-              sources: Object.keys(docData),
-              count: Object.keys(docData).length,
-              cwd: process.cwd(),
-              scriptDir: __dirname
-            }, null, 2)
-          }]
-        };
-      }
+    if (data.pages[id]) {
+      return { sourceName, pageId: id, anchor: null };
+    }
+    const section = data.sections?.[id];
+    if (section) {
+      return { sourceName, pageId: section.pageId, anchor: section.anchor };
+    }
+  }
+  return null;
+}
+
+// 段落目录项
+function describeSection(section) {
+  return {
+    id: section.id,
+    index: section.index,
+    title: section.title,
+    level: section.level,
+    length: section.content.length
+  };
+}
+
+// 注册文档工具
+function registerTools(server, access) {
+  // 文档搜索工具 - 修改名称确保一致性
+  server.tool(
+    "docs_search_docs", // 修改工具名称，添加命名空间前缀
+    {
+      query: z.string().describe("搜索关键词。支持 \"短语\"、OR、-排除词（或NOT）以及 title:、url:、content:、heading:、source: 字段前缀"),
+      source: z.union([z.string(), z.array(z.string())]).optional().describe("文档源名称或配置中的集合名称，也可以是它们的列表（可选，默认搜索全部）"),
+      limit: z.number().optional().default(10).describe("最大结果数量"),
+      offset: z.number().int().min(0).optional().default(0).describe("跳过的结果数量，用于分页"),
+      cursor: z.string().optional().describe("上一页返回的nextCursor，提供时忽略offset"),
+      facetFilters: z.object({
+        source: z.array(z.string()).optional().describe("文档源"),
+        path: z.array(z.string()).optional().describe("顶级路径，如 components"),
+        type: z.array(z.enum(CONTENT_TYPES)).optional().describe("内容类型: api、component、guide")
+      }).optional().describe("按分面过滤结果，同一分面内任一取值即可，返回的facets给出可选取值及数量"),
+      fuzzy: z.boolean().optional().default(true).describe("是否启用拼写纠错和模糊匹配"),
+      snippetCount: z.number().optional().default(DEFAULT_SNIPPET_OPTIONS.maxSnippets).describe("每个结果返回的摘要数量"),
+      snippetLength: z.number().optional().default(DEFAULT_SNIPPET_OPTIONS.snippetLength).describe("每段摘要的大致字符数"),
+      highlightPre: z.string().optional().default(DEFAULT_SNIPPET_OPTIONS.highlightPre).describe("摘要中命中内容前插入的高亮标记"),
+      highlightPost: z.string().optional().default(DEFAULT_SNIPPET_OPTIONS.highlightPost).describe("摘要中命中内容后插入的高亮标记"),
+      mode: z.enum(SEARCH_MODES).optional().default('keyword').describe("搜索模式: keyword（关键词）、semantic（语义）、hybrid（混合），后两者需要配置本地嵌入模型"),
+      semanticWeight: z.number().min(0).max(1).optional().default(DEFAULT_SEMANTIC_WEIGHT).describe("混合模式中语义相似度的权重（0-1）")
+    },
+    async ({ query, source, limit, offset, cursor, facetFilters = {}, fuzzy, snippetCount, snippetLength, highlightPre, highlightPost, mode, semanticWeight }) => {
+      log(`收到搜索请求: 关键词="${query}", 源="${source || '所有'}", 限制=${limit}, 偏移=${cursor ? '游标' : offset}, 模糊匹配=${fuzzy}, 模式=${mode}`);
+      log(`当前文档数据状态: docsLoaded=${docsLoaded}, docData键数量=${Object.keys(docData).length}`);
+      log(`当前进程工作目录: ${process.cwd()}`);
+      log(`当前脚本目录: ${__dirname}`);
+
+      try {
+        // 确保有数据可用
+        if (Object.keys(docData).length === 0) {
+          log(`文档数据为空，尝试重新加载...`);
+          const loadResult = await ensureDocsLoaded();
+          log(`重新加载结果: ${loadResult}, docData键数量=${Object.keys(docData).length}`);
 
-      // 确保有数据可用
-      if (Object.keys(docData).length === 0) {
-        log(`文档数据为空，尝试重新加载...`);
-        const loadResult = await ensureDocsLoaded();
-        log(`重新加载结果: ${loadResult}, docData键数量=${Object.keys(docData).length}`);
-
-        if (!loadResult || Object.keys(docData).length === 0) {
-          log(`重新加载后文档仍然不可用`);
-          // 添加示例数据以便于调试
-          docData['example'] = {
-            source: { name: 'Example Docs' },
-            lastUpdated: new Date().toISOString(),
-            pages: {
+          if (!loadResult || Object.keys(docData).length === 0) {
+            log(`重新加载后文档仍然不可用`);
+            // 添加示例数据以便于调试
+            const examplePages = {
               'example-1': { title: '示例文档1', content: '这是一个示例文档内容，用于测试搜索功能。' },
               'example-2': { title: '示例文档2', content: '这是另一个示例文档，包含一些测试关键词。' }
-            }
-          };
-          log(`已添加示例数据用于测试`);
+            };
+            docData['example'] = createSourceData('example', { name: 'Example Docs' }, new Date().toISOString(), examplePages);
+            searchIndex.setSource('example', SourceIndex.build('example', getSectionDocuments(docData['example'])));
+            log(`已添加示例数据用于测试`);
+          }
         }
-      }
 
-      // 获取要搜索的文档
-      let docs = {};
-      if (source) {
-        const sourceLower = source.toLowerCase();
-        if (!docData.hasOwnProperty(sourceLower)) {
-          return {
-            content: [{
-              type: "text",
-              text: JSON.stringify({
-                error: `未找到文档源 "${source}"`,
-                availableSources: Object.keys(docData),
-                docDataStatus: {
-                  keys: Object.keys(docData),
-                  count: Object.keys(docData).length
-                }
-              }, null, 2)
-            }]
-          };
+        // 确定要搜索的文档源（支持多个文档源和集合），只搜索访问权限允许的文档源
+        const visibleSources = getVisibleSources(access);
+        let sources = visibleSources;
+        if (source && source.length > 0) {
+          const selection = resolveSourceSelection(source, visibleSources, getVisibleCollections(access));
+          if (selection.unknown.length > 0 || selection.sources.length === 0) {
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify({
+                  error: selection.unknown.length > 0
+                    ? `未找到文档源或集合 "${selection.unknown.join('", "')}"`
+                    : `集合中的文档源尚未加载: ${selection.missing.join(', ')}`,
+                  availableSources: visibleSources,
+                  availableCollections: getVisibleCollections(access),
+                  docDataStatus: {
+                    keys: visibleSources,
+                    count: visibleSources.length
+                  }
+                }, null, 2)
+              }]
+            };
+          }
+          if (selection.missing.length > 0) {
+            log(`集合中以下文档源尚未加载，已忽略: ${selection.missing.join(', ')}`);
+          }
+          sources = selection.sources;
         }
+
+        // 语义和混合模式需要嵌入查询文本（只使用正向条件的文本），模型不可用时退回关键词搜索
+        let searchMode = mode;
+        let queryVector = null;
+        let semanticWarning;
+        if (mode !== 'keyword') {
+          const model = await getEmbeddingModel();
+          const queryText = parseQuery(query).must.flat().map(atom => atom.text).join(' ');
+          if (!model) {
+            searchMode = 'keyword';
+            semanticWarning = embeddingConfig.modelPath
+              ? `嵌入模型不可用（${embeddingError || '加载中'}），已使用关键词搜索`
+              : '未配置本地嵌入模型（DOCS_EMBEDDING_MODEL），已使用关键词搜索';
+          } else if (queryText) {
+            queryVector = await model.embedQuery(queryText);
+          }
         
-        // 确保安全获取pages
-        if (docData[sourceLower] && docData[sourceLower].pages) {
-          docs = docData[sourceLower].pages;
-        } else {
-          docs = {}; // 如果没有pages，使用空对象
-        }
-      } else {
-        // 从所有源获取文档
-        Object.entries(docData).forEach(([name, data]) => {
-          if (data && data.pages) {
-            Object.entries(data.pages).forEach(([id, page]) => {
-              docs[id] = { ...page, source: name };
-            });
+          const missing = sources.filter(name => !searchIndex.hasVectors(name) || pendingVectorSources.has(name));
+          if (model && missing.length > 0) {
+            semanticWarning = `以下文档源的段落向量尚未生成完毕，语义结果可能不完整: ${missing.join(', ')}`;
+          }
+        }
+      
+        // 分页: 游标绑定查询参数和语料版本，保证同一查询在语料不变时各页排序一致
+        const filters = {
+          ...facetFilters,
+          source: facetFilters.source && facetFilters.source.map(name => name.toLowerCase())
+        };
+        const queryKey = hashQuery({ query, sources: [...sources].sort().join(','), fuzzy, mode: searchMode, semanticWeight, filters: JSON.stringify(filters) });
+        const corpusVersion = searchIndex.getCorpusVersion(sources, { includeVectors: searchMode !== 'keyword' });
+        if (cursor) {
+          try {
+            offset = decodeCursor(cursor, { queryKey, corpusVersion }).offset;
+          } catch (error) {
+            if (!(error instanceof CursorError)) throw error;
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify({
+                  error: error.message,
+                  reason: error.reason,
+                  query: query
+                }, null, 2)
+              }]
+            };
           }
+        }
+      
+        // 使用BM25索引（及段落向量）进行搜索
+        const { total, results: hits, corrections, terms, facets } = searchIndex.search(query, {
+          sources, limit, offset, fuzzy, mode: searchMode, queryVector, semanticWeight, facetFilters: filters
         });
-      }
-
-      const normalizedQuery = query.toLowerCase().trim();
-
-      // 分割查询字符串
-      const queryTerms = normalizedQuery.split(/\s+/).filter(term => term.length > 0);
+        const nextOffset = offset + hits.length;
+        const nextCursor = hits.length > 0 && nextOffset < total
+          ? encodeCursor({ offset: nextOffset, queryKey, corpusVersion })
+          : null;
 
-      // 进行搜索
-      const results = Object.entries(docs)
-        .map(([id, doc]) => {
-          const title = (doc.title || '').toLowerCase();
-          const content = (doc.content || '').toLowerCase();
+        // 拼写建议（基于标题词和API标识符词表）
+        const spelling = fuzzy
+          ? searchIndex.suggest(query, { sources })
+          : { correctedQuery: null, suggestions: [] };
 
-          // 检查是否所有查询词都包含在标题或内容中
-          const allTermsMatch = queryTerms.every(term => title.includes(term) || content.includes(term) || id.toLowerCase().includes(term));
-
-          if (!allTermsMatch) return null;
+        const snippetOptions = {
+          maxSnippets: Math.max(1, snippetCount),
+          snippetLength: Math.max(40, snippetLength),
+          highlightPre,
+          highlightPost
+        };
 
-          // 计算匹配度（可以根据需求调整）
-          let score = 0;
-          queryTerms.forEach(term => {
-            if (title.includes(term)) score += 10;
-            if (content.includes(term)) score += 5;
-            if (id.toLowerCase().includes(term)) score += 3;
-          });
+        const results = hits.map(hit => {
+          const section = docData[hit.source].sections[hit.id];
+          const doc = docData[hit.source].pages[section.pageId] || {};
 
           return {
-            id,
-            url: id,
-            title: doc.title || id,
-            content: content.length > 200 ? content.substring(0, 200) + "..." : content,
-            score: score,
-            source: doc.source || source || null
+            id: hit.id,
+            pageId: section.pageId,
+            url: section.level === 0 ? section.pageId : hit.id,
+            title: doc.title || section.pageId,
+            section: section.title,
+            contentType: section.facets.type,
+            // 以命中内容为中心的高亮摘要，段落内只有一个标题，标题路径沿用段落的
+            snippets: buildSnippets(section.content, terms, snippetOptions)
+              .map(snippet => ({ ...snippet, headingPath: section.headingPath })),
+            score: Number(hit.score.toFixed(4)),
+            similarity: hit.similarity === undefined ? undefined : Number(hit.similarity.toFixed(4)),
+            source: hit.source
           };
-        })
-        .filter(item => item !== null)
-        .sort((a, b) => b.score - a.score)
-        .slice(0, limit);
+        });
 
-      log(`找到 ${results.length} 个匹配结果`);
+        log(`找到 ${total} 个匹配结果，返回第 ${offset + 1}-${offset + results.length} 个`);
+        if (corrections.length > 0) {
+          log(`模糊匹配: ${corrections.map(c => `${c.term} -> ${c.matches.join('/')}`).join(', ')}`);
+        }
 
-      return {
-        content: [{
-          type: "text",
-          text: JSON.stringify({
-            success: true,
-            query: query,
-            source: source || "all",
-            resultsCount: results.length,
-            results: results.length > 0 ? results : [
-              {
-                id: "no-results",
-                title: "没有找到匹配结果",
-                content: `未找到与 '${query}' 中所有关键词匹配的内容`,
-                score: 0,
-                source: null
-              }
-            ]
-          }, null, 2)
-        }]
-      };
-    } catch (error) {
-      log(`搜索过程中发生错误: ${error.message}`);
-      log(`错误堆栈: ${error.stack}`);
-      return {
-        content: [{
-          type: "text",
-          text: JSON.stringify({
-            error: "搜索过程中发生错误",
-            details: error.message,
-            stack: error.stack,
-            query: query,
-            docsLoaded: docsLoaded,
-            docDataKeys: Object.keys(docData),
-            cwd: process.cwd(),
-            scriptDir: __dirname
-          }, null, 2)
-        }]
-      };
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              query: query,
+              source: source || "all",
+              sources: sources,
+              mode: searchMode,
+              warning: semanticWarning,
+              correctedQuery: spelling.correctedQuery,
+              didYouMean: spelling.suggestions,
+              fuzzyMatches: corrections,
+              totalMatches: total,
+              facets: facets,
+              offset: offset,
+              resultsCount: results.length,
+              nextCursor: nextCursor,
+              message: results.length > 0 || total > 0 ? undefined : `未找到与 '${query}' 中所有关键词匹配的内容`,
+              results: results
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        // 错误堆栈和服务器路径只记录到日志，不返回给客户端（HTTP模式下客户端在远程）
+        log(`搜索过程中发生错误: ${error.message}`);
+        log(`错误堆栈: ${error.stack}`);
+        log(`当前进程工作目录: ${process.cwd()}，脚本目录: ${__dirname}`);
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              error: "搜索过程中发生错误",
+              details: error.message,
+              query: query
+            }, null, 2)
+          }]
+        };
+      }
     }
-  }
-);
-
-// 文档详情查询工具 - 修改名称确保一致性
-server.tool(
-  "docs_get_doc_detail", // 修改工具名称，添加命名空间前缀
-  { 
-    id: z.string().describe("文档ID"),
-    source: z.string().optional().describe("文档源名称（如不提供，将搜索所有源）")
-  },
-  async ({ id, source }) => {
-    log(`收到文档详情请求: ID="${id}", 源="${source || '所有'}"`);
+  );
+
+  // 文档详情查询工具 - 修改名称确保一致性
+  server.tool(
+    "docs_get_doc_detail", // 修改工具名称，添加命名空间前缀
+    { 
+      id: z.string().describe("文档ID，或搜索结果中的段落ID（页面URL#锚点）"),
+      source: z.string().optional().describe("文档源名称（如不提供，将搜索所有源）"),
+      section: z.string().optional().describe("只返回指定锚点的段落（可选）"),
+      fromSection: z.number().int().min(0).optional().describe("返回段落范围的起始序号，从0开始（可选）"),
+      toSection: z.number().int().min(0).optional().describe("返回段落范围的结束序号，包含该段落（可选）")
+    },
+    async ({ id, source, section, fromSection, toSection }) => {
+      log(`收到文档详情请求: ID="${id}", 源="${source || '所有'}", 段落="${section || ''}", 范围=${fromSection ?? ''}-${toSection ?? ''}`);
     
-    try {
-      // 确保文档已加载
-      if (Object.keys(docData).length === 0) {
-        log(`文档数据为空，尝试加载...`);
-        const loadResult = await ensureDocsLoaded();
-        if (!loadResult || Object.keys(docData).length === 0) {
+      try {
+        // 确保文档已加载
+        if (Object.keys(docData).length === 0) {
+          log(`文档数据为空，尝试加载...`);
+          const loadResult = await ensureDocsLoaded();
+          if (!loadResult || Object.keys(docData).length === 0) {
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify({ 
+                  error: "文档数据不可用",
+                  message: "无法加载文档数据"
+                }, null, 2)
+              }]
+            };
+          }
+        }
+      
+        // 确定要查找的文档源，只查找访问权限允许的文档源
+        let sourceNames = getVisibleSources(access);
+        if (source) {
+          const sourceLower = source.toLowerCase();
+          if (!sourceNames.includes(sourceLower) || !docData[sourceLower].pages) {
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify({ 
+                  error: `未找到文档源 "${source}"`,
+                  availableSources: sourceNames
+                }, null, 2)
+              }]
+            };
+          }
+          sourceNames = [sourceLower];
+        }
+      
+        const found = findPage(id, sourceNames);
+        if (!found) {
           return {
             content: [{
               type: "text",
               text: JSON.stringify({ 
-                error: "文档数据不可用",
-                message: "无法加载文档数据"
+                error: `未找到ID为 "${id}" 的文档`,
+                source: source || "all"
               }, null, 2)
             }]
           };
         }
-      }
       
-      // 查找指定的文档
-      let docDetail = null;
+        const data = docData[found.sourceName];
+        const page = data.pages[found.pageId];
+        const sections = data.pageSections[found.pageId] || [];
+        const docDetail = {
+          id: found.pageId,
+          title: page.title || found.pageId,
+          content: page.content || "",
+          source: {
+            name: found.sourceName,
+            url: data.source?.url || ""
+          },
+          url: found.pageId, // 使用ID作为URL
+          sections: sections.map(describeSection)
+        };
       
-      if (source) {
-        // 在指定源中查找文档
-        const sourceLower = source.toLowerCase();
-        if (!docData[sourceLower] || !docData[sourceLower].pages) {
+        // 单个段落: section参数优先，其次为段落ID中的锚点；否则按序号范围选取
+        const anchor = section ? section.replace(/^.*#/, '') : found.anchor;
+        const selection = selectSections(found.pageId, sections, { anchor, from: fromSection, to: toSection });
+        if (selection.error) {
           return {
             content: [{
               type: "text",
-              text: JSON.stringify({ 
-                error: `未找到文档源 "${source}"`,
-                availableSources: Object.keys(docData)
-              }, null, 2)
+              text: JSON.stringify(selection, null, 2)
             }]
           };
         }
-        
-        if (docData[sourceLower].pages[id]) {
-          const page = docData[sourceLower].pages[id];
-          docDetail = {
-            id,
-            title: page.title || id,
-            content: page.content || "",
-            source: {
-              name: sourceLower,
-              url: docData[sourceLower].source?.url || ""
-            },
-            url: id // 使用ID作为URL
+      
+        if (selection.section) {
+          const target = selection.section;
+          docDetail.content = target.content;
+          docDetail.section = {
+            ...describeSection(target),
+            anchor: target.anchor,
+            headingPath: target.headingPath,
+            previous: sections[target.index - 1]?.id || null,
+            next: sections[target.index + 1]?.id || null
           };
+          delete docDetail.sections;
+        } else if (selection.from !== undefined) {
+          docDetail.content = selection.sections.map(item => item.content).join('\n\n');
+          docDetail.range = { from: selection.from, to: selection.to, totalSections: sections.length };
+          docDetail.sections = selection.sections.map(describeSection);
         }
-      } else {
-        // 在所有源中查找文档
-        for (const [sourceName, data] of Object.entries(docData)) {
-          if (data.pages && data.pages[id]) {
-            const page = data.pages[id];
-            docDetail = {
-              id,
-              title: page.title || id,
-              content: page.content || "",
-              source: {
-                name: sourceName,
-                url: data.source?.url || ""
-              },
-              url: id // 使用ID作为URL
-            };
-            break;
-          }
-        }
-      }
       
-      if (!docDetail) {
+        // 返回文档详情
         return {
           content: [{
             type: "text",
-            text: JSON.stringify({ 
-              error: `未找到ID为 "${id}" 的文档`,
-              source: source || "all"
+            text: JSON.stringify({
+              success: true,
+              document: docDetail
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        log(`获取文档详情时发生错误: ${error.message}`);
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({ 
+              error: "获取文档详情时发生错误", 
+              details: error.message
             }, null, 2)
           }]
         };
       }
-      
-      // 返回文档详情
-      return {
-        content: [{
-          type: "text",
-          text: JSON.stringify({
-            success: true,
-            document: docDetail
-          }, null, 2)
-        }]
-      };
-    } catch (error) {
-      log(`获取文档详情时发生错误: ${error.message}`);
-      return {
-        content: [{
-          type: "text",
-          text: JSON.stringify({ 
-            error: "获取文档详情时发生错误", 
-            details: error.message
-          }, null, 2)
-        }]
-      };
     }
-  }
-);
+  );
+
+  // API符号查询工具 - 按名称直接定位函数、方法或组件的签名、参数和所在段落
+  server.tool(
+    "docs_lookup_symbol",
+    {
+      symbol: z.string().describe("符号名称，如 Taro.navigateTo、Route::middleware；忽略大小写和分隔符的差异，也可以只写成员名（如 navigateTo）"),
+      source: z.string().optional().describe("文档源名称（如不提供，将查找所有源）"),
+      limit: z.number().optional().default(5).describe("最大结果数量")
+    },
+    async ({ symbol, source, limit }) => {
+      log(`收到符号查询请求: 符号="${symbol}", 源="${source || '所有'}", 限制=${limit}`);
+
+      try {
+        // 确保文档已加载
+        if (Object.keys(docData).length === 0) {
+          log(`文档数据为空，尝试加载...`);
+          const loadResult = await ensureDocsLoaded();
+          if (!loadResult || Object.keys(docData).length === 0) {
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify({
+                  error: "文档数据不可用",
+                  message: "无法加载文档数据"
+                }, null, 2)
+              }]
+            };
+          }
+        }
+
+        // 确定要查找的文档源，只查找访问权限允许的文档源
+        let sourceNames = getVisibleSources(access);
+        if (source) {
+          const sourceLower = source.toLowerCase();
+          if (!sourceNames.includes(sourceLower)) {
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify({
+                  error: `未找到文档源 "${source}"`,
+                  availableSources: sourceNames
+                }, null, 2)
+              }]
+            };
+          }
+          sourceNames = [sourceLower];
+        }
+
+        // 各文档源的匹配结果合并后按匹配方式排序（排序是稳定的，同一匹配方式内保持文档源和页面顺序）
+        const matches = sourceNames
+          .flatMap(sourceName => lookupSymbols(docData[sourceName].symbols || [], symbol)
+            .map(item => ({ ...item, sourceName })))
+          .sort((a, b) => SYMBOL_MATCH_TYPES.indexOf(a.match) - SYMBOL_MATCH_TYPES.indexOf(b.match));
+
+        const results = matches.slice(0, Math.max(1, limit)).map(({ symbol: item, match, sourceName }) => {
+          const data = docData[sourceName];
+          const page = data.pages[item.pageId] || {};
+          const section = data.sections[`${item.pageId}#${item.anchor}`];
+          const { pageId, anchor, section: sectionTitle, ...details } = item;
 
-// 文档列表查询工具 - 修改名称确保一致性
-server.tool(
-  "docs_list_docs", // 修改工具名称，添加命名空间前缀
-  { 
-    limit: z.number().optional().default(50).describe("最大返回文档源数量")
-  },
-  async ({ limit }) => {
-    log(`收到文档列表请求: 限制=${limit}`);
-    
-    try {
-      // 确保文档已加载
-      if (Object.keys(docData).length === 0) {
-        log(`文档数据为空，尝试加载...`);
-        const loadResult = await ensureDocsLoaded();
-        if (!loadResult || Object.keys(docData).length === 0) {
+          return {
+            ...details,
+            match: match,
+            source: sourceName,
+            pageId: pageId,
+            title: page.title || pageId,
+            sectionId: section ? section.id : null,
+            section: section ? section.title : sectionTitle,
+            headingPath: section ? section.headingPath : [],
+            url: section && section.level > 0 ? section.id : pageId
+          };
+        });
+
+        log(`找到 ${matches.length} 个匹配符号，返回 ${results.length} 个`);
+
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              symbol: symbol,
+              sources: sourceNames,
+              totalMatches: matches.length,
+              message: results.length > 0 ? undefined : `未找到符号 '${symbol}'，可以使用docs_search_docs搜索相关内容`,
+              results: results
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        log(`查询符号时发生错误: ${error.message}`);
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              error: "查询符号时发生错误",
+              details: error.message
+            }, null, 2)
+          }]
+        };
+      }
+    }
+  );
+
+  // 代码示例查询工具 - 按标识符、关键词或语言查找文档中的代码示例
+  server.tool(
+    "docs_find_examples",
+    {
+      query: z.string().optional().describe("代码中的标识符或关键词，多个词用空格分隔且都需要匹配，如 \"Picker\"、\"Taro.navigateTo\"（可选）"),
+      language: z.string().optional().describe("代码语言，如 tsx、javascript、php，别名 js、ts、sh 等会自动转换（可选）"),
+      source: z.string().optional().describe("文档源名称（如不提供，将查找所有源）"),
+      limit: z.number().optional().default(5).describe("最大结果数量")
+    },
+    async ({ query, language, source, limit }) => {
+      log(`收到代码示例查询请求: 关键词="${query || ''}", 语言="${language || '所有'}", 源="${source || '所有'}", 限制=${limit}`);
+
+      try {
+        if (!(query && query.trim()) && !(language && language.trim())) {
           return {
             content: [{
               type: "text",
-              text: JSON.stringify({ 
-                error: "文档数据不可用",
-                message: "无法加载文档数据"
+              text: JSON.stringify({
+                error: "请至少提供query或language"
               }, null, 2)
             }]
           };
         }
+
+        // 确保文档已加载
+        if (Object.keys(docData).length === 0) {
+          log(`文档数据为空，尝试加载...`);
+          const loadResult = await ensureDocsLoaded();
+          if (!loadResult || Object.keys(docData).length === 0) {
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify({
+                  error: "文档数据不可用",
+                  message: "无法加载文档数据"
+                }, null, 2)
+              }]
+            };
+          }
+        }
+
+        // 确定要查找的文档源，只查找访问权限允许的文档源
+        let sourceNames = getVisibleSources(access);
+        if (source) {
+          const sourceLower = source.toLowerCase();
+          if (!sourceNames.includes(sourceLower)) {
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify({
+                  error: `未找到文档源 "${source}"`,
+                  availableSources: sourceNames
+                }, null, 2)
+              }]
+            };
+          }
+          sourceNames = [sourceLower];
+        }
+
+        // 各文档源的结果合并后按得分排序，同时汇总匹配查询词的示例按语言的数量
+        const languages = {};
+        const matches = sourceNames
+          .flatMap(sourceName => {
+            const found = findExamples(docData[sourceName].examples || [], { query, language });
+            for (const [name, count] of Object.entries(found.languages)) {
+              languages[name] = (languages[name] || 0) + count;
+            }
+            return found.results.map(item => ({ ...item, sourceName }));
+          })
+          .sort((a, b) => b.score - a.score);
+
+        const results = matches.slice(0, Math.max(1, limit)).map(({ example, score, sourceName }) => {
+          const section = docData[sourceName].sections[`${example.pageId}#${example.anchor}`];
+
+          return {
+            language: example.language || null,
+            caption: example.caption || null,
+            code: example.code,
+            source: sourceName,
+            pageId: example.pageId,
+            title: example.title,
+            sectionId: section ? section.id : null,
+            section: section ? section.title : example.section,
+            headingPath: section ? section.headingPath : [],
+            url: section && section.level > 0 ? section.id : example.pageId,
+            score: score
+          };
+        });
+
+        log(`找到 ${matches.length} 个匹配的代码示例，返回 ${results.length} 个`);
+
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              query: query || "",
+              language: language || null,
+              sources: sourceNames,
+              totalMatches: matches.length,
+              languages: languages,
+              message: results.length > 0 ? undefined : "未找到匹配的代码示例，languages为匹配关键词的示例按语言的数量",
+              results: results
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        log(`查询代码示例时发生错误: ${error.message}`);
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              error: "查询代码示例时发生错误",
+              details: error.message
+            }, null, 2)
+          }]
+        };
       }
+    }
+  );
+
+  // 文档列表查询工具 - 修改名称确保一致性
+  server.tool(
+    "docs_list_docs", // 修改工具名称，添加命名空间前缀
+    { 
+      limit: z.number().optional().default(50).describe("最大返回文档源数量")
+    },
+    async ({ limit }) => {
+      log(`收到文档列表请求: 限制=${limit}`);
+    
+      try {
+        // 确保文档已加载
+        if (Object.keys(docData).length === 0) {
+          log(`文档数据为空，尝试加载...`);
+          const loadResult = await ensureDocsLoaded();
+          if (!loadResult || Object.keys(docData).length === 0) {
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify({ 
+                  error: "文档数据不可用",
+                  message: "无法加载文档数据"
+                }, null, 2)
+              }]
+            };
+          }
+        }
       
-      // 获取所有文档源的摘要信息
-      const docSources = Object.entries(docData)
-        .map(([sourceName, data]) => {
-          const pageCount = data.pages ? Object.keys(data.pages).length : 0;
-          // 获取前5个页面作为示例
-          const samplePages = data.pages ? 
-            Object.entries(data.pages)
-              .slice(0, 5)
-              .map(([id, page]) => ({
-                id,
-                title: page.title || id
-              })) : 
-            [];
+        // 获取访问权限允许的文档源的摘要信息
+        const docSources = getVisibleSources(access)
+          .map(sourceName => [sourceName, docData[sourceName]])
+          .map(([sourceName, data]) => {
+            const pageCount = data.pages ? Object.keys(data.pages).length : 0;
+            // 获取前5个页面作为示例
+            const samplePages = data.pages ? 
+              Object.entries(data.pages)
+                .slice(0, 5)
+                .map(([id, page]) => ({
+                  id,
+                  title: page.title || id
+                })) : 
+              [];
           
+            return {
+              name: sourceName,
+              displayName: data.source?.name || sourceName,
+              url: data.source?.url || "",
+              lastUpdated: data.lastUpdated || "",
+              pageCount: pageCount,
+              samplePages: samplePages
+            };
+          })
+          .sort((a, b) => a.name.localeCompare(b.name))
+          .slice(0, limit);
+      
+        // 返回文档源列表
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              count: docSources.length,
+              sources: docSources,
+              collections: getVisibleCollections(access)
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        log(`获取文档列表时发生错误: ${error.message}`);
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              error: "获取文档列表时发生错误", 
+              details: error.message
+            }, null, 2)
+          }]
+        };
+      }
+    }
+  );
+
+  // 文档重新加载工具 - 重新读取docs目录中的文件，替换完成前搜索继续使用原有数据
+  server.tool(
+    "docs_reload",
+    {
+      source: z.string().optional().describe("只重新加载指定的文档源（可选，默认重新扫描整个docs目录；受限的令牌默认重新加载其允许的文档源）")
+    },
+    async ({ source }) => {
+      log(`收到重新加载请求: 源="${source || '所有'}"`);
+      
+      try {
+        const sourceLower = source ? source.toLowerCase() : null;
+        // 受限的令牌只能重新加载允许的文档源
+        if (sourceLower && !getVisibleSources(access).includes(sourceLower)) {
           return {
-            name: sourceName,
-            displayName: data.source?.name || sourceName,
-            url: data.source?.url || "",
-            lastUpdated: data.lastUpdated || "",
-            pageCount: pageCount,
-            samplePages: samplePages
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                error: `未找到文档源 "${source}"`,
+                availableSources: getVisibleSources(access)
+              }, null, 2)
+            }]
+          };
+        }
+        
+        // 受限的令牌不能重新扫描整个目录，未指定文档源时逐个重新加载其允许的文档源
+        const restricted = access.sources !== null;
+        let result;
+        if (sourceLower || !restricted) {
+          result = await reloadDocs({ source: sourceLower });
+        } else {
+          result = { reloaded: [], unchanged: [], removed: [], failed: [] };
+          for (const name of getVisibleSources(access)) {
+            const partial = await reloadDocs({ source: name });
+            for (const key of Object.keys(result)) result[key].push(...partial[key]);
+          }
+        }
+        // 受限的令牌看不到不属于任何文档源的文件（如无法读取的新文件）
+        const visible = (items) => items.filter(item => !restricted || (item.source && isSourceAllowed(access, item.source, collections)));
+        const reloaded = visible(result.reloaded);
+        const failed = visible(result.failed);
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              success: failed.length === 0,
+              message: `已重新加载 ${reloaded.length} 个文档源${failed.length > 0 ? `，${failed.length} 个文件加载失败（保留原有数据）` : ''}`,
+              reloaded: reloaded,
+              removed: visible(result.removed),
+              failed: failed,
+              sources: getVisibleSources(access)
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        log(`重新加载文档时发生错误: ${error.message}`);
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              error: "重新加载文档时发生错误",
+              details: error.message
+            }, null, 2)
+          }]
+        };
+      }
+    }
+  );
+
+  // 爬取工具 - 在后台爬取配置中的文档源，完成后自动加载爬取结果
+  server.tool(
+    "docs_crawl_start",
+    {
+      source: z.union([z.string(), z.array(z.string())]).describe("要爬取的文档源名称（config/doc-sources.js 中的docSources或通过docs_add_source添加的文档源）或集合名称，也可以是它们的列表"),
+      wait: z.boolean().optional().default(false).describe("是否等待爬取完成，等待期间发送进度通知；默认立即返回任务ID，之后用docs_crawl_status查询")
+    },
+    async ({ source, wait }, extra) => {
+      log(`收到爬取请求: 源=${JSON.stringify(source)}, 等待=${wait}`);
+      
+      try {
+        const selection = await resolveCrawlSources(source, access);
+        if (selection.unknown.length > 0 || selection.sources.length === 0) {
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                error: `未找到可爬取的文档源 "${selection.unknown.join('", "') || source}"`,
+                availableSources: selection.available
+              }, null, 2)
+            }]
+          };
+        }
+        
+        // 同一文档源不重复爬取
+        const running = selection.sources
+          .map(item => crawlJobs.findActive(item.name))
+          .find(Boolean);
+        if (running) {
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                success: false,
+                message: `文档源已在爬取任务 ${running.id} 中，请使用docs_crawl_status查询进度`,
+                job: running
+              }, null, 2)
+            }]
+          };
+        }
+        
+        let job = crawlJobs.start(selection.sources);
+        
+        if (wait) {
+          // 客户端提供了progressToken时，按已爬取的页面数发送进度通知
+          const progressToken = extra?._meta?.progressToken;
+          const onProgress = progressToken === undefined ? null : (info) => {
+            const { pages, pending, processing } = info.progress;
+            extra.sendNotification({
+              method: "notifications/progress",
+              params: {
+                progressToken,
+                progress: pages,
+                total: pages + pending + processing,
+                message: `${info.status}: 已爬取 ${pages} 个页面，待处理 ${pending + processing} 个`
+              }
+            }).catch(error => log(`发送爬取进度通知失败: ${error.message}`));
           };
-        })
-        .sort((a, b) => a.name.localeCompare(b.name))
-        .slice(0, limit);
+          job = await crawlJobs.wait(job.id, onProgress);
+        }
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              success: job.status !== 'failed',
+              message: wait
+                ? `爬取任务已结束: ${job.status}`
+                : `爬取任务已开始，使用docs_crawl_status查询进度，完成后文档会自动加载`,
+              job: job
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        log(`启动爬取任务时发生错误: ${error.message}`);
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              error: "启动爬取任务时发生错误",
+              details: error.message
+            }, null, 2)
+          }]
+        };
+      }
+    }
+  );
+
+  server.tool(
+    "docs_crawl_status",
+    {
+      jobId: z.string().optional().describe("爬取任务ID（可选，默认列出所有任务）")
+    },
+    async ({ jobId }) => {
+      const jobs = (jobId ? [crawlJobs.get(jobId)] : crawlJobs.list())
+        .filter(job => job && isCrawlJobVisible(job, access));
+      
+      if (jobId && jobs.length === 0) {
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({ error: `未找到爬取任务 "${jobId}"` }, null, 2)
+          }]
+        };
+      }
       
-      // 返回文档源列表
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify(jobId ? { success: true, job: jobs[0] } : { success: true, count: jobs.length, jobs }, null, 2)
+        }]
+      };
+    }
+  );
+
+  server.tool(
+    "docs_crawl_cancel",
+    {
+      jobId: z.string().describe("要取消的爬取任务ID")
+    },
+    async ({ jobId }) => {
+      log(`收到取消爬取请求: ${jobId}`);
+      const current = crawlJobs.get(jobId);
+      if (!current || !isCrawlJobVisible(current, access)) {
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({ error: `未找到爬取任务 "${jobId}"` }, null, 2)
+          }]
+        };
+      }
+      
+      const job = crawlJobs.cancel(jobId);
       return {
         content: [{
           type: "text",
           text: JSON.stringify({
             success: true,
-            count: docSources.length,
-            sources: docSources
+            message: job.status === 'running'
+              ? '已请求取消，正在处理的页面完成后任务结束，已爬取的页面仍会加载'
+              : `任务状态: ${job.status}`,
+            job: job
           }, null, 2)
         }]
       };
-    } catch (error) {
-      log(`获取文档列表时发生错误: ${error.message}`);
-      return {
+    }
+  );
+
+  // 添加文档源 - 保存到用户文档源文件，之后可以和配置文件中的文档源一样爬取
+  server.tool(
+    "docs_add_source",
+    {
+      name: z.string().describe("文档源名称，只能包含字母、数字、下划线和连字符，爬取结果保存为 <name>-docs.json"),
+      url: z.string().describe("开始爬取的地址（http或https）"),
+      includePatterns: z.array(z.string()).optional().describe("只爬取匹配的路径，支持 * 通配符，如 \"/docs/*\"（可选，默认不限制）"),
+      excludePatterns: z.array(z.string()).optional().describe("不爬取匹配的路径，正则表达式，如 \"/blog/\"（可选）"),
+      crawler: z.object({
+        maxConcurrency: z.number().int().optional().describe("并行抓取的页面数"),
+        pageLoadTimeout: z.number().int().optional().describe("页面加载超时时间（毫秒）"),
+        headless: z.boolean().optional().describe("同 crawlerConfig.headless"),
+        maxRetries: z.number().int().optional().describe("每个页面的最多尝试次数"),
+        retryDelay: z.number().int().optional().describe("重试间隔（毫秒），按重试次数递增"),
+        respectRobotsTxt: z.boolean().optional().describe("是否遵守robots.txt的Disallow和Crawl-delay")
+      }).optional().describe("覆盖 config/doc-sources.js 中 crawlerConfig 的配置项（可选）"),
+      renderMode: z.enum(RENDER_MODES).optional().describe("页面渲染方式: static直接请求HTML（适合服务端渲染的文档站点，速度快），browser使用浏览器，auto先直接请求、正文太少时改用浏览器（可选，默认browser）"),
+      replace: z.boolean().optional().default(false).describe("是否覆盖已添加的同名文档源"),
+      crawl: z.boolean().optional().default(false).describe("是否添加后立即开始爬取，之后用docs_crawl_status查询进度")
+    },
+    async ({ name, url, includePatterns, excludePatterns, crawler, renderMode, replace, crawl }) => {
+      log(`收到添加文档源请求: ${name} (${url})`);
+      
+      const fail = (error, extra = {}) => ({
         content: [{
           type: "text",
+          text: JSON.stringify({ error, ...extra }, null, 2)
+        }]
+      });
+      
+      // 受限的令牌看不到新添加的文档源，只有不受限制的访问权限可以添加
+      if (access.sources !== null) {
+        return fail("当前令牌只能访问部分文档源，不能添加文档源");
+      }
+      
+      try {
+        const definition = validateSourceDefinition({ name, url, includePatterns, excludePatterns, crawler, renderMode });
+        
+        const config = await importDocConfig();
+        if ((config?.docSources || []).some(item => item?.name?.toLowerCase() === definition.name)) {
+          return fail(`文档源 "${definition.name}" 已在配置文件中定义: ${docConfigPath}`);
+        }
+        if (collections[definition.name]) {
+          return fail(`名称 "${definition.name}" 已被文档集合使用`);
+        }
+        
+        const userSources = loadUserSources(userSourcesPath);
+        const index = userSources.findIndex(item => item.name === definition.name);
+        if (index >= 0 && !replace) {
+          return fail(`文档源 "${definition.name}" 已存在，设置replace为true可以覆盖`, { source: userSources[index] });
+        }
+        if (index >= 0) {
+          userSources[index] = definition;
+        } else {
+          userSources.push(definition);
+        }
+        saveUserSources(userSourcesPath, userSources);
+        log(`已${index >= 0 ? '更新' : '添加'}文档源: ${definition.name}，保存到 ${userSourcesPath}`);
+        
+        // 同一文档源不重复爬取
+        let job = null;
+        if (crawl) {
+          job = crawlJobs.findActive(definition.name) || crawlJobs.start([toCrawlerSource(definition)]);
+        }
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              message: job
+                ? `文档源已${index >= 0 ? '更新' : '添加'}，爬取任务 ${job.id} 已开始，使用docs_crawl_status查询进度`
+                : `文档源已${index >= 0 ? '更新' : '添加'}，使用docs_crawl_start开始爬取`,
+              source: definition,
+              file: userSourcesPath,
+              job: job
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        if (error instanceof SourceValidationError) {
+          return fail("文档源定义无效", { details: error.errors });
+        }
+        log(`添加文档源时发生错误: ${error.message}`);
+        return fail("添加文档源时发生错误", { details: error.message });
+      }
+    }
+  );
+}
+
+// 可爬取的文档源: 配置文件中的docSources和用户添加的文档源
+async function getCrawlSourceConfigs() {
+  const config = await importDocConfig();
+  const userSources = loadUserSources(userSourcesPath);
+  if (!Array.isArray(config?.docSources) && userSources.length === 0) {
+    throw new Error(`文档源配置文件不存在或未导出docSources: ${docConfigPath}，也没有通过docs_add_source添加的文档源`);
+  }
+  return [...(config?.docSources || []), ...userSources.map(toCrawlerSource)];
+}
+
+// 解析要爬取的文档源: 支持文档源名称和集合名称，只能爬取访问权限允许的文档源
+async function resolveCrawlSources(selection, access) {
+  const configured = (await getCrawlSourceConfigs()).filter(item =>
+    item && item.name && item.url && isSourceAllowed(access, item.name.toLowerCase(), collections)
+  );
+  const names = configured.map(item => item.name.toLowerCase());
+  const visibleCollections = access.sources === null ? collections : filterCollections(collections, names);
+  const { sources, unknown } = resolveSourceSelection(selection, names, visibleCollections);
+  
+  return {
+    sources: sources.map(name => configured[names.indexOf(name)]),
+    unknown,
+    available: names
+  };
+}
+
+// 访问权限是否允许查看爬取任务（任务中的文档源都允许时可见）
+function isCrawlJobVisible(job, access) {
+  return job.sources.every(name => isSourceAllowed(access, name.toLowerCase(), collections));
+}
+
+// 补全提示词的source参数: 访问权限允许的文档源和集合
+async function completeSourceName(value, access) {
+  await ensureDocsLoaded();
+  const prefix = (value || '').toLowerCase();
+  return [...getVisibleSources(access), ...Object.keys(getVisibleCollections(access))]
+    .filter(name => name.startsWith(prefix))
+    .sort();
+}
+
+// 检索提示词附带的文档段落，返回段落资源URI和原文
+function findPromptSections(source, symbol, access, { limit = PROMPT_SECTION_LIMIT, facetFilters = {} } = {}) {
+  const visibleSources = getVisibleSources(access);
+  const { sources, unknown } = resolveSourceSelection(source, visibleSources, getVisibleCollections(access));
+  if (unknown.length > 0 || sources.length === 0) {
+    throw new McpError(ErrorCode.InvalidParams, `未找到文档源: ${source}，可用的文档源: ${visibleSources.join(', ')}`);
+  }
+  
+  let { results } = searchIndex.search(symbol, { sources, limit, facetFilters });
+  // 按分面过滤没有结果时（如组件页面未被识别为component类型），退回不过滤
+  if (results.length === 0 && Object.keys(facetFilters).length > 0) {
+    ({ results } = searchIndex.search(symbol, { sources, limit }));
+  }
+  
+  return results.map(hit => {
+    const data = docData[hit.source];
+    const section = data.sections[hit.id];
+    return {
+      uri: buildResourceUri(hit.source, data.resourcePaths.byPage.get(section.pageId), section.anchor),
+      text: section.content
+    };
+  });
+}
+
+// 注册提示词
+function registerPrompts(server, access) {
+  // 提示词参数: source支持补全
+  const promptSourceArg = (description) => completable(z.string().describe(description), value => completeSourceName(value, access));
+
+  // 提示词 - 检索相关文档段落并预先填入对话
+  server.prompt(
+    "explain_api",
+    PROMPTS.explain_api.description,
+    {
+      source: promptSourceArg("文档源或集合名称"),
+      symbol: z.string().describe("API名称，如 Taro.navigateTo")
+    },
+    async ({ source, symbol }) => {
+      log(`生成提示词: explain_api, 源=${source}, 名称=${symbol}`);
+      await ensureDocsLoaded();
+      const prompt = PROMPTS.explain_api;
+      const sections = findPromptSections(source, symbol, access, { facetFilters: prompt.facetFilters });
+      return {
+        description: `${source}: ${symbol}`,
+        messages: buildPromptMessages(prompt.instruction({ source, symbol }), sections, symbol)
+      };
+    }
+  );
+
+  server.prompt(
+    "compare_versions",
+    PROMPTS.compare_versions.description,
+    {
+      source: promptSourceArg("文档源名称（如旧版本）"),
+      otherSource: promptSourceArg("用于对比的文档源名称（如新版本）"),
+      symbol: z.string().describe("要对比的API、组件或概念名称")
+    },
+    async ({ source, otherSource, symbol }) => {
+      log(`生成提示词: compare_versions, 源=${source}/${otherSource}, 名称=${symbol}`);
+      await ensureDocsLoaded();
+      const prompt = PROMPTS.compare_versions;
+      // 两个文档源各取一半段落
+      const limit = Math.ceil(PROMPT_SECTION_LIMIT / 2);
+      const sections = [
+        ...findPromptSections(source, symbol, access, { limit, facetFilters: prompt.facetFilters }),
+        ...findPromptSections(otherSource, symbol, access, { limit, facetFilters: prompt.facetFilters })
+      ];
+      return {
+        description: `${source} / ${otherSource}: ${symbol}`,
+        messages: buildPromptMessages(prompt.instruction({ source, otherSource, symbol }), sections, symbol)
+      };
+    }
+  );
+
+  server.prompt(
+    "component_usage",
+    PROMPTS.component_usage.description,
+    {
+      source: promptSourceArg("文档源或集合名称"),
+      symbol: z.string().describe("组件名称，如 Button")
+    },
+    async ({ source, symbol }) => {
+      log(`生成提示词: component_usage, 源=${source}, 名称=${symbol}`);
+      await ensureDocsLoaded();
+      const prompt = PROMPTS.component_usage;
+      const sections = findPromptSections(source, symbol, access, { facetFilters: prompt.facetFilters });
+      return {
+        description: `${source}: ${symbol}`,
+        messages: buildPromptMessages(prompt.instruction({ source, symbol }), sections, symbol)
+      };
+    }
+  );
+}
+
+// 通知客户端资源列表已变化（文档重新加载后调用）
+function notifyResourceListChanged() {
+  for (const server of activeServers) {
+    if (!server.isConnected()) continue;
+    server.server.sendResourceListChanged().catch(error => {
+      log(`发送资源列表变化通知失败: ${error.message}`);
+    });
+  }
+}
+
+// 列出访问权限允许的文档资源: 先是各文档源，然后是各页面
+function listAllResources(access) {
+  const resources = [];
+  for (const sourceName of getVisibleSources(access)) {
+    const data = docData[sourceName];
+    resources.push({
+      uri: buildResourceUri(sourceName),
+      name: data.source?.name || sourceName,
+      description: `${sourceName} 文档源，共 ${Object.keys(data.pages).length} 个页面`,
+      mimeType: 'application/json'
+    });
+    for (const [pageId, page] of Object.entries(data.pages)) {
+      resources.push({
+        uri: buildResourceUri(sourceName, data.resourcePaths.byPage.get(pageId)),
+        name: page.title || pageId,
+        description: pageId,
+        mimeType: 'text/markdown'
+      });
+    }
+  }
+  return resources;
+}
+
+// 注册文档资源
+function registerResources(server, access) {
+  // 文档资源 - 使用底层Server注册处理器，以支持分页和列表变化通知
+  server.server.registerCapabilities({
+    resources: { listChanged: true }
+  });
+
+  server.server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+    await ensureDocsLoaded();
+  
+    // 游标与语料版本绑定，文档重新加载后需要从头列出
+    const queryKey = 'resources/list';
+    const corpusVersion = searchIndex.getCorpusVersion(getVisibleSources(access));
+    let offset = 0;
+    if (request.params?.cursor) {
+      try {
+        offset = decodeCursor(request.params.cursor, { queryKey, corpusVersion }).offset;
+      } catch (error) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+      }
+    }
+  
+    const resources = listAllResources(access);
+    const nextOffset = offset + RESOURCE_PAGE_SIZE;
+    log(`列出文档资源: ${offset}-${Math.min(nextOffset, resources.length)} / ${resources.length}`);
+  
+    return {
+      resources: resources.slice(offset, nextOffset),
+      nextCursor: nextOffset < resources.length
+        ? encodeCursor({ offset: nextOffset, queryKey, corpusVersion })
+        : undefined
+    };
+  });
+
+  server.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: RESOURCE_TEMPLATES
+  }));
+
+  server.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+    log(`读取文档资源: ${uri}`);
+    await ensureDocsLoaded();
+  
+    const parsed = parseResourceUri(uri);
+    const data = parsed && isSourceAllowed(access, parsed.source, collections) && docData[parsed.source];
+    if (!data) {
+      throw new McpError(ErrorCode.InvalidParams, `未找到资源: ${uri}`);
+    }
+  
+    // 文档源概览
+    if (!parsed.path) {
+      return {
+        contents: [{
+          uri,
+          mimeType: 'application/json',
           text: JSON.stringify({
-            error: "获取文档列表时发生错误", 
-            details: error.message
+            name: parsed.source,
+            displayName: data.source?.name || parsed.source,
+            url: data.source?.url || "",
+            lastUpdated: data.lastUpdated || "",
+            pageCount: Object.keys(data.pages).length,
+            pages: Object.entries(data.pages).map(([pageId, page]) => ({
+              uri: buildResourceUri(parsed.source, data.resourcePaths.byPage.get(pageId)),
+              title: page.title || pageId,
+              url: pageId
+            }))
           }, null, 2)
         }]
       };
     }
-  }
-);
\ No newline at end of file
+  
+    const pageId = data.resourcePaths.byPath.get(parsed.path);
+    if (!pageId) {
+      throw new McpError(ErrorCode.InvalidParams, `未找到资源: ${uri}`);
+    }
+  
+    // 单个段落
+    if (parsed.anchor) {
+      const section = (data.pageSections[pageId] || []).find(item => item.anchor === parsed.anchor);
+      if (!section) {
+        throw new McpError(ErrorCode.InvalidParams, `页面 ${pageId} 中未找到段落: ${parsed.anchor}`);
+      }
+      return {
+        contents: [{ uri, mimeType: 'text/markdown', text: section.content }]
+      };
+    }
+  
+    return {
+      contents: [{ uri, mimeType: 'text/markdown', text: data.pages[pageId].content || "" }]
+    };
+  });
+}
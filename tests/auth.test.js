@@ -0,0 +1,88 @@
+// auth.test.js - 令牌认证和文档源访问控制测试
+import path from 'path';
+import os from 'os';
+import fs from 'fs';
+import { parseTokenConfig, extractBearerToken, isSourceAllowed, filterCollections, TokenStore, isSameAccess } from '../scripts/auth.js';
+
+describe('令牌认证测试', () => {
+  test('解析令牌文件', () => {
+    const tokens = parseTokenConfig({
+      tokens: [
+        { name: 'frontend', token: 'a', sources: ['Taro', 'taro-stack'] },
+        { token: 'b', sources: ['*'] }
+      ]
+    });
+
+    expect(tokens.map(({ name, sources }) => ({ name, sources }))).toEqual([
+      { name: 'frontend', sources: ['taro', 'taro-stack'] },
+      { name: 'token-2', sources: null }
+    ]);
+    expect(() => parseTokenConfig({})).toThrow('tokens数组');
+    expect(() => parseTokenConfig({ tokens: [{ token: 'a' }] })).toThrow('sources数组');
+  });
+
+  test('提取Bearer令牌', () => {
+    expect(extractBearerToken('Bearer abc')).toBe('abc');
+    expect(extractBearerToken('bearer abc ')).toBe('abc');
+    expect(extractBearerToken('Basic abc')).toBeNull();
+    expect(extractBearerToken(undefined)).toBeNull();
+  });
+
+  test('按文档源和集合判断访问权限', () => {
+    const collections = { 'taro-stack': ['taro', 'taroify'] };
+    const access = { name: 'frontend', sources: ['taro-stack', 'vue'] };
+
+    expect(isSourceAllowed(access, 'taroify', collections)).toBe(true);
+    expect(isSourceAllowed(access, 'vue', collections)).toBe(true);
+    expect(isSourceAllowed(access, 'internal', collections)).toBe(false);
+    expect(isSourceAllowed({ sources: null }, 'internal', collections)).toBe(true);
+  });
+
+  test('集合只保留允许的成员', () => {
+    const collections = { 'taro-stack': ['taro', 'taroify'], internal: ['secret'] };
+
+    expect(filterCollections(collections, ['taro'])).toEqual({ 'taro-stack': ['taro'] });
+  });
+
+  test('令牌文件校验和重新读取', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokens-'));
+    const filePath = path.join(dir, 'tokens.json');
+    fs.writeFileSync(filePath, JSON.stringify({ tokens: [{ name: 'fe', token: 'secret-1', sources: ['taro'] }] }));
+
+    try {
+      const store = new TokenStore(filePath).refresh();
+      expect(store.version).toBe(1);
+      expect(store.authenticate('secret-1')).toEqual({ name: 'fe', sources: ['taro'] });
+      expect(store.authenticate('secret-2')).toBeNull();
+      expect(store.authenticate(null)).toBeNull();
+
+      // 文件修改后自动使用新的令牌
+      fs.writeFileSync(filePath, JSON.stringify({ tokens: [{ name: 'all', token: 'secret-2', sources: ['*'] }] }));
+      fs.utimesSync(filePath, new Date(), new Date(Date.now() + 1000));
+      expect(store.authenticate('secret-1')).toBeNull();
+      expect(store.authenticate('secret-2')).toEqual({ name: 'all', sources: null });
+      expect(store.version).toBe(2);
+
+      // 修改后格式错误时保留原有令牌
+      fs.writeFileSync(filePath, '{');
+      fs.utimesSync(filePath, new Date(), new Date(Date.now() + 2000));
+      expect(store.authenticate('secret-2')).toEqual({ name: 'all', sources: null });
+      expect(store.version).toBe(2);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('比较访问权限判断会话是否需要关闭', () => {
+    expect(isSameAccess({ name: 'fe', sources: ['taro'] }, { name: 'fe', sources: ['taro'] })).toBe(true);
+    expect(isSameAccess({ name: 'fe', sources: null }, { name: 'fe', sources: null })).toBe(true);
+    expect(isSameAccess({ name: 'fe', sources: ['taro'] }, { name: 'fe', sources: ['laravel'] })).toBe(false);
+    expect(isSameAccess({ name: 'fe', sources: ['taro'] }, { name: 'fe', sources: null })).toBe(false);
+    expect(isSameAccess({ name: 'fe', sources: null }, { name: 'all', sources: null })).toBe(false);
+    expect(isSameAccess(null, { name: 'fe', sources: null })).toBe(false);
+  });
+
+  test('令牌文件不存在时报错', () => {
+    expect(() => new TokenStore(path.join(os.tmpdir(), 'missing-tokens.json')).refresh()).toThrow('读取令牌文件失败');
+  });
+});
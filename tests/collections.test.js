@@ -0,0 +1,29 @@
+// collections.test.js - 文档集合测试
+import { normalizeCollections, resolveSourceSelection } from '../scripts/collections.js';
+
+describe('文档集合测试', () => {
+  const collections = normalizeCollections({
+    'Taro-Stack': ['taro', 'Taroify', 'taro'],
+    invalid: 'taro'
+  });
+
+  test('集合名称和成员统一为小写并去重', () => {
+    expect(collections).toEqual({ 'taro-stack': ['taro', 'taroify'] });
+    expect(normalizeCollections(undefined)).toEqual({});
+  });
+
+  test('支持文档源、集合及其列表', () => {
+    const available = ['taro', 'taroify', 'laravel'];
+
+    expect(resolveSourceSelection('Laravel', available, collections).sources).toEqual(['laravel']);
+    expect(resolveSourceSelection(['taro-stack', 'taro'], available, collections).sources).toEqual(['taro', 'taroify']);
+    expect(resolveSourceSelection(['taro', 'jquery'], available, collections).unknown).toEqual(['jquery']);
+  });
+
+  test('记录集合中尚未加载的文档源', () => {
+    const selection = resolveSourceSelection('taro-stack', ['taro'], collections);
+
+    expect(selection.sources).toEqual(['taro']);
+    expect(selection.missing).toEqual(['taroify']);
+  });
+});
@@ -0,0 +1,50 @@
+// crawl-cli.test.js - 命令行爬虫参数测试
+import { parseCrawlArgs, selectCrawlSources, formatCrawlEvent, CrawlUsageError } from '../scripts/crawl-cli.js';
+
+describe('命令行爬虫参数测试', () => {
+  test('不带参数时使用交互式菜单', () => {
+    expect(parseCrawlArgs([])).toMatchObject({ interactive: true, help: false, sources: [], all: false });
+    expect(parseCrawlArgs(['--help'])).toMatchObject({ interactive: false, help: true });
+  });
+
+  test('解析文档源、并发数、输出目录和dry-run', () => {
+    expect(parseCrawlArgs(['--source', 'Taro', '--source=laravel', '--concurrency', '8', '--out=./out', '--dry-run'])).toEqual({
+      interactive: false,
+      help: false,
+      sources: ['taro', 'laravel'],
+      all: false,
+      concurrency: 8,
+      out: './out',
+      resume: false,
+      dryRun: true
+    });
+    expect(parseCrawlArgs(['--all', '--resume'])).toMatchObject({ all: true, resume: true });
+    expect(parseCrawlArgs(['--all'])).toMatchObject({ all: true, sources: [], resume: false });
+  });
+
+  test('无效参数抛出参数错误', () => {
+    expect(() => parseCrawlArgs(['--bogus'])).toThrow(CrawlUsageError);
+    expect(() => parseCrawlArgs(['taro'])).toThrow('无法识别的参数');
+    expect(() => parseCrawlArgs(['--source'])).toThrow('--source 需要一个值');
+    expect(() => parseCrawlArgs(['--source', '--all'])).toThrow('--source 需要一个值');
+    expect(() => parseCrawlArgs(['--all', '--concurrency', '0'])).toThrow('--concurrency');
+    expect(() => parseCrawlArgs(['--all', '--source', 'taro'])).toThrow('不能同时使用');
+    expect(() => parseCrawlArgs(['--dry-run'])).toThrow('--source');
+  });
+
+  test('按名称选择文档源', () => {
+    const docSources = [{ name: 'Taro', url: 'a' }, { name: 'laravel', url: 'b' }];
+
+    expect(selectCrawlSources(docSources, { all: true, sources: [] })).toEqual(docSources);
+    expect(selectCrawlSources(docSources, { all: false, sources: ['laravel', 'taro', 'laravel'] }))
+      .toEqual([docSources[1], docSources[0]]);
+    expect(() => selectCrawlSources(docSources, { all: false, sources: ['vue'] })).toThrow('未找到文档源: vue');
+  });
+
+  test('进度事件为单行JSON', () => {
+    const line = formatCrawlEvent('progress', { pages: 3, failed: 0 });
+
+    expect(line).not.toContain('\n');
+    expect(JSON.parse(line)).toMatchObject({ event: 'progress', pages: 3, failed: 0 });
+  });
+});
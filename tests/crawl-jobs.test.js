@@ -0,0 +1,93 @@
+// crawl-jobs.test.js - 后台爬取任务测试
+import { CrawlJobManager } from '../scripts/crawl-jobs.js';
+
+// 模拟TaskManager: 每次处理一个待爬取页面，直到队列为空或被取消
+class FakeTaskManager {
+  constructor(pageCount, { fail = false } = {}) {
+    this.pageCount = pageCount;
+    this.fail = fail;
+    this.tasks = new Map();
+    this.cancelled = false;
+    this.browserManager = { close: async () => { this.closed = true; } };
+  }
+
+  async init() {
+    if (this.fail) throw new Error('浏览器启动失败');
+  }
+
+  async addSource(source) {
+    this.tasks.set(source.name, { name: source.name, pages: new Map() });
+  }
+
+  async processUrlQueue() {
+    for (let i = 0; i < this.pageCount && !this.cancelled; i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      for (const task of this.tasks.values()) task.pages.set(`page-${i}`, {});
+    }
+  }
+
+  async finishCrawl() {
+    return { sources: [...this.tasks.values()].map(task => ({ name: task.name, added: [...task.pages.keys()], changed: [], removed: [], unchanged: 0 })) };
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+
+  getProgress() {
+    const sources = [...this.tasks.values()].map(task => ({ name: task.name, pages: task.pages.size }));
+    return { sources, pages: sources.reduce((sum, item) => sum + item.pages, 0), pending: 0, processing: 0 };
+  }
+}
+
+describe('后台爬取任务测试', () => {
+  test('任务完成后加载爬取结果并报告进度', async () => {
+    const finished = [];
+    const jobs = new CrawlJobManager({
+      createTaskManager: async () => new FakeTaskManager(5),
+      onJobFinished: async job => { finished.push(job.sources); return { reloaded: job.sources }; },
+      progressInterval: 10
+    });
+
+    const started = jobs.start([{ name: 'taro', url: 'https://docs.taro.zone/docs' }]);
+    expect(started.status).toBe('queued');
+    expect(jobs.findActive('taro').id).toBe(started.id);
+
+    const progress = [];
+    const job = await jobs.wait(started.id, info => progress.push(info.progress.pages));
+
+    expect(job.status).toBe('completed');
+    expect(job.progress.pages).toBe(5);
+    expect(job.result).toEqual({ reloaded: ['taro'] });
+    expect(finished).toEqual([['taro']]);
+    expect(progress.length).toBeGreaterThan(0);
+    expect(jobs.findActive('taro')).toBeNull();
+  });
+
+  test('任务按顺序执行，可以取消排队和运行中的任务', async () => {
+    const jobs = new CrawlJobManager({ createTaskManager: async () => new FakeTaskManager(50) });
+
+    const first = jobs.start([{ name: 'taro', url: 'https://a' }]);
+    const second = jobs.start([{ name: 'vue', url: 'https://b' }]);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(jobs.get(first.id).status).toBe('running');
+    expect(jobs.cancel(second.id).status).toBe('cancelled');
+    jobs.cancel(first.id);
+
+    const job = await jobs.wait(first.id);
+    expect(job.status).toBe('cancelled');
+    expect(job.progress.pages).toBeLessThan(50);
+    expect(jobs.list().map(item => item.id)).toEqual([second.id, first.id]);
+  });
+
+  test('爬取失败时记录错误', async () => {
+    const jobs = new CrawlJobManager({ createTaskManager: async () => new FakeTaskManager(1, { fail: true }) });
+
+    const job = await jobs.wait(jobs.start([{ name: 'taro', url: 'https://a' }]).id);
+
+    expect(job.status).toBe('failed');
+    expect(job.error).toBe('浏览器启动失败');
+    expect(jobs.get('missing')).toBeNull();
+  });
+});
@@ -0,0 +1,52 @@
+// crawl-state.test.js - 爬取状态保存和读取测试
+import path from 'path';
+import os from 'os';
+import fs from 'fs';
+import { getCrawlStatePath, loadCrawlState, saveCrawlState, removeCrawlState, CRAWL_STATE_DIR_NAME } from '../scripts/crawl-state.js';
+
+describe('爬取状态测试', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crawl-state-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('状态文件保存在输出目录的子目录中', () => {
+    expect(getCrawlStatePath(dir, 'Laravel')).toBe(path.join(dir, CRAWL_STATE_DIR_NAME, 'laravel.json'));
+  });
+
+  test('保存、读取和删除爬取状态', async () => {
+    const filePath = getCrawlStatePath(dir, 'laravel');
+    const state = {
+      source: { name: 'laravel', url: 'https://laravel.com/docs/12.x' },
+      startedAt: '2026-10-19T00:00:00.000Z',
+      updatedAt: '2026-10-19T00:10:00.000Z',
+      pending: ['https://laravel.com/docs/12.x/routing'],
+      visited: ['https://laravel.com/docs/12.x'],
+      changes: { added: ['https://laravel.com/docs/12.x'], changed: [], unchanged: [], removed: [] }
+    };
+
+    expect(await loadCrawlState(filePath)).toBeNull();
+    await saveCrawlState(filePath, state);
+    expect(await loadCrawlState(filePath)).toEqual(state);
+    expect(fs.readdirSync(path.dirname(filePath))).toEqual(['laravel.json']);
+
+    await removeCrawlState(filePath);
+    await removeCrawlState(filePath);
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  test('格式不正确的状态文件被忽略', async () => {
+    const filePath = getCrawlStatePath(dir, 'taro');
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    fs.writeFileSync(filePath, '{"source": {"name": "taro"}}');
+    expect(await loadCrawlState(filePath)).toBeNull();
+    fs.writeFileSync(filePath, '{"pending": [');
+    expect(await loadCrawlState(filePath)).toBeNull();
+  });
+});
@@ -0,0 +1,35 @@
+// cursor.test.js - 分页游标测试
+import { encodeCursor, decodeCursor, hashQuery, CursorError } from '../scripts/cursor.js';
+
+describe('分页游标测试', () => {
+  const queryKey = hashQuery({ query: 'router', sources: 'taro', fuzzy: true });
+  const corpusVersion = 'v1';
+
+  test('游标可以还原偏移量', () => {
+    const cursor = encodeCursor({ offset: 20, queryKey, corpusVersion });
+
+    expect(decodeCursor(cursor, { queryKey, corpusVersion })).toEqual({ offset: 20 });
+  });
+
+  test('查询标识与参数顺序无关', () => {
+    expect(hashQuery({ fuzzy: true, sources: 'taro', query: 'router' })).toBe(queryKey);
+    expect(hashQuery({ query: 'router', sources: 'taro', fuzzy: false })).not.toBe(queryKey);
+  });
+
+  test('拒绝无效、不匹配或过期的游标', () => {
+    const cursor = encodeCursor({ offset: 10, queryKey, corpusVersion });
+    const reasonOf = (value, expected) => {
+      try {
+        decodeCursor(value, expected);
+      } catch (error) {
+        expect(error).toBeInstanceOf(CursorError);
+        return error.reason;
+      }
+      return null;
+    };
+
+    expect(reasonOf('not-a-cursor', { queryKey, corpusVersion })).toBe('invalid');
+    expect(reasonOf(cursor, { queryKey: 'other', corpusVersion })).toBe('mismatch');
+    expect(reasonOf(cursor, { queryKey, corpusVersion: 'v2' })).toBe('stale');
+  });
+});
@@ -0,0 +1,26 @@
+// docs-watcher.test.js - 文档目录监听测试
+import path from 'path';
+import os from 'os';
+import fs from 'fs';
+import { watchDocsDir } from '../scripts/docs-watcher.js';
+
+describe('文档目录监听测试', () => {
+  test('合并短时间内的变化，只报告JSON文件', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'docs-watch-'));
+    const batches = [];
+    const watcher = watchDocsDir(dir, files => batches.push(files), { debounce: 100 });
+
+    try {
+      fs.writeFileSync(path.join(dir, 'taro.json'), '{');
+      fs.writeFileSync(path.join(dir, 'taro.json'), '{"pages": {}}');
+      fs.writeFileSync(path.join(dir, 'taro.vectors'), '{}');
+      fs.writeFileSync(path.join(dir, 'vue.json'), '{"pages": {}}');
+      await new Promise(resolve => setTimeout(resolve, 500));
+
+      expect(batches).toEqual([['taro.json', 'vue.json']]);
+    } finally {
+      watcher.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
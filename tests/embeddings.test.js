@@ -0,0 +1,153 @@
+// embeddings.test.js - 段落向量与混合搜索测试
+import path from 'path';
+import os from 'os';
+import fs from 'fs';
+import { VectorStore, getVectorsPath, normalizeVector } from '../scripts/embeddings.js';
+import { SearchIndex, SourceIndex } from '../scripts/search-index.js';
+
+// 按概念词表生成向量的假模型，代替真实的嵌入模型
+const concepts = [
+  ['bubbling', 'propagation', '冒泡'],
+  ['navigate', 'router', 'page'],
+  ['button', 'tap']
+];
+const embedText = text => normalizeVector(concepts.map(words =>
+  words.reduce((sum, word) => sum + (text.toLowerCase().includes(word) ? 1 : 0), 0.01)
+));
+const createModel = () => {
+  const model = {
+    id: 'fake-model',
+    calls: 0,
+    embed: async texts => {
+      model.calls += texts.length;
+      return texts.map(embedText);
+    }
+  };
+  return model;
+};
+
+const documents = {
+  'https://docs.example.com/events#stop': { title: 'Events', headings: ['stopPropagation'], content: 'Call e.stopPropagation() to prevent propagation to parents.' },
+  'https://docs.example.com/router#top': { title: 'Router', headings: [], content: 'Use navigateTo to open a page.' },
+  'https://docs.example.com/button#top': { title: 'Button', headings: [], content: 'Buttons fire tap events.' }
+};
+
+describe('段落向量测试', () => {
+  test('只重新嵌入内容变化的段落', async () => {
+    const model = createModel();
+    const { store, embedded } = await VectorStore.build('example', documents, model);
+    expect(embedded).toBe(3);
+
+    const changed = { ...documents, 'https://docs.example.com/button#top': { title: 'Button', content: 'Buttons.' } };
+    const rebuilt = await VectorStore.build('example', changed, model, { previous: store });
+    expect(rebuilt.embedded).toBe(1);
+    expect(model.calls).toBe(4);
+
+    // 模型变化时全部重新嵌入
+    const other = { ...createModel(), id: 'other-model' };
+    expect((await VectorStore.build('example', documents, other, { previous: store })).embedded).toBe(3);
+  });
+
+  test('保存后可以重新加载', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vectors-'));
+    const filePath = getVectorsPath(path.join(dir, 'example-docs.json'));
+
+    try {
+      const { store } = await VectorStore.build('example', documents, createModel());
+      store.save(filePath);
+
+      expect(filePath.endsWith('example-docs.vectors')).toBe(true);
+      const loaded = VectorStore.load(filePath, 'example');
+      const query = embedText('event bubbling');
+      expect(loaded.search(query, 3)).toEqual(store.search(query, 3));
+      expect(loaded.model).toBe('fake-model');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('没有段落的向量文件可以正常读取', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vectors-'));
+    const filePath = getVectorsPath(path.join(dir, 'empty-docs.json'));
+
+    try {
+      const { store } = await VectorStore.build('empty', {}, createModel());
+      store.save(filePath);
+
+      expect(VectorStore.load(filePath, 'empty').entries.size).toBe(0);
+      expect(fs.existsSync(filePath)).toBe(true);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('向量文件损坏时删除并返回null', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vectors-'));
+    const filePath = getVectorsPath(path.join(dir, 'example-docs.json'));
+
+    try {
+      const { store } = await VectorStore.build('example', documents, createModel());
+      store.save(filePath);
+      expect(fs.readdirSync(dir)).toEqual(['example-docs.vectors']);
+
+      // 向量数据被截断
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      fs.writeFileSync(filePath, JSON.stringify({ ...data, vectors: data.vectors.slice(0, 10) }));
+      expect(VectorStore.load(filePath, 'example')).toBeNull();
+      expect(fs.existsSync(filePath)).toBe(false);
+
+      // JSON不完整
+      fs.writeFileSync(filePath, '{"version": 1, "ids": [');
+      expect(VectorStore.load(filePath, 'example')).toBeNull();
+      expect(fs.existsSync(filePath)).toBe(false);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('混合搜索测试', () => {
+  let index;
+
+  beforeEach(async () => {
+    index = new SearchIndex();
+    index.setSource('example', SourceIndex.build('example', documents));
+    index.setVectors('example', (await VectorStore.build('example', documents, createModel())).store);
+  });
+
+  test('语义搜索找到关键词无法匹配的段落', () => {
+    const query = 'how to stop event bubbling';
+    const queryVector = embedText(query);
+
+    expect(index.search(query).total).toBe(0);
+    const { results } = index.search(query, { mode: 'semantic', queryVector, limit: 1 });
+    expect(results[0].id).toBe('https://docs.example.com/events#stop');
+    expect(results[0].similarity).toBeGreaterThan(0.9);
+  });
+
+  test('混合模式综合BM25和相似度并应用排除条件', () => {
+    const queryVector = embedText('navigate page');
+    const { results } = index.search('page', { mode: 'hybrid', queryVector });
+
+    expect(results[0].id).toBe('https://docs.example.com/router#top');
+    expect(results[0].score).toBeCloseTo(0.5 * 1 + 0.5 * results[0].similarity);
+    expect(results.map(r => r.id)).toHaveLength(3);
+
+    const filtered = index.search('page -navigateTo', { mode: 'hybrid', queryVector });
+    expect(filtered.results.map(r => r.id)).not.toContain('https://docs.example.com/router#top');
+  });
+
+  test('向量只影响语义和混合搜索的语料版本', async () => {
+    const keyword = index.getCorpusVersion();
+    const hybrid = index.getCorpusVersion(null, { includeVectors: true });
+
+    index.setVectors('example', (await VectorStore.build('example', Object.fromEntries(Object.entries(documents).slice(0, 1)), createModel())).store);
+    expect(index.getCorpusVersion()).toBe(keyword);
+    expect(index.getCorpusVersion(null, { includeVectors: true })).not.toBe(hybrid);
+  });
+
+  test('没有查询向量时与关键词搜索一致', () => {
+    expect(index.search('page', { mode: 'hybrid' }).results.map(r => r.id))
+      .toEqual(index.search('page').results.map(r => r.id));
+  });
+});
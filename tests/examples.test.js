@@ -0,0 +1,109 @@
+// examples.test.js - 代码示例提取和查询测试
+import { extractExamples, collectExamples, buildExampleIndex, findExamples, normalizeLanguage, guessLanguage } from '../scripts/examples.js';
+
+const PICKER_PAGE = [
+  '# Picker 选择器',
+  '## 代码演示',
+  '### 基础用法',
+  '通过 `columns` 属性设置选项。',
+  '',
+  '```tsx title="basic.tsx"',
+  'import { Picker } from "@taroify/core"',
+  '',
+  '<Picker columns={columns} />',
+  '```',
+  '```',
+  'npm i @taroify/core',
+  '```',
+  '## 引入',
+  '| 参数 | 说明 |',
+  '| --- | --- |',
+  '```js',
+  'import { Picker } from "@taroify/core"',
+  '```',
+  '````md',
+  '```js',
+  'nested',
+  '```',
+  '````'
+].join('\n');
+
+describe('代码示例提取测试', () => {
+  test('记录语言、所在段落和紧接在前面的说明', () => {
+    const examples = extractExamples(PICKER_PAGE);
+
+    expect(examples).toEqual([
+      {
+        code: 'import { Picker } from "@taroify/core"\n\n<Picker columns={columns} />',
+        anchor: '基础用法',
+        section: '基础用法',
+        language: 'tsx',
+        caption: '通过 columns 属性设置选项。'
+      },
+      { code: 'npm i @taroify/core', anchor: '基础用法', section: '基础用法', language: 'bash' },
+      { code: 'import { Picker } from "@taroify/core"', anchor: '引入', section: '引入', language: 'javascript' },
+      { code: '```js\nnested\n```', anchor: '引入', section: '引入', language: 'markdown' }
+    ]);
+  });
+
+  test('统一语言别名并按内容推测语言', () => {
+    expect(normalizeLanguage('TSX')).toBe('tsx');
+    expect(normalizeLanguage('ts')).toBe('typescript');
+    expect(normalizeLanguage('')).toBeNull();
+
+    expect(guessLanguage('<?php\necho 1;')).toBe('php');
+    expect(guessLanguage('{"name": "app"}')).toBe('json');
+    expect(guessLanguage('<View className="a" />')).toBe('jsx');
+    expect(guessLanguage('const a = 1')).toBe('javascript');
+    expect(guessLanguage('SELECT 1')).toBeNull();
+  });
+
+  test('组件页面读取的代码块使用语言标注并去除重复', () => {
+    const code = 'import { Picker } from "@taroify/core"\n<Picker columns={columns} />';
+    expect(collectExamples([
+      { code, language: 'TSX', heading: '基础  用法', caption: '  通过 columns\n属性设置选项。 ' },
+      { code, language: null, heading: '基础用法', caption: null },
+      { code: 'npm i @taroify/core', language: null, heading: '', caption: null },
+      { code: 'SELECT 1', language: null, heading: 'SQL', caption: '' },
+      { code: '  ', language: 'js', heading: '', caption: null }
+    ])).toEqual([
+      { code, anchor: '基础-用法', section: '基础 用法', language: 'tsx', caption: '通过 columns 属性设置选项。' },
+      { code: 'npm i @taroify/core', anchor: 'top', section: '', language: 'bash' },
+      { code: 'SELECT 1', anchor: 'sql', section: 'SQL' }
+    ]);
+  });
+});
+
+describe('代码示例查询测试', () => {
+  const index = buildExampleIndex({
+    'https://taroify.dev/components/picker': { title: 'Picker 选择器', content: PICKER_PAGE, text: '' },
+    'https://taroify.dev/components/button': {
+      title: 'Button 按钮',
+      content: 'x',
+      examples: [{ code: '<Button>PickerButton</Button>', anchor: 'top', section: '', language: 'tsx' }]
+    },
+    'https://example.com/plain': { title: 'Plain', content: PICKER_PAGE }
+  });
+
+  test('使用保存的示例，爬虫生成的页面没有示例时从内容中提取', () => {
+    expect(index).toHaveLength(5);
+    expect(index[0]).toMatchObject({ pageId: 'https://taroify.dev/components/picker', title: 'Picker 选择器' });
+    expect(index[4]).toMatchObject({ pageId: 'https://taroify.dev/components/button', title: 'Button 按钮' });
+  });
+
+  test('按标识符和语言查找，代码中的完整标识符得分最高', () => {
+    const { results, languages } = findExamples(index, { query: 'Picker', language: 'TSX' });
+
+    expect(results.map(r => [r.example.pageId, r.score])).toEqual([
+      ['https://taroify.dev/components/picker', 3],
+      ['https://taroify.dev/components/button', 1]
+    ]);
+    expect(languages).toEqual({ tsx: 2, bash: 1, javascript: 1, markdown: 1 });
+  });
+
+  test('多个查询词都需要匹配，只提供语言时返回该语言的所有示例', () => {
+    expect(findExamples(index, { query: 'picker npm' }).results.map(r => r.example.language)).toEqual(['bash']);
+    expect(findExamples(index, { query: 'Picker redux' }).results).toEqual([]);
+    expect(findExamples(index, { language: 'js' }).results.map(r => r.example.anchor)).toEqual(['引入']);
+  });
+});
@@ -0,0 +1,52 @@
+// facets.test.js - 分面统计测试
+import { getTopLevelPath, classifyContentType, countFacets, getFacetValues } from '../scripts/facets.js';
+import { SearchIndex, SourceIndex } from '../scripts/search-index.js';
+
+describe('分面统计测试', () => {
+  test('顶级路径相对于文档源根地址计算', () => {
+    expect(getTopLevelPath('https://docs.taro.zone/docs/components/view', 'https://docs.taro.zone/docs')).toBe('components');
+    expect(getTopLevelPath('https://laravel.com/docs/12.x/routing', 'https://laravel.com/docs/12.x')).toBe('routing');
+    expect(getTopLevelPath('https://taroify.github.io/taroify.com/components/button/', 'https://taroify.github.io/taroify.com/introduce/')).toBe('components');
+    expect(getTopLevelPath('https://docs.taro.zone/docs', 'https://docs.taro.zone/docs')).toBe('/');
+    expect(getTopLevelPath('not a url', '')).toBe('/');
+  });
+
+  test('根据URL和页面结构推断内容类型', () => {
+    expect(classifyContentType('https://docs.taro.zone/docs/components/view')).toBe('component');
+    expect(classifyContentType('https://docs.taro.zone/docs/apis/route/navigateTo')).toBe('api');
+    expect(classifyContentType('https://example.com/button', { props: [] })).toBe('component');
+    expect(classifyContentType('https://laravel.com/docs/12.x/routing', { title: 'Routing' })).toBe('guide');
+    expect(classifyContentType('https://example.com/x', { contentType: 'api' })).toBe('api');
+  });
+
+  test('某个分面的数量不受自身过滤条件影响', () => {
+    const values = [
+      { source: 'taro', path: 'components', type: 'component' },
+      { source: 'taro', path: 'router', type: 'guide' },
+      { source: 'laravel', path: 'routing', type: 'guide' }
+    ];
+    const facets = countFacets(values, { type: ['guide'] });
+
+    expect(facets.type).toEqual([{ value: 'guide', count: 2 }, { value: 'component', count: 1 }]);
+    expect(facets.source).toEqual([{ value: 'laravel', count: 1 }, { value: 'taro', count: 1 }]);
+  });
+
+  test('搜索时按分面过滤并返回统计', () => {
+    const pages = {
+      'https://docs.example.com/docs/components/button': { title: 'Button', content: 'button component' },
+      'https://docs.example.com/docs/guide/buttons': { title: 'Using buttons', content: 'button guide' }
+    };
+    const facetValues = Object.fromEntries(Object.entries(pages).map(([id, page]) =>
+      [id, getFacetValues('example', id, page, 'https://docs.example.com/docs')]
+    ));
+    const index = new SearchIndex({ getFacets: (source, id) => facetValues[id] });
+    index.setSource('example', SourceIndex.build('example', pages));
+
+    const { total, results, facets } = index.search('button', { facetFilters: { type: ['component'] } });
+
+    expect(total).toBe(1);
+    expect(results[0].id).toBe('https://docs.example.com/docs/components/button');
+    expect(facets.type.map(f => f.value).sort()).toEqual(['component', 'guide']);
+    expect(facets.path).toEqual([{ value: 'components', count: 1 }]);
+  });
+});
@@ -0,0 +1,125 @@
+// html-to-markdown.test.js - HTML转Markdown测试
+import { htmlToMarkdown, markdownToPlainText } from '../scripts/html-to-markdown.js';
+
+const baseUrl = 'https://laravel.com/docs/12.x/routing';
+
+describe('HTML转Markdown测试', () => {
+  test('保留标题、段落、强调和链接', () => {
+    const markdown = htmlToMarkdown(`
+      <h2 id="basic">Basic <code>Route</code> usage<a class="header-anchor" href="#basic">#</a></h2>
+      <p>Routes are <strong>defined</strong> in <a href="/docs/12.x/controllers">controller files</a>.<br>See <em>below</em>.</p>
+      <hr>
+      <p><img src="/img/flow.png" alt="请求流程"></p>`, { baseUrl });
+
+    expect(markdown).toBe([
+      '## Basic `Route` usage',
+      '',
+      'Routes are **defined** in [controller files](https://laravel.com/docs/12.x/controllers).\nSee *below*.',
+      '',
+      '---',
+      '',
+      '![请求流程](https://laravel.com/img/flow.png)'
+    ].join('\n'));
+  });
+
+  test('代码块保留原始格式和语言', () => {
+    const markdown = htmlToMarkdown(`
+      <div class="language-php"><button>Copy</button><pre><code>Route::get('/', function () {
+    return "Hello";
+});
+</code></pre></div>
+      <pre><code class="hljs language-TypeScript">const a: string = \`\${b}\`;</code></pre>
+      <pre data-lang="shell"># 安装依赖
+npm install</pre>
+      <pre>\`\`\`
+嵌套的围栏
+\`\`\`</pre>`);
+
+    expect(markdown).toBe([
+      '```php',
+      'Route::get(\'/\', function () {',
+      '    return "Hello";',
+      '});',
+      '```',
+      '',
+      '```typescript',
+      'const a: string = `${b}`;',
+      '```',
+      '',
+      '```shell',
+      '# 安装依赖',
+      'npm install',
+      '```',
+      '',
+      '````',
+      '```',
+      '嵌套的围栏',
+      '```',
+      '````'
+    ].join('\n'));
+  });
+
+  test('列表嵌套时按标记宽度缩进', () => {
+    const markdown = htmlToMarkdown(`
+      <ul>
+        <li>第一项</li>
+        <li><p>第二项</p><ol start="3"><li>子项a</li><li>子项b</li></ol></li>
+        <li></li>
+      </ul>`);
+
+    expect(markdown).toBe('- 第一项\n- 第二项\n\n  3. 子项a\n  4. 子项b');
+  });
+
+  test('表格转换为GFM表格', () => {
+    const markdown = htmlToMarkdown(`
+      <table>
+        <thead><tr><th>方法</th><th>说明</th></tr></thead>
+        <tbody>
+          <tr><td><code>get</code></td><td>GET | HEAD 请求</td></tr>
+          <tr><td>any</td></tr>
+        </tbody>
+      </table>`);
+
+    expect(markdown).toBe([
+      '| 方法 | 说明 |',
+      '| --- | --- |',
+      '| `get` | GET \\| HEAD 请求 |',
+      '| any |  |'
+    ].join('\n'));
+  });
+
+  test('Markdown转换为用于索引的纯文本', () => {
+    const markdown = [
+      '## 路由 `Route`',
+      '',
+      '> 详见 [控制器](https://a.com/controllers) 和 **中间件**。',
+      '',
+      '- 第一项',
+      '1. 第二项',
+      '',
+      '| 方法 | 说明 |',
+      '| --- | --- |',
+      '| `get` | GET \\| HEAD |',
+      '',
+      '```php',
+      '# 不是标题',
+      'Route::get();',
+      '```'
+    ].join('\n');
+
+    expect(markdownToPlainText(markdown)).toBe([
+      '路由 Route',
+      '',
+      '详见 控制器 和 中间件。',
+      '',
+      '第一项',
+      '第二项',
+      '',
+      '方法 说明',
+      'get GET | HEAD',
+      '',
+      '# 不是标题',
+      'Route::get();'
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,41 @@
+// http-server.test.js - 传输方式参数解析测试
+import { parseTransportOptions, findIdleSessions, DEFAULT_HTTP_OPTIONS } from '../scripts/http-server.js';
+
+describe('传输方式参数解析测试', () => {
+  test('默认使用stdio', () => {
+    expect(parseTransportOptions([], {})).toEqual({ transport: 'stdio', ...DEFAULT_HTTP_OPTIONS, tokenFile: null });
+  });
+
+  test('解析命令行参数', () => {
+    expect(parseTransportOptions(['--transport', 'http', '--port=8080', '--host', '0.0.0.0', '--token-file', 'tokens.json'], {}))
+      .toEqual({ transport: 'http', port: 8080, host: '0.0.0.0', tokenFile: 'tokens.json' });
+    expect(parseTransportOptions(['--http'], {}).transport).toBe('http');
+  });
+
+  test('命令行参数优先于环境变量', () => {
+    const env = { DOCS_MCP_TRANSPORT: 'HTTP', DOCS_MCP_PORT: '4000', DOCS_MCP_HOST: '10.0.0.1', DOCS_MCP_TOKEN_FILE: '/etc/docs/tokens.json' };
+
+    expect(parseTransportOptions([], env)).toEqual({ transport: 'http', port: 4000, host: '10.0.0.1', tokenFile: '/etc/docs/tokens.json' });
+    expect(parseTransportOptions(['--transport=stdio', '--port', '5000'], env))
+      .toEqual({ transport: 'stdio', port: 5000, host: '10.0.0.1', tokenFile: '/etc/docs/tokens.json' });
+  });
+
+  test('无效取值时报错', () => {
+    expect(() => parseTransportOptions(['--transport', 'websocket'], {})).toThrow('不支持的传输方式');
+    expect(() => parseTransportOptions(['--port', 'abc'], {})).toThrow('无效的端口');
+  });
+});
+
+describe('会话空闲超时测试', () => {
+  test('只关闭没有进行中请求且超时的会话', () => {
+    const now = 100000;
+    const sessions = new Map([
+      ['idle', { lastActivity: now - 5000, activeRequests: 0 }],
+      ['recent', { lastActivity: now - 500, activeRequests: 0 }],
+      ['streaming', { lastActivity: now - 5000, activeRequests: 1 }]
+    ]);
+
+    expect(findIdleSessions(sessions, 1000, now)).toEqual(['idle']);
+    expect(findIdleSessions(sessions, 10000, now)).toEqual([]);
+  });
+});
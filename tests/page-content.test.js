@@ -0,0 +1,59 @@
+// page-content.test.js - 页面内容提取测试
+import { extractPageContent } from '../scripts/page-content.js';
+
+const HTML = `<!DOCTYPE html>
+<html>
+<head><title>Routing - Laravel "12.x"</title><link rel="stylesheet" href="/app.css"></head>
+<body>
+  <nav><a href="/docs/12.x/installation">Installation</a><a href="javascript:void(0)">菜单</a></nav>
+  <article>
+    <h1>Routing</h1>
+    <p>Basic routing.</p>
+    <script>window.tracking = true;</script>
+    <pre><code class="language-php">$router-&gt;get('/', fn () =&gt; "ok");</code></pre>
+    <div data-href="../12.x/middleware">Middleware</div>
+    <a href="#basic">锚点</a>
+  </article>
+  <footer><a href="https://github.com/laravel">GitHub</a></footer>
+</body>
+</html>`;
+
+describe('页面内容提取测试', () => {
+  test('主内容区域转换为Markdown并生成纯文本', () => {
+    const page = extractPageContent(HTML, 'https://laravel.com/docs/12.x/routing');
+
+    expect(page.title).toBe('Routing - Laravel "12.x"');
+    expect(page.content).toBe([
+      '# Routing',
+      '',
+      'Basic routing.',
+      '',
+      '```php',
+      '$router->get(\'/\', fn () => "ok");',
+      '```',
+      '',
+      'Middleware',
+      '',
+      '[锚点](https://laravel.com/docs/12.x/routing#basic)'
+    ].join('\n'));
+    expect(page.text).toBe('Routing\n\nBasic routing.\n\n$router->get(\'/\', fn () => "ok");\n\nMiddleware\n\n锚点');
+    expect(page.content).not.toContain('tracking');
+  });
+
+  test('提取链接并解析为绝对地址', () => {
+    const { links } = extractPageContent(HTML, 'https://laravel.com/docs/12.x/routing');
+
+    expect(links).toEqual([
+      'https://laravel.com/docs/12.x/installation',
+      'https://laravel.com/docs/12.x/middleware',
+      'https://github.com/laravel'
+    ]);
+  });
+
+  test('没有主内容区域时移除导航和页脚', () => {
+    const page = extractPageContent('<body><header>站点导航</header><div>正文内容</div><footer>版权</footer></body>', 'https://a.com/');
+
+    expect(page.content).toBe('正文内容');
+    expect(page.text).toBe('正文内容');
+  });
+});
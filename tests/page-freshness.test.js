@@ -0,0 +1,78 @@
+// page-freshness.test.js - 增量爬取的条件请求和变化比较测试
+import { hashPageContent, getCacheValidators, checkPageFreshness, classifyPageChange, countPageChanges, isUnchangedSinceLastmod } from '../scripts/page-freshness.js';
+
+// 记录请求头并返回指定状态码的fetch
+function createFetch(status, headers = {}) {
+  const calls = [];
+  const fetch = async (url, options) => {
+    calls.push({ url, headers: options.headers });
+    return { status, headers: new Headers(headers), body: null };
+  };
+  return { fetch, calls };
+}
+
+describe('增量爬取测试', () => {
+  test('内容摘要只取决于标题和内容', () => {
+    const hash = hashPageContent({ title: 'View', content: '容器组件' });
+
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashPageContent({ title: 'View', content: '容器组件', crawledAt: 'x' })).toBe(hash);
+    expect(hashPageContent({ title: 'View', content: '容器组件。' })).not.toBe(hash);
+  });
+
+  test('读取响应头中的校验字段', () => {
+    expect(getCacheValidators(new Headers({ ETag: '"abc"', 'Last-Modified': 'Wed, 01 Jan 2025 00:00:00 GMT' })))
+      .toEqual({ etag: '"abc"', lastModified: 'Wed, 01 Jan 2025 00:00:00 GMT' });
+    expect(getCacheValidators({ etag: 'W/"1"' })).toEqual({ etag: 'W/"1"' });
+    expect(getCacheValidators(undefined)).toEqual({});
+  });
+
+  test('使用上次的校验字段发送条件请求', async () => {
+    const previous = { etag: '"v1"', lastModified: 'Wed, 01 Jan 2025 00:00:00 GMT' };
+    const notModified = createFetch(304, { etag: '"v1"' });
+
+    expect(await checkPageFreshness('https://a.com/docs', previous, { fetch: notModified.fetch }))
+      .toEqual({ status: 'unchanged', validators: { etag: '"v1"' } });
+    expect(notModified.calls[0].headers).toEqual({
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Wed, 01 Jan 2025 00:00:00 GMT'
+    });
+
+    const modified = createFetch(200, { etag: '"v2"' });
+    expect(await checkPageFreshness('https://a.com/docs', previous, { fetch: modified.fetch }))
+      .toEqual({ status: 'modified', validators: { etag: '"v2"' } });
+    expect((await checkPageFreshness('https://a.com/docs', previous, { fetch: createFetch(410).fetch })).status).toBe('removed');
+  });
+
+  test('没有校验字段或请求失败时照常爬取', async () => {
+    const { fetch, calls } = createFetch(304);
+
+    expect((await checkPageFreshness('https://a.com/docs', undefined, { fetch })).status).toBe('unknown');
+    expect((await checkPageFreshness('https://a.com/docs', { contentHash: 'x' }, { fetch })).status).toBe('unknown');
+    expect(calls).toHaveLength(0);
+
+    const failing = async () => { throw new Error('ECONNRESET'); };
+    expect((await checkPageFreshness('https://a.com/docs', { etag: '"v1"' }, { fetch: failing })).status).toBe('unknown');
+  });
+
+  test('站点地图的lastmod未变化时无需请求', () => {
+    const previous = { contentHash: 'a', lastmod: '2025-01-01' };
+
+    expect(isUnchangedSinceLastmod(previous, '2025-01-01')).toBe(true);
+    expect(isUnchangedSinceLastmod(previous, '2025-02-01')).toBe(false);
+    expect(isUnchangedSinceLastmod(previous, null)).toBe(false);
+    expect(isUnchangedSinceLastmod({ contentHash: 'a' }, '2025-01-01')).toBe(false);
+    expect(isUnchangedSinceLastmod(undefined, '2025-01-01')).toBe(false);
+  });
+
+  test('按内容摘要判断页面变化并汇总', () => {
+    expect(classifyPageChange(undefined, 'a')).toBe('added');
+    expect(classifyPageChange({ contentHash: 'a' }, 'a')).toBe('unchanged');
+    expect(classifyPageChange({ contentHash: 'a' }, 'b')).toBe('changed');
+    expect(classifyPageChange({ title: '旧版本没有摘要' }, 'b')).toBe('changed');
+
+    expect(countPageChanges({
+      sources: [{ name: 'taro', added: ['a', 'b'], changed: ['c'], removed: [], unchanged: 7 }]
+    })).toEqual([{ name: 'taro', added: 2, changed: 1, removed: 0, unchanged: 7 }]);
+  });
+});
@@ -0,0 +1,30 @@
+// prompts.test.js - MCP提示词消息测试
+import { PROMPTS, buildPromptMessages } from '../scripts/prompts.js';
+
+describe('MCP提示词测试', () => {
+  test('说明文字包含文档源和名称', () => {
+    expect(PROMPTS.explain_api.instruction({ source: 'taro', symbol: 'navigateTo' })).toContain('taro 文档段落解释 `navigateTo`');
+    expect(PROMPTS.compare_versions.instruction({ source: 'v3', otherSource: 'v4', symbol: 'Button' })).toContain('v3 与 v4');
+    expect(PROMPTS.component_usage.facetFilters).toEqual({ type: ['component'] });
+  });
+
+  test('文档段落作为嵌入资源附在说明之后', () => {
+    const messages = buildPromptMessages('说明', [
+      { uri: 'docs://taro/docs/router#navigateto', text: '## navigateTo\n\n跳转页面' }
+    ], 'navigateTo');
+
+    expect(messages).toHaveLength(2);
+    expect(messages[0]).toEqual({ role: 'user', content: { type: 'text', text: '说明\n\n以下附带 1 个相关文档段落。' } });
+    expect(messages[1].content).toEqual({
+      type: 'resource',
+      resource: { uri: 'docs://taro/docs/router#navigateto', mimeType: 'text/markdown', text: '## navigateTo\n\n跳转页面' }
+    });
+  });
+
+  test('没有找到段落时提示先搜索', () => {
+    const messages = buildPromptMessages('说明', [], 'Button');
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0].content.text).toContain('没有找到与 `Button` 相关的段落');
+  });
+});
@@ -0,0 +1,38 @@
+// query-parser.test.js - 查询语法解析测试
+import { parseQuery } from '../scripts/query-parser.js';
+
+describe('查询语法解析测试', () => {
+  test('解析短语、排除词、字段前缀和文档源', () => {
+    expect(parseQuery('"setState callback" -deprecated title:Button source:taroify')).toEqual({
+      must: [
+        [{ kind: 'phrase', text: 'setState callback', field: null }],
+        [{ kind: 'term', text: 'Button', field: 'title' }]
+      ],
+      mustNot: [{ kind: 'term', text: 'deprecated', field: null }],
+      sources: ['taroify'],
+      excludedSources: []
+    });
+  });
+
+  test('OR的优先级高于隐式AND，NOT等价于减号', () => {
+    const parsed = parseQuery('a b OR c | heading:"Basic Routing" NOT d -source:laravel');
+
+    expect(parsed.must).toEqual([
+      [{ kind: 'term', text: 'a', field: null }],
+      [
+        { kind: 'term', text: 'b', field: null },
+        { kind: 'term', text: 'c', field: null },
+        { kind: 'phrase', text: 'Basic Routing', field: 'headings' }
+      ]
+    ]);
+    expect(parsed.mustNot).toEqual([{ kind: 'term', text: 'd', field: null }]);
+    expect(parsed.excludedSources).toEqual(['laravel']);
+  });
+
+  test('未知前缀和连字符按普通词处理', () => {
+    expect(parseQuery('Route::middleware hover-class').must).toEqual([
+      [{ kind: 'term', text: 'Route::middleware', field: null }],
+      [{ kind: 'term', text: 'hover-class', field: null }]
+    ]);
+  });
+});
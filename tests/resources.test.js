@@ -0,0 +1,30 @@
+// resources.test.js - 文档资源URI测试
+import { getResourcePath, buildResourcePaths, buildResourceUri, parseResourceUri } from '../scripts/resources.js';
+
+describe('文档资源URI测试', () => {
+  test('页面URL转换为资源路径', () => {
+    expect(getResourcePath('https://docs.taro.zone/docs/router/')).toBe('docs/router');
+    expect(getResourcePath('https://example.com/')).toBe('index');
+    expect(getResourcePath('https://example.com/search?q=1')).toBe('search?q=1');
+    expect(getResourcePath('example-1')).toBe('example-1');
+  });
+
+  test('生成的URI可以解析回原路径', () => {
+    const uri = buildResourceUri('taro', 'docs/路由 跳转', 'navigateto');
+
+    expect(uri).toBe('docs://taro/docs/%E8%B7%AF%E7%94%B1%20%E8%B7%B3%E8%BD%AC#navigateto');
+    expect(parseResourceUri(uri)).toEqual({ source: 'taro', path: 'docs/路由 跳转', anchor: 'navigateto' });
+    expect(parseResourceUri('docs://Taro')).toEqual({ source: 'taro', path: '', anchor: '' });
+    expect(parseResourceUri('https://docs.taro.zone/docs')).toBeNull();
+  });
+
+  test('路径冲突时加上域名区分', () => {
+    const { byPath, byPage } = buildResourcePaths([
+      'https://a.example.com/docs/intro',
+      'https://b.example.com/docs/intro'
+    ]);
+
+    expect(byPage.get('https://b.example.com/docs/intro')).toBe('b.example.com/docs/intro');
+    expect(byPath.get('docs/intro')).toBe('https://a.example.com/docs/intro');
+  });
+});
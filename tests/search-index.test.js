@@ -0,0 +1,159 @@
+// search-index.test.js - 搜索索引测试
+import path from 'path';
+import os from 'os';
+import fs from 'fs';
+import { SearchIndex, SourceIndex, INDEX_VERSION } from '../scripts/search-index.js';
+import { editDistance } from '../scripts/fuzzy.js';
+
+const pages = {
+  'https://docs.example.com/docs/router': {
+    title: 'Router 路由',
+    content: 'Use navigateTo to open a new page. The router keeps a page stack. Call useDidShow when the page shows.'
+  },
+  'https://docs.example.com/docs/components/button': {
+    title: 'Button',
+    content: 'A button component. Buttons trigger actions when tapped.'
+  },
+  'https://docs.example.com/docs/guide': {
+    title: 'Guide',
+    content: 'This guide covers the page lifecycle, the router and the button component in depth.'
+  }
+};
+
+describe('SearchIndex 搜索索引测试', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new SearchIndex({ getPage: (source, id) => pages[id] });
+    index.setSource('example', SourceIndex.build('example', pages));
+  });
+
+  test('标题命中的文档排名靠前', () => {
+    const { results } = index.search('router');
+
+    expect(results.map(r => r.id)).toEqual([
+      'https://docs.example.com/docs/router',
+      'https://docs.example.com/docs/guide'
+    ]);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+
+  test('所有查询词都必须出现', () => {
+    const { total, results } = index.search('button lifecycle');
+
+    expect(total).toBe(1);
+    expect(results[0].id).toBe('https://docs.example.com/docs/guide');
+  });
+
+  test('URL中的词也参与匹配', () => {
+    const { results } = index.search('components');
+
+    expect(results[0].id).toBe('https://docs.example.com/docs/components/button');
+  });
+
+  test('IDF降低常见词的权重', () => {
+    const { results } = index.search('page');
+    const rare = index.search('stack').results[0];
+
+    expect(rare.score).toBeGreaterThan(results[0].score);
+  });
+
+  test('可以按文档源过滤并应用limit', () => {
+    index.setSource('other', SourceIndex.build('other', {
+      'https://other.example.com/router': { title: 'Router', content: 'router' }
+    }));
+
+    expect(index.search('router', { sources: ['other'] }).results).toHaveLength(1);
+    expect(index.search('router', { limit: 1 }).results).toHaveLength(1);
+    expect(index.search('router').total).toBe(3);
+  });
+
+  test('持久化后可以按签名重新加载', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-index-'));
+    const filePath = path.join(dir, '.index', 'example.index.json');
+
+    try {
+      const signature = SourceIndex.computeSignature(JSON.stringify(pages));
+      SourceIndex.build('example', pages, signature).save(filePath);
+
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      expect(saved.version).toBe(INDEX_VERSION);
+
+      const loaded = SourceIndex.load(filePath, 'example', signature);
+      expect(loaded).not.toBeNull();
+      expect(SourceIndex.load(filePath, 'example', 'stale')).toBeNull();
+
+      const reloaded = new SearchIndex();
+      reloaded.setSource('example', loaded);
+      expect(reloaded.search('router')).toEqual(index.search('router'));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('拼写错误的API名称通过模糊匹配找到结果', () => {
+    const { results, corrections } = index.search('useDidShwo');
+
+    expect(results[0].id).toBe('https://docs.example.com/docs/router');
+    expect(corrections.map(c => c.term)).toContain('usedidshwo');
+    expect(index.search('useDidShwo', { fuzzy: false }).total).toBe(0);
+  });
+
+  test('拼写建议保留标识符原始大小写并给出纠正后的查询', () => {
+    const { correctedQuery, suggestions } = index.suggest('navigatTo page');
+
+    expect(suggestions).toEqual([{ word: 'navigatTo', candidates: ['navigateTo'] }]);
+    expect(correctedQuery).toBe('navigateTo page');
+    expect(index.suggest('router').correctedQuery).toBeNull();
+  });
+
+  test('纠正后的查询只替换完整的词', () => {
+    const { correctedQuery } = index.suggest('rotuer rotuerStack');
+
+    expect(correctedQuery).toBe('Router rotuerStack');
+  });
+
+  test('编辑距离支持相邻字符交换', () => {
+    expect(editDistance('shwo', 'show')).toBe(1);
+    expect(editDistance('navigatto', 'navigateto')).toBe(1);
+    expect(editDistance('button', 'router', 1)).toBe(2);
+  });
+
+  test('支持短语、OR、排除词和字段限定', () => {
+    const ids = query => index.search(query).results.map(r => r.id);
+
+    expect(ids('"page stack"')).toEqual(['https://docs.example.com/docs/router']);
+    expect(ids('"stack page"')).toEqual([]);
+    expect(ids('router -lifecycle')).toEqual(['https://docs.example.com/docs/router']);
+    expect(ids('title:button')).toEqual(['https://docs.example.com/docs/components/button']);
+    expect(ids('lifecycle OR tapped')).toHaveLength(2);
+    expect(ids('url:components')).toEqual(['https://docs.example.com/docs/components/button']);
+  });
+
+  test('查询中的source:条件与参数共同限定文档源', () => {
+    index.setSource('other', SourceIndex.build('other', {
+      'https://other.example.com/router': { title: 'Router', content: 'router' }
+    }));
+
+    expect(index.search('router source:other').total).toBe(1);
+    expect(index.search('router -source:other').total).toBe(2);
+    expect(index.search('router source:other', { sources: ['example'] }).total).toBe(0);
+  });
+
+  test('分页结果与一次性返回的结果顺序一致', () => {
+    const all = index.search('page OR button', { limit: 10 }).results.map(r => r.id);
+    const pages = [0, 1, 2].flatMap(offset => index.search('page OR button', { limit: 1, offset }).results.map(r => r.id));
+
+    expect(pages).toEqual(all);
+    expect(index.search('page OR button', { limit: 1, offset: 1 }).total).toBe(all.length);
+  });
+
+  test('语料版本随文档源变化', () => {
+    const version = index.getCorpusVersion();
+
+    expect(index.getCorpusVersion()).toBe(version);
+    index.setSource('other', SourceIndex.build('other', {}, 'sig'));
+    expect(index.getCorpusVersion()).not.toBe(version);
+    expect(index.getCorpusVersion(['example'])).toBe(version);
+  });
+});
@@ -0,0 +1,97 @@
+// sections.test.js - 页面段落切分测试
+import { splitSections, buildSourceSections, selectSections, slugify, toSectionDocument, LEAD_ANCHOR } from '../scripts/sections.js';
+
+const pageId = 'https://docs.example.com/docs/router';
+const page = {
+  title: 'Router',
+  content: [
+    '页面路由简介',
+    '# 路由',
+    '## navigateTo',
+    '保留当前页面。',
+    '```bash',
+    '# 不是标题',
+    '```',
+    '## Options',
+    '### Options',
+    '## Options'
+  ].join('\n')
+};
+
+describe('页面段落切分测试', () => {
+  test('按标题切分并生成稳定的段落ID', () => {
+    const sections = splitSections(pageId, page);
+
+    expect(sections.map(s => s.anchor)).toEqual([LEAD_ANCHOR, '路由', 'navigateto', 'options', 'options-1', 'options-2']);
+    expect(sections[2].id).toBe(`${pageId}#navigateto`);
+    expect(sections[2].headingPath).toEqual(['路由', 'navigateTo']);
+    expect(sections[2].content).toContain('# 不是标题');
+    expect(sections[4].headingPath).toEqual(['路由', 'Options', 'Options']);
+    expect(sections.map(s => s.index)).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(splitSections(pageId, page)).toEqual(sections);
+  });
+
+  test('没有标题的页面作为一个段落', () => {
+    const sections = splitSections(pageId, { title: 'Plain', content: 'no headings here' });
+
+    expect(sections).toHaveLength(1);
+    expect(sections[0]).toMatchObject({ id: `${pageId}#${LEAD_ANCHOR}`, level: 0, title: 'Plain', content: 'no headings here' });
+  });
+
+  test('以标题开头的页面没有引导段落', () => {
+    const sections = splitSections(pageId, { content: '# Title\nbody' });
+
+    expect(sections.map(s => s.anchor)).toEqual(['title']);
+  });
+
+  test('锚点生成规则与GitHub一致', () => {
+    expect(slugify('Route::middleware()')).toBe('routemiddleware');
+    expect(slugify('Getting Started')).toBe('getting-started');
+    expect(slugify('路由 跳转')).toBe('路由-跳转');
+  });
+
+  test('按页面和段落ID建立索引', () => {
+    const { sections, pageSections } = buildSourceSections({ [pageId]: page });
+
+    expect(pageSections[pageId]).toHaveLength(6);
+    expect(sections[`${pageId}#navigateto`].pageId).toBe(pageId);
+  });
+
+  test('按锚点或序号范围选取段落', () => {
+    const sections = splitSections(pageId, page);
+
+    expect(selectSections(pageId, sections, { anchor: 'navigateto' }).section.id).toBe(`${pageId}#navigateto`);
+    expect(selectSections(pageId, sections).sections).toBe(sections);
+    expect(selectSections(pageId, sections, { from: 4, to: 99 })).toEqual({ sections: sections.slice(4), from: 4, to: 5 });
+    expect(selectSections(pageId, sections, { to: 1 }).sections).toEqual(sections.slice(0, 2));
+  });
+
+  test('未知段落和无效的序号范围返回错误', () => {
+    const sections = splitSections(pageId, page);
+
+    expect(selectSections(pageId, sections, { anchor: 'missing' })).toEqual({
+      error: `文档 "${pageId}" 中未找到段落 "missing"`,
+      availableSections: sections.map(section => section.anchor)
+    });
+    expect(selectSections(pageId, sections, { from: 3, to: 2 })).toEqual({
+      error: '段落范围无效: 起始序号 3 大于结束序号 2',
+      totalSections: 6
+    });
+    expect(selectSections(pageId, sections, { from: 6 })).toEqual({
+      error: `文档 "${pageId}" 的段落序号 6 超出范围`,
+      totalSections: 6
+    });
+  });
+
+  test('Markdown页面的段落按纯文本索引', () => {
+    const markdownPage = { title: '路由', content: '## 跳转\n\n使用 [navigateTo](https://a.com/api) 跳转到 **页面**。', text: '' };
+    const [section] = splitSections(pageId, markdownPage);
+
+    expect(toSectionDocument(section, markdownPage)).toEqual({
+      title: '路由',
+      headings: ['跳转'],
+      content: '跳转\n\n使用 navigateTo 跳转到 页面。'
+    });
+    expect(toSectionDocument(section, { title: '路由', content: markdownPage.content }).content).toBe(section.content);
+  });
+});
@@ -0,0 +1,95 @@
+// site-discovery.test.js - robots.txt和站点地图发现测试
+import zlib from 'zlib';
+import { parseRobotsTxt, isPathAllowed, parseSitemap, discoverSite } from '../scripts/site-discovery.js';
+
+// 按地址返回固定内容的fetch，未配置的地址返回404
+function createFetch(responses) {
+  const calls = [];
+  const fetch = async url => {
+    calls.push(url);
+    const body = responses[url];
+    if (body === undefined) {
+      return { ok: false, status: 404, body: null };
+    }
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body);
+    return { ok: true, status: 200, body: null, arrayBuffer: async () => buffer };
+  };
+  return { fetch, calls };
+}
+
+const ROBOTS = `# 注释
+User-agent: Googlebot
+Disallow: /
+
+User-agent: *
+Disallow: /docs/private/
+Allow: /docs/private/public.html
+Disallow: /*.pdf$
+Crawl-delay: 2
+
+Sitemap: https://a.com/sitemap-index.xml`;
+
+describe('站点发现测试', () => {
+  test('解析robots.txt中适用于所有爬虫的规则', () => {
+    const robots = parseRobotsTxt(ROBOTS);
+
+    expect(robots.rules).toHaveLength(3);
+    expect(robots.crawlDelay).toBe(2);
+    expect(robots.sitemaps).toEqual(['https://a.com/sitemap-index.xml']);
+    expect(parseRobotsTxt(ROBOTS, 'Googlebot').rules).toEqual([{ allow: false, path: '/' }]);
+    expect(parseRobotsTxt('User-agent: *\nDisallow:\n')).toEqual({ rules: [], crawlDelay: null, sitemaps: [] });
+  });
+
+  test('按最长匹配规则判断路径是否允许', () => {
+    const robots = parseRobotsTxt(ROBOTS);
+
+    expect(isPathAllowed(robots, '/docs/intro')).toBe(true);
+    expect(isPathAllowed(robots, '/docs/private/a')).toBe(false);
+    expect(isPathAllowed(robots, '/docs/private/public.html')).toBe(true);
+    expect(isPathAllowed(robots, '/files/guide.pdf')).toBe(false);
+    expect(isPathAllowed(robots, '/files/guide.pdf?v=1')).toBe(true);
+  });
+
+  test('解析站点地图和站点地图索引', () => {
+    const sitemap = parseSitemap(`<?xml version="1.0"?>
+      <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+        <url><loc>https://a.com/docs/a?x=1&amp;y=2</loc><lastmod>2025-01-01</lastmod></url>
+        <url><loc><![CDATA[https://a.com/docs/b]]></loc></url>
+      </urlset>`);
+    expect(sitemap).toEqual({
+      urls: [
+        { loc: 'https://a.com/docs/a?x=1&y=2', lastmod: '2025-01-01' },
+        { loc: 'https://a.com/docs/b', lastmod: null }
+      ],
+      sitemaps: []
+    });
+
+    const index = parseSitemap(`<sitemapindex><sitemap><loc>https://a.com/s1.xml</loc></sitemap></sitemapindex>`);
+    expect(index).toEqual({ urls: [], sitemaps: ['https://a.com/s1.xml'] });
+  });
+
+  test('从robots.txt声明的站点地图索引发现页面', async () => {
+    const { fetch, calls } = createFetch({
+      'https://a.com/robots.txt': ROBOTS,
+      'https://a.com/sitemap-index.xml': '<sitemapindex><sitemap><loc>https://a.com/s1.xml.gz</loc></sitemap><sitemap><loc>https://a.com/missing.xml</loc></sitemap></sitemapindex>',
+      'https://a.com/s1.xml.gz': zlib.gzipSync('<urlset><url><loc>https://a.com/docs/a</loc><lastmod>2025-01-01</lastmod></url></urlset>')
+    });
+
+    const discovery = await discoverSite('https://a.com/docs/intro', { fetch });
+
+    expect(discovery.robots.crawlDelay).toBe(2);
+    expect(discovery.sitemaps).toEqual(['https://a.com/sitemap-index.xml', 'https://a.com/s1.xml.gz', 'https://a.com/missing.xml']);
+    expect(discovery.urls).toEqual([{ loc: 'https://a.com/docs/a', lastmod: '2025-01-01' }]);
+    expect(calls[0]).toBe('https://a.com/robots.txt');
+  });
+
+  test('没有robots.txt时允许所有路径并尝试默认站点地图', async () => {
+    const { fetch, calls } = createFetch({});
+
+    const discovery = await discoverSite('https://a.com/docs', { fetch });
+
+    expect(discovery.robots.rules).toEqual([]);
+    expect(discovery.urls).toEqual([]);
+    expect(calls).toEqual(['https://a.com/robots.txt', 'https://a.com/sitemap.xml']);
+  });
+});
@@ -0,0 +1,70 @@
+// snippets.test.js - 高亮摘要测试
+import { buildSnippets } from '../scripts/snippets.js';
+import { parseHeadings } from '../scripts/sections.js';
+import { tokenizeQuery, tokenizeWithOffsets } from '../scripts/tokenizer.js';
+
+const filler = 'Lorem ipsum dolor sit amet, consectetur adipiscing elit. '.repeat(6);
+
+describe('高亮摘要测试', () => {
+  test('词项位置对应原文', () => {
+    const text = '调用 Taro.navigateTo 跳转';
+    const tokens = tokenizeWithOffsets(text);
+    const item = tokens.find(t => t.token === 'navigateto');
+
+    expect(text.slice(item.start, item.end)).toBe('navigateTo');
+    expect(tokens.map(t => t.token)).toEqual(expect.arrayContaining(['跳转']));
+  });
+
+  test('摘要以命中内容为中心并保留原始大小写', () => {
+    const text = `${filler}Call Taro.navigateTo to open a page. ${filler}`;
+    const [snippet] = buildSnippets(text, tokenizeQuery('navigateTo'), { snippetLength: 80 });
+
+    expect(snippet.text).toContain('<mark>navigateTo</mark>');
+    expect(snippet.text.startsWith('…')).toBe(true);
+    expect(snippet.text.endsWith('…')).toBe(true);
+  });
+
+  test('选择命中词项最多的段落并支持自定义高亮标记', () => {
+    const text = `Router basics. ${filler}The router keeps a page stack. ${filler}Stack only.`;
+    const snippets = buildSnippets(text, tokenizeQuery('router stack'), {
+      snippetLength: 60,
+      maxSnippets: 1,
+      highlightPre: '[',
+      highlightPost: ']'
+    });
+
+    expect(snippets).toHaveLength(1);
+    expect(snippets[0].text).toContain('The [router] keeps a page [stack]');
+  });
+
+  test('连续的中文命中合并为一段高亮', () => {
+    const [snippet] = buildSnippets('在 Taro 中，页面跳转使用 navigateTo 方法', tokenizeQuery('页面跳转'));
+
+    expect(snippet.text).toContain('<mark>页面跳转</mark>');
+  });
+
+  test('给出摘要所在的标题路径，忽略代码块中的#', () => {
+    const text = [
+      '# 路由',
+      '简介',
+      '## 导航',
+      '```bash',
+      '# 安装依赖',
+      '```',
+      '使用 navigateTo 跳转',
+      '# 其他'
+    ].join('\n');
+
+    expect(parseHeadings(text).map(h => h.path)).toEqual([['路由'], ['路由', '导航'], ['其他']]);
+    expect(buildSnippets(text, tokenizeQuery('navigateTo'))[0].headingPath).toEqual(['路由', '导航']);
+  });
+
+  test('没有命中时返回文档开头', () => {
+    const snippets = buildSnippets(`Intro text. ${filler}`, ['missing'], { snippetLength: 40 });
+
+    expect(snippets).toHaveLength(1);
+    expect(snippets[0].text.startsWith('Intro text.')).toBe(true);
+    expect(snippets[0].text).not.toContain('<mark>');
+    expect(buildSnippets('', ['missing'])).toEqual([]);
+  });
+});
@@ -0,0 +1,35 @@
+// static-renderer.test.js - 不使用浏览器的静态页面请求测试
+import { fetchStaticPage } from '../scripts/static-renderer.js';
+
+// 返回固定响应的fetch
+function createFetch(status, body, headers = { 'content-type': 'text/html; charset=utf-8' }) {
+  return async url => ({
+    ok: status >= 200 && status < 300,
+    status,
+    url,
+    headers: new Headers(headers),
+    body: null,
+    text: async () => body
+  });
+}
+
+const HTML = '<html><head><title>Routing</title></head><body><article>Basic routing.</article></body></html>';
+
+describe('静态页面请求测试', () => {
+  test('请求HTML并返回缓存校验字段', async () => {
+    const fetch = createFetch(200, HTML, { 'content-type': 'text/html', etag: '"v1"' });
+    const response = await fetchStaticPage('https://laravel.com/docs/12.x/routing', { fetch });
+
+    expect(response).toEqual({ html: HTML, url: 'https://laravel.com/docs/12.x/routing', validators: { etag: '"v1"' } });
+  });
+
+  test('状态码不是2xx或响应不是HTML时抛出错误', async () => {
+    await expect(fetchStaticPage('https://a.com/x', { fetch: createFetch(404, '') })).rejects.toThrow('HTTP 404');
+    await expect(fetchStaticPage('https://a.com/x.pdf', { fetch: createFetch(200, '', { 'content-type': 'application/pdf' }) }))
+      .rejects.toThrow('响应不是HTML页面');
+  });
+
+  test('没有fetch时提示所需的Node版本', async () => {
+    await expect(fetchStaticPage('https://a.com/x', { fetch: null })).rejects.toThrow('需要Node 18.17或更高版本');
+  });
+});
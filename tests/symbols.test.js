@@ -0,0 +1,178 @@
+// symbols.test.js - API符号提取和查询测试
+import { extractSymbols, extractComponentSymbols, buildSymbolTable, lookupSymbols } from '../scripts/symbols.js';
+import { splitSections } from '../scripts/sections.js';
+
+const TARO_PAGE = [
+  '# 路由',
+  '## Taro.navigateTo(option)',
+  '保留当前页面，跳转到应用内的某个页面。',
+  '',
+  '> 自 v1.2.0 起支持',
+  '',
+  '### 参数',
+  '#### Option',
+  '| 参数 | 类型 | 默认值 | 必填 | 说明 |',
+  '| --- | --- | --- | --- | --- |',
+  '| `url` | `string` | - | 是 | 需要跳转的页面路径 |',
+  '| events | `TaroGeneral.IAnyObject` | `{}` | 否 | 事件监听 \\| 回调 |',
+  '### 返回值',
+  '`Promise<TaroGeneral.CallbackResult>`',
+  '| 参数 | 类型 |',
+  '| --- | --- |',
+  '| errMsg | `string` |',
+  '### 示例代码',
+  '```js',
+  'Taro.navigateTo({ url: "test?id=1" })',
+  '```',
+  '## Taro.getEnv() 3.0.0+',
+  '获取当前的环境值。',
+  '## Node.js',
+  '## Installation'
+].join('\n');
+
+const LARAVEL_PAGE = [
+  '# Routing',
+  '### `Route::middleware`',
+  '**Deprecated**: use `Route::withMiddleware` instead.',
+  '```php',
+  'public static function middleware(array|string $middleware): RouteRegistrar',
+  '```'
+].join('\n');
+
+const COMPONENT_PAGE = [
+  '# Picker 选择器',
+  '## 代码演示',
+  '```tsx',
+  '<Picker />',
+  '```',
+  '## API',
+  '### Props',
+  '| 参数 | 说明 | 类型 | 默认值 |',
+  '| --- | --- | --- | --- |',
+  '| value | 选中值 | `string[]` | - |',
+  '### Events',
+  '| 事件名 | 说明 | 回调参数 |',
+  '| --- | --- | --- |',
+  '| onChange | 选项改变时触发 | value |'
+].join('\n');
+
+describe('API符号提取测试', () => {
+  test('从标题、参数表格和返回值小标题提取函数符号', () => {
+    const symbols = extractSymbols(TARO_PAGE);
+
+    expect(symbols.map(s => s.name)).toEqual(['Taro.navigateTo', 'Taro.getEnv']);
+    expect(symbols[0]).toEqual({
+      name: 'Taro.navigateTo',
+      kind: 'function',
+      anchor: 'taronavigatetooption',
+      section: 'Taro.navigateTo(option)',
+      signature: 'Taro.navigateTo(option)',
+      since: '1.2.0',
+      summary: '保留当前页面，跳转到应用内的某个页面。',
+      params: [
+        { name: 'url', type: 'string', description: '需要跳转的页面路径', required: true },
+        { name: 'events', type: 'TaroGeneral.IAnyObject', default: '{}', description: '事件监听 | 回调', required: false }
+      ],
+      returns: 'Promise<TaroGeneral.CallbackResult>'
+    });
+    expect(symbols[1]).toMatchObject({ kind: 'function', signature: 'Taro.getEnv()', since: '3.0.0' });
+  });
+
+  test('符号锚点与段落锚点一致', () => {
+    const anchors = splitSections('page', { content: TARO_PAGE }).map(section => section.anchor);
+
+    for (const symbol of extractSymbols(TARO_PAGE)) {
+      expect(anchors).toContain(symbol.anchor);
+    }
+  });
+
+  test('从代码块读取签名和返回类型并识别废弃标记', () => {
+    const [symbol] = extractSymbols(LARAVEL_PAGE);
+
+    expect(symbol).toMatchObject({
+      name: 'Route::middleware',
+      kind: 'function',
+      anchor: 'routemiddleware',
+      signature: 'public static function middleware(array|string $middleware): RouteRegistrar',
+      returns: 'RouteRegistrar',
+      deprecated: true
+    });
+  });
+
+  test('组件页面的属性和事件表格作为组件符号', () => {
+    expect(extractSymbols(COMPONENT_PAGE)).toEqual([{
+      name: 'Picker',
+      kind: 'component',
+      anchor: 'props',
+      section: 'Props',
+      params: [{ name: 'value', type: 'string[]', description: '选中值' }],
+      events: [{ name: 'onChange', description: '选项改变时触发' }]
+    }]);
+  });
+
+  test('没有名称列的属性和事件表格按列的位置读取', () => {
+    const page = [
+      '# Button 按钮',
+      '## 属性',
+      '| 属性名称 | 类型 | 说明 |',
+      '| --- | --- | --- |',
+      '| size | `string` | 按钮的大小 |',
+      '## 事件',
+      '| 事件名称 | 说明 |',
+      '| --- | --- |',
+      '| onClick | 点击按钮时触发 |'
+    ].join('\n');
+
+    expect(extractSymbols(page)).toEqual([{
+      name: 'Button',
+      kind: 'component',
+      anchor: '属性',
+      section: '属性',
+      params: [{ name: 'size', type: 'string', description: '按钮的大小' }],
+      events: [{ name: 'onClick', description: '点击按钮时触发' }]
+    }]);
+  });
+
+  test('从组件页面的DOM表格提取组件符号', () => {
+    const tables = [
+      { headers: ['Prop Name', 'Type', 'Default', 'Description'], rows: [['disabled', 'boolean', 'false', '是否禁用'], ['', '', '', '']], heading: 'Props' },
+      { headers: ['Event', 'Description'], rows: [['onChange', '值改变时触发']], heading: 'Events' },
+      { headers: ['版本', '变更'], rows: [['3.0.0', '新增']], heading: '更新日志' }
+    ];
+
+    expect(extractComponentSymbols('Switch 开关', tables)).toEqual([{
+      name: 'Switch',
+      kind: 'component',
+      anchor: 'props',
+      section: 'Props',
+      params: [{ name: 'disabled', type: 'boolean', default: 'false', description: '是否禁用' }],
+      events: [{ name: 'onChange', description: '值改变时触发' }]
+    }]);
+    expect(extractComponentSymbols('Switch 开关', [tables[2]])).toEqual([]);
+    expect(extractComponentSymbols('开关', tables)).toEqual([]);
+  });
+});
+
+describe('API符号查询测试', () => {
+  const table = buildSymbolTable({
+    'https://docs.taro.zone/docs/apis/route': { title: '路由', content: TARO_PAGE, symbols: extractSymbols(TARO_PAGE) },
+    'https://laravel.com/docs/routing': { title: 'Routing', content: LARAVEL_PAGE, text: '' },
+    'https://example.com/plain': { title: 'Plain', content: LARAVEL_PAGE }
+  });
+
+  test('使用保存的符号，爬虫生成的页面没有符号时从内容中提取', () => {
+    expect(table.map(s => [s.pageId, s.name])).toEqual([
+      ['https://docs.taro.zone/docs/apis/route', 'Taro.navigateTo'],
+      ['https://docs.taro.zone/docs/apis/route', 'Taro.getEnv'],
+      ['https://laravel.com/docs/routing', 'Route::middleware']
+    ]);
+  });
+
+  test('按完整名称、忽略大小写和分隔符、成员名匹配', () => {
+    expect(lookupSymbols(table, 'Route::middleware').map(m => m.match)).toEqual(['exact']);
+    expect(lookupSymbols(table, 'route.middleware()').map(m => [m.symbol.name, m.match])).toEqual([['Route::middleware', 'case-insensitive']]);
+    expect(lookupSymbols(table, 'navigateTo').map(m => [m.symbol.name, m.match])).toEqual([['Taro.navigateTo', 'member']]);
+    expect(lookupSymbols(table, 'redirectTo')).toEqual([]);
+    expect(lookupSymbols(table, '  ')).toEqual([]);
+  });
+});
@@ -0,0 +1,51 @@
+// task-manager.test.js - 爬取任务管理测试
+import { jest } from '@jest/globals';
+
+// TaskManager依赖的文档源配置文件不在仓库中，测试时使用虚拟模块代替
+// （Jest 29解析ES模块的虚拟模块时查找的是jest.mock注册的列表，因此两处都需要注册）
+const docSourcesConfig = () => ({ docSources: [], crawlerConfig: { maxConcurrency: 4 } });
+jest.mock('../config/doc-sources.js', docSourcesConfig, { virtual: true });
+jest.unstable_mockModule('../config/doc-sources.js', docSourcesConfig, { virtual: true });
+
+const { TaskManager } = await import('../scripts/task-manager.js');
+
+describe('TaskManager 日志输出测试', () => {
+  test('爬虫日志写入传入的logger而不是console', () => {
+    const logger = { log: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      const manager = new TaskManager({}, { logger });
+      manager.cancel();
+
+      expect(manager.browserManager.logger).toBe(logger);
+      expect(logger.log).toHaveBeenCalledWith('[任务] 爬取已取消，等待正在处理的页面完成');
+      expect(consoleLog).not.toHaveBeenCalled();
+    } finally {
+      consoleLog.mockRestore();
+    }
+  });
+});
+
+describe('TaskManager 多文档源爬取测试', () => {
+  test('同时爬取两个文档源时每个URL只由所属的文档源处理一次', async () => {
+    const manager = new TaskManager();
+    manager.tasks.set('taro', { name: 'taro', url: 'https://docs.taro.zone/docs' });
+    manager.tasks.set('laravel', { name: 'laravel', url: 'https://laravel.com/docs' });
+    for (const url of ['https://docs.taro.zone/docs/router', 'https://laravel.com/docs/routing', 'https://docs.taro.zone/docs/request']) {
+      manager.pendingUrls.set(url, { url, status: 'pending', retryCount: 0, lastRetry: null });
+    }
+
+    const processed = [];
+    manager.processUrl = async (url, taskGroup) => {
+      processed.push([url, taskGroup.name]);
+    };
+    await manager._processPendingUrls();
+
+    expect(processed).toEqual([
+      ['https://docs.taro.zone/docs/router', 'taro'],
+      ['https://laravel.com/docs/routing', 'laravel'],
+      ['https://docs.taro.zone/docs/request', 'taro']
+    ]);
+    expect(manager.pendingUrls.size).toBe(0);
+  });
+});
@@ -0,0 +1,44 @@
+// tokenizer.test.js - 分词器测试
+import { tokenize, tokenizeQuery, splitIdentifier, stem } from '../scripts/tokenizer.js';
+
+describe('分词器测试', () => {
+  test('英文单词做词干化并去除停用词', () => {
+    expect(tokenize('How to handle the Routes')).toEqual(['handl', 'rout']);
+    expect(stem('routing')).toBe(stem('routes'));
+    expect(stem('components')).toBe(stem('component'));
+  });
+
+  test('拆分camelCase和snake_case标识符并保留完整形式', () => {
+    expect(splitIdentifier('XMLHttpRequest')).toEqual(['XML', 'Http', 'Request']);
+    expect(splitIdentifier('created_at')).toEqual(['created', 'at']);
+
+    const tokens = tokenize('Taro.navigateTo');
+    expect(tokens).toContain('taro');
+    expect(tokens).toContain('navigateto');
+    expect(tokens).toContain(stem('navigate'));
+  });
+
+  test('中文查询被切分为多个词项', () => {
+    const terms = tokenizeQuery('页面路由跳转');
+
+    expect(terms.length).toBeGreaterThan(1);
+    expect(terms).toContain('路由');
+  });
+
+  test('查询词项都能在包含相同文本的文档中找到', () => {
+    const docTokens = new Set(tokenize('在 Taro 中，页面路由跳转使用 Taro.navigateTo 方法。阻止事件冒泡'));
+
+    for (const query of ['页面路由跳转', '路由跳转', '事件冒泡', '如何跳转页面', 'navigateTo']) {
+      for (const term of tokenizeQuery(query)) {
+        expect(docTokens.has(term)).toBe(true);
+      }
+    }
+  });
+
+  test('中英文混排时分别处理', () => {
+    const tokens = tokenize('Button组件');
+
+    expect(tokens[0]).toBe('button');
+    expect(tokens).toContain('组件');
+  });
+});
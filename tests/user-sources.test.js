@@ -0,0 +1,97 @@
+// user-sources.test.js - 用户添加的文档源测试
+import path from 'path';
+import os from 'os';
+import fs from 'fs';
+import {
+  validateSourceDefinition,
+  SourceValidationError,
+  toCrawlerSource,
+  loadUserSources,
+  saveUserSources,
+  mergeCrawlerOverrides
+} from '../scripts/user-sources.js';
+
+describe('用户文档源测试', () => {
+  test('校验并规范化文档源定义', () => {
+    const definition = validateSourceDefinition({
+      name: ' Vant ',
+      url: 'https://vant-ui.github.io/vant/#/zh-CN',
+      includePatterns: ['/vant/*'],
+      excludePatterns: ['/v\\d/'],
+      crawler: { maxConcurrency: 4, headless: true },
+      renderMode: 'static'
+    });
+
+    expect(definition).toEqual({
+      name: 'vant',
+      url: 'https://vant-ui.github.io/vant/',
+      includePatterns: ['/vant/*'],
+      excludePatterns: ['/v\\d/'],
+      crawler: { maxConcurrency: 4, headless: true },
+      renderMode: 'static'
+    });
+    expect(validateSourceDefinition({ name: 'a', url: 'http://example.com' })).toMatchObject({
+      includePatterns: [],
+      excludePatterns: [],
+      crawler: {}
+    });
+  });
+
+  test('无效的定义列出所有错误', () => {
+    let error = null;
+    try {
+      validateSourceDefinition({
+        name: '../etc',
+        url: 'ftp://example.com',
+        excludePatterns: ['('],
+        crawler: { maxConcurrency: 0, headless: 'yes', userAgent: 'x' },
+        renderMode: 'fast'
+      });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(SourceValidationError);
+    expect(error.errors).toHaveLength(7);
+    expect(error.errors.join('\n')).toMatch(/name.*\n.*http或https.*\n.*excludePatterns.*\n.*maxConcurrency.*\n.*headless.*\n.*userAgent.*\n.*renderMode/);
+    expect(() => validateSourceDefinition({ name: 'a', url: 'not a url' })).toThrow('url不是有效的地址');
+    expect(() => validateSourceDefinition({ name: 'a', url: 'http://a', includePatterns: 'docs' })).toThrow('includePatterns必须是非空字符串数组');
+  });
+
+  test('转换为爬虫配置时排除规则变为正则表达式', () => {
+    const source = toCrawlerSource(validateSourceDefinition({
+      name: 'laravel',
+      url: 'https://laravel.com/docs/12.x',
+      excludePatterns: ['\\d\\.x/upgrade']
+    }));
+
+    expect(source.excludePatterns[0]).toBeInstanceOf(RegExp);
+    expect(source.excludePatterns[0].test('/docs/12.x/upgrade')).toBe(true);
+  });
+
+  test('保存和读取用户文档源文件', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'user-sources-'));
+    const filePath = path.join(dir, 'config', 'user-sources.json');
+    try {
+      expect(loadUserSources(filePath)).toEqual([]);
+
+      const sources = [validateSourceDefinition({ name: 'vant', url: 'https://vant-ui.github.io/vant/' })];
+      saveUserSources(filePath, sources);
+      expect(loadUserSources(filePath)).toEqual(sources);
+      expect(fs.readdirSync(path.dirname(filePath))).toEqual(['user-sources.json']);
+
+      fs.writeFileSync(filePath, '{"items": []}');
+      expect(() => loadUserSources(filePath)).toThrow('sources数组');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('合并爬虫配置覆盖', () => {
+    expect(mergeCrawlerOverrides([
+      { name: 'a', crawler: { maxConcurrency: 4, headless: true } },
+      { name: 'b' },
+      { name: 'c', crawler: { maxConcurrency: 2 } }
+    ])).toEqual({ maxConcurrency: 2, headless: true });
+  });
+});